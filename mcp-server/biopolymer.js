@@ -0,0 +1,186 @@
+/**
+ * Biopolymer structure
+ * Groups the atoms of PDB and mmCIF structures into residues and chains,
+ * gives polymer residues their one-letter codes and assigns helices and
+ * strands from Cα geometry for files that carry no HELIX/SHEET records.
+ */
+
+// Per-atom residue fields, as read by the PDB and mmCIF parsers
+export const RESIDUE_FIELDS = ['name', 'residue', 'residueNumber', 'insertionCode', 'chain', 'hetero'];
+
+export const SECONDARY_STRUCTURE_TYPES = ['helix', 'sheet'];
+
+// One-letter codes, including common modified and ambiguous residues
+export const AMINO_ACIDS = {
+  ALA: 'A', ARG: 'R', ASN: 'N', ASP: 'D', CYS: 'C', GLN: 'Q', GLU: 'E', GLY: 'G',
+  HIS: 'H', ILE: 'I', LEU: 'L', LYS: 'K', MET: 'M', PHE: 'F', PRO: 'P', SER: 'S',
+  THR: 'T', TRP: 'W', TYR: 'Y', VAL: 'V', SEC: 'U', PYL: 'O', MSE: 'M',
+  ASX: 'B', GLX: 'Z', UNK: 'X'
+};
+
+export const NUCLEOTIDES = {
+  A: 'A', C: 'C', G: 'G', U: 'U', T: 'T', I: 'I',
+  DA: 'A', DC: 'C', DG: 'G', DT: 'T', DU: 'U', DI: 'I'
+};
+
+const WATER = new Set(['HOH', 'WAT', 'H2O', 'DOD']);
+
+// Consecutive Cα atoms further apart than this belong to separate segments (Å)
+const MAX_CA_DISTANCE = 4.2;
+
+// P-SEA Cα distance criteria (Å) between residue i and residues i+2, i+3
+// and i+4: [target, tolerance]
+const HELIX_DISTANCES = [[5.5, 0.5], [5.3, 0.5], [6.4, 0.6]];
+const STRAND_DISTANCES = [[6.4, 0.7], [9.9, 0.9], [12.4, 1.1]];
+
+/**
+ * The residue fields present on an atom, for copying into stored molecules
+ */
+export function residueFields(atom) {
+  const fields = {};
+  RESIDUE_FIELDS.forEach(field => {
+    if (atom[field] !== undefined && atom[field] !== null && atom[field] !== false) {
+      fields[field] = atom[field];
+    }
+  });
+  return fields;
+}
+
+export function residueType(name) {
+  if (AMINO_ACIDS[name]) return 'amino-acid';
+  if (NUCLEOTIDES[name]) return 'nucleotide';
+  if (WATER.has(name)) return 'water';
+  return 'ligand';
+}
+
+/**
+ * Residues in order of first appearance, each with its chain, name, number,
+ * type, one-letter code (polymer residues only) and atom indices. Atoms
+ * without residue data are left out.
+ */
+export function getResidues(molecule) {
+  const residues = new Map();
+
+  molecule.atoms.forEach((atom, index) => {
+    if (!atom.residue) return;
+
+    const chain = atom.chain || '';
+    const key = `${chain}|${atom.residueNumber}|${atom.insertionCode || ''}|${atom.residue}`;
+    if (!residues.has(key)) {
+      const type = residueType(atom.residue);
+      const residue = { chain, name: atom.residue, number: atom.residueNumber ?? null };
+      if (atom.insertionCode) residue.insertionCode = atom.insertionCode;
+      residue.type = type;
+      if (type === 'amino-acid') residue.code = AMINO_ACIDS[atom.residue];
+      if (type === 'nucleotide') residue.code = NUCLEOTIDES[atom.residue];
+      residue.hetero = Boolean(atom.hetero);
+      residue.atoms = [];
+      residues.set(key, residue);
+    }
+    residues.get(key).atoms.push(index);
+  });
+
+  return Array.from(residues.values());
+}
+
+/**
+ * Chains with their sequence and residues (water left out). Polymer
+ * residues get a secondary structure of helix, sheet or coil, from the
+ * molecule's secondaryStructure ranges or else from Cα geometry.
+ */
+export function getChains(molecule) {
+  const residues = getResidues(molecule).filter(residue => residue.type !== 'water');
+  const ranges = molecule.secondaryStructure || assignSecondaryStructure(molecule);
+
+  const chains = new Map();
+  residues.forEach(residue => {
+    if (residue.code) {
+      const range = ranges.find(r => (r.chain || '') === residue.chain &&
+        residue.number >= r.start && residue.number <= r.end);
+      residue.secondary = range ? range.type : 'coil';
+    }
+    if (!chains.has(residue.chain)) chains.set(residue.chain, []);
+    chains.get(residue.chain).push(residue);
+  });
+
+  return Array.from(chains, ([id, chainResidues]) => {
+    const count = type => chainResidues.filter(residue => residue.type === type).length;
+    const aminoAcids = count('amino-acid');
+    const nucleotides = count('nucleotide');
+    let type = 'ligand';
+    if (aminoAcids > 0 || nucleotides > 0) type = aminoAcids >= nucleotides ? 'protein' : 'nucleic';
+
+    return {
+      id,
+      type,
+      sequence: chainResidues.map(residue => residue.code || '').join(''),
+      residues: chainResidues
+    };
+  });
+}
+
+/**
+ * Helix and strand residue ranges from Cα distances, following P-SEA
+ * (Labesse et al., 1997). Strand pairing is not checked, so isolated
+ * extended stretches also count as strands.
+ */
+export function assignSecondaryStructure(molecule) {
+  const ranges = [];
+
+  backboneSegments(molecule).forEach(segment => {
+    const types = segment.map(() => 'coil');
+    const matches = (start, criteria) => criteria.every(([target, tolerance], offset) => {
+      const a = segment[start].atom;
+      const b = segment[start + offset + 2].atom;
+      return Math.abs(Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z) - target) <= tolerance;
+    });
+
+    // Strands first so helices win where both criteria hold
+    [['sheet', STRAND_DISTANCES], ['helix', HELIX_DISTANCES]].forEach(([type, criteria]) => {
+      for (let i = 0; i + 4 < segment.length; i++) {
+        if (matches(i, criteria)) types.fill(type, i, i + 5);
+      }
+    });
+
+    types.forEach((type, i) => {
+      if (type === 'coil') return;
+      const { residue } = segment[i];
+      const previous = ranges[ranges.length - 1];
+      if (i > 0 && types[i - 1] === type && previous) {
+        previous.end = residue.number;
+      } else {
+        const range = { type };
+        if (residue.chain) range.chain = residue.chain;
+        range.start = residue.number;
+        range.end = residue.number;
+        ranges.push(range);
+      }
+    });
+  });
+
+  return ranges;
+}
+
+// Runs of amino acids whose Cα atoms are close enough to be peptide-bonded
+function backboneSegments(molecule) {
+  const segments = [];
+  let segment = [];
+
+  getResidues(molecule).forEach(residue => {
+    if (residue.type !== 'amino-acid') return;
+    const index = residue.atoms.find(i => molecule.atoms[i].name === 'CA');
+    if (index === undefined) return;
+
+    const atom = molecule.atoms[index];
+    const last = segment[segment.length - 1];
+    if (last && (last.residue.chain !== residue.chain ||
+      Math.hypot(last.atom.x - atom.x, last.atom.y - atom.y, last.atom.z - atom.z) > MAX_CA_DISTANCE)) {
+      segments.push(segment);
+      segment = [];
+    }
+    segment.push({ residue, atom });
+  });
+  if (segment.length > 0) segments.push(segment);
+
+  return segments;
+}
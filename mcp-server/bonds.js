@@ -0,0 +1,359 @@
+/**
+ * Bond perception
+ * Infers connectivity from interatomic distances and covalent radii, assigns
+ * bond orders from valence rules and detects aromatic rings, for structures
+ * (XYZ and mmCIF files, PDB files without CONECT records) that carry no bonds.
+ */
+
+import { getElement } from './elements.js';
+
+// Radius for elements without covalent radius data
+const DEFAULT_RADIUS = 1.5;
+
+// Extra distance allowed beyond the sum of covalent radii
+export const BOND_TOLERANCE = 0.45;
+
+// Closer than this is treated as overlapping atoms, not a bond
+const MIN_BOND_DISTANCE = 0.4;
+
+// Bond length as a fraction of the single-bond length (sum of radii) below
+// which a bond may be raised to a double or triple bond
+const DOUBLE_BOND_RATIO = 0.95;
+const TRIPLE_BOND_RATIO = 0.85;
+
+// Elements whose bond orders are raised to reach a valence from the periodic
+// table; an atom takes the lowest valence that fits its number of neighbors.
+// Metals and noble gases keep single bonds.
+const VALENCE_ELEMENTS = new Set([
+  'H', 'F', 'Cl', 'Br', 'I', 'B', 'C', 'Si', 'Ge', 'N', 'P', 'As', 'O', 'S', 'Se'
+]);
+
+// Atoms that only ever form one bond keep their closest neighbor
+const MONOVALENT = new Set(['H', 'F']);
+
+// Largest ring checked for aromaticity
+const MAX_AROMATIC_RING = 8;
+
+/**
+ * Add bonds to a molecule that has none. Returns a new molecule; molecules
+ * that already have bonds are returned unchanged, except that polymer atoms
+ * (PDB ATOM records) without any bond are bonded too, because PDB files
+ * usually only list CONECT records for hetero groups.
+ */
+export function perceiveBonds(molecule, options = {}) {
+  const bonds = molecule.bonds || [];
+  if (molecule.atoms.length < 2) {
+    return { ...molecule, bonds };
+  }
+
+  if (bonds.length === 0) {
+    return { ...molecule, bonds: perceiveAmong(molecule.atoms, options) };
+  }
+
+  const bonded = new Set(bonds.flatMap(bond => [bond.from, bond.to]));
+  const unbonded = molecule.atoms
+    .map((atom, index) => index)
+    .filter(index => molecule.atoms[index].residue && !molecule.atoms[index].hetero && !bonded.has(index));
+  if (unbonded.length < 2) {
+    return { ...molecule, bonds };
+  }
+
+  const perceived = perceiveAmong(unbonded.map(index => molecule.atoms[index]), options)
+    .map(bond => ({ ...bond, from: unbonded[bond.from], to: unbonded[bond.to] }));
+  return { ...molecule, bonds: [...bonds, ...perceived] };
+}
+
+// Connectivity, bond orders and aromaticity for a set of atoms
+function perceiveAmong(atoms, options) {
+  const bonds = perceiveConnectivity(atoms, options);
+  assignBondOrders(atoms, bonds);
+  const aromatic = findAromaticBonds(atoms, bonds);
+  aromatic.forEach(index => {
+    bonds[index].order = 1.5;
+    bonds[index].aromatic = true;
+  });
+  return bonds;
+}
+
+/**
+ * Single bonds between every pair of atoms closer than the sum of their
+ * covalent radii plus the tolerance. Atoms are bucketed into a grid so large
+ * structures do not need every pair compared.
+ */
+export function perceiveConnectivity(atoms, { tolerance = BOND_TOLERANCE } = {}) {
+  const radii = atoms.map(atom => covalentRadius(atom.element));
+  const cellSize = 2 * Math.max(...radii) + tolerance;
+  const cellKey = (x, y, z) => `${x},${y},${z}`;
+  const cellOf = atom => [atom.x, atom.y, atom.z].map(v => Math.floor(v / cellSize));
+
+  const grid = new Map();
+  atoms.forEach((atom, index) => {
+    const key = cellKey(...cellOf(atom));
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(index);
+  });
+
+  const candidates = [];
+  atoms.forEach((atom, i) => {
+    const [cx, cy, cz] = cellOf(atom);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          for (const j of grid.get(cellKey(cx + dx, cy + dy, cz + dz)) || []) {
+            if (j <= i) continue;
+            const other = atoms[j];
+            const distance = Math.hypot(atom.x - other.x, atom.y - other.y, atom.z - other.z);
+            if (distance >= MIN_BOND_DISTANCE && distance <= radii[i] + radii[j] + tolerance) {
+              candidates.push({ from: i, to: j, distance });
+            }
+          }
+        }
+      }
+    }
+  });
+
+  // Shortest first, so monovalent atoms keep their closest neighbor
+  candidates.sort((a, b) => a.distance - b.distance || a.from - b.from || a.to - b.to);
+  const bonded = new Set();
+  const bonds = [];
+  candidates.forEach(({ from, to }) => {
+    const capped = [from, to].filter(index => MONOVALENT.has(atoms[index].element));
+    if (capped.some(index => bonded.has(index))) return;
+    capped.forEach(index => bonded.add(index));
+    bonds.push({ from, to, order: 1 });
+  });
+
+  return bonds.sort((a, b) => a.from - b.from || a.to - b.to);
+}
+
+/**
+ * Raise bond orders in place until atoms reach their valence. Short bonds
+ * are raised first; atoms left short of their valence are then paired up
+ * along alternating paths, which settles Kekulé structures of fused rings.
+ * Only bonds short enough to be multiple bonds are ever raised, so
+ * structures without hydrogens keep single bonds where they belong.
+ */
+export function assignBondOrders(atoms, bonds) {
+  const neighbors = atoms.map(() => []);
+  bonds.forEach((bond, index) => {
+    neighbors[bond.from].push({ atom: bond.to, bond: index });
+    neighbors[bond.to].push({ atom: bond.from, bond: index });
+  });
+
+  const deficits = atoms.map((atom, index) => {
+    const used = neighbors[index].reduce((total, n) => total + bonds[n.bond].order, 0);
+    return Math.max(0, targetValence(atom, neighbors[index].length) - used);
+  });
+
+  const ratios = bonds.map(({ from, to }) => {
+    const a = atoms[from];
+    const b = atoms[to];
+    const single = covalentRadius(a.element) + covalentRadius(b.element);
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z) / single;
+  });
+  const canRaise = index => {
+    const { order } = bonds[index];
+    return (order === 1 && ratios[index] <= DOUBLE_BOND_RATIO) ||
+      (order === 2 && ratios[index] <= TRIPLE_BOND_RATIO);
+  };
+
+  const byLength = bonds.map((_, index) => index).sort((a, b) => ratios[a] - ratios[b] || a - b);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    byLength.forEach(index => {
+      const { from, to } = bonds[index];
+      if (deficits[from] > 0 && deficits[to] > 0 && canRaise(index)) {
+        bonds[index].order++;
+        deficits[from]--;
+        deficits[to]--;
+        changed = true;
+      }
+    });
+  }
+
+  atoms.forEach((_, start) => {
+    while (deficits[start] > 0 && augment(start, neighbors, bonds, deficits, canRaise));
+  });
+
+  return bonds;
+}
+
+// Find a path start - a = b - c = ... - end where every "-" can be raised and
+// every "=" lowered, ending at another atom short of its valence, and flip it
+function augment(start, neighbors, bonds, deficits, canRaise) {
+  const parent = new Map([[start, null]]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const raise of neighbors[current]) {
+      if (parent.has(raise.atom) || !canRaise(raise.bond)) continue;
+
+      if (deficits[raise.atom] > 0) {
+        bonds[raise.bond].order++;
+        let atom = current;
+        while (parent.get(atom)) {
+          const { lowered, raised, from } = parent.get(atom);
+          bonds[lowered].order--;
+          bonds[raised].order++;
+          atom = from;
+        }
+        deficits[start]--;
+        deficits[raise.atom]--;
+        return true;
+      }
+
+      parent.set(raise.atom, null);
+      for (const lower of neighbors[raise.atom]) {
+        if (parent.has(lower.atom) || bonds[lower.bond].order < 2) continue;
+        parent.set(lower.atom, { lowered: lower.bond, raised: raise.bond, from: current });
+        queue.push(lower.atom);
+      }
+    }
+  }
+
+  return false;
+}
+
+function covalentRadius(element) {
+  return getElement(element)?.covalentRadius ?? DEFAULT_RADIUS;
+}
+
+function targetValence(atom, degree) {
+  const charge = atom.charge || 0;
+  if (!VALENCE_ELEMENTS.has(atom.element)) return degree;
+  let options = getElement(atom.element).valences;
+
+  if (['C', 'Si', 'Ge'].includes(atom.element)) {
+    options = options.map(v => v - Math.abs(charge));
+  } else if (atom.element === 'B') {
+    options = options.map(v => v - charge);
+  } else {
+    options = options.map(v => v + charge);
+  }
+  return options.find(v => v >= degree) ?? degree;
+}
+
+/**
+ * Indices of bonds in aromatic rings. Bonds flagged aromatic (or of order
+ * 1.5) count as such; rings of up to eight atoms with explicit single and
+ * double bonds are aromatic when every atom is sp2 and the ring holds 4n + 2
+ * pi electrons (Hückel's rule).
+ */
+export function findAromaticBonds(atoms, bonds) {
+  const neighbors = atoms.map(() => []);
+  bonds.forEach((bond, index) => {
+    neighbors[bond.from].push({ atom: bond.to, bond: index });
+    neighbors[bond.to].push({ atom: bond.from, bond: index });
+  });
+
+  const flagged = bond => Boolean(bond.aromatic) || bond.order === 1.5;
+  const aromatic = new Set(bonds.map((bond, index) => (flagged(bond) ? index : -1)).filter(i => i >= 0));
+  const ringBonds = findRingBonds(atoms, bonds);
+  const ringAtoms = new Set(bonds.flatMap((bond, index) => (ringBonds[index] ? [bond.from, bond.to] : [])));
+
+  findRings(neighbors, ringBonds, MAX_AROMATIC_RING).forEach(ring => {
+    if (ring.bonds.some(index => flagged(bonds[index]))) return;
+
+    let electrons = 0;
+    for (const atom of ring.atoms) {
+      const count = piElectrons(atom, ring, atoms, bonds, neighbors, ringAtoms);
+      if (count === null) return;
+      electrons += count;
+    }
+    if (electrons % 4 === 2) ring.bonds.forEach(index => aromatic.add(index));
+  });
+
+  return aromatic;
+}
+
+// Pi electrons an atom gives its ring, or null if it cannot be aromatic
+function piElectrons(index, ring, atoms, bonds, neighbors, ringAtoms) {
+  const atom = atoms[index];
+  const charge = atom.charge || 0;
+  const multiple = neighbors[index].filter(n => bonds[n.bond].order >= 2);
+
+  if (multiple.length > 1 || multiple.some(n => bonds[n.bond].order !== 2)) return null;
+
+  if (multiple.length === 1) {
+    const { atom: partner, bond } = multiple[0];
+    if (ring.bonds.includes(bond)) return 1;
+    // A double bond into a fused ring still shares its electrons; an
+    // exocyclic C=O or C=N pulls them out of the ring
+    return atoms[partner].element === 'C' && ringAtoms.has(partner) ? 1 : 0;
+  }
+
+  const degree = neighbors[index].length;
+  switch (atom.element) {
+    case 'C':
+      if (charge === -1) return 2;
+      if (charge === 1) return 0;
+      return null;
+    case 'B':
+      return degree <= 3 && charge === 0 ? 0 : null;
+    case 'N':
+    case 'P':
+    case 'As':
+      return degree <= 3 && charge <= 0 ? 2 : null;
+    case 'O':
+    case 'S':
+    case 'Se':
+      return degree <= 2 && charge === 0 ? 2 : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether each bond lies on a ring: a bond is in a ring when its atoms stay
+ * connected after it is removed
+ */
+export function findRingBonds(atoms, bonds) {
+  const neighbors = atoms.map(() => []);
+  bonds.forEach((bond, index) => {
+    neighbors[bond.from].push({ atom: bond.to, bond: index });
+    neighbors[bond.to].push({ atom: bond.from, bond: index });
+  });
+  return bonds.map((bond, index) => connectedWithout(neighbors, bond.from, bond.to, index));
+}
+
+function connectedWithout(neighbors, from, to, skippedBond) {
+  const seen = new Set([from]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const { atom, bond } of neighbors[current]) {
+      if (bond === skippedBond || seen.has(atom)) continue;
+      if (atom === to) return true;
+      seen.add(atom);
+      queue.push(atom);
+    }
+  }
+  return false;
+}
+
+// Simple cycles of three to maxSize atoms through ring bonds, each reported
+// once as { atoms, bonds }
+function findRings(neighbors, ringBonds, maxSize) {
+  const rings = new Map();
+
+  const walk = (start, current, path, bondPath) => {
+    const closing = path.length >= 3 && neighbors[current].find(n => n.atom === start && ringBonds[n.bond]);
+    if (closing) {
+      const ringBondList = [...bondPath, closing.bond];
+      const key = [...ringBondList].sort((a, b) => a - b).join(',');
+      if (!rings.has(key)) rings.set(key, { atoms: path, bonds: ringBondList });
+    }
+    if (path.length === maxSize) return;
+
+    for (const { atom, bond } of neighbors[current]) {
+      // Only walk to higher-indexed atoms so each ring starts at its lowest atom
+      if (atom <= start || path.includes(atom) || !ringBonds[bond]) continue;
+      walk(start, atom, [...path, atom], [...bondPath, bond]);
+    }
+  };
+
+  neighbors.forEach((_, start) => walk(start, start, [start], []));
+  return [...rings.values()];
+}
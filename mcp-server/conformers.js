@@ -0,0 +1,259 @@
+/**
+ * Conformer search
+ * Drives the rotatable torsions of a molecule through staggered positions,
+ * minimizes every starting geometry with the force field (forcefield.js),
+ * drops duplicates by RMSD and ranks what is left by energy
+ */
+
+import { findRingBonds } from './bonds.js';
+import { buildTopology, hashString, mulberry32 } from './embed.js';
+import { atomCoordinates, buildForceField, minimizeCoordinates } from './forcefield.js';
+
+// Larger structures (proteins) have too many torsions for a search
+export const MAX_CONFORMER_ATOMS = 200;
+
+// Rotations in degrees tried about each rotatable bond
+const TORSION_STEPS = [0, 120, 240];
+
+// Starting geometries minimized per search; beyond this the torsion
+// combinations are sampled at random
+const MAX_STARTS = 60;
+
+// Starting geometries × atoms² one search may minimize. The pairwise terms
+// make each minimization cost about atoms², so larger molecules get fewer
+// starts: all 60 up to 40 atoms, 2 at MAX_CONFORMER_ATOMS.
+const MAX_SEARCH_WORK = 100000;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Indices of the rotatable bonds: single, acyclic bonds between non-linear
+ * atoms that each carry at least one more heavy atom. Turning a bond to a
+ * terminal group such as methyl or hydroxyl only moves hydrogens.
+ */
+export function findRotatableBonds(molecule) {
+  const { neighbors, hybridization } = buildTopology(molecule);
+  const ringBonds = findRingBonds(molecule.atoms, molecule.bonds);
+  const carriesHeavyAtom = (atom, partner) =>
+    neighbors[atom].some(other => other !== partner && molecule.atoms[other].element !== 'H');
+
+  return molecule.bonds.flatMap((bond, index) => {
+    if (ringBonds[index] || bond.aromatic || (bond.order || 1) !== 1) return [];
+    if (hybridization[bond.from] === 'sp' || hybridization[bond.to] === 'sp') return [];
+    return carriesHeavyAtom(bond.from, bond.to) && carriesHeavyAtom(bond.to, bond.from) ? [index] : [];
+  });
+}
+
+/**
+ * Atoms on the `to` side of an acyclic bond
+ */
+function sideOf(neighbors, from, to) {
+  const side = new Set([to]);
+  const queue = [to];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    neighbors[current].forEach(next => {
+      if (next !== from && !side.has(next)) {
+        side.add(next);
+        queue.push(next);
+      }
+    });
+  }
+  return [...side];
+}
+
+/**
+ * Rotate `atoms` in place about the axis through `from` and `to`
+ */
+function rotateAbout(coords, from, to, atoms, degrees) {
+  const origin = [0, 1, 2].map(d => coords[3 * from + d]);
+  const axis = [0, 1, 2].map(d => coords[3 * to + d] - origin[d]);
+  const length = Math.hypot(...axis);
+  const [ux, uy, uz] = axis.map(v => v / length);
+  const angle = degrees * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  atoms.forEach(atom => {
+    const [x, y, z] = [0, 1, 2].map(d => coords[3 * atom + d] - origin[d]);
+    // Rodrigues' rotation formula
+    const dot = (ux * x + uy * y + uz * z) * (1 - cos);
+    coords[3 * atom] = origin[0] + x * cos + (uy * z - uz * y) * sin + ux * dot;
+    coords[3 * atom + 1] = origin[1] + y * cos + (uz * x - ux * z) * sin + uy * dot;
+    coords[3 * atom + 2] = origin[2] + z * cos + (ux * y - uy * x) * sin + uz * dot;
+  });
+}
+
+/**
+ * Eigenvector of the largest eigenvalue of a symmetric 4x4 matrix, by
+ * cyclic Jacobi rotations. Returns { value, vector }.
+ */
+function largestEigenpair(matrix) {
+  const a = matrix.map(row => [...row]);
+  const v = [0, 1, 2, 3].map(i => [0, 1, 2, 3].map(j => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    for (let p = 0; p < 4; p++) {
+      for (let q = p + 1; q < 4; q++) off += a[p][q] * a[p][q];
+    }
+    if (off < 1e-20) break;
+
+    for (let p = 0; p < 4; p++) {
+      for (let q = p + 1; q < 4; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < 4; k++) {
+          const [kp, kq] = [a[k][p], a[k][q]];
+          a[k][p] = c * kp - s * kq;
+          a[k][q] = s * kp + c * kq;
+        }
+        for (let k = 0; k < 4; k++) {
+          const [pk, qk] = [a[p][k], a[q][k]];
+          a[p][k] = c * pk - s * qk;
+          a[q][k] = s * pk + c * qk;
+        }
+        for (let k = 0; k < 4; k++) {
+          const [kp, kq] = [v[k][p], v[k][q]];
+          v[k][p] = c * kp - s * kq;
+          v[k][q] = s * kp + c * kq;
+        }
+      }
+    }
+  }
+
+  let best = 0;
+  for (let i = 1; i < 4; i++) {
+    if (a[i][i] > a[best][best]) best = i;
+  }
+  return { value: a[best][best], vector: v.map(row => row[best]) };
+}
+
+/**
+ * Least-squares superposition of `coords` onto `reference` over the atoms
+ * in `indices` (Horn's quaternion method). Returns { rmsd, coordinates }
+ * with every atom of `coords` moved by the fitted rotation and translation.
+ */
+export function superpose(reference, coords, indices) {
+  const centroid = values => [0, 1, 2].map(d =>
+    indices.reduce((sum, i) => sum + values[3 * i + d], 0) / indices.length);
+  const [rc, mc] = [centroid(reference), centroid(coords)];
+
+  // S[a][b] = Σ moving_a · reference_b about the centroids
+  const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  let sumSquares = 0;
+  indices.forEach(i => {
+    const m = [0, 1, 2].map(d => coords[3 * i + d] - mc[d]);
+    const r = [0, 1, 2].map(d => reference[3 * i + d] - rc[d]);
+    for (let a = 0; a < 3; a++) {
+      for (let b = 0; b < 3; b++) S[a][b] += m[a] * r[b];
+    }
+    sumSquares += m[0] ** 2 + m[1] ** 2 + m[2] ** 2 + r[0] ** 2 + r[1] ** 2 + r[2] ** 2;
+  });
+
+  const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+  const { value, vector: [w, x, y, z] } = largestEigenpair([
+    [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+    [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+    [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+    [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+  ]);
+  const rotation = [
+    [w * w + x * x - y * y - z * z, 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), w * w - x * x + y * y - z * z, 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), w * w - x * x - y * y + z * z]
+  ];
+
+  const coordinates = new Float64Array(coords.length);
+  for (let i = 0; i < coords.length / 3; i++) {
+    const m = [0, 1, 2].map(d => coords[3 * i + d] - mc[d]);
+    for (let d = 0; d < 3; d++) {
+      coordinates[3 * i + d] = rc[d] + rotation[d][0] * m[0] + rotation[d][1] * m[1] + rotation[d][2] * m[2];
+    }
+  }
+  return { rmsd: Math.sqrt(Math.max(0, (sumSquares - 2 * value) / indices.length)), coordinates };
+}
+
+/**
+ * Torsion step combinations to start from: all of them when there are at
+ * most `maxStarts`, otherwise the unrotated geometry plus a seeded random sample
+ */
+function startingCombinations(rotorCount, random, maxStarts) {
+  const total = TORSION_STEPS.length ** rotorCount;
+  if (total <= maxStarts) {
+    return Array.from({ length: total }, (_, index) =>
+      Array.from({ length: rotorCount }, (_, r) => Math.floor(index / TORSION_STEPS.length ** r) % TORSION_STEPS.length));
+  }
+
+  const combinations = new Map([[Array(rotorCount).fill(0).join(), Array(rotorCount).fill(0)]]);
+  for (let tries = 0; combinations.size < maxStarts && tries < maxStarts * 10; tries++) {
+    const combination = Array.from({ length: rotorCount }, () => Math.floor(random() * TORSION_STEPS.length));
+    combinations.set(combination.join(), combination);
+  }
+  return [...combinations.values()];
+}
+
+/**
+ * Search the conformations of a molecule with 3D coordinates, minimizing at
+ * most MAX_STARTS starting geometries and fewer for larger molecules. Returns
+ * { rotatableBonds, starts, conformers } where starts is the number of
+ * geometries minimized and conformers are ranked by force-field
+ * energy, at most `count` of them, each at least `rmsdThreshold` Å (heavy
+ * atoms, after superposition) from every lower-energy one. Each conformer is
+ * { rank, energy, relativeEnergy, rmsd, coordinates }: energies in kcal/mol,
+ * rmsd from the lowest-energy conformer and flat coordinates superposed on
+ * the input geometry.
+ */
+export function generateConformers(molecule, { count = 10, rmsdThreshold = 0.5, seed } = {}) {
+  const { neighbors } = buildTopology(molecule);
+  const forceField = buildForceField(molecule);
+  const input = atomCoordinates(molecule.atoms);
+  const random = mulberry32(seed ?? hashString(JSON.stringify(molecule.bonds) + molecule.atoms.map(a => a.element).join('')));
+
+  const rotors = findRotatableBonds(molecule).map(index => {
+    const { from, to } = molecule.bonds[index];
+    const [forward, backward] = [sideOf(neighbors, from, to), sideOf(neighbors, to, from)];
+    // Turn whichever side has fewer atoms
+    return forward.length <= backward.length
+      ? { from, to, moving: forward }
+      : { from: to, to: from, moving: backward };
+  });
+
+  const heavy = molecule.atoms.flatMap((atom, index) => (atom.element === 'H' ? [] : [index]));
+  const fitted = heavy.length >= 3 ? heavy : molecule.atoms.map((_, index) => index);
+
+  const maxStarts = Math.max(1, Math.min(MAX_STARTS, Math.floor(MAX_SEARCH_WORK / molecule.atoms.length ** 2)));
+  const candidates = startingCombinations(rotors.length, random, maxStarts).map(combination => {
+    const coords = Float64Array.from(input);
+    combination.forEach((step, r) => {
+      const { from, to, moving } = rotors[r];
+      if (TORSION_STEPS[step] !== 0) rotateAbout(coords, from, to, moving, TORSION_STEPS[step]);
+    });
+    const { energy } = minimizeCoordinates(forceField, coords);
+    return { coords, energy };
+  }).sort((a, b) => a.energy - b.energy);
+
+  const kept = [];
+  for (const candidate of candidates) {
+    if (kept.length === count) break;
+    if (kept.every(other => superpose(other.coords, candidate.coords, fitted).rmsd >= rmsdThreshold)) {
+      kept.push(candidate);
+    }
+  }
+
+  const [best] = kept;
+  return {
+    rotatableBonds: rotors.map(({ from, to }) => [Math.min(from, to), Math.max(from, to)]),
+    starts: candidates.length,
+    conformers: kept.map((conformer, index) => ({
+      rank: index + 1,
+      energy: round(conformer.energy),
+      relativeEnergy: round(conformer.energy - best.energy),
+      rmsd: round(index === 0 ? 0 : superpose(best.coords, conformer.coords, fitted).rmsd),
+      coordinates: Array.from(superpose(input, conformer.coords, fitted).coordinates, round)
+    }))
+  };
+}
@@ -0,0 +1,516 @@
+/**
+ * 2D depiction
+ * Lays out the bond graph of a molecule as a skeletal formula: rings as
+ * regular polygons fused edge to edge, chains as zig-zags and substituents
+ * spread into the widest free angle. Hydrogens on heavy atoms become
+ * implicit and carbons are left unlabeled, as chemists draw them. Positions
+ * are in bond lengths with y pointing up; only the graph is used, never the
+ * 3D coordinates.
+ */
+
+import { findRingBonds } from './bonds.js';
+
+// Larger structures (proteins) make unreadable drawings
+export const MAX_DEPICTION_ATOMS = 300;
+
+// Space between disconnected fragments, in bond lengths
+const FRAGMENT_GAP = 1.5;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+const angleOf = (from, to) => Math.atan2(to.y - from.y, to.x - from.x);
+const step = (from, angle, length = 1) => ({ x: from.x + length * Math.cos(angle), y: from.y + length * Math.sin(angle) });
+const cross = (origin, a, b) => (a.x - origin.x) * (b.y - origin.y) - (a.y - origin.y) * (b.x - origin.x);
+
+// Angle in [0, 2π)
+function normalizeAngle(angle) {
+  const turn = 2 * Math.PI;
+  return ((angle % turn) + turn) % turn;
+}
+
+/**
+ * Hydrogens drawn implicitly: neutral ones bonded to exactly one heavy atom.
+ * Returns { hidden, counts } with counts the implicit hydrogens per atom.
+ */
+function implicitHydrogens(atoms, bonds) {
+  const partners = atoms.map(() => []);
+  bonds.forEach(({ from, to }) => {
+    partners[from].push(to);
+    partners[to].push(from);
+  });
+
+  const hidden = new Set();
+  const counts = atoms.map(() => 0);
+  atoms.forEach((atom, index) => {
+    if (atom.element !== 'H' || atom.charge || partners[index].length !== 1) return;
+    const [heavy] = partners[index];
+    if (atoms[heavy].element === 'H') return;
+    hidden.add(index);
+    counts[heavy]++;
+  });
+  return { hidden, counts };
+}
+
+/**
+ * Shortest path from `from` to `to` over `neighbors` without crossing the
+ * bond `skipped`, as a list of atoms, or null
+ */
+function shortestPath(neighbors, from, to, skipped) {
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === to) break;
+    for (const { atom, bond } of neighbors[current]) {
+      if (bond === skipped || previous.has(atom)) continue;
+      previous.set(atom, current);
+      queue.push(atom);
+    }
+  }
+  if (!previous.has(to)) return null;
+
+  const path = [];
+  for (let atom = to; atom !== null; atom = previous.get(atom)) path.unshift(atom);
+  return path;
+}
+
+/**
+ * Rings of one ring system, smallest first: the shortest cycle through
+ * each of its bonds, kept while it covers a bond no earlier ring did, up to
+ * the cycle rank (bonds − atoms + 1). This is the smallest set of smallest
+ * rings for the fused and bridged systems of ordinary molecules.
+ */
+function smallestRings(system, neighbors) {
+  const inSystem = new Set(system.atoms);
+  const local = index => neighbors[index].filter(({ atom, bond }) => inSystem.has(atom) && system.bonds.has(bond));
+  const localNeighbors = [];
+  system.atoms.forEach(index => {
+    localNeighbors[index] = local(index);
+  });
+
+  const candidates = new Map();
+  system.bondList.forEach(({ index, from, to }) => {
+    const path = shortestPath(localNeighbors, from, to, index);
+    if (!path) return;
+    const key = [...path].sort((a, b) => a - b).join(',');
+    if (!candidates.has(key)) candidates.set(key, path);
+  });
+
+  const bondKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+  const rank = system.bonds.size - system.atoms.length + 1;
+  const covered = new Set();
+  const rings = [];
+  [...candidates.values()].sort((a, b) => a.length - b.length).forEach(ring => {
+    if (rings.length === rank) return;
+    const ringBonds = ring.map((atom, i) => bondKey(atom, ring[(i + 1) % ring.length]));
+    if (ringBonds.every(key => covered.has(key))) return;
+    ringBonds.forEach(key => covered.add(key));
+    rings.push(ring);
+  });
+  return rings;
+}
+
+/**
+ * Lay out a molecule for drawing. Returns { atoms, bonds, rings }:
+ * atoms are { index, element, x, y, label, hydrogens, charge } for every
+ * drawn atom, `index` pointing into molecule.atoms and `label` null for
+ * unlabeled carbons; bonds are { from, to, order, aromatic, side }, where
+ * `side` says where the second line of a double bond goes (1 left of
+ * from→to, -1 right, 0 centered); rings are { atoms, aromatic }.
+ */
+export function depictMolecule(molecule) {
+  const { atoms, bonds } = molecule;
+  const { hidden, counts } = implicitHydrogens(atoms, bonds);
+
+  const neighbors = atoms.map(() => []);
+  const drawnBonds = [];
+  bonds.forEach((bond, index) => {
+    if (hidden.has(bond.from) || hidden.has(bond.to)) return;
+    neighbors[bond.from].push({ atom: bond.to, bond: index });
+    neighbors[bond.to].push({ atom: bond.from, bond: index });
+    drawnBonds.push(index);
+  });
+
+  const ringBonds = findRingBonds(atoms, bonds);
+  const ringSystems = findRingSystems(atoms, bonds, ringBonds, neighbors);
+  ringSystems.forEach(system => {
+    system.rings = smallestRings(system, neighbors);
+  });
+  const systemOf = new Map();
+  ringSystems.forEach(system => system.atoms.forEach(atom => systemOf.set(atom, system)));
+
+  const isLinear = index => {
+    const orders = neighbors[index].map(({ bond }) => bonds[bond].order || 1);
+    return orders.some(order => order === 3) || orders.filter(order => order === 2).length >= 2;
+  };
+
+  const positions = new Map();
+  const components = findComponents(atoms, hidden, neighbors);
+  let right = null;
+  components.forEach(component => {
+    const placed = layoutComponent(component, { neighbors, systemOf, isLinear });
+    // Fragments go left to right, centered vertically
+    const xs = component.map(atom => placed.get(atom).x);
+    const ys = component.map(atom => placed.get(atom).y);
+    const shiftX = right === null ? -Math.min(...xs) : right + FRAGMENT_GAP - Math.min(...xs);
+    const shiftY = -(Math.min(...ys) + Math.max(...ys)) / 2;
+    component.forEach(atom => {
+      const { x, y } = placed.get(atom);
+      positions.set(atom, { x: x + shiftX, y: y + shiftY });
+    });
+    right = Math.max(...xs) + shiftX;
+  });
+
+  const rings = ringSystems.flatMap(system => system.rings);
+  const isAromaticBond = bond => Boolean(bond.aromatic) || bond.order === 1.5;
+  const ringBondSet = ring => new Set(ring.map((atom, i) => {
+    const next = ring[(i + 1) % ring.length];
+    return neighbors[atom].find(n => n.atom === next)?.bond;
+  }));
+
+  return {
+    atoms: atoms.flatMap((atom, index) => {
+      if (hidden.has(index)) return [];
+      const { x, y } = positions.get(index);
+      return [{
+        index,
+        element: atom.element,
+        x: round(x),
+        y: round(y),
+        label: atomLabel(atom, counts[index], neighbors[index].length),
+        hydrogens: counts[index],
+        charge: atom.charge || 0
+      }];
+    }),
+    bonds: drawnBonds.map(index => {
+      const bond = bonds[index];
+      const aromatic = isAromaticBond(bond);
+      return {
+        from: bond.from,
+        to: bond.to,
+        order: aromatic ? 1.5 : bond.order || 1,
+        aromatic,
+        side: bond.order === 2 && !aromatic ? doubleBondSide(bond, positions, neighbors, rings) : 0
+      };
+    }),
+    rings: rings.map(ring => ({
+      atoms: ring,
+      aromatic: [...ringBondSet(ring)].every(index => index !== undefined && isAromaticBond(bonds[index]))
+    }))
+  };
+}
+
+// Text drawn at an atom, or null for a carbon shown as a bare vertex
+function atomLabel(atom, hydrogens, degree) {
+  const charge = atom.charge || 0;
+  if (atom.element === 'C' && degree > 0 && charge === 0) return null;
+
+  const hydrogenText = hydrogens === 0 ? '' : hydrogens === 1 ? 'H' : `H${hydrogens}`;
+  const magnitude = Math.abs(charge) > 1 ? Math.abs(charge) : '';
+  const chargeText = charge === 0 ? '' : `${magnitude}${charge > 0 ? '+' : '−'}`;
+  return `${atom.element}${hydrogenText}${chargeText}`;
+}
+
+// Connected sets of ring bonds, each { atoms, bonds, bondList }
+function findRingSystems(atoms, bonds, ringBonds, neighbors) {
+  const systems = [];
+  const seen = new Set();
+  atoms.forEach((_, start) => {
+    if (seen.has(start) || !neighbors[start].some(({ bond }) => ringBonds[bond])) return;
+
+    const system = { atoms: [], bonds: new Set(), bondList: [] };
+    const queue = [start];
+    seen.add(start);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      system.atoms.push(current);
+      neighbors[current].forEach(({ atom, bond }) => {
+        if (!ringBonds[bond]) return;
+        if (!system.bonds.has(bond)) {
+          system.bonds.add(bond);
+          system.bondList.push({ index: bond, from: bonds[bond].from, to: bonds[bond].to });
+        }
+        if (!seen.has(atom)) {
+          seen.add(atom);
+          queue.push(atom);
+        }
+      });
+    }
+    systems.push(system);
+  });
+  return systems;
+}
+
+// Drawn atoms split into connected fragments
+function findComponents(atoms, hidden, neighbors) {
+  const components = [];
+  const seen = new Set(hidden);
+  atoms.forEach((_, start) => {
+    if (seen.has(start)) return;
+
+    const component = [];
+    const queue = [start];
+    seen.add(start);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      component.push(current);
+      neighbors[current].forEach(({ atom }) => {
+        if (!seen.has(atom)) {
+          seen.add(atom);
+          queue.push(atom);
+        }
+      });
+    }
+    components.push(component);
+  });
+  return components;
+}
+
+// Farthest atom from `start` by bond count
+function farthestAtom(neighbors, start) {
+  const distance = new Map([[start, 0]]);
+  const queue = [start];
+  let farthest = start;
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (distance.get(current) > distance.get(farthest)) farthest = current;
+    neighbors[current].forEach(({ atom }) => {
+      if (!distance.has(atom)) {
+        distance.set(atom, distance.get(current) + 1);
+        queue.push(atom);
+      }
+    });
+  }
+  return farthest;
+}
+
+/**
+ * Positions of one fragment. Starts from its largest ring system, or from
+ * one end of its longest chain, and grows outward atom by atom.
+ */
+function layoutComponent(component, { neighbors, systemOf, isLinear }) {
+  const positions = new Map();
+  const placedSystems = new Set();
+  // Which way each chain atom turned from its parent, so the next turns back
+  const turns = new Map();
+  const queue = [];
+
+  const systems = [...new Set(component.filter(atom => systemOf.has(atom)).map(atom => systemOf.get(atom)))];
+  if (systems.length > 0) {
+    const largest = systems.reduce((best, system) => (system.atoms.length > best.atoms.length ? system : best));
+    placeRingSystem(largest, positions, neighbors, null);
+    placedSystems.add(largest);
+    queue.push(...largest.atoms);
+  } else {
+    // One end of the longest chain, found by a double sweep
+    const start = farthestAtom(neighbors, farthestAtom(neighbors, component[0]));
+    positions.set(start, { x: 0, y: 0 });
+    queue.push(start);
+  }
+
+  while (queue.length > 0) {
+    const atom = queue.shift();
+    const open = neighbors[atom].filter(n => !positions.has(n.atom));
+    if (open.length === 0) continue;
+
+    const placedNeighbors = neighbors[atom].filter(n => positions.has(n.atom));
+    const directions = openDirections(atom, open.length, placedNeighbors, positions, turns, isLinear);
+    open.forEach(({ atom: next }, i) => {
+      const { angle, turn } = directions[i];
+      positions.set(next, step(positions.get(atom), angle));
+      turns.set(next, turn);
+
+      const system = systemOf.get(next);
+      if (system && !placedSystems.has(system)) {
+        placeRingSystem(system, positions, neighbors, { atom: next, parent: atom });
+        placedSystems.add(system);
+        queue.push(...system.atoms.filter(other => other !== next));
+      }
+      queue.push(next);
+    });
+  }
+  return positions;
+}
+
+/**
+ * Angles for `count` new bonds from an atom. A chain carries on at 120°,
+ * turning the other way from last time so it zig-zags (straight through
+ * triple bonds and allenes) unless that runs into atoms already drawn;
+ * otherwise the new bonds share the widest gap between the bonds already
+ * drawn.
+ */
+function openDirections(atom, count, placedNeighbors, positions, turns, isLinear) {
+  const origin = positions.get(atom);
+
+  if (placedNeighbors.length === 0) {
+    // A chain end: the first bond goes down to the right and the chain runs left to right
+    return Array.from({ length: count }, (_, i) => ({ angle: -Math.PI / 6 + i * 2 * Math.PI / count, turn: -1 }));
+  }
+
+  const incoming = angleOf(positions.get(placedNeighbors[0].atom), origin);
+  if (placedNeighbors.length === 1 && count === 1) {
+    if (isLinear(atom)) return [{ angle: incoming, turn: turns.get(atom) ?? -1 }];
+    // Turning the same way twice only wins when it leaves more room
+    const preferred = -(turns.get(atom) ?? -1);
+    const crowdingFor = turn => crowding(step(origin, incoming + turn * Math.PI / 3), positions);
+    const turn = crowdingFor(-preferred) < crowdingFor(preferred) - 1e-6 ? -preferred : preferred;
+    return [{ angle: incoming + turn * Math.PI / 3, turn }];
+  }
+
+  const angles = placedNeighbors.map(n => normalizeAngle(angleOf(origin, positions.get(n.atom)))).sort((a, b) => a - b);
+  let gapStart = angles[angles.length - 1];
+  let gap = angles[0] + 2 * Math.PI - gapStart;
+  angles.slice(1).forEach((angle, i) => {
+    if (angle - angles[i] > gap) {
+      gapStart = angles[i];
+      gap = angle - angles[i];
+    }
+  });
+  return Array.from({ length: count }, (_, i) => {
+    const angle = gapStart + gap * (i + 1) / (count + 1);
+    const relative = normalizeAngle(angle - incoming + Math.PI) - Math.PI;
+    return { angle, turn: relative > 0 ? 1 : -1 };
+  });
+}
+
+// How close a point is to the atoms already drawn, as a sum of inverse square distances
+function crowding(point, positions) {
+  let total = 0;
+  positions.forEach(({ x, y }) => {
+    total += 1 / Math.max((x - point.x) ** 2 + (y - point.y) ** 2, 1e-6);
+  });
+  return total;
+}
+
+/**
+ * Place every ring of a ring system as a regular polygon. The first ring
+ * holds `anchor.atom`, already placed, and points away from
+ * `anchor.parent`; without an anchor it is centered on the origin. Each
+ * further ring is fused onto the atoms it shares with rings already placed.
+ */
+function placeRingSystem(system, positions, neighbors, anchor) {
+  const rings = [...system.rings];
+  const radius = size => 1 / (2 * Math.sin(Math.PI / size));
+
+  const first = anchor ? rings.findIndex(ring => ring.includes(anchor.atom)) : 0;
+  if (first === -1) return;
+  const [ring] = rings.splice(first, 1);
+  if (anchor) {
+    const outward = angleOf(positions.get(anchor.parent), positions.get(anchor.atom));
+    const center = step(positions.get(anchor.atom), outward, radius(ring.length));
+    placePolygon(ring, ring.indexOf(anchor.atom), center, outward + Math.PI, 1, positions);
+  } else {
+    placePolygon(ring, 0, { x: 0, y: 0 }, Math.PI / 2, 1, positions);
+  }
+
+  while (rings.length > 0) {
+    // The ring sharing the most atoms with what is drawn goes next
+    const shared = ring => ring.filter(atom => positions.has(atom)).length;
+    const next = rings.reduce((best, candidate) => (shared(candidate) > shared(best) ? candidate : best));
+    rings.splice(rings.indexOf(next), 1);
+    fuseRing(next, positions, neighbors, radius(next.length));
+  }
+}
+
+// Put the atoms of `ring` not yet placed on a regular polygon, from ring[start] at `angle`
+function placePolygon(ring, start, center, angle, direction, positions) {
+  const size = ring.length;
+  for (let k = 0; k < size; k++) {
+    const atom = ring[(start + k) % size];
+    if (!positions.has(atom)) {
+      positions.set(atom, step(center, angle + direction * k * 2 * Math.PI / size, 1 / (2 * Math.sin(Math.PI / size))));
+    }
+  }
+}
+
+/**
+ * Place a ring onto the run of its atoms already drawn: on the far side of
+ * a shared bond (fused), beyond a shared atom (spiro) or across a shared
+ * path (bridged)
+ */
+function fuseRing(ring, positions, neighbors, radius) {
+  const size = ring.length;
+  const placed = index => positions.has(ring[(index + size) % size]);
+
+  // Start of the longest run of placed atoms, in ring order
+  let start = -1;
+  let length = 0;
+  for (let i = 0; i < size; i++) {
+    if (!placed(i) || placed(i - 1)) continue;
+    let run = 0;
+    while (run < size && placed(i + run)) run++;
+    if (run > length) {
+      start = i;
+      length = run;
+    }
+  }
+  if (start === -1) {
+    // No placed atoms, or all of them: nothing to anchor on or nothing to do
+    if (!placed(0)) placePolygon(ring, 0, { x: 0, y: 0 }, Math.PI / 2, 1, positions);
+    return;
+  }
+
+  const first = ring[start];
+  const last = ring[(start + length - 1) % size];
+  const a = positions.get(first);
+
+  if (length === 1) {
+    // Spiro: the new ring points away from the bonds already at the shared atom
+    const others = neighbors[first].filter(n => positions.has(n.atom) && !ring.includes(n.atom));
+    const away = others.length > 0
+      ? Math.atan2(
+        -others.reduce((sum, n) => sum + positions.get(n.atom).y - a.y, 0),
+        -others.reduce((sum, n) => sum + positions.get(n.atom).x - a.x, 0))
+      : 0;
+    placePolygon(ring, start, step(a, away, radius), away + Math.PI, 1, positions);
+    return;
+  }
+
+  // The new ring goes on the side of first-last away from the atoms drawn
+  // there already: their other neighbors and, when bridged, the shared path
+  const b = positions.get(last);
+  const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  const drawn = [
+    ...[first, last].flatMap(atom => neighbors[atom]
+      .filter(n => positions.has(n.atom) && !ring.includes(n.atom))
+      .map(n => n.atom)),
+    ...Array.from({ length: length - 2 }, (_, i) => ring[(start + 1 + i) % size])
+  ];
+  const side = Math.sign(drawn.reduce((sum, atom) => sum + cross(a, b, positions.get(atom)), 0)) || 1;
+  const chordAngle = angleOf(a, b);
+  const normal = chordAngle - side * Math.PI / 2;
+  const subtended = 2 * Math.PI * (length - 1) / size;
+  const center = step(middle, normal, radius * Math.cos(subtended / 2));
+
+  const direction = cross(center, a, b) > 0 ? 1 : -1;
+  placePolygon(ring, (start + length - 1) % size, center, angleOf(center, b), direction, positions);
+}
+
+/**
+ * Side for the second line of a double bond: toward the center of its
+ * ring, toward the side with more substituents, or centered when either
+ * end carries nothing else
+ */
+function doubleBondSide(bond, positions, neighbors, rings) {
+  const from = positions.get(bond.from);
+  const to = positions.get(bond.to);
+
+  const ring = rings
+    .filter(r => r.some((atom, i) => {
+      const next = r[(i + 1) % r.length];
+      return (atom === bond.from && next === bond.to) || (atom === bond.to && next === bond.from);
+    }))
+    .sort((a, b) => a.length - b.length)[0];
+  if (ring) {
+    const center = {
+      x: ring.reduce((sum, atom) => sum + positions.get(atom).x, 0) / ring.length,
+      y: ring.reduce((sum, atom) => sum + positions.get(atom).y, 0) / ring.length
+    };
+    return Math.sign(cross(from, to, center)) || 1;
+  }
+
+  const others = [bond.from, bond.to].map(end =>
+    neighbors[end].filter(n => n.atom !== bond.from && n.atom !== bond.to).map(n => positions.get(n.atom)));
+  if (others.some(list => list.length === 0)) return 0;
+  return Math.sign(others.flat().reduce((sum, p) => sum + Math.sign(cross(from, to, p)), 0)) || 1;
+}
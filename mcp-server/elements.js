@@ -0,0 +1,185 @@
+/**
+ * Periodic table
+ * Element data shared by the server modules and, through GET /api/elements,
+ * by the browser client.
+ *
+ * Sources: IUPAC standard atomic weights (mass number of the longest-lived
+ * isotope for elements without a stable one); Jmol CPK colors, which stop at
+ * meitnerium, so heavier elements reuse its color; Cordero (2008) covalent
+ * radii, with Pyykkö (2009) single-bond radii from berkelium on; Bondi and
+ * Mantina van der Waals radii, Alvarez (2013) where those have none; Pauling
+ * electronegativities. Valences are the common bonding valences or oxidation
+ * states, lowest first. Monoisotopic masses are those of the most abundant
+ * isotope. Unknown values are null.
+ */
+
+// [symbol, name, atomic mass, color, covalent radius Å, van der Waals radius Å,
+//  electronegativity, valences], in order of atomic number
+const TABLE = [
+  ['H', 'Hydrogen', 1.008, '#FFFFFF', 0.31, 1.20, 2.20, [1]],
+  ['He', 'Helium', 4.002602, '#D9FFFF', 0.28, 1.40, null, [0]],
+  ['Li', 'Lithium', 6.94, '#CC80FF', 1.28, 1.82, 0.98, [1]],
+  ['Be', 'Beryllium', 9.0121831, '#C2FF00', 0.96, 1.53, 1.57, [2]],
+  ['B', 'Boron', 10.81, '#FFB5B5', 0.84, 1.92, 2.04, [3]],
+  ['C', 'Carbon', 12.011, '#909090', 0.76, 1.70, 2.55, [4]],
+  ['N', 'Nitrogen', 14.007, '#3050F8', 0.71, 1.55, 3.04, [3]],
+  ['O', 'Oxygen', 15.999, '#FF0D0D', 0.66, 1.52, 3.44, [2]],
+  ['F', 'Fluorine', 18.99840316, '#90E050', 0.57, 1.47, 3.98, [1]],
+  ['Ne', 'Neon', 20.1797, '#B3E3F5', 0.58, 1.54, null, [0]],
+  ['Na', 'Sodium', 22.98976928, '#AB5CF2', 1.66, 2.27, 0.93, [1]],
+  ['Mg', 'Magnesium', 24.305, '#8AFF00', 1.41, 1.73, 1.31, [2]],
+  ['Al', 'Aluminium', 26.9815385, '#BFA6A6', 1.21, 1.84, 1.61, [3]],
+  ['Si', 'Silicon', 28.085, '#F0C8A0', 1.11, 2.10, 1.90, [4]],
+  ['P', 'Phosphorus', 30.973762, '#FF8000', 1.07, 1.80, 2.19, [3, 5]],
+  ['S', 'Sulfur', 32.06, '#FFFF30', 1.05, 1.80, 2.58, [2, 4, 6]],
+  ['Cl', 'Chlorine', 35.45, '#1FF01F', 1.02, 1.75, 3.16, [1, 3, 5, 7]],
+  ['Ar', 'Argon', 39.948, '#80D1E3', 1.06, 1.88, null, [0]],
+  ['K', 'Potassium', 39.0983, '#8F40D4', 2.03, 2.75, 0.82, [1]],
+  ['Ca', 'Calcium', 40.078, '#3DFF00', 1.76, 2.31, 1.00, [2]],
+  ['Sc', 'Scandium', 44.955908, '#E6E6E6', 1.70, 2.11, 1.36, [3]],
+  ['Ti', 'Titanium', 47.867, '#BFC2C7', 1.60, 2.46, 1.54, [2, 3, 4]],
+  ['V', 'Vanadium', 50.9415, '#A6A6AB', 1.53, 2.42, 1.63, [2, 3, 4, 5]],
+  ['Cr', 'Chromium', 51.9961, '#8A99C7', 1.39, 2.45, 1.66, [2, 3, 6]],
+  ['Mn', 'Manganese', 54.938044, '#9C7AC7', 1.39, 2.45, 1.55, [2, 3, 4, 6, 7]],
+  ['Fe', 'Iron', 55.845, '#E06633', 1.32, 2.44, 1.83, [2, 3]],
+  ['Co', 'Cobalt', 58.933194, '#F090A0', 1.26, 2.40, 1.88, [2, 3]],
+  ['Ni', 'Nickel', 58.6934, '#50D050', 1.24, 1.63, 1.91, [2]],
+  ['Cu', 'Copper', 63.546, '#C88033', 1.32, 1.40, 1.90, [1, 2]],
+  ['Zn', 'Zinc', 65.38, '#7D80B0', 1.22, 1.39, 1.65, [2]],
+  ['Ga', 'Gallium', 69.723, '#C28F8F', 1.22, 1.87, 1.81, [3]],
+  ['Ge', 'Germanium', 72.630, '#668F8F', 1.20, 2.11, 2.01, [4]],
+  ['As', 'Arsenic', 74.921595, '#BD80E3', 1.19, 1.85, 2.18, [3, 5]],
+  ['Se', 'Selenium', 78.971, '#FFA100', 1.20, 1.90, 2.55, [2, 4, 6]],
+  ['Br', 'Bromine', 79.904, '#A62929', 1.20, 1.85, 2.96, [1, 3, 5, 7]],
+  ['Kr', 'Krypton', 83.798, '#5CB8D1', 1.16, 2.02, 3.00, [0, 2]],
+  ['Rb', 'Rubidium', 85.4678, '#702EB0', 2.20, 3.03, 0.82, [1]],
+  ['Sr', 'Strontium', 87.62, '#00FF00', 1.95, 2.49, 0.95, [2]],
+  ['Y', 'Yttrium', 88.90584, '#94FFFF', 1.90, 2.75, 1.22, [3]],
+  ['Zr', 'Zirconium', 91.224, '#94E0E0', 1.75, 2.52, 1.33, [4]],
+  ['Nb', 'Niobium', 92.90637, '#73C2C9', 1.64, 2.56, 1.6, [3, 5]],
+  ['Mo', 'Molybdenum', 95.95, '#54B5B5', 1.54, 2.45, 2.16, [2, 3, 4, 5, 6]],
+  ['Tc', 'Technetium', 98, '#3B9E9E', 1.47, 2.44, 1.9, [4, 7]],
+  ['Ru', 'Ruthenium', 101.07, '#248F8F', 1.46, 2.46, 2.2, [2, 3, 4, 6, 8]],
+  ['Rh', 'Rhodium', 102.90550, '#0A7D8C', 1.42, 2.44, 2.28, [1, 3]],
+  ['Pd', 'Palladium', 106.42, '#006985', 1.39, 1.63, 2.20, [2, 4]],
+  ['Ag', 'Silver', 107.8682, '#C0C0C0', 1.45, 1.72, 1.93, [1]],
+  ['Cd', 'Cadmium', 112.414, '#FFD98F', 1.44, 1.58, 1.69, [2]],
+  ['In', 'Indium', 114.818, '#A67573', 1.42, 1.93, 1.78, [1, 3]],
+  ['Sn', 'Tin', 118.710, '#668080', 1.39, 2.17, 1.96, [2, 4]],
+  ['Sb', 'Antimony', 121.760, '#9E63B5', 1.39, 2.06, 2.05, [3, 5]],
+  ['Te', 'Tellurium', 127.60, '#D47A00', 1.38, 2.06, 2.10, [2, 4, 6]],
+  ['I', 'Iodine', 126.90447, '#940094', 1.39, 1.98, 2.66, [1, 3, 5, 7]],
+  ['Xe', 'Xenon', 131.293, '#429EB0', 1.40, 2.16, 2.60, [0, 2, 4, 6, 8]],
+  ['Cs', 'Caesium', 132.905452, '#57178F', 2.44, 3.43, 0.79, [1]],
+  ['Ba', 'Barium', 137.327, '#00C900', 2.15, 2.68, 0.89, [2]],
+  ['La', 'Lanthanum', 138.90547, '#70D4FF', 2.07, 2.98, 1.10, [3]],
+  ['Ce', 'Cerium', 140.116, '#FFFFC7', 2.04, 2.88, 1.12, [3, 4]],
+  ['Pr', 'Praseodymium', 140.90766, '#D9FFC7', 2.03, 2.92, 1.13, [3]],
+  ['Nd', 'Neodymium', 144.242, '#C7FFC7', 2.01, 2.95, 1.14, [3]],
+  ['Pm', 'Promethium', 145, '#A3FFC7', 1.99, 2.90, 1.13, [3]],
+  ['Sm', 'Samarium', 150.36, '#8FFFC7', 1.98, 2.90, 1.17, [2, 3]],
+  ['Eu', 'Europium', 151.964, '#61FFC7', 1.98, 2.87, 1.2, [2, 3]],
+  ['Gd', 'Gadolinium', 157.25, '#45FFC7', 1.96, 2.83, 1.2, [3]],
+  ['Tb', 'Terbium', 158.92535, '#30FFC7', 1.94, 2.79, 1.1, [3]],
+  ['Dy', 'Dysprosium', 162.500, '#1FFFC7', 1.92, 2.87, 1.22, [3]],
+  ['Ho', 'Holmium', 164.93033, '#00FF9C', 1.92, 2.81, 1.23, [3]],
+  ['Er', 'Erbium', 167.259, '#00E675', 1.89, 2.83, 1.24, [3]],
+  ['Tm', 'Thulium', 168.93422, '#00D452', 1.90, 2.79, 1.25, [3]],
+  ['Yb', 'Ytterbium', 173.045, '#00BF38', 1.87, 2.80, 1.1, [2, 3]],
+  ['Lu', 'Lutetium', 174.9668, '#00AB24', 1.87, 2.74, 1.27, [3]],
+  ['Hf', 'Hafnium', 178.49, '#4DC2FF', 1.75, 2.63, 1.3, [4]],
+  ['Ta', 'Tantalum', 180.94788, '#4DA6FF', 1.70, 2.53, 1.5, [5]],
+  ['W', 'Tungsten', 183.84, '#2194D6', 1.62, 2.57, 2.36, [4, 6]],
+  ['Re', 'Rhenium', 186.207, '#267DAB', 1.51, 2.49, 1.9, [4, 7]],
+  ['Os', 'Osmium', 190.23, '#266696', 1.44, 2.48, 2.2, [4, 8]],
+  ['Ir', 'Iridium', 192.217, '#175487', 1.41, 2.41, 2.20, [3, 4]],
+  ['Pt', 'Platinum', 195.084, '#D0D0E0', 1.36, 1.75, 2.28, [2, 4]],
+  ['Au', 'Gold', 196.966569, '#FFD123', 1.36, 1.66, 2.54, [1, 3]],
+  ['Hg', 'Mercury', 200.592, '#B8B8D0', 1.32, 1.55, 2.00, [1, 2]],
+  ['Tl', 'Thallium', 204.38, '#A6544D', 1.45, 1.96, 1.62, [1, 3]],
+  ['Pb', 'Lead', 207.2, '#575961', 1.46, 2.02, 2.33, [2, 4]],
+  ['Bi', 'Bismuth', 208.98040, '#9E4FB5', 1.48, 2.07, 2.02, [3, 5]],
+  ['Po', 'Polonium', 209, '#AB5C00', 1.40, 1.97, 2.0, [2, 4]],
+  ['At', 'Astatine', 210, '#754F45', 1.50, 2.02, 2.2, [1]],
+  ['Rn', 'Radon', 222, '#428296', 1.50, 2.20, 2.2, [0, 2]],
+  ['Fr', 'Francium', 223, '#420066', 2.60, 3.48, 0.7, [1]],
+  ['Ra', 'Radium', 226, '#007D00', 2.21, 2.83, 0.9, [2]],
+  ['Ac', 'Actinium', 227, '#70ABFA', 2.15, 2.80, 1.1, [3]],
+  ['Th', 'Thorium', 232.0377, '#00BAFF', 2.06, 2.93, 1.3, [4]],
+  ['Pa', 'Protactinium', 231.03588, '#00A1FF', 2.00, 2.88, 1.5, [5]],
+  ['U', 'Uranium', 238.02891, '#008FFF', 1.96, 1.86, 1.38, [3, 4, 5, 6]],
+  ['Np', 'Neptunium', 237, '#0080FF', 1.90, 2.82, 1.36, [5]],
+  ['Pu', 'Plutonium', 244, '#006BFF', 1.87, 2.81, 1.28, [4]],
+  ['Am', 'Americium', 243, '#545CF2', 1.80, 2.83, 1.13, [3]],
+  ['Cm', 'Curium', 247, '#785CE3', 1.69, 3.05, 1.28, [3]],
+  ['Bk', 'Berkelium', 247, '#8A4FE3', 1.68, 3.40, 1.3, [3]],
+  ['Cf', 'Californium', 251, '#A136D4', 1.68, 3.05, 1.3, [3]],
+  ['Es', 'Einsteinium', 252, '#B31FD4', 1.65, 2.70, 1.3, [3]],
+  ['Fm', 'Fermium', 257, '#B31FBA', 1.67, null, 1.3, [3]],
+  ['Md', 'Mendelevium', 258, '#B30DA6', 1.73, null, 1.3, [3]],
+  ['No', 'Nobelium', 259, '#BD0D87', 1.76, null, 1.3, [2]],
+  ['Lr', 'Lawrencium', 266, '#C70066', 1.61, null, 1.3, [3]],
+  ['Rf', 'Rutherfordium', 267, '#CC0059', 1.57, null, null, [4]],
+  ['Db', 'Dubnium', 268, '#D1004F', 1.49, null, null, [5]],
+  ['Sg', 'Seaborgium', 269, '#D90045', 1.43, null, null, [6]],
+  ['Bh', 'Bohrium', 270, '#E00038', 1.41, null, null, [7]],
+  ['Hs', 'Hassium', 270, '#E6002E', 1.34, null, null, [8]],
+  ['Mt', 'Meitnerium', 278, '#EB0026', 1.29, null, null, []],
+  ['Ds', 'Darmstadtium', 281, '#EB0026', 1.28, null, null, []],
+  ['Rg', 'Roentgenium', 282, '#EB0026', 1.21, null, null, []],
+  ['Cn', 'Copernicium', 285, '#EB0026', 1.22, null, null, []],
+  ['Nh', 'Nihonium', 286, '#EB0026', 1.36, null, null, []],
+  ['Fl', 'Flerovium', 289, '#EB0026', 1.43, null, null, []],
+  ['Mc', 'Moscovium', 290, '#EB0026', 1.62, null, null, []],
+  ['Lv', 'Livermorium', 293, '#EB0026', 1.75, null, null, []],
+  ['Ts', 'Tennessine', 294, '#EB0026', 1.65, null, null, []],
+  ['Og', 'Oganesson', 294, '#EB0026', 1.57, null, null, []]
+];
+
+// Mass of the most abundant isotope of every element with a stable one,
+// plus bismuth; elements without an entry have a null monoisotopic mass
+const MONOISOTOPIC_MASSES = {
+  H: 1.00782503, He: 4.00260325, Li: 7.01600344, Be: 9.01218307,
+  B: 11.00930517, C: 12.0, N: 14.003074, O: 15.99491462, F: 18.99840316,
+  Ne: 19.99244018, Na: 22.98976928, Mg: 23.9850417, Al: 26.98153853,
+  Si: 27.97692653, P: 30.973762, S: 31.97207117, Cl: 34.96885268,
+  Ar: 39.96238312, K: 38.96370649, Ca: 39.96259086, Sc: 44.955908,
+  Ti: 47.947941, V: 50.943957, Cr: 51.940505, Mn: 54.938043, Fe: 55.934936,
+  Co: 58.933194, Ni: 57.935342, Cu: 62.929598, Zn: 63.929142, Ga: 68.925574,
+  Ge: 73.921178, As: 74.921595, Se: 79.916522, Br: 78.918338, Kr: 83.911498,
+  Rb: 84.91179, Sr: 87.905613, Y: 88.90584, Zr: 89.904698, Nb: 92.90637,
+  Mo: 97.905405, Ru: 101.904344, Rh: 102.905498, Pd: 105.90348,
+  Ag: 106.905092, Cd: 113.903365, In: 114.903879, Sn: 119.902202,
+  Sb: 120.903812, Te: 129.906223, I: 126.904472, Xe: 131.904155,
+  Cs: 132.905452, Ba: 137.905247, La: 138.906356, Ce: 139.905443,
+  Pr: 140.907658, Nd: 141.907729, Sm: 151.91974, Eu: 152.921238,
+  Gd: 157.924112, Tb: 158.925355, Dy: 163.929182, Ho: 164.930329,
+  Er: 165.9303, Tm: 168.934218, Yb: 173.938866, Lu: 174.940775,
+  Hf: 179.946557, Ta: 180.947996, W: 183.950931, Re: 186.95575,
+  Os: 191.961477, Ir: 192.962922, Pt: 194.964792, Au: 196.96657,
+  Hg: 201.970643, Tl: 204.974428, Pb: 207.976653, Bi: 208.980399
+};
+
+export const ELEMENTS = TABLE.map(
+  ([symbol, name, mass, color, covalentRadius, vdwRadius, electronegativity, valences], index) => ({
+    number: index + 1,
+    symbol,
+    name,
+    mass,
+    monoisotopicMass: MONOISOTOPIC_MASSES[symbol] ?? null,
+    color,
+    covalentRadius,
+    vdwRadius,
+    electronegativity,
+    valences
+  })
+);
+
+const BY_SYMBOL = new Map(ELEMENTS.map(element => [element.symbol, element]));
+
+/**
+ * Element data by symbol, or null for an unknown symbol
+ */
+export function getElement(symbol) {
+  return BY_SYMBOL.get(symbol) || null;
+}
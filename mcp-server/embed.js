@@ -0,0 +1,474 @@
+/**
+ * 3D coordinate generation
+ * Distance-geometry embedding of an {atoms, bonds} graph followed by a
+ * light force-field cleanup, so structures built from connectivity alone
+ * (e.g. SMILES) can be shown by the renderer
+ */
+
+import { getElement } from './elements.js';
+
+// Bond length scale factors relative to the sum of single-bond radii
+const BOND_ORDER_SCALE = { 1: 1, 1.5: 0.92, 2: 0.87, 3: 0.78, 4: 0.75 };
+
+const DEG = Math.PI / 180;
+
+/**
+ * Small deterministic PRNG so the same input always embeds the same way.
+ */
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+function vdwRadius(element) {
+  return getElement(element)?.vdwRadius || 1.8;
+}
+
+export function idealBondLength(elementA, elementB, order = 1) {
+  const radius = element => getElement(element)?.covalentRadius || 0.77;
+  return (radius(elementA) + radius(elementB)) * (BOND_ORDER_SCALE[order] || 1);
+}
+
+/**
+ * Neighbour lists, bond orders, hybridization and all-pairs topological
+ * distances of an {atoms, bonds} graph
+ */
+export function buildTopology(molecule) {
+  const n = molecule.atoms.length;
+  const neighbors = Array.from({ length: n }, () => []);
+  const bondOrder = new Map();
+  molecule.bonds.forEach(bond => {
+    neighbors[bond.from].push(bond.to);
+    neighbors[bond.to].push(bond.from);
+    bondOrder.set(`${bond.from}-${bond.to}`, bond.order);
+    bondOrder.set(`${bond.to}-${bond.from}`, bond.order);
+  });
+
+  const hybridization = molecule.atoms.map((atom, i) => {
+    const orders = neighbors[i].map(j => bondOrder.get(`${i}-${j}`));
+    const doubles = orders.filter(o => o === 2).length;
+    // Hypervalent centres such as sulfate keep a tetrahedral or wider shape
+    if (orders.length <= 2 && (orders.some(o => o === 3) || doubles >= 2)) return 'sp';
+    if (orders.length <= 3 && (doubles > 0 || orders.some(o => o === 1.5))) return 'sp2';
+    return 'sp3';
+  });
+
+  // All-pairs topological distances by BFS from every atom
+  const topo = molecule.atoms.map((_, source) => {
+    const distance = new Array(n).fill(Infinity);
+    distance[source] = 0;
+    const queue = [source];
+    while (queue.length) {
+      const current = queue.shift();
+      neighbors[current].forEach(next => {
+        if (distance[next] === Infinity) {
+          distance[next] = distance[current] + 1;
+          queue.push(next);
+        }
+      });
+    }
+    return distance;
+  });
+
+  return { n, neighbors, bondOrder, hybridization, topo };
+}
+
+/**
+ * Size of the smallest ring through a-center-c, or Infinity when the
+ * angle is not part of a ring.
+ */
+function smallestRing(topology, a, center, c) {
+  const { n, neighbors } = topology;
+  const distance = new Array(n).fill(Infinity);
+  distance[a] = 0;
+  const queue = [a];
+  while (queue.length) {
+    const current = queue.shift();
+    if (current === c) break;
+    neighbors[current].forEach(next => {
+      if (next !== center && distance[next] === Infinity) {
+        distance[next] = distance[current] + 1;
+        queue.push(next);
+      }
+    });
+  }
+  return distance[c] + 2;
+}
+
+export function idealAngle(molecule, topology, a, center, c) {
+  const ringSize = smallestRing(topology, a, center, c);
+  if (ringSize <= 5) {
+    // Small rings force their interior angle
+    return (180 * (ringSize - 2) / ringSize) * DEG;
+  }
+
+  const element = molecule.atoms[center].element;
+  const degree = topology.neighbors[center].length;
+  if (degree > 4) return null;
+  switch (topology.hybridization[center]) {
+    case 'sp':
+      return 180 * DEG;
+    case 'sp2':
+      return 120 * DEG;
+    default:
+      if (element === 'O' && degree === 2) return 104.5 * DEG;
+      if (element === 'N' && degree === 3) return 107 * DEG;
+      return 109.47 * DEG;
+  }
+}
+
+const lawOfCosines = (a, b, angle) => Math.sqrt(a * a + b * b - 2 * a * b * Math.cos(angle));
+
+/**
+ * Distance between the ends of a-b-c-d for a given dihedral angle.
+ */
+function torsionDistance(ab, bc, cd, angleB, angleC, dihedral) {
+  const ax = ab * Math.cos(angleB);
+  const ay = ab * Math.sin(angleB);
+  const dx = bc - cd * Math.cos(angleC);
+  const dy = cd * Math.sin(angleC) * Math.cos(dihedral);
+  const dz = cd * Math.sin(angleC) * Math.sin(dihedral);
+  return Math.hypot(dx - ax, dy - ay, dz);
+}
+
+/**
+ * Lower/upper distance bounds for every atom pair, triangle-smoothed.
+ * Also returns the ideal 1-2 and 1-3 distances used by the cleanup stage.
+ */
+function buildBounds(molecule, topology) {
+  const { n, neighbors, bondOrder, topo } = topology;
+  const lower = Array.from({ length: n }, () => new Float64Array(n));
+  const upper = Array.from({ length: n }, () => new Float64Array(n).fill(1000));
+  const ideal = [];
+  const bondLength = (i, j) =>
+    idealBondLength(molecule.atoms[i].element, molecule.atoms[j].element, bondOrder.get(`${i}-${j}`));
+  const setBounds = (i, j, lo, hi) => {
+    lower[i][j] = lower[j][i] = lo;
+    upper[i][j] = upper[j][i] = hi;
+  };
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const vdw = vdwRadius(molecule.atoms[i].element) + vdwRadius(molecule.atoms[j].element);
+      setBounds(i, j, 0.8 * vdw, 1000);
+    }
+  }
+
+  // 1-4 pairs: anywhere between the cis and trans arrangement
+  for (let b = 0; b < n; b++) {
+    neighbors[b].forEach(c => {
+      if (c < b) return;
+      neighbors[b].forEach(a => {
+        if (a === c) return;
+        neighbors[c].forEach(d => {
+          if (d === b || d === a || topo[a][d] !== 3) return;
+          const angleB = idealAngle(molecule, topology, a, b, c) || 109.47 * DEG;
+          const angleC = idealAngle(molecule, topology, b, c, d) || 109.47 * DEG;
+          const cis = torsionDistance(bondLength(a, b), bondLength(b, c), bondLength(c, d), angleB, angleC, 0);
+          const trans = torsionDistance(bondLength(a, b), bondLength(b, c), bondLength(c, d), angleB, angleC, Math.PI);
+          setBounds(a, d, Math.min(cis, trans) - 0.05, Math.max(cis, trans) + 0.05);
+        });
+      });
+    });
+  }
+
+  // 1-3 pairs from the ideal angle at the shared neighbour
+  for (let center = 0; center < n; center++) {
+    const list = neighbors[center];
+    for (let x = 0; x < list.length; x++) {
+      for (let y = x + 1; y < list.length; y++) {
+        const a = list[x];
+        const c = list[y];
+        if (topo[a][c] !== 2) continue;
+        const angle = idealAngle(molecule, topology, a, center, c);
+        const ab = bondLength(a, center);
+        const cb = bondLength(c, center);
+        if (angle === null) {
+          // Hypervalent centres: anything from perpendicular to linear
+          setBounds(a, c, lawOfCosines(ab, cb, 85 * DEG), lawOfCosines(ab, cb, Math.PI));
+        } else {
+          const distance = lawOfCosines(ab, cb, angle);
+          setBounds(a, c, distance - 0.04, distance + 0.04);
+          ideal.push({ i: a, j: c, distance, k: 0.5 });
+        }
+      }
+    }
+  }
+
+  molecule.bonds.forEach(bond => {
+    const distance = bondLength(bond.from, bond.to);
+    setBounds(bond.from, bond.to, distance - 0.01, distance + 0.01);
+    ideal.push({ i: bond.from, j: bond.to, distance, k: 2 });
+  });
+
+  // Triangle smoothing (Floyd-Warshall on the bounds)
+  for (let k = 0; k < n; k++) {
+    for (let i = 0; i < n; i++) {
+      if (i === k) continue;
+      for (let j = i + 1; j < n; j++) {
+        if (j === k) continue;
+        if (upper[i][j] > upper[i][k] + upper[k][j]) {
+          upper[i][j] = upper[j][i] = upper[i][k] + upper[k][j];
+        }
+        const lo = Math.max(lower[i][k] - upper[k][j], lower[j][k] - upper[k][i]);
+        if (lower[i][j] < lo) {
+          lower[i][j] = lower[j][i] = lo;
+        }
+      }
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (lower[i][j] > upper[i][j]) {
+        lower[i][j] = lower[j][i] = upper[i][j];
+      }
+    }
+  }
+
+  return { lower, upper, ideal };
+}
+
+/**
+ * Groups of four atoms that should stay coplanar: sp2 centres with their
+ * three neighbours and the substituents across double or aromatic bonds.
+ */
+function planarGroups(topology) {
+  const { n, neighbors, bondOrder, hybridization } = topology;
+  const groups = [];
+  for (let i = 0; i < n; i++) {
+    if (hybridization[i] === 'sp2' && neighbors[i].length === 3) {
+      groups.push([i, ...neighbors[i]]);
+    }
+  }
+  for (let b = 0; b < n; b++) {
+    neighbors[b].forEach(c => {
+      const order = bondOrder.get(`${b}-${c}`);
+      if (c < b || (order !== 2 && order !== 1.5)) return;
+      neighbors[b].filter(a => a !== c).forEach(a => {
+        neighbors[c].filter(d => d !== b && d !== a).forEach(d => {
+          groups.push([a, b, c, d]);
+        });
+      });
+    });
+  }
+  return groups;
+}
+
+/**
+ * Flat-bottomed harmonic distance restraints plus planarity (signed volume)
+ * restraints. Returns the energy and fills `gradient`.
+ */
+function evaluate(coords, terms, gradient) {
+  gradient.fill(0);
+  let energy = 0;
+
+  terms.distances.forEach(({ i, j, lower, upper, k }) => {
+    const dx = coords[3 * i] - coords[3 * j];
+    const dy = coords[3 * i + 1] - coords[3 * j + 1];
+    const dz = coords[3 * i + 2] - coords[3 * j + 2];
+    const r = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1e-6;
+    let violation = 0;
+    if (r < lower) violation = r - lower;
+    else if (r > upper) violation = r - upper;
+    if (violation === 0) return;
+
+    energy += k * violation * violation;
+    const f = 2 * k * violation / r;
+    gradient[3 * i] += f * dx;
+    gradient[3 * i + 1] += f * dy;
+    gradient[3 * i + 2] += f * dz;
+    gradient[3 * j] -= f * dx;
+    gradient[3 * j + 1] -= f * dy;
+    gradient[3 * j + 2] -= f * dz;
+  });
+
+  terms.planes.forEach(([p, q, r, s]) => {
+    const u = [0, 1, 2].map(d => coords[3 * q + d] - coords[3 * p + d]);
+    const v = [0, 1, 2].map(d => coords[3 * r + d] - coords[3 * p + d]);
+    const w = [0, 1, 2].map(d => coords[3 * s + d] - coords[3 * p + d]);
+    const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    const vw = cross(v, w);
+    const volume = u[0] * vw[0] + u[1] * vw[1] + u[2] * vw[2];
+
+    energy += terms.planeWeight * volume * volume;
+    const f = 2 * terms.planeWeight * volume;
+    const wu = cross(w, u);
+    const uv = cross(u, v);
+    for (let d = 0; d < 3; d++) {
+      gradient[3 * q + d] += f * vw[d];
+      gradient[3 * r + d] += f * wu[d];
+      gradient[3 * s + d] += f * uv[d];
+      gradient[3 * p + d] -= f * (vw[d] + wu[d] + uv[d]);
+    }
+  });
+
+  return energy;
+}
+
+/**
+ * Steepest descent with an adaptive step; good enough for restraint cleanup.
+ */
+function minimize(coords, terms, maxIterations) {
+  const gradient = new Float64Array(coords.length);
+  const trial = new Float64Array(coords.length);
+  const trialGradient = new Float64Array(coords.length);
+  let energy = evaluate(coords, terms, gradient);
+  let step = 0.05;
+
+  for (let iteration = 0; iteration < maxIterations && energy > 1e-8; iteration++) {
+    let norm = 0;
+    for (let i = 0; i < gradient.length; i++) norm += gradient[i] * gradient[i];
+    norm = Math.sqrt(norm);
+    if (norm < 1e-6) break;
+
+    for (let i = 0; i < coords.length; i++) {
+      trial[i] = coords[i] - step * gradient[i] / norm;
+    }
+    const trialEnergy = evaluate(trial, terms, trialGradient);
+    if (trialEnergy < energy) {
+      coords.set(trial);
+      gradient.set(trialGradient);
+      energy = trialEnergy;
+      step = Math.min(step * 1.2, 0.5);
+    } else {
+      step *= 0.5;
+      if (step < 1e-7) break;
+    }
+  }
+  return energy;
+}
+
+/**
+ * Metric-matrix embedding: turn a distance matrix into coordinates using the
+ * three largest eigenvectors of the Gram matrix (power iteration with
+ * deflation; the matrix is shifted so the largest algebraic ones are found).
+ */
+function metricEmbed(distances, n, random) {
+  const sq = distances.map(row => row.map(d => d * d));
+  let total = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) total += sq[i][j];
+  }
+  const toCenter = sq.map(row => row.reduce((sum, d) => sum + d, 0) / n - total / (n * n));
+
+  const gram = Array.from({ length: n }, (_, i) =>
+    Float64Array.from({ length: n }, (_, j) => (toCenter[i] + toCenter[j] - sq[i][j]) / 2)
+  );
+  const shift = Math.max(...gram.map(row => row.reduce((sum, g) => sum + Math.abs(g), 0)));
+
+  const vectors = [];
+  const values = [];
+  for (let k = 0; k < 3; k++) {
+    let v = Float64Array.from({ length: n }, () => random() - 0.5);
+    let lambda = 0;
+    for (let iteration = 0; iteration < 300; iteration++) {
+      const w = new Float64Array(n);
+      for (let i = 0; i < n; i++) {
+        let sum = shift * v[i];
+        for (let j = 0; j < n; j++) sum += gram[i][j] * v[j];
+        w[i] = sum;
+      }
+      vectors.forEach(prev => {
+        let dot = 0;
+        for (let i = 0; i < n; i++) dot += w[i] * prev[i];
+        for (let i = 0; i < n; i++) w[i] -= dot * prev[i];
+      });
+      lambda = Math.sqrt(w.reduce((sum, x) => sum + x * x, 0)) || 1e-12;
+      v = w.map(x => x / lambda);
+    }
+    vectors.push(v);
+    values.push(Math.max(lambda - shift, 0));
+  }
+
+  const coords = new Float64Array(3 * n);
+  for (let i = 0; i < n; i++) {
+    for (let d = 0; d < 3; d++) {
+      // A little noise keeps flat starting structures from getting stuck in a plane
+      coords[3 * i + d] = vectors[d][i] * Math.sqrt(values[d]) + (random() - 0.5) * 0.1;
+    }
+  }
+  return coords;
+}
+
+/**
+ * Generate 3D coordinates for a molecule given as {atoms, bonds}.
+ * Returns a new molecule with x, y, z set on every atom, centered on the origin.
+ */
+export function embedMolecule(molecule, { seed, attempts = 3 } = {}) {
+  const n = molecule.atoms.length;
+  const random = mulberry32(seed ?? hashString(JSON.stringify(molecule.bonds) + molecule.atoms.map(a => a.element).join('')));
+
+  let best = null;
+  if (n === 1) {
+    best = new Float64Array(3);
+  } else {
+    const topology = buildTopology(molecule);
+    const { lower, upper, ideal } = buildBounds(molecule, topology);
+    const planes = planarGroups(topology);
+
+    const boundTerms = { distances: [], planes, planeWeight: 0.2 };
+    const cleanupTerms = { distances: [], planes, planeWeight: 1 };
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        boundTerms.distances.push({ i, j, lower: lower[i][j], upper: upper[i][j], k: 1 });
+        if (topology.topo[i][j] >= 3) {
+          // Non-bonded repulsion only; no attraction between distant atoms
+          cleanupTerms.distances.push({ i, j, lower: lower[i][j], upper: Infinity, k: 0.2 });
+        }
+      }
+    }
+    ideal.forEach(({ i, j, distance, k }) => {
+      cleanupTerms.distances.push({ i, j, lower: distance, upper: distance, k });
+    });
+
+    let bestEnergy = Infinity;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const distances = Array.from({ length: n }, () => new Array(n).fill(0));
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+          const hi = Math.min(upper[i][j], lower[i][j] + 3);
+          distances[i][j] = distances[j][i] = lower[i][j] + random() * (hi - lower[i][j]);
+        }
+      }
+
+      const coords = metricEmbed(distances, n, random);
+      minimize(coords, boundTerms, 2000);
+      const energy = minimize(coords, cleanupTerms, 2000);
+      if (energy < bestEnergy) {
+        bestEnergy = energy;
+        best = coords;
+      }
+    }
+  }
+
+  const center = [0, 1, 2].map(d => {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += best[3 * i + d];
+    return sum / n;
+  });
+  const round = value => Math.round(value * 1000) / 1000;
+
+  return {
+    ...molecule,
+    atoms: molecule.atoms.map((atom, i) => ({
+      ...atom,
+      x: round(best[3 * i] - center[0]),
+      y: round(best[3 * i + 1] - center[1]),
+      z: round(best[3 * i + 2] - center[2])
+    }))
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Molecular fingerprints
+ * Morgan (ECFP-style) circular fingerprints over the heavy-atom graph, folded
+ * to a fixed number of bits, and Tanimoto similarity between them.
+ */
+
+import { analyzeGraph } from './substructure.js';
+
+export const FINGERPRINT_BITS = 1024;
+export const FINGERPRINT_RADIUS = 2;
+
+// 32-bit FNV-1a over a list of integers
+function hashIntegers(values) {
+  let hash = 0x811c9dc5;
+  values.forEach(value => {
+    for (let shift = 0; shift < 32; shift += 8) {
+      hash ^= (value >>> shift) & 0xff;
+      hash = Math.imul(hash, 0x01000193);
+    }
+  });
+  return hash >>> 0;
+}
+
+function hashString(text) {
+  return hashIntegers([...text].map(ch => ch.charCodeAt(0)));
+}
+
+/**
+ * Compute a folded Morgan fingerprint. Returns the sorted indices of the set
+ * bits, which keeps fingerprints small enough to store and send as JSON.
+ * Hydrogens are folded into their heavy atom's invariants; molecules made
+ * only of hydrogen keep them as graph atoms.
+ */
+export function morganFingerprint(molecule, { radius = FINGERPRINT_RADIUS, bits = FINGERPRINT_BITS } = {}) {
+  const graph = analyzeGraph(molecule);
+  const heavy = graph.atoms.map(atom => atom.element !== 'H');
+  const include = heavy.some(Boolean) ? heavy : graph.atoms.map(() => true);
+
+  const bondCode = bond => (bond.aromatic ? 4 : bond.order);
+  let identifiers = graph.atoms.map((atom, index) => (include[index]
+    ? hashIntegers([
+      hashString(atom.element),
+      graph.neighbors[index].filter(n => include[n.atom]).length,
+      atom.hydrogens,
+      atom.charge + 8,
+      atom.aromatic ? 1 : 0,
+      atom.inRing ? 1 : 0
+    ])
+    : null));
+
+  const features = new Set(identifiers.filter(id => id !== null));
+
+  for (let iteration = 1; iteration <= radius; iteration++) {
+    identifiers = identifiers.map((id, index) => {
+      if (id === null) return null;
+      const environment = graph.neighbors[index]
+        .filter(n => include[n.atom])
+        .map(n => [bondCode(graph.bonds[n.bond]), identifiers[n.atom]])
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+      return hashIntegers([iteration, id, ...environment.flat()]);
+    });
+    identifiers.forEach(id => {
+      if (id !== null) features.add(id);
+    });
+  }
+
+  return [...new Set([...features].map(id => id % bits))].sort((a, b) => a - b);
+}
+
+/**
+ * Tanimoto coefficient of two sorted bit-index lists
+ */
+export function tanimoto(a, b) {
+  let common = 0;
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      common++;
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  const union = a.length + b.length - common;
+  return union === 0 ? 1 : common / union;
+}
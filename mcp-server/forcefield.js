@@ -0,0 +1,496 @@
+/**
+ * Molecular mechanics
+ * A UFF-style force field for {atoms, bonds} graphs: harmonic bond
+ * stretching, cosine angle bending, torsions and sp2 inversion from the
+ * hybridization of each atom, and Lennard-Jones van der Waals between atoms
+ * three or more bonds apart. There is no electrostatic term. Energies are in
+ * kcal/mol, distances in angstroms and coordinates are flat [x, y, z, ...]
+ * arrays.
+ */
+
+import { getElement } from './elements.js';
+import { buildTopology, idealAngle, idealBondLength } from './embed.js';
+
+// Lennard-Jones well depths in kcal/mol, from UFF
+const WELL_DEPTH = {
+  H: 0.044, B: 0.18, C: 0.105, N: 0.069, O: 0.06, F: 0.05,
+  Si: 0.402, P: 0.305, S: 0.274, Cl: 0.227, Br: 0.251, I: 0.339
+};
+const DEFAULT_WELL_DEPTH = 0.1;
+
+// Barriers about sp3-sp3 bonds in kcal/mol, from UFF
+const SP3_BARRIER = { C: 2.119, N: 0.45, O: 0.018, Si: 1.225, P: 2.4, S: 0.484 };
+const DEFAULT_SP3_BARRIER = 1;
+
+// kcal/mol/Å² for a single bond, scaled by the bond order
+const BOND_STIFFNESS = 350;
+const ANGLE_STIFFNESS = 70;
+// Spread over the three ways of picking the out-of-plane neighbour
+const INVERSION_STIFFNESS = 10;
+
+const FORCE_FIELD_TERMS = ['bond', 'angle', 'torsion', 'inversion', 'vdw'];
+
+function wellDepth(element) {
+  return WELL_DEPTH[element] ?? DEFAULT_WELL_DEPTH;
+}
+
+function vdwDistance(element) {
+  return 2 * (getElement(element)?.vdwRadius || 1.8);
+}
+
+/**
+ * Torsion parameters about the bond b-c: periodicity n, barrier V and the
+ * sign of cos(n·φ0) in E = V/2 (1 - sign·cos nφ), or null when the bond
+ * has no barrier (linear atoms)
+ */
+function torsionParameters(molecule, topology, b, c, order) {
+  const [hybridB, hybridC] = [topology.hybridization[b], topology.hybridization[c]];
+  if (hybridB === 'sp' || hybridC === 'sp') return null;
+
+  if (hybridB === 'sp3' && hybridC === 'sp3') {
+    const barrier = element => SP3_BARRIER[element] ?? DEFAULT_SP3_BARRIER;
+    const V = Math.sqrt(barrier(molecule.atoms[b].element) * barrier(molecule.atoms[c].element));
+    // Staggered minima at 60 and 180 degrees
+    return { n: 3, V, sign: -1 };
+  }
+  if (hybridB === 'sp2' && hybridC === 'sp2') {
+    // Planar minima, stiffer as the bond gains double-bond character
+    return { n: 2, V: 10 * (1 + 4.18 * Math.log(Math.max(order, 1))), sign: 1 };
+  }
+  return { n: 6, V: 1, sign: 1 };
+}
+
+/**
+ * Collect the force-field terms of a molecule. The result depends only on
+ * the graph, so it can be reused for every geometry of the molecule.
+ */
+export function buildForceField(molecule) {
+  const topology = buildTopology(molecule);
+  const { n, neighbors, hybridization, topo } = topology;
+  const orderOf = (i, j) => {
+    const bond = molecule.bonds.find(b => (b.from === i && b.to === j) || (b.from === j && b.to === i));
+    return bond.aromatic ? 1.5 : bond.order || 1;
+  };
+
+  const bonds = molecule.bonds.map(bond => {
+    const order = bond.aromatic ? 1.5 : bond.order || 1;
+    return {
+      i: bond.from,
+      j: bond.to,
+      length: idealBondLength(molecule.atoms[bond.from].element, molecule.atoms[bond.to].element, order),
+      k: BOND_STIFFNESS * order
+    };
+  });
+
+  const angles = [];
+  for (let center = 0; center < n; center++) {
+    const list = neighbors[center];
+    for (let x = 0; x < list.length; x++) {
+      for (let y = x + 1; y < list.length; y++) {
+        const angle = idealAngle(molecule, topology, list[x], center, list[y]);
+        // Hypervalent centres have no single ideal angle
+        if (angle === null) continue;
+        angles.push({ i: list[x], center, j: list[y], cos: Math.cos(angle), linear: angle > 179 * Math.PI / 180 });
+      }
+    }
+  }
+
+  const torsions = [];
+  molecule.bonds.forEach(({ from: b, to: c }) => {
+    const parameters = torsionParameters(molecule, topology, b, c, orderOf(b, c));
+    if (!parameters) return;
+    const quads = [];
+    neighbors[b].filter(a => a !== c).forEach(a => {
+      neighbors[c].filter(d => d !== b && d !== a).forEach(d => quads.push([a, b, c, d]));
+    });
+    // The barrier is shared by every torsion about the bond
+    quads.forEach(atoms => torsions.push({ atoms, ...parameters, V: parameters.V / quads.length }));
+  });
+
+  const inversions = [];
+  for (let center = 0; center < n; center++) {
+    if (hybridization[center] !== 'sp2' || neighbors[center].length !== 3) continue;
+    const [a, b, c] = neighbors[center];
+    [[a, center, b, c], [b, center, c, a], [c, center, a, b]].forEach(atoms => {
+      inversions.push({ atoms, k: INVERSION_STIFFNESS / 3 });
+    });
+  }
+
+  const pairs = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (topo[i][j] < 3) continue;
+      const [a, b] = [molecule.atoms[i].element, molecule.atoms[j].element];
+      pairs.push({
+        i,
+        j,
+        distance: Math.sqrt(vdwDistance(a) * vdwDistance(b)),
+        depth: Math.sqrt(wellDepth(a) * wellDepth(b))
+      });
+    }
+  }
+
+  return { atomCount: n, bonds, angles, torsions, inversions, pairs };
+}
+
+/**
+ * Dihedral angle p-q-r-s, with its derivatives with respect to the twelve
+ * coordinates of p, q, r and s written to `derivatives` (Blondel and
+ * Karplus, 1996). Returns null when three of the atoms are collinear.
+ */
+function dihedral(coords, [p, q, r, s], derivatives) {
+  const fx = coords[3 * p] - coords[3 * q];
+  const fy = coords[3 * p + 1] - coords[3 * q + 1];
+  const fz = coords[3 * p + 2] - coords[3 * q + 2];
+  const gx = coords[3 * q] - coords[3 * r];
+  const gy = coords[3 * q + 1] - coords[3 * r + 1];
+  const gz = coords[3 * q + 2] - coords[3 * r + 2];
+  const hx = coords[3 * s] - coords[3 * r];
+  const hy = coords[3 * s + 1] - coords[3 * r + 1];
+  const hz = coords[3 * s + 2] - coords[3 * r + 2];
+
+  // a = f × g, b = h × g
+  const ax = fy * gz - fz * gy;
+  const ay = fz * gx - fx * gz;
+  const az = fx * gy - fy * gx;
+  const bx = hy * gz - hz * gy;
+  const by = hz * gx - hx * gz;
+  const bz = hx * gy - hy * gx;
+  const a2 = ax * ax + ay * ay + az * az;
+  const b2 = bx * bx + by * by + bz * bz;
+  const g2 = gx * gx + gy * gy + gz * gz;
+  if (a2 < 1e-12 || b2 < 1e-12 || g2 < 1e-12) return null;
+  const g = Math.sqrt(g2);
+
+  // sin φ from (b × a)·g, cos φ from a·b
+  const sine = ((by * az - bz * ay) * gx + (bz * ax - bx * az) * gy + (bx * ay - by * ax) * gz) / g;
+  const angle = Math.atan2(sine, ax * bx + ay * by + az * bz);
+
+  const fg = (fx * gx + fy * gy + fz * gz) / g2;
+  const hg = (hx * gx + hy * gy + hz * gz) / g2;
+  const dp = [-g * ax / a2, -g * ay / a2, -g * az / a2];
+  const ds = [g * bx / b2, g * by / b2, g * bz / b2];
+  for (let d = 0; d < 3; d++) {
+    derivatives[d] = dp[d];
+    derivatives[3 + d] = -(1 + fg) * dp[d] - hg * ds[d];
+    derivatives[6 + d] = fg * dp[d] + (hg - 1) * ds[d];
+    derivatives[9 + d] = ds[d];
+  }
+  return angle;
+}
+
+/**
+ * Energy of a geometry, split by term, with the total in `total`. When a
+ * `gradient` array is passed it is filled with dE/dx for every coordinate.
+ */
+export function calculateEnergy(forceField, coords, gradient = null) {
+  const energy = Object.fromEntries(FORCE_FIELD_TERMS.map(term => [term, 0]));
+  if (gradient) gradient.fill(0);
+  // Adds ±f·(atom i - atom j) to the gradients of a pair
+  const pushPair = (i, j, f, dx, dy, dz) => {
+    if (!gradient) return;
+    gradient[3 * i] += f * dx;
+    gradient[3 * i + 1] += f * dy;
+    gradient[3 * i + 2] += f * dz;
+    gradient[3 * j] -= f * dx;
+    gradient[3 * j + 1] -= f * dy;
+    gradient[3 * j + 2] -= f * dz;
+  };
+
+  for (const { i, j, length, k } of forceField.bonds) {
+    const dx = coords[3 * i] - coords[3 * j];
+    const dy = coords[3 * i + 1] - coords[3 * j + 1];
+    const dz = coords[3 * i + 2] - coords[3 * j + 2];
+    const r = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1e-6;
+    energy.bond += k * (r - length) ** 2;
+    pushPair(i, j, 2 * k * (r - length) / r, dx, dy, dz);
+  }
+
+  for (const { i, center, j, cos, linear } of forceField.angles) {
+    const ux = coords[3 * i] - coords[3 * center];
+    const uy = coords[3 * i + 1] - coords[3 * center + 1];
+    const uz = coords[3 * i + 2] - coords[3 * center + 2];
+    const vx = coords[3 * j] - coords[3 * center];
+    const vy = coords[3 * j + 1] - coords[3 * center + 1];
+    const vz = coords[3 * j + 2] - coords[3 * center + 2];
+    const ru = Math.sqrt(ux * ux + uy * uy + uz * uz) || 1e-6;
+    const rv = Math.sqrt(vx * vx + vy * vy + vz * vz) || 1e-6;
+    const cosine = (ux * vx + uy * vy + uz * vz) / (ru * rv);
+    let slope;
+    if (linear) {
+      energy.angle += ANGLE_STIFFNESS * (1 + cosine);
+      slope = ANGLE_STIFFNESS;
+    } else {
+      energy.angle += ANGLE_STIFFNESS * (cosine - cos) ** 2;
+      slope = 2 * ANGLE_STIFFNESS * (cosine - cos);
+    }
+    if (!gradient) continue;
+    // d(cos θ)/d(atom i) = v/(|u||v|) - cos θ·u/|u|², and likewise for j
+    const [uv, uu, vv] = [slope / (ru * rv), slope * cosine / (ru * ru), slope * cosine / (rv * rv)];
+    pushPair(i, center, -uu, ux, uy, uz);
+    pushPair(j, center, -vv, vx, vy, vz);
+    pushPair(i, center, uv, vx, vy, vz);
+    pushPair(j, center, uv, ux, uy, uz);
+  }
+
+  const derivatives = new Float64Array(12);
+  const addDihedral = (term, atoms, energyOf, slopeOf) => {
+    const phi = dihedral(coords, atoms, derivatives);
+    if (phi === null) return;
+    energy[term] += energyOf(phi);
+    if (!gradient) return;
+    const slope = slopeOf(phi);
+    atoms.forEach((atom, index) => {
+      for (let d = 0; d < 3; d++) gradient[3 * atom + d] += slope * derivatives[3 * index + d];
+    });
+  };
+
+  forceField.torsions.forEach(({ atoms, n, V, sign }) => {
+    addDihedral('torsion', atoms,
+      phi => V / 2 * (1 - sign * Math.cos(n * phi)),
+      phi => V / 2 * sign * n * Math.sin(n * phi));
+  });
+
+  // A neighbour leaving the plane of the other two turns this dihedral
+  // away from 0 or 180 degrees
+  forceField.inversions.forEach(({ atoms, k }) => {
+    addDihedral('inversion', atoms,
+      phi => k / 2 * (1 - Math.cos(2 * phi)),
+      phi => k * Math.sin(2 * phi));
+  });
+
+  for (const { i, j, distance, depth } of forceField.pairs) {
+    const dx = coords[3 * i] - coords[3 * j];
+    const dy = coords[3 * i + 1] - coords[3 * j + 1];
+    const dz = coords[3 * i + 2] - coords[3 * j + 2];
+    const r2 = dx * dx + dy * dy + dz * dz || 1e-12;
+    const six = (distance * distance / r2) ** 3;
+    energy.vdw += depth * (six * six - 2 * six);
+    pushPair(i, j, 12 * depth * (six - six * six) / r2, dx, dy, dz);
+  }
+
+  energy.total = FORCE_FIELD_TERMS.reduce((sum, term) => sum + energy[term], 0);
+  return energy;
+}
+
+export const MINIMIZATION_METHODS = ['lbfgs', 'conjugate-gradient', 'steepest-descent'];
+
+// Larger structures make the pairwise van der Waals term too slow
+export const MAX_FORCE_FIELD_ATOMS = 500;
+
+// Geometries kept along a minimization path, first and last included
+export const MAX_PATH_FRAMES = 50;
+
+// Iterations × atoms² one minimizeMolecule call may take, since every
+// iteration evaluates all atom pairs: 5000 iterations up to 70 atoms, 100 at
+// MAX_FORCE_FIELD_ATOMS
+const MAX_MINIMIZATION_WORK = 25000000;
+
+// Correction pairs kept by the L-BFGS minimizer
+const LBFGS_MEMORY = 8;
+
+// Longest step in angstroms taken along a search direction
+const MAX_STEP = 0.3;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * L-BFGS two-loop recursion: writes -H·gradient to `direction`, where H
+ * approximates the inverse Hessian from the recent steps in `history`.
+ * Without history the direction is a 0.1 Å step down the gradient.
+ */
+function lbfgsDirection(direction, gradient, history, norm, dot) {
+  direction.set(gradient);
+  const alphas = [];
+  for (let k = history.length - 1; k >= 0; k--) {
+    const { s, y, rho } = history[k];
+    alphas[k] = rho * dot(s, direction);
+    for (let i = 0; i < direction.length; i++) direction[i] -= alphas[k] * y[i];
+  }
+  const last = history[history.length - 1];
+  const scale = last ? dot(last.s, last.y) / dot(last.y, last.y) : 0.1 / norm;
+  for (let i = 0; i < direction.length; i++) direction[i] *= scale;
+  history.forEach(({ s, y, rho }, k) => {
+    const beta = rho * dot(y, direction);
+    for (let i = 0; i < direction.length; i++) direction[i] += (alphas[k] - beta) * s[i];
+  });
+  for (let i = 0; i < direction.length; i++) direction[i] = -direction[i];
+}
+
+/**
+ * Minimize a geometry in place by L-BFGS (the default), Polak-Ribière
+ * conjugate gradients or steepest descent, each with a backtracking line
+ * search. Stops when the root-mean-square gradient falls below
+ * `gradientTolerance` (kcal/mol/Å). `onStep(coords, energy, iteration)` is
+ * called after every step. Returns
+ * { energy, iterations, converged, rmsGradient }.
+ */
+export function minimizeCoordinates(forceField, coords, {
+  method = 'lbfgs',
+  maxIterations = 500,
+  gradientTolerance = 0.05,
+  onStep = null
+} = {}) {
+  const size = coords.length;
+  const gradient = new Float64Array(size);
+  const previousGradient = new Float64Array(size);
+  const direction = new Float64Array(size);
+  const trial = new Float64Array(size);
+  const trialGradient = new Float64Array(size);
+  const dot = (u, v) => {
+    let sum = 0;
+    for (let i = 0; i < size; i++) sum += u[i] * v[i];
+    return sum;
+  };
+  // Recent position and gradient changes for L-BFGS, oldest first
+  const history = [];
+  // Gradient methods start each line search from the last accepted step
+  let stepLength = 0.05;
+
+  let energy = calculateEnergy(forceField, coords, gradient).total;
+  let iterations = 0;
+  let converged = false;
+
+  for (; iterations < maxIterations; iterations++) {
+    const norm = Math.sqrt(dot(gradient, gradient));
+    if (norm / Math.sqrt(size) < gradientTolerance) {
+      converged = true;
+      break;
+    }
+
+    if (method === 'lbfgs') {
+      lbfgsDirection(direction, gradient, history, norm, dot);
+    } else if (method === 'conjugate-gradient' && iterations > 0) {
+      const beta = Math.max(0,
+        (dot(gradient, gradient) - dot(gradient, previousGradient)) / dot(previousGradient, previousGradient));
+      for (let i = 0; i < size; i++) direction[i] = -gradient[i] + beta * direction[i];
+    } else {
+      for (let i = 0; i < size; i++) direction[i] = -gradient[i];
+    }
+
+    let slope = dot(gradient, direction);
+    if (slope >= 0) {
+      // Not a descent direction: forget the history and follow the gradient
+      history.length = 0;
+      const scale = method === 'lbfgs' ? 0.1 / norm : 1;
+      for (let i = 0; i < size; i++) direction[i] = -scale * gradient[i];
+      slope = dot(gradient, direction);
+    }
+
+    // L-BFGS directions come with a step length; either way it is capped so
+    // no atom jumps far at once
+    const length = Math.sqrt(dot(direction, direction));
+    let alpha = method === 'lbfgs'
+      ? Math.min(1, MAX_STEP / length)
+      : Math.min(2 * stepLength, MAX_STEP) / length;
+    let accepted = false;
+    while (alpha * length > 1e-8) {
+      for (let i = 0; i < size; i++) trial[i] = coords[i] + alpha * direction[i];
+      const trialEnergy = calculateEnergy(forceField, trial, trialGradient).total;
+      if (trialEnergy <= energy + 1e-4 * alpha * slope) {
+        energy = trialEnergy;
+        accepted = true;
+        break;
+      }
+      alpha /= 2;
+    }
+    if (!accepted) {
+      // No lower energy along the search direction: a minimum to numerical precision
+      converged = true;
+      break;
+    }
+    stepLength = alpha * length;
+
+    if (method === 'lbfgs') {
+      const s = new Float64Array(size);
+      const y = new Float64Array(size);
+      for (let i = 0; i < size; i++) {
+        s[i] = trial[i] - coords[i];
+        y[i] = trialGradient[i] - gradient[i];
+      }
+      const curvature = dot(s, y);
+      if (curvature > 1e-10) {
+        history.push({ s, y, rho: 1 / curvature });
+        if (history.length > LBFGS_MEMORY) history.shift();
+      }
+    }
+    coords.set(trial);
+    previousGradient.set(gradient);
+    gradient.set(trialGradient);
+    if (onStep) onStep(coords, energy, iterations + 1);
+  }
+
+  return { energy, iterations, converged, rmsGradient: Math.sqrt(dot(gradient, gradient) / size) };
+}
+
+/**
+ * Minimize the geometry of a molecule without changing it. Larger molecules
+ * get fewer than `maxIterations` steps (see MAX_MINIMIZATION_WORK). Returns
+ * { method, maxIterations, converged, iterations, rmsGradient, initialEnergy,
+ * energy, atoms, path }: the step limit used, energies split by term as from
+ * calculateEnergy, the atoms at their minimized positions, and
+ * path = { iterations, energies, frames } with at most `pathFrames`
+ * geometries evenly spaced from start to finish.
+ */
+export function minimizeMolecule(molecule, {
+  method = 'lbfgs',
+  maxIterations = 500,
+  gradientTolerance = 0.05,
+  pathFrames = MAX_PATH_FRAMES
+} = {}) {
+  const forceField = buildForceField(molecule);
+  const coords = atomCoordinates(molecule.atoms);
+  const initialEnergy = calculateEnergy(forceField, coords);
+  const iterationLimit = Math.max(1, Math.min(maxIterations, Math.floor(MAX_MINIMIZATION_WORK / molecule.atoms.length ** 2)));
+
+  // Every stride-th step is kept; when the path fills up, every other kept
+  // step is dropped and the stride doubles. One place stays free for the
+  // final geometry.
+  let stride = 1;
+  let path = [{ iteration: 0, energy: initialEnergy.total, coords: Float64Array.from(coords) }];
+  const result = minimizeCoordinates(forceField, coords, {
+    method,
+    maxIterations: iterationLimit,
+    gradientTolerance,
+    onStep: (current, energy, iteration) => {
+      if (iteration % stride !== 0) return;
+      path.push({ iteration, energy, coords: Float64Array.from(current) });
+      if (path.length >= pathFrames) {
+        path = path.filter((_, index) => index % 2 === 0);
+        stride *= 2;
+      }
+    }
+  });
+  if (path[path.length - 1].iteration !== result.iterations) {
+    path.push({ iteration: result.iterations, energy: result.energy, coords });
+  }
+
+  const roundTerms = energy => Object.fromEntries(Object.entries(energy).map(([term, value]) => [term, round(value)]));
+  return {
+    method,
+    maxIterations: iterationLimit,
+    converged: result.converged,
+    iterations: result.iterations,
+    rmsGradient: round(result.rmsGradient),
+    initialEnergy: roundTerms(initialEnergy),
+    energy: roundTerms(calculateEnergy(forceField, coords)),
+    atoms: molecule.atoms.map((atom, i) => ({
+      ...atom,
+      x: round(coords[3 * i]),
+      y: round(coords[3 * i + 1]),
+      z: round(coords[3 * i + 2])
+    })),
+    path: {
+      iterations: path.map(step => step.iteration),
+      energies: path.map(step => round(step.energy)),
+      frames: path.map(step => Array.from(step.coords, round))
+    }
+  };
+}
+
+/**
+ * Flat coordinate array of a list of atoms
+ */
+export function atomCoordinates(atoms) {
+  return Float64Array.from(atoms.flatMap(atom => [atom.x, atom.y, atom.z]));
+}
@@ -0,0 +1,1048 @@
+/**
+ * Chemical file format support
+ * Parses XYZ, MDL MOL/SDF (V2000 and V3000), PDB and PDBx/mmCIF text into the
+ * {name, formula, atoms, bonds} shape used throughout the molecule server,
+ * and writes that shape back out as XYZ, MOL (V2000), SDF, PDB or mmCIF.
+ * Atoms from PDB and mmCIF files also carry their residue (name, residue,
+ * residueNumber, insertionCode, chain, hetero), and the molecule a
+ * secondaryStructure list of helix and sheet residue ranges when the file
+ * has one. Multi-frame XYZ files and multi-model PDB and mmCIF files give the
+ * molecule a frames list: one flat [x, y, z, x, y, z, ...] array per frame,
+ * the first matching the atoms.
+ */
+
+import { ELEMENTS } from './elements.js';
+
+export class ParseError extends Error {
+  constructor(message, line) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = 'ParseError';
+    this.line = line || null;
+  }
+}
+
+export const SUPPORTED_FORMATS = ['xyz', 'mol', 'sdf', 'pdb', 'cif'];
+
+const FORMAT_EXTENSIONS = {
+  xyz: 'xyz',
+  mol: 'mol',
+  mdl: 'mol',
+  sdf: 'sdf',
+  sd: 'sdf',
+  pdb: 'pdb',
+  ent: 'pdb',
+  cif: 'cif',
+  mmcif: 'cif'
+};
+
+// Element symbols indexed by atomic number - 1
+export const ATOMIC_SYMBOLS = ELEMENTS.map(element => element.symbol);
+
+// MDL V2000 charge column codes
+const V2000_CHARGES = { 1: 3, 2: 2, 3: 1, 5: -1, 6: -2, 7: -3 };
+
+/**
+ * Pick a format from an explicit name, a file extension or the content itself.
+ */
+export function detectFormat(filename = '', content = '') {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (filename.includes('.') && FORMAT_EXTENSIONS[extension]) {
+    return FORMAT_EXTENSIONS[extension];
+  }
+
+  // mmCIF atom_site rows also start with ATOM and HETATM
+  if (/^data_/m.test(content) && /^_atom_site\./m.test(content)) return 'cif';
+  if (/^(ATOM  |HETATM|HEADER|COMPND)/m.test(content)) return 'pdb';
+  if (/\$\$\$\$/.test(content)) return 'sdf';
+  if (/V[23]000/.test(content)) return 'mol';
+  if (/^\s*\d+\s*$/.test(content.split(/\r?\n/)[0] || '')) return 'xyz';
+  return null;
+}
+
+/**
+ * Parse file content in the given format. Always returns an array of
+ * molecules because SDF files may hold several records.
+ */
+export function parseMolecules(content, format) {
+  switch (format) {
+    case 'xyz':
+      return [parseXYZ(content)];
+    case 'mol':
+      return [parseMol(content)];
+    case 'sdf':
+      return parseSDF(content);
+    case 'pdb':
+      return [parsePDB(content)];
+    case 'cif':
+      return [parseCIF(content)];
+    default:
+      throw new ParseError(`Unsupported format: ${format}`);
+  }
+}
+
+export function normalizeElement(symbol) {
+  const letters = String(symbol).replace(/[^A-Za-z]/g, '');
+  if (!letters) return null;
+  return letters[0].toUpperCase() + letters.slice(1, 2).toLowerCase();
+}
+
+/**
+ * Hill-notation formula: C first, then H, then the rest alphabetically.
+ * Without carbon every element is alphabetical.
+ */
+export function hillFormula(atoms) {
+  const counts = {};
+  atoms.forEach(atom => {
+    counts[atom.element] = (counts[atom.element] || 0) + 1;
+  });
+
+  const elements = Object.keys(counts).sort();
+  const ordered = counts.C
+    ? ['C', ...(counts.H ? ['H'] : []), ...elements.filter(e => e !== 'C' && e !== 'H')]
+    : elements;
+
+  return ordered.map(e => (counts[e] > 1 ? `${e}${counts[e]}` : e)).join('');
+}
+
+function parseNumber(text, line, what) {
+  const value = parseFloat(text);
+  if (!Number.isFinite(value)) {
+    throw new ParseError(`Invalid ${what} "${String(text).trim()}"`, line);
+  }
+  return value;
+}
+
+function parseInteger(text, line, what) {
+  const value = parseInt(text, 10);
+  if (!Number.isInteger(value)) {
+    throw new ParseError(`Invalid ${what} "${String(text).trim()}"`, line);
+  }
+  return value;
+}
+
+function makeAtom(element, x, y, z, charge = 0) {
+  const atom = { element, x, y, z };
+  if (charge) atom.charge = charge;
+  return atom;
+}
+
+/**
+ * Parse XYZ content. Records after the first are read as trajectory frames
+ * and must list the same elements in the same order.
+ */
+export function parseXYZ(content) {
+  const lines = content.split(/\r?\n/);
+  const { name, atoms, next } = readXYZRecord(lines, 0);
+
+  const frames = [];
+  for (let start = next; lines.slice(start).some(text => text.trim()); ) {
+    const record = readXYZRecord(lines, start);
+    const frame = frames.length + 2;
+    if (record.atoms.length !== atoms.length) {
+      throw new ParseError(`Frame ${frame} has ${record.atoms.length} atoms, expected ${atoms.length}`, start + 1);
+    }
+    record.atoms.forEach((atom, i) => {
+      if (atom.element !== atoms[i].element) {
+        throw new ParseError(`Frame ${frame} atom ${i + 1} is ${atom.element}, expected ${atoms[i].element}`, start + i + 3);
+      }
+    });
+    frames.push(frameCoordinates(record.atoms));
+    start = record.next;
+  }
+
+  const molecule = { name: name || 'Imported molecule', formula: hillFormula(atoms), atoms, bonds: [] };
+  if (frames.length > 0) molecule.frames = [frameCoordinates(atoms), ...frames];
+  return molecule;
+}
+
+// One XYZ record starting at line index `start`; `next` is the index after it
+function readXYZRecord(lines, start) {
+  // Blank lines between records are tolerated
+  while (start < lines.length - 1 && !lines[start].trim()) start++;
+
+  const count = parseInteger(lines[start], start + 1, 'atom count');
+  if (count <= 0) {
+    throw new ParseError('Atom count must be positive', start + 1);
+  }
+
+  const name = (lines[start + 1] || '').trim();
+  const atoms = [];
+  for (let i = 0; i < count; i++) {
+    const lineNumber = start + i + 3;
+    const text = lines[start + i + 2];
+    if (text === undefined || !text.trim()) {
+      throw new ParseError(`Expected ${count} atoms but found ${i}`, lineNumber);
+    }
+
+    const fields = text.trim().split(/\s+/);
+    if (fields.length < 4) {
+      throw new ParseError('Expected element and x, y, z coordinates', lineNumber);
+    }
+
+    // Some programs write atomic numbers instead of symbols
+    const element = /^\d+$/.test(fields[0]) ? elementFromNumber(fields[0], lineNumber) : normalizeElement(fields[0]);
+    if (!element) {
+      throw new ParseError(`Invalid element "${fields[0]}"`, lineNumber);
+    }
+
+    atoms.push(makeAtom(
+      element,
+      parseNumber(fields[1], lineNumber, 'x coordinate'),
+      parseNumber(fields[2], lineNumber, 'y coordinate'),
+      parseNumber(fields[3], lineNumber, 'z coordinate')
+    ));
+  }
+
+  return { name, atoms, next: start + count + 2 };
+}
+
+// Atom coordinates as one flat trajectory frame
+function frameCoordinates(atoms) {
+  return atoms.flatMap(atom => [atom.x, atom.y, atom.z]);
+}
+
+function elementFromNumber(text, line) {
+  const symbol = ATOMIC_SYMBOLS[parseInt(text, 10) - 1];
+  if (!symbol) {
+    throw new ParseError(`Unknown atomic number ${text}`, line);
+  }
+  return symbol;
+}
+
+/**
+ * Parse a single MDL molfile. `lineOffset` is the number of lines that
+ * precede this record in the original file, so SDF errors point at the
+ * right place.
+ */
+export function parseMol(content, lineOffset = 0) {
+  const lines = content.split(/\r?\n/);
+  if (lines.length < 4) {
+    throw new ParseError('Molfile is missing its header or counts line', lineOffset + lines.length);
+  }
+
+  const name = lines[0].trim() || 'Imported molecule';
+  const countsLine = lines[3];
+
+  let molecule;
+  if (countsLine.includes('V3000')) {
+    molecule = parseMolV3000(lines, lineOffset);
+  } else {
+    molecule = parseMolV2000(lines, lineOffset);
+  }
+
+  return { name, formula: hillFormula(molecule.atoms), ...molecule };
+}
+
+function parseMolV2000(lines, lineOffset) {
+  const countsLineNumber = lineOffset + 4;
+  const countsLine = lines[3];
+  const atomCount = parseInteger(countsLine.slice(0, 3), countsLineNumber, 'atom count');
+  const bondCount = parseInteger(countsLine.slice(3, 6), countsLineNumber, 'bond count');
+
+  const atoms = [];
+  for (let i = 0; i < atomCount; i++) {
+    const index = 4 + i;
+    const lineNumber = lineOffset + index + 1;
+    const text = lines[index];
+    if (text === undefined || text.startsWith('M  END')) {
+      throw new ParseError(`Expected ${atomCount} atoms but found ${i}`, lineNumber);
+    }
+
+    const element = normalizeElement(text.slice(31, 34));
+    if (!element) {
+      throw new ParseError(`Invalid element "${text.slice(31, 34).trim()}"`, lineNumber);
+    }
+    const chargeCode = parseInt(text.slice(36, 39), 10) || 0;
+
+    atoms.push(makeAtom(
+      element,
+      parseNumber(text.slice(0, 10), lineNumber, 'x coordinate'),
+      parseNumber(text.slice(10, 20), lineNumber, 'y coordinate'),
+      parseNumber(text.slice(20, 30), lineNumber, 'z coordinate'),
+      V2000_CHARGES[chargeCode] || 0
+    ));
+  }
+
+  const bonds = [];
+  for (let i = 0; i < bondCount; i++) {
+    const index = 4 + atomCount + i;
+    const lineNumber = lineOffset + index + 1;
+    const text = lines[index];
+    if (text === undefined || text.startsWith('M  END')) {
+      throw new ParseError(`Expected ${bondCount} bonds but found ${i}`, lineNumber);
+    }
+
+    bonds.push(makeBond(
+      parseInteger(text.slice(0, 3), lineNumber, 'bond atom index'),
+      parseInteger(text.slice(3, 6), lineNumber, 'bond atom index'),
+      parseInteger(text.slice(6, 9), lineNumber, 'bond type'),
+      atomCount,
+      lineNumber
+    ));
+  }
+
+  // Property block: "M  CHG" supersedes the charge column of the atom block
+  for (let index = 4 + atomCount + bondCount; index < lines.length; index++) {
+    const text = lines[index];
+    const lineNumber = lineOffset + index + 1;
+    if (text.startsWith('M  END')) break;
+    if (!text.startsWith('M  CHG')) continue;
+
+    const fields = text.slice(6).trim().split(/\s+/).map(f => parseInteger(f, lineNumber, 'charge entry'));
+    for (let k = 1; k + 1 < fields.length; k += 2) {
+      const atom = atoms[fields[k] - 1];
+      if (!atom) {
+        throw new ParseError(`Charge refers to missing atom ${fields[k]}`, lineNumber);
+      }
+      if (fields[k + 1]) {
+        atom.charge = fields[k + 1];
+      } else {
+        delete atom.charge;
+      }
+    }
+  }
+
+  return { atoms, bonds };
+}
+
+function parseMolV3000(lines, lineOffset) {
+  // Join "-" continuation lines while remembering where each entry started
+  const entries = [];
+  for (let index = 4; index < lines.length; index++) {
+    const text = lines[index];
+    if (text.startsWith('M  END')) break;
+    if (!text.startsWith('M  V30 ')) continue;
+
+    let body = text.slice(7);
+    const lineNumber = lineOffset + index + 1;
+    while (body.endsWith('-') && index + 1 < lines.length) {
+      index++;
+      body = body.slice(0, -1) + lines[index].replace(/^M {2}V30 /, '');
+    }
+    entries.push({ body: body.trim(), lineNumber });
+  }
+
+  const atoms = [];
+  const bonds = [];
+  const atomIndexById = new Map();
+  let block = null;
+  let atomCount = null;
+
+  entries.forEach(({ body, lineNumber }) => {
+    const fields = body.split(/\s+/);
+    if (fields[0] === 'BEGIN') {
+      block = fields[1];
+      return;
+    }
+    if (fields[0] === 'END') {
+      block = null;
+      return;
+    }
+    if (fields[0] === 'COUNTS') {
+      atomCount = parseInteger(fields[1], lineNumber, 'atom count');
+      return;
+    }
+
+    if (block === 'ATOM') {
+      if (fields.length < 5) {
+        throw new ParseError('Expected index, element and x, y, z coordinates', lineNumber);
+      }
+      const element = normalizeElement(fields[1]);
+      if (!element) {
+        throw new ParseError(`Invalid element "${fields[1]}"`, lineNumber);
+      }
+      const chargeField = fields.slice(6).find(f => f.startsWith('CHG='));
+      atomIndexById.set(fields[0], atoms.length);
+      atoms.push(makeAtom(
+        element,
+        parseNumber(fields[2], lineNumber, 'x coordinate'),
+        parseNumber(fields[3], lineNumber, 'y coordinate'),
+        parseNumber(fields[4], lineNumber, 'z coordinate'),
+        chargeField ? parseInteger(chargeField.slice(4), lineNumber, 'charge') : 0
+      ));
+    } else if (block === 'BOND') {
+      if (fields.length < 4) {
+        throw new ParseError('Expected index, bond type and two atom indices', lineNumber);
+      }
+      const from = atomIndexById.get(fields[2]);
+      const to = atomIndexById.get(fields[3]);
+      if (from === undefined || to === undefined) {
+        throw new ParseError(`Bond refers to missing atom ${from === undefined ? fields[2] : fields[3]}`, lineNumber);
+      }
+      bonds.push(makeBond(from + 1, to + 1, parseInteger(fields[1], lineNumber, 'bond type'), atoms.length, lineNumber));
+    }
+  });
+
+  if (atomCount !== null && atomCount !== atoms.length) {
+    throw new ParseError(`COUNTS declares ${atomCount} atoms but the ATOM block has ${atoms.length}`, lineOffset + lines.length);
+  }
+
+  return { atoms, bonds };
+}
+
+function makeBond(from, to, type, atomCount, line) {
+  if (from < 1 || from > atomCount || to < 1 || to > atomCount) {
+    throw new ParseError(`Bond refers to missing atom ${from < 1 || from > atomCount ? from : to}`, line);
+  }
+  if (type < 1 || type > 4) {
+    throw new ParseError(`Unsupported bond type ${type}`, line);
+  }
+
+  const bond = { from: from - 1, to: to - 1, order: type === 4 ? 1.5 : type };
+  if (type === 4) bond.aromatic = true;
+  return bond;
+}
+
+export function parseSDF(content) {
+  const lines = content.split(/\r?\n/);
+  const molecules = [];
+  let start = 0;
+
+  for (let index = 0; index <= lines.length; index++) {
+    if (index < lines.length && lines[index].trim() !== '$$$$') continue;
+
+    const record = lines.slice(start, index);
+    if (record.some(line => line.trim())) {
+      const molecule = parseMol(record.join('\n'), start);
+
+      // Use a <NAME> data field when the header line is blank
+      const nameField = record.findIndex(line => /^>.*<NAME>/i.test(line));
+      if (nameField >= 0 && molecule.name === 'Imported molecule' && record[nameField + 1]) {
+        molecule.name = record[nameField + 1].trim();
+      }
+      molecules.push(molecule);
+    }
+    start = index + 1;
+  }
+
+  if (molecules.length === 0) {
+    throw new ParseError('SDF file contains no records');
+  }
+  return molecules;
+}
+
+export function parsePDB(content) {
+  const lines = content.split(/\r?\n/);
+  const atoms = [];
+  const indexBySerial = new Map();
+  const connections = new Map();
+  const secondaryStructure = [];
+  // Coordinates of the models after the first, as trajectory frames
+  const frames = [];
+  let model = 0;
+  let frame = [];
+  let name = null;
+  let altLoc = null;
+
+  const endModel = lineNumber => {
+    if (model > 0 && frame.length > 0) {
+      frames.push(checkFrame(frame, atoms.length, `Model ${model + 1}`, lineNumber));
+    }
+    model++;
+    frame = [];
+  };
+
+  lines.forEach((text, index) => {
+    const lineNumber = index + 1;
+    const record = text.slice(0, 6).trim();
+
+    if (record === 'ENDMDL') {
+      endModel(lineNumber);
+    } else if ((record === 'COMPND' || record === 'TITLE') && !name) {
+      name = text.slice(10).replace(/^\s*MOLECULE:\s*/, '').replace(/;\s*$/, '').trim() || null;
+    } else if (record === 'HELIX') {
+      secondaryStructure.push(residueRange('helix', text.slice(19, 20), text.slice(21, 25), text.slice(33, 37), lineNumber));
+    } else if (record === 'SHEET') {
+      secondaryStructure.push(residueRange('sheet', text.slice(21, 22), text.slice(22, 26), text.slice(33, 37), lineNumber));
+    } else if (record === 'ATOM' || record === 'HETATM') {
+      // Keep the first alternate location of disordered atoms
+      const location = text.slice(16, 17).trim();
+      if (location) {
+        altLoc = altLoc || location;
+        if (location !== altLoc) return;
+      }
+
+      if (model > 0) {
+        frame.push(
+          parseNumber(text.slice(30, 38), lineNumber, 'x coordinate'),
+          parseNumber(text.slice(38, 46), lineNumber, 'y coordinate'),
+          parseNumber(text.slice(46, 54), lineNumber, 'z coordinate')
+        );
+        return;
+      }
+
+      const serial = parseInteger(text.slice(6, 11), lineNumber, 'atom serial number');
+      const atomName = text.slice(12, 16);
+
+      // Columns 77-78 hold the element; older files only have the atom name
+      let element = normalizeElement(text.slice(76, 78));
+      if (!element) {
+        // Element names are right-justified: " CA " is an alpha carbon, "CA  " is calcium
+        const trimmed = atomName.trim().replace(/^\d+/, '');
+        const oneLetter = atomName[0] === ' ' || /^\d/.test(atomName);
+        element = normalizeElement(oneLetter ? trimmed.slice(0, 1) : trimmed.slice(0, 2));
+      }
+      if (!element) {
+        throw new ParseError(`Cannot determine element for atom "${atomName.trim()}"`, lineNumber);
+      }
+
+      const chargeText = text.slice(78, 80).trim();
+      const charge = chargeText ? parseInt(chargeText.slice(-1) + chargeText.slice(0, -1), 10) || 0 : 0;
+
+      indexBySerial.set(serial, atoms.length);
+      atoms.push(addResidueFields(makeAtom(
+        element,
+        parseNumber(text.slice(30, 38), lineNumber, 'x coordinate'),
+        parseNumber(text.slice(38, 46), lineNumber, 'y coordinate'),
+        parseNumber(text.slice(46, 54), lineNumber, 'z coordinate'),
+        charge
+      ), {
+        name: atomName,
+        residue: text.slice(17, 20),
+        residueNumber: text.slice(22, 26),
+        insertionCode: text.slice(26, 27),
+        chain: text.slice(21, 22),
+        hetero: record === 'HETATM'
+      }, lineNumber));
+    } else if (record === 'CONECT') {
+      const serial = parseInteger(text.slice(6, 11), lineNumber, 'atom serial number');
+      for (let column = 11; column < 31; column += 5) {
+        const field = text.slice(column, column + 5).trim();
+        if (!field) continue;
+        const partner = parseInteger(field, lineNumber, 'bonded atom serial number');
+        if (!connections.has(serial)) connections.set(serial, []);
+        connections.get(serial).push({ partner, lineNumber });
+      }
+    }
+  });
+
+  if (atoms.length === 0) {
+    throw new ParseError('PDB file contains no ATOM or HETATM records');
+  }
+  // The last model may end at END instead of ENDMDL
+  endModel(lines.length);
+
+  // Repeated CONECT entries encode bond order; records list both directions
+  const bonds = new Map();
+  connections.forEach((partners, serial) => {
+    const counts = new Map();
+    partners.forEach(({ partner, lineNumber }) => {
+      if (!indexBySerial.has(serial) || !indexBySerial.has(partner)) {
+        throw new ParseError(`CONECT refers to missing atom ${indexBySerial.has(serial) ? partner : serial}`, lineNumber);
+      }
+      counts.set(partner, (counts.get(partner) || 0) + 1);
+    });
+
+    counts.forEach((count, partner) => {
+      const from = indexBySerial.get(serial);
+      const to = indexBySerial.get(partner);
+      const key = from < to ? `${from}-${to}` : `${to}-${from}`;
+      const order = Math.min(count, 3);
+      if (!bonds.has(key)) {
+        bonds.set(key, { from: Math.min(from, to), to: Math.max(from, to), order });
+      } else {
+        bonds.get(key).order = Math.max(bonds.get(key).order, order);
+      }
+    });
+  });
+
+  const molecule = {
+    name: name || 'Imported structure',
+    formula: hillFormula(atoms),
+    atoms,
+    bonds: Array.from(bonds.values())
+  };
+  if (secondaryStructure.length > 0) molecule.secondaryStructure = secondaryStructure;
+  if (frames.length > 0) molecule.frames = [frameCoordinates(atoms), ...frames];
+  return molecule;
+}
+
+// Every frame of a trajectory lists the same atoms in the same order
+function checkFrame(coordinates, atomCount, what, line) {
+  if (coordinates.length !== atomCount * 3) {
+    throw new ParseError(`${what} has ${coordinates.length / 3} atoms, expected ${atomCount}`, line);
+  }
+  return coordinates;
+}
+
+/**
+ * Copy PDB or mmCIF residue columns onto an atom, leaving out blank ones.
+ * `hetero` marks HETATM records: ligands, ions and water.
+ */
+function addResidueFields(atom, { name, residue, residueNumber, insertionCode, chain, hetero }, line) {
+  const fields = {
+    name: blankToNull(name),
+    residue: blankToNull(residue),
+    residueNumber: blankToNull(residueNumber),
+    insertionCode: blankToNull(insertionCode),
+    chain: blankToNull(chain)
+  };
+  if (fields.name) atom.name = fields.name;
+  if (fields.residue) atom.residue = fields.residue;
+  if (fields.residueNumber !== null) atom.residueNumber = parseInteger(fields.residueNumber, line, 'residue number');
+  if (fields.insertionCode) atom.insertionCode = fields.insertionCode;
+  if (fields.chain) atom.chain = fields.chain;
+  if (hetero) atom.hetero = true;
+  return atom;
+}
+
+// mmCIF writes "." and "?" for missing values
+function blankToNull(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return text === '' || text === '.' || text === '?' ? null : text;
+}
+
+// A HELIX or SHEET range of residue numbers, inclusive
+function residueRange(type, chain, start, end, line) {
+  const range = { type };
+  if (blankToNull(chain)) range.chain = blankToNull(chain);
+  range.start = parseInteger(start, line, 'residue number');
+  range.end = parseInteger(end, line, 'residue number');
+  return range;
+}
+
+/**
+ * Parse the first data block of a PDBx/mmCIF file: atoms from _atom_site
+ * (later models become trajectory frames) and helices and strands from _struct_conf and
+ * _struct_sheet_range. Author chain and residue numbering is preferred over
+ * the label scheme so residues match the PDB format. mmCIF keeps bonds in
+ * separate dictionaries, so structures come back without bonds.
+ */
+export function parseCIF(content) {
+  const { blockName, categories } = readCIFBlock(content);
+  const rows = categories.get('_atom_site');
+  if (!rows || rows.length === 0) {
+    throw new ParseError('mmCIF file contains no _atom_site records');
+  }
+
+  const atoms = [];
+  const model = blankToNull(rows[0].pdbx_PDB_model_num);
+  // Coordinates of later models by model number, as trajectory frames
+  const frames = new Map();
+  let altLoc = null;
+  rows.forEach(row => {
+    const { line } = row;
+    const location = blankToNull(row.label_alt_id);
+    if (location) {
+      altLoc = altLoc || location;
+      if (location !== altLoc) return;
+    }
+
+    const rowModel = blankToNull(row.pdbx_PDB_model_num);
+    if (rowModel !== model) {
+      if (!frames.has(rowModel)) frames.set(rowModel, { coordinates: [], line });
+      frames.get(rowModel).coordinates.push(
+        parseNumber(row.Cartn_x, line, 'x coordinate'),
+        parseNumber(row.Cartn_y, line, 'y coordinate'),
+        parseNumber(row.Cartn_z, line, 'z coordinate')
+      );
+      return;
+    }
+
+    const atomName = blankToNull(row.auth_atom_id) || blankToNull(row.label_atom_id) || '';
+    const element = normalizeElement(blankToNull(row.type_symbol) || atomName.replace(/^\d+/, '').slice(0, 1));
+    if (!element) {
+      throw new ParseError(`Cannot determine element for atom "${atomName}"`, line);
+    }
+
+    const charge = blankToNull(row.pdbx_formal_charge);
+    atoms.push(addResidueFields(makeAtom(
+      element,
+      parseNumber(row.Cartn_x, line, 'x coordinate'),
+      parseNumber(row.Cartn_y, line, 'y coordinate'),
+      parseNumber(row.Cartn_z, line, 'z coordinate'),
+      charge ? parseInteger(charge, line, 'formal charge') : 0
+    ), {
+      name: atomName,
+      residue: blankToNull(row.auth_comp_id) || row.label_comp_id,
+      residueNumber: blankToNull(row.auth_seq_id) || row.label_seq_id,
+      insertionCode: row.pdbx_PDB_ins_code,
+      chain: blankToNull(row.auth_asym_id) || row.label_asym_id,
+      hetero: row.group_PDB === 'HETATM'
+    }, line));
+  });
+
+  const range = (type, row) => residueRange(
+    type,
+    blankToNull(row.beg_auth_asym_id) || row.beg_label_asym_id,
+    blankToNull(row.beg_auth_seq_id) || row.beg_label_seq_id,
+    blankToNull(row.end_auth_seq_id) || row.end_label_seq_id,
+    row.line
+  );
+  const secondaryStructure = [
+    ...(categories.get('_struct_conf') || [])
+      .filter(row => /^HELX/i.test(row.conf_type_id || ''))
+      .map(row => range('helix', row)),
+    ...(categories.get('_struct_sheet_range') || []).map(row => range('sheet', row))
+  ];
+
+  const title = categories.get('_struct')?.[0]?.title;
+  const molecule = {
+    name: blankToNull(title) || blockName || 'Imported structure',
+    formula: hillFormula(atoms),
+    atoms,
+    bonds: []
+  };
+  if (secondaryStructure.length > 0) molecule.secondaryStructure = secondaryStructure;
+  if (frames.size > 0) {
+    molecule.frames = [
+      frameCoordinates(atoms),
+      ...Array.from(frames, ([number, { coordinates, line }]) =>
+        checkFrame(coordinates, atoms.length, `Model ${number}`, line))
+    ];
+  }
+  return molecule;
+}
+
+// Reserved words that end a loop's values when unquoted
+const CIF_RESERVED = /^(_|loop_$|data_|save_|global_$|stop_$)/i;
+
+/**
+ * Read the first data block of a CIF file into a map from category name
+ * (such as "_atom_site") to rows of { field: value, line }. Single-valued
+ * items become a category with one row.
+ */
+function readCIFBlock(content) {
+  const tokens = tokenizeCIF(content);
+  const categories = new Map();
+  let blockName = null;
+
+  for (let i = 0; i < tokens.length;) {
+    const { value, quoted, line } = tokens[i];
+
+    if (!quoted && /^data_/i.test(value)) {
+      if (blockName !== null) break;
+      blockName = value.slice(5);
+      i++;
+    } else if (!quoted && /^loop_$/i.test(value)) {
+      i++;
+      const fields = [];
+      while (i < tokens.length && !tokens[i].quoted && tokens[i].value.startsWith('_')) {
+        fields.push(tokens[i].value);
+        i++;
+      }
+      const values = [];
+      while (i < tokens.length && (tokens[i].quoted || !CIF_RESERVED.test(tokens[i].value))) {
+        values.push(tokens[i]);
+        i++;
+      }
+      if (fields.length === 0 || values.length % fields.length !== 0) {
+        throw new ParseError(`Loop has ${values.length} values for ${fields.length} columns`, line);
+      }
+
+      const category = fields[0].split('.')[0];
+      const names = fields.map(field => field.split('.')[1]);
+      const rows = [];
+      for (let start = 0; start < values.length; start += names.length) {
+        const row = { line: values[start].line };
+        names.forEach((name, column) => {
+          row[name] = values[start + column].value;
+        });
+        rows.push(row);
+      }
+      categories.set(category, rows);
+    } else if (!quoted && value.startsWith('_')) {
+      const item = tokens[i + 1];
+      if (!item || (!item.quoted && CIF_RESERVED.test(item.value))) {
+        throw new ParseError(`Missing value for ${value}`, line);
+      }
+      const [category, name] = value.split('.');
+      if (!categories.has(category)) categories.set(category, [{ line }]);
+      categories.get(category)[0][name] = item.value;
+      i += 2;
+    } else {
+      i++;
+    }
+  }
+
+  return { blockName, categories };
+}
+
+// Split CIF text into values, handling quotes, semicolon text fields and comments
+function tokenizeCIF(content) {
+  const lines = content.split(/\r?\n/);
+  const tokens = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const text = lines[index];
+    if (text.startsWith(';')) {
+      const start = index;
+      const parts = [text.slice(1)];
+      for (index++; index < lines.length && !lines[index].startsWith(';'); index++) {
+        parts.push(lines[index]);
+      }
+      if (index === lines.length) {
+        throw new ParseError('Unterminated text field', start + 1);
+      }
+      tokens.push({ value: parts.join('\n').trim(), quoted: true, line: start + 1 });
+      continue;
+    }
+
+    for (const match of text.matchAll(/'(.*?)'(?=\s|$)|"(.*?)"(?=\s|$)|(\S+)/g)) {
+      if (match[3]?.startsWith('#')) break;
+      tokens.push({ value: match[1] ?? match[2] ?? match[3], quoted: match[3] === undefined, line: index + 1 });
+    }
+  }
+
+  return tokens;
+}
+
+export const EXPORT_MIME_TYPES = {
+  xyz: 'chemical/x-xyz',
+  mol: 'chemical/x-mdl-molfile',
+  sdf: 'chemical/x-mdl-sdfile',
+  pdb: 'chemical/x-pdb',
+  cif: 'chemical/x-mmcif'
+};
+
+const V2000_CHARGE_CODES = Object.fromEntries(
+  Object.entries(V2000_CHARGES).map(([code, charge]) => [charge, Number(code)])
+);
+
+/**
+ * Serialize a molecule to one of SUPPORTED_FORMATS.
+ */
+export function writeMolecule(molecule, format) {
+  switch (format) {
+    case 'xyz':
+      return writeXYZ(molecule);
+    case 'mol':
+      return writeMol(molecule);
+    case 'sdf':
+      return writeSDF([molecule]);
+    case 'pdb':
+      return writePDB(molecule);
+    case 'cif':
+      return writeCIF(molecule);
+    default:
+      throw new ParseError(`Unsupported format: ${format}`);
+  }
+}
+
+const fixed = (value, width, digits) => value.toFixed(digits).padStart(width);
+const int = (value, width) => String(value).padStart(width);
+
+// Trajectories are written as one XYZ record per frame
+export function writeXYZ(molecule) {
+  const lines = [];
+  frameAtoms(molecule).forEach(atoms => {
+    lines.push(String(atoms.length), molecule.name || '');
+    atoms.forEach(atom => {
+      lines.push(`${atom.element.padEnd(2)} ${fixed(atom.x, 12, 6)} ${fixed(atom.y, 12, 6)} ${fixed(atom.z, 12, 6)}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// The atoms at each trajectory frame, or just the atoms without frames
+function frameAtoms(molecule) {
+  if (!molecule.frames) return [molecule.atoms];
+  return molecule.frames.map(frame => molecule.atoms.map((atom, i) => ({
+    ...atom, x: frame[i * 3], y: frame[i * 3 + 1], z: frame[i * 3 + 2]
+  })));
+}
+
+export function writeMol(molecule) {
+  const lines = [
+    molecule.name || '',
+    '  MOLECULAI        3D',
+    '',
+    `${int(molecule.atoms.length, 3)}${int(molecule.bonds.length, 3)}  0  0  0  0  0  0  0  0999 V2000`
+  ];
+
+  molecule.atoms.forEach(atom => {
+    const chargeCode = V2000_CHARGE_CODES[atom.charge || 0] || 0;
+    lines.push(
+      `${fixed(atom.x, 10, 4)}${fixed(atom.y, 10, 4)}${fixed(atom.z, 10, 4)} ` +
+      `${atom.element.padEnd(3)} 0${int(chargeCode, 3)}  0  0  0  0  0  0  0  0  0  0`
+    );
+  });
+
+  molecule.bonds.forEach(bond => {
+    const type = bond.aromatic || bond.order === 1.5 ? 4 : Math.round(bond.order);
+    lines.push(`${int(bond.from + 1, 3)}${int(bond.to + 1, 3)}${int(type, 3)}  0`);
+  });
+
+  // Charges outside the -3..+3 column range only fit in the property block
+  const charged = molecule.atoms
+    .map((atom, index) => ({ index, charge: atom.charge || 0 }))
+    .filter(entry => entry.charge !== 0);
+  for (let i = 0; i < charged.length; i += 8) {
+    const chunk = charged.slice(i, i + 8);
+    lines.push(`M  CHG${int(chunk.length, 3)}${chunk.map(e => `${int(e.index + 1, 4)}${int(e.charge, 4)}`).join('')}`);
+  }
+
+  lines.push('M  END');
+  return `${lines.join('\n')}\n`;
+}
+
+export function writeSDF(molecules) {
+  return molecules.map(molecule => {
+    const fields = [['NAME', molecule.name], ['FORMULA', molecule.formula]]
+      .filter(([, value]) => value)
+      .map(([key, value]) => `> <${key}>\n${value}\n`)
+      .join('\n');
+    return `${writeMol(molecule)}${fields}\n$$$$\n`;
+  }).join('');
+}
+
+export function writePDB(molecule) {
+  const lines = [];
+  if (molecule.name) {
+    lines.push(`COMPND    ${molecule.name.toUpperCase()}`);
+  }
+  lines.push(...pdbSecondaryStructure(molecule));
+
+  // Trajectory frames become MODEL records
+  const models = frameAtoms(molecule);
+  models.forEach((atoms, model) => {
+    if (models.length > 1) lines.push(`MODEL     ${int(model + 1, 4)}`);
+    lines.push(...pdbAtomRecords(atoms));
+    if (models.length > 1) lines.push('ENDMDL');
+  });
+
+  // CONECT lists each neighbour once per bond order, four per record
+  const partners = molecule.atoms.map(() => []);
+  molecule.bonds.forEach(bond => {
+    const repeat = bond.aromatic ? 1 : Math.max(1, Math.round(bond.order));
+    for (let i = 0; i < repeat; i++) {
+      partners[bond.from].push(bond.to + 1);
+      partners[bond.to].push(bond.from + 1);
+    }
+  });
+  partners.forEach((list, index) => {
+    for (let i = 0; i < list.length; i += 4) {
+      lines.push(`CONECT${int(index + 1, 5)}${list.slice(i, i + 4).map(serial => int(serial, 5)).join('')}`);
+    }
+  });
+
+  lines.push('END');
+  return `${lines.join('\n')}\n`;
+}
+
+// ATOM and HETATM records for one model
+function pdbAtomRecords(atoms) {
+  const lines = [];
+  const elementCounts = {};
+  atoms.forEach((atom, index) => {
+    elementCounts[atom.element] = (elementCounts[atom.element] || 0) + 1;
+    // One-letter elements start in column 14 so the element stays aligned
+    const label = atom.name || `${atom.element.toUpperCase()}${elementCounts[atom.element]}`;
+    const atomName = atom.element.length === 1 && label.length < 4 ? ` ${label.padEnd(3)}` : label.padEnd(4);
+    const charge = atom.charge ? `${Math.abs(atom.charge)}${atom.charge > 0 ? '+' : '-'}` : '  ';
+    // Atoms without residue data are written as one unknown ligand
+    const record = atom.residue && !atom.hetero ? 'ATOM  ' : 'HETATM';
+    const residue = (atom.residue || 'UNL').slice(0, 3).padStart(3);
+
+    lines.push(
+      `${record}${int(index + 1, 5)} ${atomName.slice(0, 4)} ${residue} ${(atom.chain || 'A').slice(0, 1)}` +
+      `${int(atom.residueNumber ?? 1, 4)}${(atom.insertionCode || ' ').slice(0, 1)}   ` +
+      `${fixed(atom.x, 8, 3)}${fixed(atom.y, 8, 3)}${fixed(atom.z, 8, 3)}` +
+      `  1.00  0.00          ${atom.element.toUpperCase().padStart(2)}${charge}`
+    );
+  });
+  return lines;
+}
+
+// Residue name at the first atom of a residue, for HELIX and SHEET records
+function residueName(molecule, chain, number) {
+  const atom = molecule.atoms.find(a => a.residueNumber === number && (a.chain || null) === (chain || null));
+  return (atom?.residue || 'UNK').slice(0, 3).padStart(3);
+}
+
+// HELIX and SHEET records; every strand is written as its own one-strand sheet
+function pdbSecondaryStructure(molecule) {
+  const ranges = molecule.secondaryStructure || [];
+  const ends = range => {
+    const chain = (range.chain || ' ').slice(0, 1);
+    return [
+      `${residueName(molecule, range.chain, range.start)} ${chain}`,
+      `${residueName(molecule, range.chain, range.end)} ${chain}`
+    ];
+  };
+
+  const helices = ranges.filter(range => range.type === 'helix').map((range, index) => {
+    const [first, last] = ends(range);
+    const record = `HELIX  ${int(index + 1, 3)} ${int(index + 1, 3)} ${first} ${int(range.start, 4)}  ${last} ${int(range.end, 4)}  1`;
+    return `${record.padEnd(71)}${int(range.end - range.start + 1, 5)}`;
+  });
+  const strands = ranges.filter(range => range.type === 'sheet').map((range, index) => {
+    const [first, last] = ends(range);
+    return `SHEET  ${int(index + 1, 3)} ${int(index + 1, 3)} 1 ${first}${int(range.start, 4)}  ${last}${int(range.end, 4)}  0`;
+  });
+
+  return [...helices, ...strands];
+}
+
+/**
+ * Write an mmCIF file with an _atom_site loop and, when present, helix and
+ * strand ranges. Bonds are not written; they are perceived again on import.
+ */
+export function writeCIF(molecule) {
+  const blockName = (molecule.name || 'molecule').replace(/[^A-Za-z0-9_-]+/g, '_');
+  const lines = [`data_${blockName}`, '#'];
+  if (molecule.name) {
+    lines.push(`_struct.title ${cifValue(molecule.name)}`, '#');
+  }
+
+  const loop = (fields, rows) => {
+    lines.push('loop_', ...fields.map(field => `_${field}`));
+    rows.forEach(row => lines.push(row.map(cifValue).join(' ')));
+    lines.push('#');
+  };
+
+  loop(
+    ['atom_site.group_PDB', 'atom_site.id', 'atom_site.type_symbol', 'atom_site.label_atom_id',
+      'atom_site.label_comp_id', 'atom_site.label_asym_id', 'atom_site.label_seq_id',
+      'atom_site.pdbx_PDB_ins_code', 'atom_site.Cartn_x', 'atom_site.Cartn_y', 'atom_site.Cartn_z',
+      'atom_site.pdbx_formal_charge', 'atom_site.auth_seq_id', 'atom_site.auth_asym_id',
+      'atom_site.pdbx_PDB_model_num'],
+    // Trajectory frames are written as further models
+    frameAtoms(molecule).flatMap((atoms, model) => atoms.map((atom, index) => [
+      atom.residue && !atom.hetero ? 'ATOM' : 'HETATM',
+      model * atoms.length + index + 1,
+      atom.element,
+      atom.name || `${atom.element}${index + 1}`,
+      atom.residue || 'UNL',
+      atom.chain || 'A',
+      atom.residueNumber ?? 1,
+      atom.insertionCode || '?',
+      atom.x.toFixed(3),
+      atom.y.toFixed(3),
+      atom.z.toFixed(3),
+      atom.charge || 0,
+      atom.residueNumber ?? 1,
+      atom.chain || 'A',
+      model + 1
+    ]))
+  );
+
+  const ranges = molecule.secondaryStructure || [];
+  const helices = ranges.filter(range => range.type === 'helix');
+  const strands = ranges.filter(range => range.type === 'sheet');
+  if (helices.length > 0) {
+    loop(
+      ['struct_conf.conf_type_id', 'struct_conf.id', 'struct_conf.beg_auth_asym_id',
+        'struct_conf.beg_auth_seq_id', 'struct_conf.end_auth_asym_id', 'struct_conf.end_auth_seq_id'],
+      helices.map((range, index) => ['HELX_P', `HELX_P${index + 1}`, range.chain || '?', range.start, range.chain || '?', range.end])
+    );
+  }
+  if (strands.length > 0) {
+    loop(
+      ['struct_sheet_range.sheet_id', 'struct_sheet_range.id', 'struct_sheet_range.beg_auth_asym_id',
+        'struct_sheet_range.beg_auth_seq_id', 'struct_sheet_range.end_auth_asym_id', 'struct_sheet_range.end_auth_seq_id'],
+      strands.map((range, index) => ['A', index + 1, range.chain || '?', range.start, range.chain || '?', range.end])
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Quote CIF values that contain whitespace or could be read as syntax
+function cifValue(value) {
+  const text = String(value);
+  if (text === '' || /[\s'"#]/.test(text) || /^[_$;[]/.test(text) || CIF_RESERVED.test(text)) {
+    return text.includes("'") ? `"${text}"` : `'${text}'`;
+  }
+  return text;
+}
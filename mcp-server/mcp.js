@@ -0,0 +1,140 @@
+/**
+ * Model Context Protocol bindings for the molecule database
+ * Exposes MoleculeServer queries as MCP tools and each molecule as an MCP resource
+ */
+
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { z } from 'zod';
+
+const MOLECULE_URI_PREFIX = 'molecule://';
+
+const jsonResult = (data) => ({
+  content: [{ type: 'text', text: JSON.stringify(data, null, 2) }]
+});
+
+const notFoundResult = (id) => ({
+  isError: true,
+  content: [{ type: 'text', text: `Molecule not found: ${id}` }]
+});
+
+export function createMcpServer(moleculeServer) {
+  const server = new McpServer({ name: 'moleculai-molecules', version: '1.0.0' });
+
+  server.registerTool('getAllMolecules', {
+    description: 'List every molecule in the database with its id, name and formula'
+  }, async () => jsonResult(moleculeServer.getAllMolecules()));
+
+  server.registerTool('getMolecule', {
+    description: 'Get the full 3D structure (atoms with coordinates in angstroms and bonds) of a molecule',
+    inputSchema: { id: z.string().describe('Molecule id, e.g. "benzene"') }
+  }, async ({ id }) => {
+    const molecule = moleculeServer.getMolecule(id);
+    return molecule ? jsonResult(molecule) : notFoundResult(id);
+  });
+
+  server.registerTool('getElementsInMolecule', {
+    description: 'Count the atoms of each element in a molecule',
+    inputSchema: { id: z.string().describe('Molecule id, e.g. "ethanol"') }
+  }, async ({ id }) => {
+    const elements = moleculeServer.getElementsInMolecule(id);
+    return elements ? jsonResult(elements) : notFoundResult(id);
+  });
+
+  server.registerTool('searchMolecules', {
+    description: 'Search molecules by a case-insensitive substring of their name or formula',
+    inputSchema: { query: z.string().describe('Text to look for in names and formulas') }
+  }, async ({ query }) => jsonResult(moleculeServer.searchMolecules(query)));
+
+  server.registerResource(
+    'molecule',
+    new ResourceTemplate(`${MOLECULE_URI_PREFIX}{id}`, {
+      list: async () => ({
+        resources: moleculeServer.getAllMolecules().map(mol => ({
+          uri: `${MOLECULE_URI_PREFIX}${mol.id}`,
+          name: mol.name,
+          description: `${mol.name} (${mol.formula})`,
+          mimeType: 'application/json'
+        }))
+      })
+    }),
+    {
+      description: 'Molecule structure that can be loaded into the MOLECULAI viewer',
+      mimeType: 'application/json'
+    },
+    async (uri, { id }) => {
+      const molecule = moleculeServer.getMolecule(id);
+      if (!molecule) {
+        throw new Error(`Molecule not found: ${id}`);
+      }
+      return {
+        contents: [{
+          uri: uri.href,
+          mimeType: 'application/json',
+          text: JSON.stringify(molecule)
+        }]
+      };
+    }
+  );
+
+  return server;
+}
+
+/**
+ * Mount the MCP HTTP transports on an Express app:
+ * - `POST {basePath}` is the stateless Streamable HTTP endpoint
+ * - `GET {basePath}/sse` plus `POST {basePath}/messages` is the legacy HTTP+SSE transport
+ */
+export function mountMcpRoutes(app, moleculeServer, basePath = '/mcp') {
+  const sseTransports = new Map();
+
+  app.post(basePath, async (req, res) => {
+    // A fresh server per request keeps the endpoint stateless
+    const server = createMcpServer(moleculeServer);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: undefined,
+      enableJsonResponse: true
+    });
+
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      console.error('MCP request error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          jsonrpc: '2.0',
+          error: { code: -32603, message: 'Internal server error' },
+          id: null
+        });
+      }
+    }
+  });
+
+  app.get(`${basePath}/sse`, async (req, res) => {
+    const server = createMcpServer(moleculeServer);
+    const transport = new SSEServerTransport(`${basePath}/messages`, res);
+    sseTransports.set(transport.sessionId, transport);
+
+    res.on('close', () => {
+      sseTransports.delete(transport.sessionId);
+      server.close();
+    });
+
+    await server.connect(transport);
+  });
+
+  app.post(`${basePath}/messages`, async (req, res) => {
+    const transport = sseTransports.get(req.query.sessionId);
+    if (!transport) {
+      return res.status(404).json({ error: 'MCP session not found' });
+    }
+    await transport.handlePostMessage(req, res, req.body);
+  });
+}
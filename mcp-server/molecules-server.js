@@ -3,6 +3,24 @@
  * Serves molecular structures and chemical data to the visualization frontend
  */
 
+import {
+  detectFormat,
+  hillFormula,
+  parseMolecules,
+  ParseError,
+  SUPPORTED_FORMATS
+} from './formats.js';
+import { smilesToGraph, SmilesSizeError, MAX_SMILES_ATOMS } from './smiles.js';
+import { embedMolecule } from './embed.js';
+import { perceiveBonds } from './bonds.js';
+import { validateMolecule } from './validation.js';
+import { parseSearchCriteria, searchMolecules } from './search.js';
+import { morganFingerprint, tanimoto } from './fingerprint.js';
+import { assignSecondaryStructure, getChains, residueFields } from './biopolymer.js';
+import { generateConformers } from './conformers.js';
+import { minimizeMolecule } from './forcefield.js';
+import { depictMolecule } from './depict.js';
+
 // Sample molecular database
 const moleculeDatabase = {
   water: {
@@ -112,27 +130,119 @@ const moleculeDatabase = {
   }
 };
 
+// Small species that only appear as reaction participants, not in the catalog
+const reactionSpecies = {
+  oxygen: {
+    id: 'oxygen',
+    name: 'Oxygen',
+    formula: 'O2',
+    atoms: [
+      { element: 'O', x: 0.604, y: 0, z: 0 },
+      { element: 'O', x: -0.604, y: 0, z: 0 }
+    ],
+    bonds: [
+      { from: 0, to: 1, order: 2 }
+    ]
+  },
+  hydrogen: {
+    id: 'hydrogen',
+    name: 'Hydrogen',
+    formula: 'H2',
+    atoms: [
+      { element: 'H', x: 0.371, y: 0, z: 0 },
+      { element: 'H', x: -0.371, y: 0, z: 0 }
+    ],
+    bonds: [
+      { from: 0, to: 1, order: 1 }
+    ]
+  }
+};
+
+// Reaction database. Each side is expanded into an assembly by repeating every
+// participant `coefficient` times in order and concatenating their atoms.
+// `atomMapping[i]` is the product assembly index of reactant assembly atom i.
+const reactionDatabase = {
+  'methane-combustion': {
+    id: 'methane-combustion',
+    name: 'Methane Combustion',
+    reactants: [
+      { moleculeId: 'methane', coefficient: 1 },
+      { moleculeId: 'oxygen', coefficient: 2 }
+    ],
+    products: [
+      { moleculeId: 'co2', coefficient: 1 },
+      { moleculeId: 'water', coefficient: 2 }
+    ],
+    atomMapping: [0, 4, 5, 7, 8, 1, 2, 3, 6]
+  },
+  'hydrogen-combustion': {
+    id: 'hydrogen-combustion',
+    name: 'Hydrogen Combustion',
+    reactants: [
+      { moleculeId: 'hydrogen', coefficient: 2 },
+      { moleculeId: 'oxygen', coefficient: 1 }
+    ],
+    products: [
+      { moleculeId: 'water', coefficient: 2 }
+    ],
+    atomMapping: [1, 2, 4, 5, 0, 3]
+  }
+};
+
+// Gap in angstroms left between neighbouring molecules in a reaction assembly
+const ASSEMBLY_SPACING = 2.0;
+
+// Trajectory frames returned per request when no count is given
+export const FRAME_PAGE_SIZE = 20;
+
+// Molecules one structure file may add to a user's library
+export const MAX_IMPORT_MOLECULES = 50;
+
 export class MoleculeServer {
   constructor() {
     this.database = moleculeDatabase;
+    this.species = reactionSpecies;
+    this.reactions = reactionDatabase;
+    // Fingerprints per molecule object; updated user molecules are new objects
+    this.fingerprints = new WeakMap();
+  }
+
+  /**
+   * List the public catalog, followed by any private molecules passed in
+   * (the requesting user's own entries from the store).
+   */
+  getAllMolecules(privateMolecules = []) {
+    return [
+      ...Object.values(this.database).map(mol => this.summarize(mol)),
+      ...privateMolecules.map(mol => this.summarize(mol))
+    ];
   }
 
-  getAllMolecules() {
-    return Object.values(this.database).map(mol => ({
+  summarize(mol) {
+    const summary = {
       id: mol.id,
       name: mol.name,
       formula: mol.formula
-    }));
+    };
+    if (mol.owner) {
+      summary.owner = mol.owner;
+      summary.version = mol.version;
+    }
+    return summary;
   }
 
+  // Ids come from URLs, so only own entries count: 'toString' is no molecule
   getMolecule(id) {
-    return this.database[id] || null;
+    return Object.hasOwn(this.database, id) ? this.database[id] : null;
   }
 
   getElementsInMolecule(id) {
     const molecule = this.getMolecule(id);
     if (!molecule) return null;
+    return this.countElements(molecule);
+  }
 
+  countElements(molecule) {
     const elementCounts = {};
     molecule.atoms.forEach(atom => {
       elementCounts[atom.element] = (elementCounts[atom.element] || 0) + 1;
@@ -144,18 +254,334 @@ export class MoleculeServer {
     }));
   }
 
-  searchMolecules(query) {
+  searchMolecules(query, privateMolecules = []) {
     const lowerQuery = query.toLowerCase();
-    return Object.values(this.database)
+    return [...Object.values(this.database), ...privateMolecules]
       .filter(mol => 
         mol.name.toLowerCase().includes(lowerQuery) ||
         mol.formula.toLowerCase().includes(lowerQuery)
       )
-      .map(mol => ({
-        id: mol.id,
-        name: mol.name,
-        formula: mol.formula
-      }));
+      .map(mol => this.summarize(mol));
+  }
+
+  /**
+   * Advanced search over the catalog and the given private molecules.
+   * `query` holds raw query-string values (q, substructure, elements,
+   * minWeight, maxWeight, sort, order, page, pageSize); invalid values throw
+   * ParseError. Returns { total, page, pageSize, results }.
+   */
+  queryMolecules(query, privateMolecules = []) {
+    const criteria = parseSearchCriteria(query);
+    return searchMolecules(
+      [...Object.values(this.database), ...privateMolecules],
+      criteria,
+      mol => this.summarize(mol)
+    );
+  }
+
+  getFingerprint(molecule) {
+    if (!this.fingerprints.has(molecule)) {
+      this.fingerprints.set(molecule, morganFingerprint(molecule));
+    }
+    return this.fingerprints.get(molecule);
+  }
+
+  /**
+   * Rank catalog and private molecules by Tanimoto similarity to `molecule`,
+   * keeping those at or above the threshold
+   */
+  findSimilar(molecule, { threshold = 0.7, limit = 10 } = {}, privateMolecules = []) {
+    const fingerprint = this.getFingerprint(molecule);
+
+    return [...Object.values(this.database), ...privateMolecules]
+      .filter(candidate => candidate.id !== molecule.id)
+      .map(candidate => ({
+        ...this.summarize(candidate),
+        similarity: Math.round(tanimoto(fingerprint, this.getFingerprint(candidate)) * 1000) / 1000
+      }))
+      .filter(result => result.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  }
+
+  /**
+   * Validate a molecule body (see validation.js). Returns
+   * { valid, errors, warnings }; only molecules without errors are stored.
+   */
+  validateMolecule(molecule) {
+    return validateMolecule(molecule);
+  }
+
+  /**
+   * Reduce a validated molecule body to the stored fields, recomputing the
+   * formula from the atoms. Residue fields and secondary structure ranges of
+   * biopolymers and trajectory frames are kept.
+   */
+  normalizeMolecule({ name, atoms, bonds = [], secondaryStructure, frames }) {
+    const molecule = {
+      name: String(name),
+      formula: hillFormula(atoms),
+      atoms: atoms.map(({ element, x, y, z, charge, ...rest }) => ({
+        ...(charge ? { element, x, y, z, charge } : { element, x, y, z }),
+        ...residueFields(rest)
+      })),
+      bonds: bonds.map(({ from, to, order = 1, aromatic }) => (aromatic ? { from, to, order, aromatic } : { from, to, order }))
+    };
+    if (secondaryStructure?.length > 0) {
+      molecule.secondaryStructure = secondaryStructure.map(({ type, chain, start, end }) =>
+        (chain ? { type, chain, start, end } : { type, start, end }));
+    }
+    if (frames?.length > 0) {
+      molecule.frames = frames.map(frame => [...frame]);
+    }
+    return molecule;
+  }
+
+  /**
+   * The molecule with its trajectory frames replaced by a frameCount, for
+   * responses; clients page through the frames with getFrames
+   */
+  withoutFrames(molecule) {
+    if (!molecule.frames) return molecule;
+    const { frames, ...rest } = molecule;
+    return { ...rest, frameCount: frames.length };
+  }
+
+  /**
+   * A page of trajectory frames as { start, total, frames }. A molecule
+   * without frames has one: its atom coordinates.
+   */
+  getFrames(molecule, { start = 0, count = FRAME_PAGE_SIZE } = {}) {
+    const frames = molecule.frames || [molecule.atoms.flatMap(atom => [atom.x, atom.y, atom.z])];
+    return { start, total: frames.length, frames: frames.slice(start, start + count) };
+  }
+
+  /**
+   * Chains, residues and sequences of a biopolymer (see biopolymer.js);
+   * empty for molecules without residue data
+   */
+  getChains(molecule) {
+    return getChains(molecule);
+  }
+
+  /**
+   * Ranked low-energy conformers of a molecule (see conformers.js); the
+   * stored geometry is left as it is
+   */
+  generateConformers(molecule, { count, rmsdThreshold } = {}) {
+    return generateConformers(molecule, { count, rmsdThreshold });
+  }
+
+  /**
+   * Force-field minimized geometry of a molecule with the optimization path
+   * (see forcefield.js); the stored geometry is left as it is
+   */
+  minimizeMolecule(molecule, { method, maxIterations, gradientTolerance } = {}) {
+    return minimizeMolecule(molecule, { method, maxIterations, gradientTolerance });
+  }
+
+  /**
+   * 2D layout of a molecule for skeletal formulas (see depict.js)
+   */
+  depictMolecule(molecule) {
+    return depictMolecule(molecule);
+  }
+
+  /**
+   * Parse an uploaded structure file into validated molecules, without
+   * storing them. Throws ParseError (with a line number where known) when
+   * the content cannot be read or a structure fails validation.
+   */
+  importMolecules(content, { filename = '', format } = {}) {
+    const resolvedFormat = format ? format.toLowerCase() : detectFormat(filename, content);
+    if (!SUPPORTED_FORMATS.includes(resolvedFormat)) {
+      throw new ParseError(`Unsupported or unrecognized format; expected one of ${SUPPORTED_FORMATS.join(', ')}`);
+    }
+
+    // Formats such as XYZ carry no connectivity; infer it from the geometry
+    const molecules = parseMolecules(content, resolvedFormat).map(molecule => this.completeStructure(molecule));
+    molecules.forEach(molecule => {
+      const { errors } = this.validateMolecule(molecule);
+      if (errors.length > 0) {
+        throw new ParseError(`Invalid structure "${molecule.name}": ${errors[0].message}`);
+      }
+    });
+
+    return molecules;
+  }
+
+  /**
+   * Fill in what a file left out: bonds from the geometry and, for proteins
+   * without HELIX/SHEET records, secondary structure from the Cα trace
+   */
+  completeStructure(molecule) {
+    const complete = perceiveBonds(molecule);
+    if (!complete.secondaryStructure) {
+      const ranges = assignSecondaryStructure(complete);
+      if (ranges.length > 0) complete.secondaryStructure = ranges;
+    }
+    return complete;
+  }
+
+  /**
+   * Build a molecule from a SMILES string and generate 3D coordinates for
+   * it, without storing it. Throws ParseError for invalid SMILES and for
+   * structures that fail validation, and SmilesSizeError for structures
+   * too large to embed.
+   */
+  createFromSmiles(smiles, name) {
+    const graph = smilesToGraph(smiles);
+    if (graph.atoms.length > MAX_SMILES_ATOMS) throw new SmilesSizeError();
+    const molecule = embedMolecule(graph);
+    if (name) molecule.name = name;
+
+    // SMILES spells out every bond, so an atom over its valence is a mistake
+    // in the string rather than an unusual structure as it may be in a file
+    const { errors, warnings } = this.validateMolecule(molecule);
+    const problem = errors[0] || warnings.find(warning => warning.code === 'hypervalent-atom');
+    if (problem) {
+      throw new ParseError(`Invalid structure "${molecule.name}": ${problem.message}`);
+    }
+    return molecule;
+  }
+
+  getAllReactions() {
+    return Object.values(this.reactions).map(reaction => ({
+      id: reaction.id,
+      name: reaction.name,
+      equation: this.getReactionEquation(reaction)
+    }));
+  }
+
+  getReaction(id) {
+    const reaction = Object.hasOwn(this.reactions, id) ? this.reactions[id] : null;
+    if (!reaction) return null;
+
+    const describe = participants => participants.map(({ moleculeId, coefficient }) => {
+      const species = this.resolveSpecies(moleculeId);
+      return { moleculeId, coefficient, name: species.name, formula: species.formula };
+    });
+
+    return {
+      ...reaction,
+      equation: this.getReactionEquation(reaction),
+      reactants: describe(reaction.reactants),
+      products: describe(reaction.products)
+    };
+  }
+
+  getReactionEquation(reaction) {
+    const side = participants => participants
+      .map(({ moleculeId, coefficient }) => {
+        const { formula } = this.resolveSpecies(moleculeId);
+        return coefficient > 1 ? `${coefficient} ${formula}` : formula;
+      })
+      .join(' + ');
+    return `${side(reaction.reactants)} → ${side(reaction.products)}`;
+  }
+
+  /**
+   * Build the playback path for a reaction: every reactant atom with its start
+   * and end coordinates, and every bond with its order before and after the
+   * reaction (0 when the bond does not exist on that side). Indices refer to
+   * the reactant assembly.
+   */
+  getReactionPath(id) {
+    const reaction = Object.hasOwn(this.reactions, id) ? this.reactions[id] : null;
+    if (!reaction) return null;
+
+    const reactants = this.buildAssembly(reaction.reactants);
+    const products = this.buildAssembly(reaction.products);
+    const mapping = reaction.atomMapping;
+
+    const productToReactant = new Array(products.atoms.length);
+    mapping.forEach((productIndex, reactantIndex) => {
+      productToReactant[productIndex] = reactantIndex;
+    });
+
+    const atoms = reactants.atoms.map((atom, index) => {
+      const end = products.atoms[mapping[index]];
+      return {
+        element: atom.element,
+        start: { x: atom.x, y: atom.y, z: atom.z },
+        end: { x: end.x, y: end.y, z: end.z }
+      };
+    });
+
+    const bondKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+    const bonds = new Map();
+    reactants.bonds.forEach(bond => {
+      bonds.set(bondKey(bond.from, bond.to), {
+        from: bond.from, to: bond.to, startOrder: bond.order, endOrder: 0
+      });
+    });
+    products.bonds.forEach(bond => {
+      const from = productToReactant[bond.from];
+      const to = productToReactant[bond.to];
+      const key = bondKey(from, to);
+      if (bonds.has(key)) {
+        bonds.get(key).endOrder = bond.order;
+      } else {
+        bonds.set(key, { from, to, startOrder: 0, endOrder: bond.order });
+      }
+    });
+
+    return {
+      id: reaction.id,
+      name: reaction.name,
+      equation: this.getReactionEquation(reaction),
+      atoms,
+      bonds: Array.from(bonds.values())
+    };
+  }
+
+  resolveSpecies(moleculeId) {
+    return this.getMolecule(moleculeId) || (Object.hasOwn(this.species, moleculeId) ? this.species[moleculeId] : null);
+  }
+
+  /**
+   * Lay out every copy of every participant side by side along the x axis and
+   * merge them into a single {atoms, bonds} structure centered on the origin.
+   */
+  buildAssembly(participants) {
+    const atoms = [];
+    const bonds = [];
+    let cursor = 0;
+
+    participants.forEach(({ moleculeId, coefficient }) => {
+      const species = this.resolveSpecies(moleculeId);
+      const n = species.atoms.length;
+      const center = ['x', 'y', 'z'].map(axis =>
+        species.atoms.reduce((sum, atom) => sum + atom[axis], 0) / n
+      );
+      const xs = species.atoms.map(atom => atom.x - center[0]);
+      const minX = Math.min(...xs);
+      const maxX = Math.max(...xs);
+
+      for (let copy = 0; copy < coefficient; copy++) {
+        const offset = atoms.length;
+        const shift = cursor - minX;
+        species.atoms.forEach(atom => {
+          atoms.push({
+            element: atom.element,
+            x: atom.x - center[0] + shift,
+            y: atom.y - center[1],
+            z: atom.z - center[2]
+          });
+        });
+        species.bonds.forEach(bond => {
+          bonds.push({ from: bond.from + offset, to: bond.to + offset, order: bond.order });
+        });
+        cursor += maxX - minX + ASSEMBLY_SPACING;
+      }
+    });
+
+    const width = cursor - ASSEMBLY_SPACING;
+    atoms.forEach(atom => {
+      atom.x -= width / 2;
+    });
+
+    return { atoms, bonds };
   }
 }
 
@@ -0,0 +1,177 @@
+/**
+ * Molecular properties
+ * Masses, formula, unsaturation, charge, inertia and a dipole estimate
+ * computed from a molecule's atoms and bonds
+ */
+
+import { hillFormula } from './formats.js';
+import { getElement } from './elements.js';
+
+// Elements counted by the degree-of-unsaturation formula, at their lowest
+// valence in the periodic table; metals and noble gases do not contribute
+const UNSATURATION_ELEMENTS = new Set([
+  'H', 'Li', 'Na', 'K', 'B', 'C', 'N', 'O', 'F', 'Si', 'P', 'S', 'Cl', 'Ge', 'As', 'Se', 'Br', 'I'
+]);
+
+// Charge moved along a bond per unit of electronegativity difference. Tuned so
+// water comes out near its experimental 1.85 D.
+const BOND_POLARITY = 0.25;
+
+const DEBYE_PER_E_ANGSTROM = 4.80320;
+
+/**
+ * Elements in the molecule that have no mass data
+ */
+export function missingElementData(molecule) {
+  return [...new Set(molecule.atoms.map(a => a.element))].filter(e => !getElement(e)?.mass);
+}
+
+/**
+ * Compute properties of a molecule whose elements all have mass data
+ * (see missingElementData). Masses are in g/mol and Da, distances in Å,
+ * moments of inertia in amu·Å² and the dipole in Debye. The monoisotopic
+ * mass is null when an element has no stable isotope.
+ */
+export function computeProperties(molecule) {
+  const { atoms, bonds = [] } = molecule;
+  const weights = atoms.map(a => getElement(a.element).mass);
+
+  const molecularWeight = sum(weights);
+  const isotopeMasses = atoms.map(a => getElement(a.element).monoisotopicMass);
+  const monoisotopicMass = isotopeMasses.includes(null) ? null : sum(isotopeMasses);
+  const netCharge = sum(atoms.map(a => a.charge || 0));
+
+  const centerOfMass = { x: 0, y: 0, z: 0 };
+  atoms.forEach((atom, i) => {
+    centerOfMass.x += weights[i] * atom.x / molecularWeight;
+    centerOfMass.y += weights[i] * atom.y / molecularWeight;
+    centerOfMass.z += weights[i] * atom.z / molecularWeight;
+  });
+
+  const partialCharges = estimatePartialCharges(atoms, bonds);
+
+  // The dipole of a charged species depends on the origin; use the center of mass
+  const dipole = { x: 0, y: 0, z: 0 };
+  atoms.forEach((atom, i) => {
+    dipole.x += partialCharges[i] * (atom.x - centerOfMass.x);
+    dipole.y += partialCharges[i] * (atom.y - centerOfMass.y);
+    dipole.z += partialCharges[i] * (atom.z - centerOfMass.z);
+  });
+  const dipoleMoment = {
+    x: round(dipole.x * DEBYE_PER_E_ANGSTROM, 3),
+    y: round(dipole.y * DEBYE_PER_E_ANGSTROM, 3),
+    z: round(dipole.z * DEBYE_PER_E_ANGSTROM, 3),
+    magnitude: round(Math.hypot(dipole.x, dipole.y, dipole.z) * DEBYE_PER_E_ANGSTROM, 3)
+  };
+
+  return {
+    formula: hillFormula(atoms),
+    molecularWeight: round(molecularWeight, 3),
+    monoisotopicMass: monoisotopicMass === null ? null : round(monoisotopicMass, 5),
+    degreeOfUnsaturation: degreeOfUnsaturation(atoms),
+    netCharge,
+    centerOfMass: {
+      x: round(centerOfMass.x, 4),
+      y: round(centerOfMass.y, 4),
+      z: round(centerOfMass.z, 4)
+    },
+    principalMoments: principalMoments(atoms, weights, centerOfMass).map(m => round(m, 4)),
+    dipoleMoment,
+    partialCharges: partialCharges.map(q => round(q, 3))
+  };
+}
+
+/**
+ * Degree of unsaturation (rings plus pi bonds) from the formula:
+ * 1 + Σ n(v − 2) / 2 over atoms with a known valence v
+ */
+export function degreeOfUnsaturation(atoms) {
+  let total = 2;
+  atoms.forEach(atom => {
+    if (UNSATURATION_ELEMENTS.has(atom.element)) total += getElement(atom.element).valences[0] - 2;
+  });
+  return total / 2;
+}
+
+/**
+ * Formal charges plus a charge shift along every bond proportional to the
+ * electronegativity difference of its atoms
+ */
+export function estimatePartialCharges(atoms, bonds) {
+  const charges = atoms.map(a => a.charge || 0);
+
+  bonds.forEach(({ from, to }) => {
+    const chiFrom = getElement(atoms[from].element)?.electronegativity;
+    const chiTo = getElement(atoms[to].element)?.electronegativity;
+    if (chiFrom == null || chiTo == null) return;
+
+    const shift = BOND_POLARITY * (chiTo - chiFrom);
+    charges[from] += shift;
+    charges[to] -= shift;
+  });
+
+  return charges;
+}
+
+function principalMoments(atoms, weights, center) {
+  const tensor = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  atoms.forEach((atom, i) => {
+    const r = [atom.x - center.x, atom.y - center.y, atom.z - center.z];
+    const r2 = r[0] * r[0] + r[1] * r[1] + r[2] * r[2];
+    for (let a = 0; a < 3; a++) {
+      for (let b = 0; b < 3; b++) {
+        tensor[a][b] += weights[i] * ((a === b ? r2 : 0) - r[a] * r[b]);
+      }
+    }
+  });
+
+  return symmetricEigenvalues(tensor).sort((a, b) => a - b);
+}
+
+/**
+ * Eigenvalues of a symmetric 3×3 matrix by cyclic Jacobi rotations
+ */
+function symmetricEigenvalues(matrix) {
+  const m = matrix.map(row => [...row]);
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    const offDiagonal = m[0][1] ** 2 + m[0][2] ** 2 + m[1][2] ** 2;
+    if (offDiagonal < 1e-18) break;
+
+    for (let p = 0; p < 2; p++) {
+      for (let q = p + 1; q < 3; q++) {
+        if (Math.abs(m[p][q]) < 1e-15) continue;
+
+        const theta = (m[q][q] - m[p][p]) / (2 * m[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < 3; k++) {
+          const mkp = m[k][p];
+          const mkq = m[k][q];
+          m[k][p] = c * mkp - s * mkq;
+          m[k][q] = s * mkp + c * mkq;
+        }
+        for (let k = 0; k < 3; k++) {
+          const mpk = m[p][k];
+          const mqk = m[q][k];
+          m[p][k] = c * mpk - s * mqk;
+          m[q][k] = s * mpk + c * mqk;
+        }
+      }
+    }
+  }
+
+  return [m[0][0], m[1][1], m[2][2]];
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  // Avoid reporting -0 for values that round to zero
+  return Math.round(value * factor) / factor || 0;
+}
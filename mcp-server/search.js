@@ -0,0 +1,151 @@
+/**
+ * Advanced molecule search
+ * Combines a text match, substructure pattern, element-count constraints and
+ * a molecular-weight range, then sorts and paginates the results.
+ */
+
+import { ATOMIC_SYMBOLS, ParseError } from './formats.js';
+import { parseSmarts, findSubstructure, MAX_MATCH_STEPS } from './substructure.js';
+import { computeProperties, missingElementData } from './properties.js';
+
+export const SORT_FIELDS = ['name', 'formula', 'weight', 'atoms'];
+export const MAX_PAGE_SIZE = 100;
+
+const CONSTRAINT = /^([A-Z][a-z]?)(?:(\d+)-(\d+)|(>=|<=|>|<|=)?(\d+))?$/;
+
+/**
+ * Parse element-count constraints such as "C2-6 O>=1 N0 Cl".
+ * A bare symbol means at least one; a bare count means exactly that many.
+ */
+export function parseElementConstraints(text) {
+  return String(text || '').trim().split(/[\s,]+/).filter(Boolean).map(token => {
+    const match = token.match(CONSTRAINT);
+    if (!match || !ATOMIC_SYMBOLS.includes(match[1])) {
+      throw new ParseError(`Invalid element constraint "${token}"`);
+    }
+
+    const [, element, low, high, operator, value] = match;
+    if (low !== undefined) {
+      const [min, max] = [parseInt(low, 10), parseInt(high, 10)];
+      if (min > max) throw new ParseError(`Invalid element constraint "${token}": range is empty`);
+      return { element, min, max };
+    }
+    if (value === undefined) return { element, min: 1, max: Infinity };
+
+    const count = parseInt(value, 10);
+    switch (operator) {
+      case '>=': return { element, min: count, max: Infinity };
+      case '>': return { element, min: count + 1, max: Infinity };
+      case '<=': return { element, min: 0, max: count };
+      case '<': return { element, min: 0, max: count - 1 };
+      default: return { element, min: count, max: count };
+    }
+  });
+}
+
+/**
+ * Turn raw query-string values into search criteria, throwing ParseError
+ * for anything invalid
+ */
+export function parseSearchCriteria(query = {}) {
+  const number = (name) => {
+    if (query[name] === undefined || query[name] === '') return null;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value)) throw new ParseError(`${name} must be a number`);
+    return value;
+  };
+  const integer = (name, fallback, min, max) => {
+    const value = number(name);
+    if (value === null) return fallback;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new ParseError(`${name} must be an integer from ${min} to ${max}`);
+    }
+    return value;
+  };
+
+  const sort = query.sort || 'name';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new ParseError(`sort must be one of ${SORT_FIELDS.join(', ')}`);
+  }
+  const order = query.order || 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new ParseError('order must be asc or desc');
+  }
+
+  return {
+    text: String(query.q || '').trim(),
+    substructure: query.substructure ? parseSmarts(query.substructure) : null,
+    elements: parseElementConstraints(query.elements),
+    minWeight: number('minWeight'),
+    maxWeight: number('maxWeight'),
+    sort,
+    order,
+    page: integer('page', 1, 1, Number.MAX_SAFE_INTEGER),
+    pageSize: integer('pageSize', 20, 1, MAX_PAGE_SIZE)
+  };
+}
+
+function molecularWeight(molecule) {
+  return missingElementData(molecule).length === 0 ? computeProperties(molecule).molecularWeight : null;
+}
+
+/**
+ * Filter, sort and paginate molecules. `summarize` turns a molecule into the
+ * listed entry. Returns { total, page, pageSize, results }. Throws
+ * MatchLimitError when the substructure takes too long to match.
+ */
+export function searchMolecules(molecules, criteria, summarize = m => ({ id: m.id, name: m.name, formula: m.formula })) {
+  const lowerText = criteria.text.toLowerCase();
+  const needsWeight = criteria.minWeight !== null || criteria.maxWeight !== null || criteria.sort === 'weight';
+  // One matching budget for the whole search, not per molecule
+  const budget = { steps: MAX_MATCH_STEPS };
+
+  const matches = molecules
+    .filter(mol => !lowerText ||
+      mol.name.toLowerCase().includes(lowerText) ||
+      mol.formula.toLowerCase().includes(lowerText))
+    .filter(mol => {
+      if (criteria.elements.length === 0) return true;
+      const counts = {};
+      mol.atoms.forEach(atom => {
+        counts[atom.element] = (counts[atom.element] || 0) + 1;
+      });
+      return criteria.elements.every(({ element, min, max }) => {
+        const count = counts[element] || 0;
+        return count >= min && count <= max;
+      });
+    })
+    .map(mol => ({ mol, weight: needsWeight ? molecularWeight(mol) : null }))
+    .filter(({ weight }) =>
+      (criteria.minWeight === null || (weight !== null && weight >= criteria.minWeight)) &&
+      (criteria.maxWeight === null || (weight !== null && weight <= criteria.maxWeight)))
+    // Substructure matching is the expensive test, so it runs last
+    .filter(({ mol }) => !criteria.substructure || findSubstructure(criteria.substructure, mol, undefined, budget) !== null);
+
+  const keys = {
+    name: ({ mol }) => mol.name.toLowerCase(),
+    formula: ({ mol }) => mol.formula,
+    weight: ({ weight }) => weight,
+    atoms: ({ mol }) => mol.atoms.length
+  };
+  const key = keys[criteria.sort];
+  const direction = criteria.order === 'desc' ? -1 : 1;
+  matches.sort((a, b) => {
+    const [ka, kb] = [key(a), key(b)];
+    // Molecules without a weight always sort last
+    if (ka === null || kb === null) return (ka === null) - (kb === null);
+    return (ka < kb ? -1 : ka > kb ? 1 : 0) * direction;
+  });
+
+  const start = (criteria.page - 1) * criteria.pageSize;
+  return {
+    total: matches.length,
+    page: criteria.page,
+    pageSize: criteria.pageSize,
+    results: matches.slice(start, start + criteria.pageSize).map(({ mol, weight }) => ({
+      ...summarize(mol),
+      atomCount: mol.atoms.length,
+      molecularWeight: needsWeight ? weight : molecularWeight(mol)
+    }))
+  };
+}
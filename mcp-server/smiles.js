@@ -0,0 +1,258 @@
+/**
+ * SMILES parser
+ * Builds the atom/bond graph of a SMILES string, including aromaticity,
+ * charges, ring closures and implicit hydrogens. Stereo markers (@, @@, /, \)
+ * are accepted but not interpreted.
+ */
+
+import { ATOMIC_SYMBOLS, ParseError, hillFormula } from './formats.js';
+
+// Elements that may be written without brackets, longest symbols first
+const ORGANIC_SUBSET = ['Cl', 'Br', 'B', 'C', 'N', 'O', 'P', 'S', 'F', 'I'];
+const AROMATIC_SUBSET = ['b', 'c', 'n', 'o', 'p', 's'];
+const AROMATIC_BRACKET = ['se', 'as', 'b', 'c', 'n', 'o', 'p', 's'];
+
+// Normal valences used to fill in implicit hydrogens on organic-subset atoms
+const DEFAULT_VALENCES = {
+  B: [3], C: [4], N: [3, 5], O: [2], P: [3, 5], S: [2, 4, 6],
+  F: [1], Cl: [1], Br: [1], I: [1]
+};
+
+const BOND_SYMBOLS = {
+  '-': 1,
+  '=': 2,
+  '#': 3,
+  '$': 4,
+  ':': 1.5,
+  '/': 1,
+  '\\': 1
+};
+
+// Largest structure, hydrogens included, built from SMILES; embedding cost
+// grows with the square of the atom count
+export const MAX_SMILES_ATOMS = 300;
+
+/**
+ * Thrown when a SMILES string describes more atoms than can be embedded
+ */
+export class SmilesSizeError extends Error {
+  constructor(message = `Structures built from SMILES are limited to ${MAX_SMILES_ATOMS} atoms, hydrogens included`) {
+    super(message);
+    this.name = 'SmilesSizeError';
+  }
+}
+
+const BRACKET_ATOM = /^\[(\d+)?([A-Z][a-z]?|[a-z]{1,2}|\*)(@@?)?(H\d*)?((?:\+\+?|--?)(?!\d)|[+-]\d+)?(?::\d+)?\]/;
+
+function fail(message, position) {
+  throw new ParseError(`${message} at position ${position + 1}`);
+}
+
+/**
+ * Parse a SMILES string into heavy atoms with an `implicitHydrogens` count
+ * and bonds between them.
+ */
+export function parseSmiles(smiles) {
+  const text = String(smiles || '').trim();
+  if (!text) {
+    throw new ParseError('SMILES string is empty');
+  }
+
+  const atoms = [];
+  const bonds = [];
+  const bondKeys = new Set();
+  const branches = [];
+  const rings = new Map();
+  let previous = null;
+  let pendingBond = null;
+  let pendingBondPosition = 0;
+  let i = 0;
+
+  const addBond = (from, to, symbol, position) => {
+    const key = from < to ? `${from}-${to}` : `${to}-${from}`;
+    if (bondKeys.has(key)) {
+      fail('Duplicate bond between the same atoms', position);
+    }
+    bondKeys.add(key);
+
+    const aromatic = symbol === ':' || (!symbol && atoms[from].aromatic && atoms[to].aromatic);
+    const bond = { from, to, order: aromatic ? 1.5 : BOND_SYMBOLS[symbol] || 1 };
+    if (aromatic) bond.aromatic = true;
+    bonds.push(bond);
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '(') {
+      if (previous === null) fail('Branch without a preceding atom', i);
+      branches.push(previous);
+      i++;
+      continue;
+    }
+
+    if (ch === ')') {
+      if (branches.length === 0) fail('Unmatched ")"', i);
+      if (pendingBond) fail('Bond symbol without a following atom', pendingBondPosition);
+      previous = branches.pop();
+      i++;
+      continue;
+    }
+
+    if (BOND_SYMBOLS[ch] !== undefined) {
+      if (previous === null) fail('Bond symbol without a preceding atom', i);
+      if (pendingBond) fail('Two bond symbols in a row', i);
+      pendingBond = ch;
+      pendingBondPosition = i;
+      i++;
+      continue;
+    }
+
+    if (ch === '.') {
+      if (pendingBond) fail('Bond symbol without a following atom', pendingBondPosition);
+      previous = null;
+      i++;
+      continue;
+    }
+
+    if (/\d/.test(ch) || ch === '%') {
+      const start = i;
+      let ringNumber;
+      if (ch === '%') {
+        if (!/^\d\d/.test(text.slice(i + 1))) fail('Expected two digits after "%"', i);
+        ringNumber = parseInt(text.slice(i + 1, i + 3), 10);
+        i += 3;
+      } else {
+        ringNumber = parseInt(ch, 10);
+        i++;
+      }
+      if (previous === null) fail('Ring closure without a preceding atom', start);
+
+      if (rings.has(ringNumber)) {
+        const open = rings.get(ringNumber);
+        rings.delete(ringNumber);
+        if (open.atom === previous) fail('Ring closure bonds an atom to itself', start);
+        if (open.bond && pendingBond && open.bond !== pendingBond) {
+          fail(`Conflicting bond symbols for ring closure ${ringNumber}`, start);
+        }
+        addBond(open.atom, previous, pendingBond || open.bond, start);
+      } else {
+        rings.set(ringNumber, { atom: previous, bond: pendingBond, position: start });
+      }
+      pendingBond = null;
+      continue;
+    }
+
+    let atom = null;
+    const start = i;
+    if (ch === '[') {
+      const match = text.slice(i).match(BRACKET_ATOM);
+      if (!match) fail('Invalid bracket atom', i);
+
+      const [whole, isotope, symbol, chirality, hydrogens, charge] = match;
+      const aromatic = symbol !== '*' && symbol[0] === symbol[0].toLowerCase();
+      if (aromatic && !AROMATIC_BRACKET.includes(symbol)) fail(`Unknown aromatic element "${symbol}"`, i + 1);
+
+      const element = symbol === '*' ? '*' : symbol[0].toUpperCase() + symbol.slice(1);
+      if (element !== '*' && !ATOMIC_SYMBOLS.includes(element)) fail(`Unknown element "${symbol}"`, i + 1);
+
+      atom = {
+        element,
+        aromatic,
+        charge: parseCharge(charge),
+        implicitHydrogens: hydrogens ? parseInt(hydrogens.slice(1) || '1', 10) : 0,
+        bracket: true
+      };
+      if (isotope) atom.isotope = parseInt(isotope, 10);
+      if (chirality) atom.chirality = chirality;
+      i += whole.length;
+    } else {
+      const organic = ORGANIC_SUBSET.find(symbol => text.startsWith(symbol, i));
+      if (organic) {
+        atom = { element: organic, aromatic: false, charge: 0, bracket: false };
+        i += organic.length;
+      } else if (AROMATIC_SUBSET.includes(ch)) {
+        atom = { element: ch.toUpperCase(), aromatic: true, charge: 0, bracket: false };
+        i++;
+      }
+    }
+
+    if (!atom) fail(`Unexpected character "${ch}"`, i);
+
+    const index = atoms.push(atom) - 1;
+    if (previous !== null) {
+      addBond(previous, index, pendingBond, start);
+    }
+    pendingBond = null;
+    previous = index;
+  }
+
+  if (pendingBond) fail('Bond symbol without a following atom', pendingBondPosition);
+  if (branches.length > 0) fail('Unclosed branch', text.length - 1);
+  if (rings.size > 0) {
+    const [ringNumber, open] = rings.entries().next().value;
+    fail(`Unclosed ring ${ringNumber}`, open.position);
+  }
+
+  assignImplicitHydrogens(atoms, bonds);
+  return { atoms, bonds };
+}
+
+function parseCharge(text) {
+  if (!text) return 0;
+  const sign = text[0] === '+' ? 1 : -1;
+  if (/\d/.test(text)) return sign * parseInt(text.slice(1), 10);
+  return sign * text.length;
+}
+
+function assignImplicitHydrogens(atoms, bonds) {
+  const bondSums = atoms.map(() => 0);
+  bonds.forEach(bond => {
+    // Aromatic bonds count as single while choosing a valence
+    const order = bond.aromatic ? 1 : bond.order;
+    bondSums[bond.from] += order;
+    bondSums[bond.to] += order;
+  });
+
+  atoms.forEach((atom, index) => {
+    if (atom.bracket) return;
+
+    // An aromatic atom gives one of its free valences to the pi system, as in
+    // OpenSMILES, so thiophene sulfur and pyrrole-type nitrogen get no hydrogen
+    const used = bondSums[index];
+    const valence = DEFAULT_VALENCES[atom.element].find(v => v >= used);
+    const free = valence === undefined ? 0 : valence - used;
+    atom.implicitHydrogens = atom.aromatic && free > 0 ? free - 1 : free;
+  });
+}
+
+/**
+ * Parse a SMILES string and expand implicit hydrogens into explicit atoms,
+ * returning the {name, formula, atoms, bonds} shape without coordinates.
+ * Hydrogens are appended after all heavy atoms.
+ */
+export function smilesToGraph(smiles) {
+  const parsed = parseSmiles(smiles);
+  const atoms = parsed.atoms.map(atom => {
+    const result = { element: atom.element };
+    if (atom.charge) result.charge = atom.charge;
+    if (atom.aromatic) result.aromatic = true;
+    return result;
+  });
+  const bonds = parsed.bonds.map(bond => ({ ...bond }));
+
+  parsed.atoms.forEach((atom, index) => {
+    for (let h = 0; h < atom.implicitHydrogens; h++) {
+      const hydrogen = atoms.push({ element: 'H' }) - 1;
+      bonds.push({ from: index, to: hydrogen, order: 1 });
+    }
+  });
+
+  return {
+    name: String(smiles).trim(),
+    formula: hillFormula(atoms),
+    smiles: String(smiles).trim(),
+    atoms,
+    bonds
+  };
+}
@@ -0,0 +1,14 @@
+/**
+ * Stdio entry point for the molecule MCP server
+ * Run with `npm run mcp` and register the command with any MCP client
+ */
+
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import moleculeServer from './molecules-server.js';
+import { createMcpServer } from './mcp.js';
+
+const server = createMcpServer(moleculeServer);
+await server.connect(new StdioServerTransport());
+
+// stdout carries the protocol, so diagnostics go to stderr
+console.error('MOLECULAI MCP server running on stdio');
@@ -0,0 +1,479 @@
+/**
+ * Substructure search
+ * Parses SMARTS-like patterns and matches them against a molecule's bond
+ * graph. Supported: organic and aromatic atoms, *, a, A, bracket atoms with
+ * element symbols, #n, Hn, Dn, Xn, R/R0, charges and the logical operators
+ * ! & , ;, bonds - = # $ : ~ @ (optionally negated with !), branches, ring
+ * closures and dot-separated components.
+ */
+
+import { ATOMIC_SYMBOLS, ParseError } from './formats.js';
+import { findAromaticBonds, findRingBonds } from './bonds.js';
+
+const ORGANIC_SUBSET = ['Cl', 'Br', 'B', 'C', 'N', 'O', 'P', 'S', 'F', 'I'];
+const AROMATIC_SUBSET = ['c', 'n', 'o', 's', 'p', 'b'];
+const AROMATIC_BRACKET = ['se', 'as', 'c', 'n', 'o', 's', 'p', 'b'];
+
+const BOND_PRIMITIVES = {
+  '-': bond => bond.order === 1 && !bond.aromatic,
+  '/': bond => bond.order === 1 && !bond.aromatic,
+  '\\': bond => bond.order === 1 && !bond.aromatic,
+  '=': bond => bond.order === 2 && !bond.aromatic,
+  '#': bond => bond.order === 3,
+  '$': bond => bond.order === 4,
+  ':': bond => bond.aromatic,
+  '~': () => true,
+  '@': bond => bond.inRing
+};
+
+// Unspecified bonds in SMARTS match single or aromatic bonds
+const DEFAULT_BOND = bond => bond.aromatic || bond.order === 1;
+
+// Longer patterns are not useful queries and make matching slow
+export const MAX_PATTERN_ATOMS = 30;
+
+// Candidate atoms one search may try before it is given up as too broad
+export const MAX_MATCH_STEPS = 1000000;
+
+/**
+ * Thrown when matching a pattern would take more than its step budget,
+ * e.g. for many small disconnected components on a large molecule
+ */
+export class MatchLimitError extends Error {
+  constructor(message = 'Substructure pattern is too broad to match; make it more specific') {
+    super(message);
+    this.name = 'MatchLimitError';
+  }
+}
+
+// Tag an atom test with the element every atom it accepts must have
+const requireElement = (test, element) => Object.assign(test, { element });
+
+// Atom tests joined by "and" require the element any of them requires
+const conjunction = tests => requireElement(
+  atom => tests.every(test => test(atom)),
+  tests.find(test => test.element)?.element
+);
+
+function fail(message, position) {
+  throw new ParseError(`${message} at position ${position + 1}`);
+}
+
+/**
+ * Parse a SMARTS-like pattern into { atoms: [{ test, element }], bonds: [{ from, to, test }] }
+ * where each test is a predicate over the atom or bond info from analyzeGraph
+ * and element is the element a matching atom must have, or null.
+ */
+export function parseSmarts(smarts) {
+  const text = String(smarts || '').trim();
+  if (!text) {
+    throw new ParseError('Substructure pattern is empty');
+  }
+
+  const atoms = [];
+  const bonds = [];
+  const branches = [];
+  const rings = new Map();
+  let previous = null;
+  let pendingBond = null;
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '(') {
+      if (previous === null) fail('Branch without a preceding atom', i);
+      branches.push(previous);
+      i++;
+      continue;
+    }
+
+    if (ch === ')') {
+      if (branches.length === 0) fail('Unmatched ")"', i);
+      if (pendingBond) fail('Bond without a following atom', pendingBond.position);
+      previous = branches.pop();
+      i++;
+      continue;
+    }
+
+    if (ch === '.') {
+      if (pendingBond) fail('Bond without a following atom', pendingBond.position);
+      previous = null;
+      i++;
+      continue;
+    }
+
+    if (BOND_PRIMITIVES[ch] || ch === '!') {
+      if (previous === null) fail('Bond without a preceding atom', i);
+      if (pendingBond) fail('Two bonds in a row', i);
+      const start = i;
+      while (i < text.length && (BOND_PRIMITIVES[text[i]] || text[i] === '!')) i++;
+      pendingBond = { test: parseBondExpression(text.slice(start, i), start), position: start };
+      continue;
+    }
+
+    if (/\d/.test(ch) || ch === '%') {
+      const start = i;
+      let ringNumber;
+      if (ch === '%') {
+        if (!/^\d\d/.test(text.slice(i + 1))) fail('Expected two digits after "%"', i);
+        ringNumber = parseInt(text.slice(i + 1, i + 3), 10);
+        i += 3;
+      } else {
+        ringNumber = parseInt(ch, 10);
+        i++;
+      }
+      if (previous === null) fail('Ring closure without a preceding atom', start);
+
+      if (rings.has(ringNumber)) {
+        const open = rings.get(ringNumber);
+        rings.delete(ringNumber);
+        if (open.atom === previous) fail('Ring closure bonds an atom to itself', start);
+        const test = (pendingBond || open.bond || { test: DEFAULT_BOND }).test;
+        bonds.push({ from: open.atom, to: previous, test });
+      } else {
+        rings.set(ringNumber, { atom: previous, bond: pendingBond, position: start });
+      }
+      pendingBond = null;
+      continue;
+    }
+
+    let test = null;
+    let element = null;
+    if (ch === '[') {
+      const end = text.indexOf(']', i);
+      if (end === -1) fail('Unclosed "["', i);
+      if (end === i + 1) fail('Empty bracket atom', i);
+      test = parseAtomExpression(text.slice(i + 1, end), i + 1);
+      element = test.element || null;
+      i = end + 1;
+    } else if (ch === '*') {
+      test = () => true;
+      i++;
+    } else if (ch === 'a' || ch === 'A') {
+      const aromatic = ch === 'a';
+      test = atom => atom.aromatic === aromatic;
+      i++;
+    } else {
+      const organic = ORGANIC_SUBSET.find(symbol => text.startsWith(symbol, i));
+      if (organic) {
+        element = organic;
+        test = atom => atom.element === organic && !atom.aromatic;
+        i += organic.length;
+      } else if (AROMATIC_SUBSET.includes(ch)) {
+        const symbol = ch.toUpperCase();
+        element = symbol;
+        test = atom => atom.element === symbol && atom.aromatic;
+        i++;
+      }
+    }
+
+    if (!test) fail(`Unexpected character "${ch}"`, i);
+    if (atoms.length === MAX_PATTERN_ATOMS) {
+      throw new ParseError(`Substructure patterns are limited to ${MAX_PATTERN_ATOMS} atoms`);
+    }
+
+    const index = atoms.push({ test, element }) - 1;
+    if (previous !== null) {
+      bonds.push({ from: previous, to: index, test: pendingBond ? pendingBond.test : DEFAULT_BOND });
+    }
+    pendingBond = null;
+    previous = index;
+  }
+
+  if (pendingBond) fail('Bond without a following atom', pendingBond.position);
+  if (branches.length > 0) fail('Unclosed branch', text.length - 1);
+  if (rings.size > 0) {
+    const [ringNumber, open] = rings.entries().next().value;
+    fail(`Unclosed ring ${ringNumber}`, open.position);
+  }
+
+  return { atoms, bonds };
+}
+
+function parseBondExpression(text, offset) {
+  const tests = [];
+  for (let i = 0; i < text.length; i++) {
+    const negate = text[i] === '!';
+    if (negate) i++;
+    const primitive = BOND_PRIMITIVES[text[i]];
+    if (!primitive) fail('Expected a bond symbol after "!"', offset + i);
+    tests.push(negate ? bond => !primitive(bond) : primitive);
+  }
+  return bond => tests.every(test => test(bond));
+}
+
+/**
+ * Bracket atom expressions, from lowest to highest precedence:
+ * ";" (and), "," (or), "&" or juxtaposition (and), "!" (not)
+ */
+function parseAtomExpression(text, offset) {
+  let i = 0;
+
+  const parseLowAnd = () => {
+    const tests = [parseOr()];
+    while (text[i] === ';') {
+      i++;
+      tests.push(parseOr());
+    }
+    return conjunction(tests);
+  };
+
+  const parseOr = () => {
+    const tests = [parseHighAnd()];
+    while (text[i] === ',') {
+      i++;
+      tests.push(parseHighAnd());
+    }
+    // An "or" requires an element only when all its alternatives agree on it
+    const element = tests[0].element;
+    return requireElement(
+      atom => tests.some(test => test(atom)),
+      tests.every(test => test.element === element) ? element : undefined
+    );
+  };
+
+  const parseHighAnd = () => {
+    const tests = [parseNot()];
+    while (i < text.length && text[i] !== ';' && text[i] !== ',') {
+      if (text[i] === '&') i++;
+      tests.push(parseNot());
+    }
+    return conjunction(tests);
+  };
+
+  const parseNot = () => {
+    if (text[i] === '!') {
+      i++;
+      const test = parseNot();
+      return atom => !test(atom);
+    }
+    return parsePrimitive();
+  };
+
+  const readNumber = () => {
+    const match = text.slice(i).match(/^\d+/);
+    if (!match) return null;
+    i += match[0].length;
+    return parseInt(match[0], 10);
+  };
+
+  const parsePrimitive = () => {
+    const start = i;
+    const ch = text[i];
+    if (ch === undefined || ch === ';' || ch === ',' || ch === '&') {
+      fail('Expected an atom primitive', offset + i);
+    }
+
+    if (ch === '*') {
+      i++;
+      return () => true;
+    }
+
+    if (ch === '#') {
+      i++;
+      const number = readNumber();
+      const element = ATOMIC_SYMBOLS[number - 1];
+      if (!element) fail('Expected an atomic number after "#"', offset + start);
+      return requireElement(atom => atom.element === element, element);
+    }
+
+    if (ch === '+' || ch === '-') {
+      i++;
+      let charge = 1;
+      const number = readNumber();
+      if (number !== null) {
+        charge = number;
+      } else {
+        while (text[i] === ch) {
+          charge++;
+          i++;
+        }
+      }
+      const signed = ch === '+' ? charge : -charge;
+      return atom => atom.charge === signed;
+    }
+
+    // H alone (optionally with a charge) is the hydrogen element, otherwise a count
+    if (ch === 'H' && (start > 0 || /^H\d/.test(text))) {
+      i++;
+      const count = readNumber() ?? 1;
+      return atom => atom.hydrogens === count;
+    }
+
+    if (ch === 'D' || ch === 'X') {
+      i++;
+      const count = readNumber() ?? 1;
+      return atom => atom.degree === count;
+    }
+
+    if (ch === 'R') {
+      i++;
+      const count = readNumber();
+      return count === 0 ? atom => !atom.inRing : atom => atom.inRing;
+    }
+
+    if (ch === 'a' || ch === 'A') {
+      // "as" is aromatic arsenic, not aromatic-and-aliphatic
+      if (!text.startsWith('as', i)) {
+        i++;
+        const aromatic = ch === 'a';
+        return atom => atom.aromatic === aromatic;
+      }
+    }
+
+    const aromaticSymbol = AROMATIC_BRACKET.find(symbol => text.startsWith(symbol, i));
+    if (aromaticSymbol) {
+      i += aromaticSymbol.length;
+      const element = aromaticSymbol[0].toUpperCase() + aromaticSymbol.slice(1);
+      return requireElement(atom => atom.element === element && atom.aromatic, element);
+    }
+
+    const symbol = [text.slice(i, i + 2), text.slice(i, i + 1)]
+      .find(candidate => /^[A-Z][a-z]?$/.test(candidate) && ATOMIC_SYMBOLS.includes(candidate));
+    if (symbol) {
+      i += symbol.length;
+      // Bracketed uppercase symbols are aliphatic only for the aromatic-capable elements
+      const canBeAromatic = AROMATIC_BRACKET.some(a => a.toLowerCase() === symbol.toLowerCase());
+      return requireElement(canBeAromatic
+        ? atom => atom.element === symbol && !atom.aromatic
+        : atom => atom.element === symbol, symbol);
+    }
+
+    fail(`Unknown atom primitive "${ch}"`, offset + i);
+  };
+
+  const test = parseLowAnd();
+  if (i < text.length) fail(`Unexpected "${text[i]}"`, offset + i);
+  return test;
+}
+
+/**
+ * Per-atom and per-bond facts used by pattern tests: hydrogen count, degree,
+ * ring membership and aromaticity. Aromaticity comes from findAromaticBonds,
+ * so Kekulé benzene matches "c1ccccc1".
+ */
+export function analyzeGraph(molecule) {
+  const { atoms, bonds = [] } = molecule;
+  const neighbors = atoms.map(() => []);
+  bonds.forEach((bond, index) => {
+    neighbors[bond.from].push({ atom: bond.to, bond: index });
+    neighbors[bond.to].push({ atom: bond.from, bond: index });
+  });
+
+  const ringBonds = findRingBonds(atoms, bonds);
+  const aromaticBonds = findAromaticBonds(atoms, bonds);
+  const bondInfo = bonds.map((bond, index) => ({
+    from: bond.from,
+    to: bond.to,
+    order: bond.order || 1,
+    aromatic: aromaticBonds.has(index),
+    inRing: ringBonds[index]
+  }));
+
+  const atomInfo = atoms.map((atom, index) => ({
+    element: atom.element,
+    charge: atom.charge || 0,
+    aromatic: neighbors[index].some(n => bondInfo[n.bond].aromatic),
+    degree: neighbors[index].length,
+    hydrogens: neighbors[index].filter(n => atoms[n.atom].element === 'H').length,
+    inRing: neighbors[index].some(n => bondInfo[n.bond].inRing)
+  }));
+
+  return { atoms: atomInfo, bonds: bondInfo, neighbors };
+}
+
+/**
+ * Find one embedding of the pattern in the molecule. Returns the molecule
+ * atom index for each pattern atom, or null. `budget.steps` is the number of
+ * candidate atoms left to try; pass one budget to several calls to share it.
+ * Throws MatchLimitError once it runs out.
+ */
+export function findSubstructure(pattern, molecule, graph = analyzeGraph(molecule), budget = { steps: MAX_MATCH_STEPS }) {
+  // A molecule with fewer atoms of an element than the pattern needs cannot match
+  const needed = {};
+  pattern.atoms.forEach(({ element }) => {
+    if (element) needed[element] = (needed[element] || 0) + 1;
+  });
+  const available = {};
+  graph.atoms.forEach(({ element }) => {
+    available[element] = (available[element] || 0) + 1;
+  });
+  if (Object.entries(needed).some(([element, count]) => (available[element] || 0) < count)) {
+    return null;
+  }
+
+  // Molecule atoms each pattern atom accepts, ignoring bonds
+  const accepts = pattern.atoms.map(({ test }) => graph.atoms.map(atom => test(atom)));
+  const candidateCounts = accepts.map(accepted => accepted.filter(Boolean).length);
+  if (candidateCounts.some(count => count === 0)) return null;
+
+  const patternNeighbors = pattern.atoms.map(() => []);
+  pattern.bonds.forEach(bond => {
+    patternNeighbors[bond.from].push({ atom: bond.to, test: bond.test });
+    patternNeighbors[bond.to].push({ atom: bond.from, test: bond.test });
+  });
+
+  // Visit pattern atoms so each one (after the first of its component) is
+  // bonded to an already placed atom, which keeps the candidate lists short.
+  // Components start from their rarest atom, so one that cannot match fails early.
+  const order = [];
+  const placed = new Set();
+  const roots = pattern.atoms.map((_, index) => index)
+    .sort((a, b) => candidateCounts[a] - candidateCounts[b]);
+  roots.forEach(root => {
+    if (placed.has(root)) return;
+    const queue = [root];
+    placed.add(root);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      order.push(current);
+      patternNeighbors[current].forEach(({ atom }) => {
+        if (!placed.has(atom)) {
+          placed.add(atom);
+          queue.push(atom);
+        }
+      });
+    }
+  });
+
+  const bondBetween = new Map();
+  graph.bonds.forEach(bond => {
+    bondBetween.set(`${bond.from}-${bond.to}`, bond);
+    bondBetween.set(`${bond.to}-${bond.from}`, bond);
+  });
+
+  const mapping = new Array(pattern.atoms.length).fill(-1);
+  const used = new Set();
+
+  const extend = (k) => {
+    if (k === order.length) return true;
+
+    const p = order[k];
+    const anchor = patternNeighbors[p].find(n => mapping[n.atom] !== -1);
+    const candidates = anchor
+      ? graph.neighbors[mapping[anchor.atom]].map(n => n.atom)
+      : graph.atoms.map((_, index) => index);
+
+    for (const t of candidates) {
+      if (used.has(t) || !accepts[p][t]) continue;
+      if (--budget.steps < 0) throw new MatchLimitError();
+
+      const bondsMatch = patternNeighbors[p].every(({ atom, test }) => {
+        if (mapping[atom] === -1) return true;
+        const bond = bondBetween.get(`${t}-${mapping[atom]}`);
+        return bond !== undefined && test(bond);
+      });
+      if (!bondsMatch) continue;
+
+      mapping[p] = t;
+      used.add(t);
+      if (extend(k + 1)) return true;
+      mapping[p] = -1;
+      used.delete(t);
+    }
+    return false;
+  };
+
+  return extend(0) ? mapping : null;
+}
@@ -0,0 +1,265 @@
+/**
+ * Structure validation
+ * Checks a molecule for problems that break rendering or analysis (errors)
+ * and for chemically suspicious features (warnings).
+ */
+
+import { ATOMIC_SYMBOLS, hillFormula } from './formats.js';
+import { SECONDARY_STRUCTURE_TYPES } from './biopolymer.js';
+
+export const BOND_ORDERS = [1, 1.5, 2, 3, 4];
+
+// Atoms closer than this are reported as overlapping (Å)
+export const OVERLAP_DISTANCE = 0.4;
+
+// Largest structure the public validation endpoint checks
+export const MAX_VALIDATE_ATOMS = 20000;
+
+// Largest bond order sum an element normally reaches, allowing for ammonium
+// and oxonium ions; heavier elements can expand their octet and are not checked
+const MAX_VALENCES = {
+  H: 1, F: 1, Cl: 1, Br: 1, I: 1,
+  B: 4, C: 4, N: 4, O: 3
+};
+
+/**
+ * Validate a molecule. Returns { valid, errors, warnings } where each issue
+ * is { code, message } plus the atom or bond indices involved. Molecules with
+ * errors are rejected; warnings are informational.
+ */
+export function validateMolecule(molecule) {
+  const errors = [];
+  const warnings = [];
+  const { name, atoms, bonds = [], formula, secondaryStructure, frames } = molecule || {};
+
+  if (!name || !Array.isArray(atoms) || atoms.length === 0) {
+    errors.push({ code: 'missing-fields', message: 'Name and atoms required' });
+    return { valid: false, errors, warnings };
+  }
+
+  atoms.forEach((atom, index) => {
+    if (!atom || typeof atom.element !== 'string' || !['x', 'y', 'z'].every(axis => Number.isFinite(atom[axis]))) {
+      errors.push({
+        code: 'invalid-atom',
+        message: `Atom ${index} needs an element and numeric x, y and z`,
+        atoms: [index]
+      });
+    } else if (!ATOMIC_SYMBOLS.includes(atom.element)) {
+      errors.push({
+        code: 'unknown-element',
+        message: `Atom ${index} has unknown element "${atom.element}"`,
+        atoms: [index]
+      });
+    } else if (atom.charge !== undefined && !Number.isInteger(atom.charge)) {
+      errors.push({
+        code: 'invalid-charge',
+        message: `Atom ${index} charge must be an integer`,
+        atoms: [index]
+      });
+    } else if (!validResidueFields(atom)) {
+      errors.push({
+        code: 'invalid-residue',
+        message: `Atom ${index} has invalid residue fields; name, residue, insertionCode and chain must be strings, residueNumber an integer and hetero a boolean`,
+        atoms: [index]
+      });
+    }
+  });
+
+  if (secondaryStructure !== undefined) {
+    if (!Array.isArray(secondaryStructure)) {
+      errors.push({ code: 'invalid-secondary-structure', message: 'Secondary structure must be an array' });
+    } else {
+      secondaryStructure.forEach((range, index) => {
+        if (!range || !SECONDARY_STRUCTURE_TYPES.includes(range.type) ||
+          !Number.isInteger(range.start) || !Number.isInteger(range.end) || range.end < range.start ||
+          (range.chain !== undefined && typeof range.chain !== 'string')) {
+          errors.push({
+            code: 'invalid-secondary-structure',
+            message: `Secondary structure range ${index} needs a type of ${SECONDARY_STRUCTURE_TYPES.join(' or ')} and integer start and end residue numbers`
+          });
+        }
+      });
+    }
+  }
+
+  // Trajectory frames are flat [x, y, z, ...] arrays over every atom
+  if (frames !== undefined) {
+    if (!Array.isArray(frames)) {
+      errors.push({ code: 'invalid-frames', message: 'Frames must be an array of coordinate arrays' });
+    } else {
+      frames.forEach((frame, index) => {
+        if (!Array.isArray(frame) || frame.length !== atoms.length * 3 || !frame.every(Number.isFinite)) {
+          errors.push({
+            code: 'invalid-frames',
+            message: `Frame ${index} needs ${atoms.length * 3} numeric coordinates, x, y and z for each atom`,
+            frame: index
+          });
+        }
+      });
+    }
+  }
+
+  if (!Array.isArray(bonds)) {
+    errors.push({ code: 'invalid-bonds', message: 'Bonds must be an array' });
+    return { valid: false, errors, warnings };
+  }
+
+  const seen = new Map();
+  bonds.forEach((bond, index) => {
+    if (!bond || ![bond.from, bond.to].every(i => Number.isInteger(i) && i >= 0 && i < atoms.length) ||
+      bond.from === bond.to) {
+      errors.push({
+        code: 'dangling-bond',
+        message: `Bond ${index} must connect two different existing atoms`,
+        bond: index
+      });
+      return;
+    }
+
+    if (bond.order !== undefined && !BOND_ORDERS.includes(bond.order)) {
+      errors.push({
+        code: 'invalid-bond-order',
+        message: `Bond ${index} has order ${bond.order}; expected one of ${BOND_ORDERS.join(', ')}`,
+        bond: index
+      });
+    }
+
+    const key = `${Math.min(bond.from, bond.to)}-${Math.max(bond.from, bond.to)}`;
+    if (seen.has(key)) {
+      errors.push({
+        code: 'duplicate-bond',
+        message: `Bond ${index} repeats bond ${seen.get(key)} between atoms ${bond.from} and ${bond.to}`,
+        bond: index
+      });
+    } else {
+      seen.set(key, index);
+    }
+  });
+
+  // The remaining checks assume well-formed atoms and bonds
+  if (errors.length > 0) {
+    return { valid: false, errors, warnings };
+  }
+
+  findOverlaps(atoms).forEach(([a, b]) => {
+    warnings.push({
+      code: 'overlapping-atoms',
+      message: `Atoms ${a} and ${b} are closer than ${OVERLAP_DISTANCE} Å`,
+      atoms: [a, b]
+    });
+  });
+
+  // Aromatic bonds count as single, plus one for each aromatic atom's pi
+  // electron, so carbons shared by fused rings still sum to 4. Atoms with an
+  // exocyclic double bond, such as the C=O carbons of caffeine, already
+  // spend their pi electron on it.
+  const valences = atoms.map(() => 0);
+  const aromaticAtoms = new Set();
+  const multiplyBonded = new Set();
+  bonds.forEach(({ from, to, order = 1, aromatic }) => {
+    const isAromatic = aromatic || order === 1.5;
+    valences[from] += isAromatic ? 1 : order;
+    valences[to] += isAromatic ? 1 : order;
+    if (isAromatic) [from, to].forEach(index => aromaticAtoms.add(index));
+    else if (order > 1) [from, to].forEach(index => multiplyBonded.add(index));
+  });
+  aromaticAtoms.forEach(index => {
+    if (!multiplyBonded.has(index)) valences[index] += 1;
+  });
+  atoms.forEach((atom, index) => {
+    const max = MAX_VALENCES[atom.element];
+    if (max !== undefined && valences[index] > max) {
+      warnings.push({
+        code: 'hypervalent-atom',
+        message: `Atom ${index} (${atom.element}) has bond order sum ${valences[index]}, more than ${max}`,
+        atoms: [index]
+      });
+    }
+  });
+
+  if (formula !== undefined) {
+    const expected = hillFormula(atoms);
+    const counts = parseFormula(formula);
+    if (!counts || !sameCounts(counts, countElements(atoms))) {
+      warnings.push({
+        code: 'formula-mismatch',
+        message: `Formula "${formula}" does not match the atoms (${expected})`
+      });
+    }
+  }
+
+  return { valid: true, errors, warnings };
+}
+
+/**
+ * Element counts of a plain formula such as "C2H5OH"; null if it cannot be read
+ */
+export function parseFormula(formula) {
+  const text = String(formula);
+  if (!/^([A-Z][a-z]?\d*)+$/.test(text)) return null;
+
+  const counts = {};
+  for (const [, element, count] of text.matchAll(/([A-Z][a-z]?)(\d*)/g)) {
+    counts[element] = (counts[element] || 0) + (count ? parseInt(count, 10) : 1);
+  }
+  return counts;
+}
+
+// Residue fields are optional, but must have the types the parsers produce
+function validResidueFields(atom) {
+  const optional = (value, check) => value === undefined || check(value);
+  const isString = value => typeof value === 'string';
+  return optional(atom.name, isString) &&
+    optional(atom.residue, isString) &&
+    optional(atom.residueNumber, Number.isInteger) &&
+    optional(atom.insertionCode, isString) &&
+    optional(atom.chain, isString) &&
+    optional(atom.hetero, value => typeof value === 'boolean');
+}
+
+function countElements(atoms) {
+  const counts = {};
+  atoms.forEach(atom => {
+    counts[atom.element] = (counts[atom.element] || 0) + 1;
+  });
+  return counts;
+}
+
+function sameCounts(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+// Pairs of atoms closer than OVERLAP_DISTANCE. Atoms are bucketed into a
+// grid of OVERLAP_DISTANCE cells so only neighboring cells are compared.
+function findOverlaps(atoms) {
+  const cellKey = (x, y, z) => `${x},${y},${z}`;
+  const cellOf = atom => [atom.x, atom.y, atom.z].map(v => Math.floor(v / OVERLAP_DISTANCE));
+
+  const grid = new Map();
+  atoms.forEach((atom, index) => {
+    const key = cellKey(...cellOf(atom));
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(index);
+  });
+
+  const pairs = [];
+  atoms.forEach((atom, i) => {
+    const [cx, cy, cz] = cellOf(atom);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          for (const j of grid.get(cellKey(cx + dx, cy + dy, cz + dz)) || []) {
+            if (j <= i) continue;
+            const other = atoms[j];
+            if (Math.hypot(atom.x - other.x, atom.y - other.y, atom.z - other.z) < OVERLAP_DISTANCE) {
+              pairs.push([i, j]);
+            }
+          }
+        }
+      }
+    }
+  });
+
+  return pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
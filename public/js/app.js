@@ -9,6 +9,24 @@ class MoleculAI {
         this.spinInterval = null;
         this.elementVisibility = {};
         this.currentStyle = 'stick';
+        this.currentColorScheme = 'element';
+        this.currentReaction = null;
+        this.elements = {};
+        // Chains of the current molecule and the residues picked in the sequence panel
+        this.chains = [];
+        this.highlightedResidues = new Set();
+        this.residueKeysByAtom = new Map();
+        // Conformer coordinates of the current molecule, lowest energy first
+        this.conformerFrames = [];
+        // Minimized geometry of the current molecule, until it is kept
+        this.minimization = null;
+        // MoleculeEditor while the structure is being edited
+        this.editor = null;
+        // What the playback bar steps through: trajectory frames unless
+        // conformers or a minimization path have replaced them
+        this.playbackUnit = 'Frame';
+        // Counts depiction requests so a slow response cannot replace a newer one
+        this.depictionRequest = 0;
 
         this.init();
     }
@@ -17,11 +35,32 @@ class MoleculAI {
         this.setupViewer();
         this.setupEventListeners();
         this.updateAuthUI();
+        await this.loadElements();
         await this.loadMolecules();
+        await this.loadReactions();
+        // Links carry a view in the URL fragment (see view-link.js)
+        window.addEventListener('hashchange', () => this.openLinkedView());
+        await this.openLinkedView();
     }
 
     setupViewer() {
-        this.viewer = new Simple3DMolecule('viewer-3d');
+        this.viewer = WebGLMolecule.createViewer('viewer-3d');
+        this.viewer.onReactionProgress = (progress) => this.updateReactionTimeline(progress);
+        // Measurements are re-measured at every trajectory frame
+        this.viewer.onTrajectoryFrame = () => {
+            this.updateTrajectoryControls();
+            this.updateConformerList();
+            this.updateMeasurementPanel();
+        };
+        this.viewer.onSelectionChange = () => {
+            this.updateMeasurementPanel();
+            this.updateSequenceSelection();
+            this.depiction.setSelection(this.viewer.selection);
+        };
+
+        // Selection is shared: clicks in the 2D panel select in the 3D viewer
+        this.depiction = new Depiction2D('depiction-2d');
+        this.depiction.onAtomClick = (index) => this.viewer.toggleSelection(index);
     }
 
     setupEventListeners() {
@@ -39,6 +78,97 @@ class MoleculAI {
             }
         });
 
+        // Structure editing
+        const elementSelect = document.getElementById('edit-element');
+        elementSelect.innerHTML = MoleculeEditor.ELEMENTS
+            .map(symbol => `<option value="${symbol}">${symbol}</option>`).join('');
+        document.getElementById('edit-btn').addEventListener('click', () => this.startEditing());
+        document.getElementById('edit-close').addEventListener('click', () => this.stopEditing());
+        document.getElementById('edit-add-atom').addEventListener('click', () => this.editAddAtom());
+        document.getElementById('edit-set-element').addEventListener('click', () => this.editSetElement());
+        document.getElementById('edit-bond').addEventListener('click', () => this.editBond());
+        document.getElementById('edit-hydrogens').addEventListener('click', () => this.editAddHydrogens());
+        document.getElementById('edit-delete').addEventListener('click', () => this.editDelete());
+        document.getElementById('edit-undo').addEventListener('click', () => this.editor?.undo());
+        document.getElementById('edit-redo').addEventListener('click', () => this.editor?.redo());
+        document.getElementById('edit-save').addEventListener('click', () => this.saveEditedMolecule());
+        document.addEventListener('keydown', (e) => this.handleEditKey(e));
+
+        // Similar molecules
+        document.getElementById('similarity-threshold').addEventListener('input', (e) => {
+            document.getElementById('similarity-threshold-value').textContent = parseFloat(e.target.value).toFixed(2);
+        });
+        document.getElementById('similarity-threshold').addEventListener('change', () => {
+            if (this.currentMolecule) {
+                this.loadSimilarMolecules(this.currentMolecule.id);
+            }
+        });
+        document.getElementById('similar-list').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-molecule-id]');
+            if (item) {
+                document.getElementById('molecule-select').value = item.dataset.moleculeId;
+                this.loadMolecule(item.dataset.moleculeId);
+            }
+        });
+
+        // Conformer search
+        document.getElementById('conformer-btn').addEventListener('click', () => this.generateConformers());
+        document.getElementById('conformer-overlay').addEventListener('change', (e) => {
+            this.viewer.setOverlay(e.target.checked ? this.conformerFrames : null);
+        });
+        document.getElementById('conformer-list').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-conformer]');
+            if (item) {
+                this.viewer.pauseTrajectory();
+                this.viewer.setTrajectoryFrame(Number(item.dataset.conformer));
+            }
+        });
+
+        // Energy minimization
+        document.getElementById('minimize-btn').addEventListener('click', () => this.minimizeMolecule());
+        document.getElementById('minimize-keep').addEventListener('click', () => this.keepMinimizedGeometry());
+
+        // Advanced search
+        document.getElementById('search-btn').addEventListener('click', () => this.searchMolecules());
+        document.getElementById('search-reset').addEventListener('click', () => this.resetSearch());
+
+        // Structure file import
+        this.setupDropTarget();
+
+        // Build from SMILES
+        document.getElementById('smiles-btn').addEventListener('click', () => this.buildFromSmiles());
+        document.getElementById('smiles-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.buildFromSmiles();
+            }
+        });
+
+        // Reaction selection and playback
+        document.getElementById('reaction-select').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.loadReaction(e.target.value);
+            }
+        });
+        document.getElementById('reaction-play').addEventListener('click', () => this.toggleReactionPlayback());
+        document.getElementById('reaction-timeline').addEventListener('input', (e) => {
+            this.viewer.pauseReaction();
+            this.viewer.setReactionProgress(e.target.value / 1000);
+        });
+
+        // Trajectory playback
+        document.getElementById('trajectory-play').addEventListener('click', () => this.toggleTrajectoryPlayback());
+        document.getElementById('trajectory-timeline').addEventListener('input', (e) => {
+            this.viewer.pauseTrajectory();
+            this.viewer.setTrajectoryFrame(Number(e.target.value));
+        });
+        document.getElementById('trajectory-fps').addEventListener('change', (e) => {
+            this.viewer.setTrajectoryFps(e.target.value);
+            e.target.value = this.viewer.trajectoryFps;
+        });
+        document.getElementById('trajectory-mode').addEventListener('change', (e) => {
+            this.viewer.setTrajectoryMode(e.target.value);
+        });
+
         // View controls
         document.querySelectorAll('.btn-view').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -50,8 +180,48 @@ class MoleculAI {
         // Style selection
         document.getElementById('style-select').addEventListener('change', (e) => {
             this.currentStyle = e.target.value;
-            if (this.currentMolecule) {
-                this.renderMolecule(this.currentMolecule);
+            this.viewer.setStyle(this.currentStyle);
+        });
+        document.getElementById('color-scheme').addEventListener('change', (e) => {
+            this.currentColorScheme = e.target.value;
+            this.viewer.setColorScheme(this.currentColorScheme);
+        });
+        document.getElementById('label-mode').addEventListener('change', (e) => {
+            this.viewer.setLabels(e.target.value);
+        });
+
+        // Sequence panel
+        document.getElementById('sequence-chains').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-residue]');
+            if (item) {
+                this.toggleResidue(item.dataset.residue, e.shiftKey);
+            }
+        });
+        document.getElementById('clear-residues').addEventListener('click', () => {
+            this.highlightedResidues = new Set();
+            this.applyResidueHighlight();
+        });
+
+        // 2D depiction panel
+        document.getElementById('depiction-toggle').addEventListener('click', () => this.toggleDepiction());
+        document.getElementById('depiction-export').addEventListener('click', () => this.exportDepiction());
+
+        // Export
+        document.getElementById('export-format').addEventListener('change', (e) => {
+            document.getElementById('export-resolution').style.display =
+                e.target.value === 'png' ? '' : 'none';
+        });
+        document.getElementById('export-btn').addEventListener('click', () => this.exportCurrent());
+
+        // Measurements
+        document.getElementById('add-measurement').addEventListener('click', () => this.viewer.addMeasurementFromSelection());
+        document.getElementById('clear-measurements').addEventListener('click', () => {
+            this.viewer.clearSelection();
+            this.viewer.clearMeasurements();
+        });
+        document.getElementById('measurement-list').addEventListener('click', (e) => {
+            if (e.target.dataset.measurement !== undefined) {
+                this.viewer.removeMeasurement(parseInt(e.target.dataset.measurement, 10));
             }
         });
 
@@ -60,6 +230,7 @@ class MoleculAI {
         document.getElementById('zoom-in').addEventListener('click', () => this.zoom(1.2));
         document.getElementById('zoom-out').addEventListener('click', () => this.zoom(0.8));
         document.getElementById('toggle-spin').addEventListener('click', () => this.toggleSpin());
+        document.getElementById('copy-link').addEventListener('click', () => this.copyViewLink());
 
         // Modal controls
         document.querySelectorAll('.close').forEach(closeBtn => {
@@ -78,6 +249,96 @@ class MoleculAI {
         });
     }
 
+    setupDropTarget() {
+        const canvas = document.getElementById('viewer-3d');
+
+        canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            canvas.classList.add('drag-over');
+        });
+
+        canvas.addEventListener('dragleave', () => {
+            canvas.classList.remove('drag-over');
+        });
+
+        canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            canvas.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                this.importFile(file);
+            }
+        });
+    }
+
+    async importFile(file) {
+        // Imported structures are stored in the user's own library
+        if (!this.authToken) {
+            alert('Please login to import molecules');
+            return;
+        }
+
+        try {
+            const content = await file.text();
+            const response = await fetch('/api/molecules/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+                body: JSON.stringify({ filename: file.name, content })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                alert(`Import failed: ${data.error || 'Unknown error'}`);
+                return;
+            }
+
+            await this.loadMolecules();
+            document.getElementById('molecule-select').value = data[0].id;
+            await this.loadMolecule(data[0].id);
+
+            if (data.length > 1) {
+                alert(`Imported ${data.length} molecules from ${file.name}`);
+            }
+        } catch (error) {
+            console.error('Import error:', error);
+            alert('Failed to import file');
+        }
+    }
+
+    async buildFromSmiles() {
+        const input = document.getElementById('smiles-input');
+        const smiles = input.value.trim();
+        if (!smiles) return;
+        if (!this.authToken) {
+            alert('Please login to build molecules');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/molecules/from-smiles', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+                body: JSON.stringify({ smiles })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                alert(`Invalid SMILES: ${data.error || 'Unknown error'}`);
+                return;
+            }
+
+            input.value = '';
+            await this.loadMolecules();
+            document.getElementById('molecule-select').value = data.id;
+            await this.loadMolecule(data.id);
+        } catch (error) {
+            console.error('SMILES error:', error);
+            alert('Failed to build molecule');
+        }
+    }
+
     updateAuthUI() {
         const loginControls = document.getElementById('login-controls');
         const userControls = document.getElementById('user-controls');
@@ -117,6 +378,7 @@ class MoleculAI {
                 localStorage.setItem('username', data.username);
                 this.updateAuthUI();
                 document.getElementById('password').value = '';
+                await this.loadMolecules();
                 alert('Login successful!');
             } else {
                 alert(data.error || 'Login failed');
@@ -170,37 +432,109 @@ class MoleculAI {
         this.updateAuthUI();
         document.getElementById('username').value = '';
         document.getElementById('password').value = '';
+        this.loadMolecules();
+    }
+
+    // Sends the session token when logged in, so private molecules resolve
+    authHeaders() {
+        return this.authToken ? { 'Authorization': `Bearer ${this.authToken}` } : {};
     }
 
     async loadMolecules() {
         try {
-            const response = await fetch('/api/molecules');
+            const response = await fetch('/api/molecules', { headers: this.authHeaders() });
             const molecules = await response.json();
-
-            const select = document.getElementById('molecule-select');
-            select.innerHTML = '<option value="">Select a molecule...</option>';
-
-            molecules.forEach(mol => {
-                const option = document.createElement('option');
-                option.value = mol.id;
-                option.textContent = `${mol.name} (${mol.formula})`;
-                select.appendChild(option);
-            });
+            this.populateMoleculeSelect(molecules);
         } catch (error) {
             console.error('Error loading molecules:', error);
             alert('Failed to load molecules');
         }
     }
 
+    populateMoleculeSelect(molecules) {
+        const select = document.getElementById('molecule-select');
+        select.innerHTML = '<option value="">Select a molecule...</option>';
+
+        const own = molecules.filter(mol => mol.owner);
+        const ownGroup = document.createElement('optgroup');
+        ownGroup.label = 'My Molecules';
+
+        molecules.forEach(mol => {
+            const option = document.createElement('option');
+            option.value = mol.id;
+            option.textContent = `${mol.name} (${mol.formula})`;
+            (mol.owner ? ownGroup : select).appendChild(option);
+        });
+
+        if (own.length > 0) {
+            select.appendChild(ownGroup);
+        }
+    }
+
+    async searchMolecules() {
+        const fields = {
+            q: 'search-text',
+            substructure: 'search-substructure',
+            elements: 'search-elements',
+            minWeight: 'search-min-weight',
+            maxWeight: 'search-max-weight',
+            sort: 'search-sort'
+        };
+        const params = new URLSearchParams({ pageSize: '100' });
+        Object.entries(fields).forEach(([name, id]) => {
+            const value = document.getElementById(id).value.trim();
+            if (value) params.set(name, value);
+        });
+
+        const status = document.getElementById('search-status');
+        try {
+            const response = await fetch(`/api/molecules/search?${params}`, { headers: this.authHeaders() });
+            const data = await response.json();
+
+            if (!response.ok) {
+                status.textContent = data.error || 'Search failed';
+                return;
+            }
+
+            this.populateMoleculeSelect(data.results);
+            status.textContent = data.total > data.results.length
+                ? `Showing ${data.results.length} of ${data.total} matches`
+                : `${data.total} ${data.total === 1 ? 'match' : 'matches'}`;
+        } catch (error) {
+            console.error('Search error:', error);
+            status.textContent = 'Search failed';
+        }
+    }
+
+    async resetSearch() {
+        ['search-text', 'search-substructure', 'search-elements', 'search-min-weight', 'search-max-weight']
+            .forEach(id => {
+                document.getElementById(id).value = '';
+            });
+        document.getElementById('search-sort').value = 'name';
+        document.getElementById('search-status').textContent = '';
+        await this.loadMolecules();
+    }
+
     async loadMolecule(id) {
         try {
-            const response = await fetch(`/api/molecules/${id}`);
+            const response = await fetch(`/api/molecules/${id}`, { headers: this.authHeaders() });
             const molecule = await response.json();
 
             this.currentMolecule = molecule;
+            this.closeEditor();
+            this.exitReactionMode();
             this.renderMolecule(molecule);
+            this.resetConformers(true);
+            this.resetMinimization(true);
             this.updateMoleculeInfo(molecule);
+            // Frames and the 2D layout stream in while the other panels load
+            this.loadTrajectory(molecule);
+            this.loadDepiction(molecule);
             await this.loadElementControls(id);
+            await this.loadChains(id);
+            await this.loadMoleculeProperties(id);
+            await this.loadSimilarMolecules(id);
         } catch (error) {
             console.error('Error loading molecule:', error);
             alert('Failed to load molecule');
@@ -219,40 +553,741 @@ class MoleculAI {
         this.viewer.setMolecule(molecule, this.elementVisibility);
     }
 
-    updateMoleculeInfo(molecule) {
+    /**
+     * Fetch the frames of a trajectory page by page, playing from the first
+     * page while later ones arrive. Stops when another molecule is opened.
+     */
+    async loadTrajectory(molecule) {
+        const controls = document.getElementById('trajectory-controls');
+        controls.style.display = molecule.frameCount > 1 ? 'flex' : 'none';
+        if (!(molecule.frameCount > 1)) return;
+
+        document.getElementById('trajectory-timeline').max = molecule.frameCount - 1;
+        try {
+            for (let start = 0; start < molecule.frameCount; start += MoleculAI.FRAME_PAGE_SIZE) {
+                const response = await fetch(
+                    `/api/molecules/${molecule.id}/frames?start=${start}&count=${MoleculAI.FRAME_PAGE_SIZE}`,
+                    { headers: this.authHeaders() }
+                );
+                if (!response.ok || this.currentMolecule !== molecule) return;
+
+                const page = await response.json();
+                // Generated conformers and minimization paths take over the playback bar
+                if (this.currentMolecule !== molecule || this.viewer.molecule !== molecule ||
+                    this.playbackUnit !== 'Frame') return;
+
+                if (start === 0) {
+                    this.viewer.setTrajectory(page.frames, page.total);
+                } else {
+                    this.viewer.appendTrajectoryFrames(page.frames);
+                }
+            }
+        } catch (error) {
+            console.error('Error loading trajectory:', error);
+        }
+    }
+
+    toggleTrajectoryPlayback() {
+        if (this.viewer.trajectoryPlaying) {
+            this.viewer.pauseTrajectory();
+        } else {
+            this.viewer.playTrajectory();
+        }
+    }
+
+    updateTrajectoryControls() {
+        const { trajectory, trajectoryIndex, trajectoryPlaying } = this.viewer;
+        if (!trajectory) return;
+
+        const loading = trajectory.frames.length < trajectory.total ? ` (${trajectory.frames.length} loaded)` : '';
+        document.getElementById('trajectory-timeline').value = trajectoryIndex;
+        document.getElementById('trajectory-frame').textContent =
+            `${this.playbackUnit} ${trajectoryIndex + 1} / ${trajectory.total}${loading}`;
+        document.getElementById('trajectory-play').textContent = trajectoryPlaying ? '⏸ Pause' : '▶ Play';
+    }
+
+    // Empty the conformer panel; searches are offered for molecules only
+    resetConformers(enabled) {
+        this.conformerFrames = [];
+        this.playbackUnit = 'Frame';
+        document.getElementById('conformer-btn').disabled = !enabled;
+        const overlay = document.getElementById('conformer-overlay');
+        overlay.checked = false;
+        overlay.disabled = true;
+        document.getElementById('conformer-status').textContent = '';
+        document.getElementById('conformer-list').innerHTML = enabled
+            ? '<li class="placeholder">Generate to search for low-energy conformers</li>'
+            : '<li class="placeholder">Select a molecule to search its conformers</li>';
+    }
+
+    /**
+     * Search the conformers of the current molecule. The ensemble replaces
+     * any trajectory, so the playback bar steps through it, best first.
+     */
+    async generateConformers() {
+        const molecule = this.currentMolecule;
+        if (!molecule) return;
+        if (!this.authToken) {
+            alert('Please login to search conformers');
+            return;
+        }
+
+        const button = document.getElementById('conformer-btn');
+        const status = document.getElementById('conformer-status');
+        button.disabled = true;
+        status.textContent = 'Searching…';
+        try {
+            const response = await fetch(`/api/molecules/${molecule.id}/conformers`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+                body: JSON.stringify({})
+            });
+            const data = await response.json();
+            if (this.currentMolecule !== molecule) return;
+
+            button.disabled = false;
+            if (!response.ok) {
+                status.textContent = data.error || 'Conformer search failed';
+                return;
+            }
+            this.showConformers(data);
+        } catch (error) {
+            console.error('Error generating conformers:', error);
+            status.textContent = 'Conformer search failed';
+            button.disabled = false;
+        }
+    }
+
+    showConformers({ rotatableBonds, conformers }) {
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const colors = Simple3DMolecule.OVERLAY_COLORS;
+        this.conformerFrames = conformers.map(conformer => conformer.coordinates);
+        this.playbackUnit = 'Conformer';
+
+        document.getElementById('conformer-status').textContent =
+            `${plural(conformers.length, 'conformer')} from ${plural(rotatableBonds.length, 'rotatable bond')}`;
+        document.getElementById('conformer-list').innerHTML = conformers.map((conformer, index) => `
+            <li data-conformer="${index}">
+                <span><span class="conformer-swatch" style="background: ${colors[index % colors.length]}"></span>#${conformer.rank}</span>
+                <span>ΔE ${conformer.relativeEnergy.toFixed(2)} kcal/mol · RMSD ${conformer.rmsd.toFixed(2)} Å</span>
+            </li>
+        `).join('');
+
+        const overlay = document.getElementById('conformer-overlay');
+        overlay.disabled = conformers.length < 2;
+        document.getElementById('trajectory-controls').style.display = 'flex';
+        document.getElementById('trajectory-timeline').max = conformers.length - 1;
+        this.viewer.setTrajectory(this.conformerFrames);
+        this.viewer.setOverlay(overlay.checked ? this.conformerFrames : null);
+    }
+
+    updateConformerList() {
+        const active = this.conformerFrames.length > 0 ? this.viewer.trajectoryIndex : -1;
+        document.querySelectorAll('#conformer-list [data-conformer]').forEach(item => {
+            item.classList.toggle('active', Number(item.dataset.conformer) === active);
+        });
+    }
+
+    // Empty the minimization panel; minimization is offered for molecules only
+    resetMinimization(enabled) {
+        this.minimization = null;
+        document.getElementById('minimize-btn').disabled = !enabled;
+        document.getElementById('minimize-info').innerHTML = '';
+        document.getElementById('minimize-keep').style.display = 'none';
+    }
+
+    /**
+     * Minimize the current molecule with the selected method and play the
+     * optimization path once. The result is not stored until the owner keeps it.
+     */
+    async minimizeMolecule() {
+        const molecule = this.currentMolecule;
+        if (!molecule) return;
+        if (!this.authToken) {
+            alert('Please login to minimize molecules');
+            return;
+        }
+
+        const button = document.getElementById('minimize-btn');
+        const info = document.getElementById('minimize-info');
+        const method = document.getElementById('minimize-method').value;
+        button.disabled = true;
+        info.textContent = 'Minimizing…';
+        try {
+            const response = await fetch(`/api/molecules/${molecule.id}/minimize`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+                body: JSON.stringify({ method })
+            });
+            const data = await response.json();
+            if (this.currentMolecule !== molecule) return;
+
+            button.disabled = false;
+            if (!response.ok) {
+                info.textContent = data.error || 'Minimization failed';
+                return;
+            }
+            this.showMinimization(data);
+        } catch (error) {
+            console.error('Error minimizing molecule:', error);
+            info.textContent = 'Minimization failed';
+            button.disabled = false;
+        }
+    }
+
+    showMinimization(result) {
+        const { converged, iterations, rmsGradient, initialEnergy, energy, path } = result;
+        this.resetConformers(true);
+        this.minimization = result;
+        this.playbackUnit = 'Snapshot';
+
+        document.getElementById('minimize-info').innerHTML = `
+            <strong>Energy:</strong> ${initialEnergy.total.toFixed(2)} → ${energy.total.toFixed(2)} kcal/mol<br>
+            <strong>Steps:</strong> ${iterations} (${converged ? 'converged' : 'not converged'})<br>
+            <strong>RMS gradient:</strong> ${rmsGradient.toFixed(3)} kcal/mol/Å
+        `;
+        // Only the owner can overwrite the stored geometry
+        document.getElementById('minimize-keep').style.display =
+            this.currentMolecule.owner && this.currentMolecule.owner === this.username ? 'inline-block' : 'none';
+
+        document.getElementById('trajectory-controls').style.display = 'flex';
+        document.getElementById('trajectory-timeline').max = path.frames.length - 1;
+        document.getElementById('trajectory-mode').value = 'once';
+        this.viewer.setTrajectoryMode('once');
+        this.viewer.setOptimizationPath(path);
+    }
+
+    // Store the minimized geometry as a new version of the user's molecule
+    async keepMinimizedGeometry() {
+        const molecule = this.currentMolecule;
+        if (!molecule || !this.minimization) return;
+
+        try {
+            const response = await fetch(`/api/molecules/${molecule.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+                body: JSON.stringify({ atoms: this.minimization.atoms, version: molecule.version })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                alert(data.error || 'Failed to keep the minimized geometry');
+                return;
+            }
+            await this.loadMolecule(molecule.id);
+        } catch (error) {
+            console.error('Error keeping minimized geometry:', error);
+            alert('Failed to keep the minimized geometry');
+        }
+    }
+
+    /**
+     * Edit a working copy of the current molecule, or a new empty one. The
+     * stored molecule is untouched; edits are saved as a new user molecule.
+     */
+    startEditing() {
+        if (this.editor || this.currentReaction) return;
+
+        const molecule = this.currentMolecule;
+        this.editor = new MoleculeEditor(molecule, this.elements);
+        this.editor.onChange = () => this.onStructureEdited();
+
+        // Trajectories, conformers and minimizations belong to the stored geometry
+        this.viewer.pauseTrajectory();
+        document.getElementById('trajectory-controls').style.display = 'none';
+        this.resetConformers(false);
+        this.resetMinimization(false);
+        this.showChains([]);
+
+        document.getElementById('edit-btn').style.display = 'none';
+        document.getElementById('edit-tools').style.display = 'flex';
+        document.getElementById('edit-name').value = molecule ? `${molecule.name} (edited)` : 'New molecule';
+        this.viewer.setEditor(this.editor);
+        this.updateEditControls();
+        this.loadDepiction(this.editor.molecule, true);
+    }
+
+    // Leave editing without saving and show the current molecule again
+    stopEditing() {
+        if (!this.editor) return;
+
+        this.closeEditor();
+        if (this.currentMolecule) {
+            this.loadMolecule(this.currentMolecule.id);
+        } else {
+            this.viewer.setMolecule({ name: '', atoms: [], bonds: [] }, this.elementVisibility);
+            this.hideDepiction();
+        }
+    }
+
+    closeEditor() {
+        if (!this.editor) return;
+
+        this.editor = null;
+        this.viewer.setEditor(null);
+        document.getElementById('edit-btn').style.display = '';
+        document.getElementById('edit-tools').style.display = 'none';
+    }
+
+    onStructureEdited() {
+        this.viewer.moleculeEdited();
+        this.updateEditControls();
+        this.loadDepiction(this.editor.molecule, true);
+    }
+
+    updateEditControls(message = null) {
+        const { atoms, bonds } = this.editor.molecule;
+        document.getElementById('edit-undo').disabled = !this.editor.canUndo();
+        document.getElementById('edit-redo').disabled = !this.editor.canRedo();
+        document.getElementById('edit-save').disabled = atoms.length === 0;
+        document.getElementById('edit-status').textContent = message ||
+            `${atoms.length} atoms, ${bonds.length} bonds${this.authToken ? '' : ' · log in to save'}`;
+    }
+
+    // A new atom bonds to the last selected atom and is selected in turn,
+    // so repeated clicks grow a chain
+    editAddAtom() {
+        const element = document.getElementById('edit-element').value;
+        const selection = this.viewer.selection;
+        const index = selection.length > 0
+            ? this.editor.addAtom(element, { attachTo: selection[selection.length - 1] })
+            : this.editor.addAtom(element, { position: this.viewer.frame.center });
+        this.viewer.clearSelection();
+        this.viewer.toggleSelection(index);
+    }
+
+    editSetElement() {
+        const selection = this.viewer.selection;
+        if (selection.length === 0) {
+            this.updateEditControls('Select the atoms to change');
+            return;
+        }
+        this.editor.setElement(selection, document.getElementById('edit-element').value);
+    }
+
+    editBond() {
+        const selection = this.viewer.selection;
+        if (selection.length !== 2) {
+            this.updateEditControls('Select two atoms to bond');
+            return;
+        }
+        const order = this.editor.drawBond(selection[0], selection[1]);
+        this.updateEditControls(`Bond order ${order}`);
+    }
+
+    editAddHydrogens() {
+        const selection = this.viewer.selection;
+        const added = this.editor.addHydrogens(selection.length > 0 ? selection : null);
+        this.updateEditControls(`Added ${added} hydrogen${added === 1 ? '' : 's'}`);
+    }
+
+    editDelete() {
+        const selection = this.viewer.selection;
+        if (selection.length === 0) return;
+
+        this.viewer.clearSelection();
+        this.editor.deleteAtoms(selection);
+    }
+
+    // Undo, redo and delete from the keyboard while editing, outside text fields
+    handleEditKey(e) {
+        if (!this.editor || e.target.closest('input, select, textarea')) return;
+
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.editor.redo();
+            } else {
+                this.editor.undo();
+            }
+        } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+            e.preventDefault();
+            this.editor.redo();
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this.editDelete();
+        }
+    }
+
+    async saveEditedMolecule() {
+        if (!this.authToken) {
+            alert('Please login to save molecules');
+            return;
+        }
+
+        const name = document.getElementById('edit-name').value.trim() || 'New molecule';
+        try {
+            const response = await fetch('/api/molecules', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+                body: JSON.stringify(this.editor.toMolecule(name))
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                this.updateEditControls(data.error || 'Failed to save molecule');
+                return;
+            }
+
+            this.closeEditor();
+            await this.loadMolecules();
+            document.getElementById('molecule-select').value = data.id;
+            await this.loadMolecule(data.id);
+        } catch (error) {
+            console.error('Error saving molecule:', error);
+            this.updateEditControls('Failed to save molecule');
+        }
+    }
+
+    async loadReactions() {
+        try {
+            const response = await fetch('/api/reactions');
+            const reactions = await response.json();
+
+            const select = document.getElementById('reaction-select');
+            select.innerHTML = '<option value="">Select a reaction...</option>';
+
+            reactions.forEach(reaction => {
+                const option = document.createElement('option');
+                option.value = reaction.id;
+                option.textContent = reaction.name;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading reactions:', error);
+        }
+    }
+
+    async loadReaction(id) {
+        try {
+            const response = await fetch(`/api/reactions/${id}/path`);
+            const path = await response.json();
+
+            this.currentReaction = path;
+            this.currentMolecule = null;
+            this.closeEditor();
+            document.getElementById('molecule-select').value = '';
+            document.getElementById('molecule-info').innerHTML = '';
+            document.getElementById('element-controls').innerHTML =
+                '<p class="placeholder">Select a molecule to view element controls</p>';
+            this.showChains([]);
+            this.hideDepiction();
+
+            const broken = path.bonds.filter(b => b.endOrder === 0).length;
+            const formed = path.bonds.filter(b => b.startOrder === 0).length;
+            document.getElementById('reaction-info').innerHTML = `
+                <strong>${this.escapeHtml(path.name)}</strong><br>
+                ${this.escapeHtml(path.equation)}<br>
+                <strong>Bonds broken:</strong> ${broken}<br>
+                <strong>Bonds formed:</strong> ${formed}
+            `;
+            document.getElementById('reaction-controls').style.display = 'flex';
+            document.getElementById('trajectory-controls').style.display = 'none';
+            this.resetConformers(false);
+            this.resetMinimization(false);
+
+            this.viewer.setReaction(path);
+        } catch (error) {
+            console.error('Error loading reaction:', error);
+            alert('Failed to load reaction');
+        }
+    }
+
+    exitReactionMode() {
+        if (!this.currentReaction) return;
+
+        this.currentReaction = null;
+        document.getElementById('reaction-select').value = '';
+        document.getElementById('reaction-info').innerHTML = '';
+        document.getElementById('reaction-controls').style.display = 'none';
+    }
+
+    toggleReactionPlayback() {
+        if (this.viewer.reactionPlaying) {
+            this.viewer.pauseReaction();
+        } else {
+            this.viewer.playReaction();
+        }
+        this.updateReactionTimeline(this.viewer.reactionProgress);
+    }
+
+    updateReactionTimeline(progress) {
+        document.getElementById('reaction-timeline').value = Math.round(progress * 1000);
+        document.getElementById('reaction-play').textContent =
+            this.viewer.reactionPlaying ? '⏸ Pause' : '▶ Play';
+    }
+
+    updateMoleculeInfo(molecule, properties = null) {
         const infoBox = document.getElementById('molecule-info');
         infoBox.innerHTML = `
-            <strong>${molecule.name}</strong><br>
-            <strong>Formula:</strong> ${molecule.formula}<br>
+            <strong>${this.escapeHtml(molecule.name)}</strong><br>
+            <strong>Formula:</strong> ${this.escapeHtml(properties ? properties.formula : molecule.formula)}<br>
             <strong>Atoms:</strong> ${molecule.atoms.length}<br>
             <strong>Bonds:</strong> ${molecule.bonds.length}
         `;
+
+        if (properties) {
+            const com = properties.centerOfMass;
+            const charge = properties.netCharge > 0 ? `+${properties.netCharge}` : properties.netCharge;
+            infoBox.innerHTML += `
+                <div class="property-list">
+                    <strong>Molecular weight:</strong> ${properties.molecularWeight.toFixed(3)} g/mol<br>
+                    ${properties.monoisotopicMass === null ? '' : `<strong>Monoisotopic mass:</strong> ${properties.monoisotopicMass.toFixed(4)} Da<br>`}
+                    <strong>Unsaturation:</strong> ${properties.degreeOfUnsaturation}<br>
+                    <strong>Net charge:</strong> ${charge}<br>
+                    <strong>Dipole (est.):</strong> ${properties.dipoleMoment.magnitude.toFixed(2)} D<br>
+                    <strong>Center of mass:</strong> (${com.x.toFixed(2)}, ${com.y.toFixed(2)}, ${com.z.toFixed(2)}) Å<br>
+                    <strong>Principal moments:</strong> ${properties.principalMoments.map(m => m.toFixed(2)).join(', ')} amu·Å²
+                </div>
+            `;
+        }
     }
 
-    async loadElementControls(moleculeId) {
+    async loadMoleculeProperties(moleculeId) {
         try {
-            const response = await fetch(`/api/molecules/${moleculeId}/elements`);
-            const elements = await response.json();
+            const response = await fetch(`/api/molecules/${moleculeId}/properties`, { headers: this.authHeaders() });
+            if (!response.ok) return;
 
-            const container = document.getElementById('element-controls');
-            container.innerHTML = '';
+            const properties = await response.json();
+            // Ignore late responses for a molecule that is no longer shown
+            if (this.currentMolecule?.id === moleculeId) {
+                this.updateMoleculeInfo(this.currentMolecule, properties);
+            }
+        } catch (error) {
+            console.error('Error loading molecule properties:', error);
+        }
+    }
 
-            elements.forEach(({ element, count }) => {
-                const control = this.createElementControl(element, count);
-                container.appendChild(control);
-            });
+    updateMeasurementPanel() {
+        const { selection, measurements, molecule } = this.viewer;
+        const label = (index) => `${molecule.atoms[index].element}${index + 1}`;
+
+        const info = document.getElementById('selection-info');
+        if (selection.length === 0) {
+            info.textContent = 'No atoms selected';
+        } else {
+            const atoms = selection.map(label).join(' – ');
+            info.textContent = selection.length === 1
+                ? `Selected ${atoms}`
+                : `${atoms}: ${Simple3DMolecule.formatMeasurement(this.viewer.measure(selection))}`;
+        }
+        document.getElementById('add-measurement').disabled = selection.length < 2;
+
+        document.getElementById('measurement-list').innerHTML = measurements.map((atoms, index) => {
+            const measurement = this.viewer.measure(atoms);
+            return `
+                <li>
+                    <span>${measurement.type} ${atoms.map(label).join('–')}: <strong>${Simple3DMolecule.formatMeasurement(measurement)}</strong></span>
+                    <button class="remove-measurement" data-measurement="${index}" title="Remove">×</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    async loadChains(moleculeId) {
+        try {
+            const response = await fetch(`/api/molecules/${moleculeId}/chains`, { headers: this.authHeaders() });
+            if (!response.ok) return;
+
+            const chains = await response.json();
+            if (this.currentMolecule?.id === moleculeId) {
+                this.showChains(chains);
+            }
+        } catch (error) {
+            console.error('Error loading chains:', error);
+        }
+    }
+
+    /**
+     * Lay out the skeletal formula of a stored molecule, or of the working
+     * copy being edited, which the server depicts without storing it
+     */
+    async loadDepiction(molecule, edited = false) {
+        const request = ++this.depictionRequest;
+        try {
+            const response = edited
+                ? await fetch('/api/molecules/depict', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ atoms: molecule.atoms, bonds: molecule.bonds })
+                })
+                : await fetch(`/api/molecules/${molecule.id}/depiction`, { headers: this.authHeaders() });
+            const data = await response.json();
+            if (request !== this.depictionRequest) return;
+
+            if (response.ok) {
+                this.showDepiction(data, 'Click an atom to select it in both views');
+            } else {
+                this.showDepiction(null, data.error || 'No 2D structure available');
+            }
+        } catch (error) {
+            console.error('Error loading depiction:', error);
+        }
+    }
+
+    showDepiction(depiction, message) {
+        document.getElementById('depiction-panel').style.display = '';
+        document.getElementById('depiction-status').textContent = message;
+        this.depiction.selection = [...this.viewer.selection];
+        this.depiction.setDepiction(depiction);
+        // The canvas has no size until the panel is shown
+        this.depiction.resize();
+    }
+
+    hideDepiction() {
+        this.depictionRequest++;
+        this.depiction.setDepiction(null);
+        document.getElementById('depiction-panel').style.display = 'none';
+    }
+
+    toggleDepiction() {
+        const canvas = document.getElementById('depiction-2d');
+        const collapsed = canvas.style.display === 'none';
+        canvas.style.display = collapsed ? '' : 'none';
+        document.getElementById('depiction-toggle').textContent = collapsed ? 'Hide' : 'Show';
+        if (collapsed) {
+            this.depiction.resize();
+        }
+    }
+
+    exportDepiction() {
+        if (!this.depiction.depiction) return;
+
+        const baseName = this.currentMolecule?.id || 'molecule';
+        const blob = new Blob([this.depiction.exportSVG()], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+        this.downloadFile(url, `${baseName}-2d.svg`);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Fill the sequence panel with one row per chain; hidden for molecules
+     * without residues
+     */
+    showChains(chains) {
+        this.chains = chains;
+        this.highlightedResidues = new Set();
+        this.residueKeysByAtom = new Map();
+
+        const panel = document.getElementById('sequence-panel');
+        panel.style.display = chains.length > 0 ? '' : 'none';
+
+        document.getElementById('sequence-chains').innerHTML = chains.map((chain, chainIndex) => {
+            const residues = chain.residues.map((residue, residueIndex) => {
+                const key = `${chainIndex}:${residueIndex}`;
+                residue.atoms.forEach(atom => this.residueKeysByAtom.set(atom, key));
+
+                const label = residue.code || `[${residue.name}]`;
+                const title = `${residue.name} ${residue.number ?? ''}${residue.insertionCode || ''}` +
+                    (residue.secondary ? ` (${residue.secondary})` : '');
+                const classes = ['sequence-residue', residue.code ? residue.secondary : 'ligand'];
+                return `<span class="${classes.join(' ')}" data-residue="${key}" title="${this.escapeHtml(title)}">${this.escapeHtml(label)}</span>`;
+            }).join('');
+
+            return `
+                <div class="sequence-chain">
+                    <span class="sequence-chain-label">Chain ${this.escapeHtml(chain.id || '–')}</span>
+                    <div class="sequence-residues">${residues}</div>
+                </div>
+            `;
+        }).join('');
+
+        this.updateSequenceSelection();
+    }
+
+    // A plain click picks one residue (or clears it); Shift-click adds or removes
+    toggleResidue(key, extend) {
+        if (extend) {
+            if (this.highlightedResidues.has(key)) {
+                this.highlightedResidues.delete(key);
+            } else {
+                this.highlightedResidues.add(key);
+            }
+        } else {
+            const only = this.highlightedResidues.size === 1 && this.highlightedResidues.has(key);
+            this.highlightedResidues = new Set(only ? [] : [key]);
+        }
+        this.applyResidueHighlight();
+    }
+
+    applyResidueHighlight() {
+        const atoms = [...this.highlightedResidues].flatMap(key => {
+            const [chainIndex, residueIndex] = key.split(':').map(Number);
+            return this.chains[chainIndex].residues[residueIndex].atoms;
+        });
+        this.viewer.highlightAtoms(atoms);
+
+        document.querySelectorAll('#sequence-chains [data-residue]').forEach(item => {
+            item.classList.toggle('highlighted', this.highlightedResidues.has(item.dataset.residue));
+        });
+    }
+
+    // Outline the residues of atoms selected in the viewer
+    updateSequenceSelection() {
+        const picked = new Set(this.viewer.selection.map(atom => this.residueKeysByAtom.get(atom)));
+        document.querySelectorAll('#sequence-chains [data-residue]').forEach(item => {
+            item.classList.toggle('picked', picked.has(item.dataset.residue));
+        });
+    }
+
+    async loadSimilarMolecules(moleculeId) {
+        const list = document.getElementById('similar-list');
+        const threshold = document.getElementById('similarity-threshold').value;
+
+        try {
+            const response = await fetch(
+                `/api/molecules/${moleculeId}/similar?threshold=${threshold}`,
+                { headers: this.authHeaders() }
+            );
+            if (!response.ok) return;
+
+            const similar = await response.json();
+            if (this.currentMolecule?.id !== moleculeId) return;
+
+            list.innerHTML = similar.length === 0
+                ? '<li class="placeholder">No molecules above this similarity</li>'
+                : similar.map(mol => `
+                    <li data-molecule-id="${this.escapeHtml(mol.id)}">
+                        <span>${this.escapeHtml(mol.name)} (${this.escapeHtml(mol.formula)})</span>
+                        <span class="similarity-score">${Math.round(mol.similarity * 100)}%</span>
+                    </li>
+                `).join('');
+        } catch (error) {
+            console.error('Error loading similar molecules:', error);
+        }
+    }
+
+    async loadElements() {
+        try {
+            const response = await fetch('/api/elements');
+            const elements = await response.json();
+            this.elements = Object.fromEntries(elements.map(element => [element.symbol, element]));
+            this.viewer.setElementData(this.elements);
+        } catch (error) {
+            console.error('Error loading element data:', error);
+        }
+    }
+
+    async loadElementControls(moleculeId) {
+        try {
+            const response = await fetch(`/api/molecules/${moleculeId}/elements`, { headers: this.authHeaders() });
+            this.showElementControls(await response.json());
         } catch (error) {
             console.error('Error loading element controls:', error);
         }
     }
 
-    createElementControl(element, count) {
-        const colors = {
-            H: '#FFFFFF', C: '#909090', N: '#3050F8', O: '#FF0D0D',
-            F: '#90E050', Cl: '#1FF01F', Br: '#A62929', I: '#940094',
-            P: '#FF8000', S: '#FFFF30', B: '#FFB5B5', Si: '#F0C8A0'
-        };
+    showElementControls(elements) {
+        this.elementCounts = elements;
+        const container = document.getElementById('element-controls');
+        container.innerHTML = '';
+
+        elements.forEach(({ element, count }) => {
+            const control = this.createElementControl(element, count);
+            container.appendChild(control);
+        });
+    }
 
+    createElementControl(element, count) {
         const div = document.createElement('div');
         div.className = 'element-control';
         
@@ -261,7 +1296,7 @@ class MoleculAI {
         div.innerHTML = `
             <div class="element-header">
                 <div>
-                    <span class="element-symbol" style="background-color: ${colors[element] || '#808080'}">${element}</span>
+                    <span class="element-symbol" style="background-color: ${this.viewer.getElementColor(element)}">${element}</span>
                     <span class="element-name">${this.getElementName(element)}</span>
                 </div>
             </div>
@@ -284,12 +1319,7 @@ class MoleculAI {
     }
 
     getElementName(symbol) {
-        const names = {
-            H: 'Hydrogen', C: 'Carbon', N: 'Nitrogen', O: 'Oxygen',
-            F: 'Fluorine', Cl: 'Chlorine', Br: 'Bromine', I: 'Iodine',
-            P: 'Phosphorus', S: 'Sulfur', B: 'Boron', Si: 'Silicon'
-        };
-        return names[symbol] || symbol;
+        return this.elements[symbol]?.name || symbol;
     }
 
     escapeHtml(text) {
@@ -318,6 +1348,61 @@ class MoleculAI {
         this.viewer.toggleSpin();
     }
 
+    async exportCurrent() {
+        const format = document.getElementById('export-format').value;
+        const baseName = this.currentMolecule?.id || this.currentReaction?.id || 'molecule';
+
+        if (format === 'png') {
+            const resolution = parseFloat(document.getElementById('export-resolution').value);
+            this.downloadFile(this.viewer.exportPNG(resolution), `${baseName}.png`);
+            return;
+        }
+
+        if (format === 'svg') {
+            const blob = new Blob([this.viewer.exportSVG()], { type: 'image/svg+xml' });
+            const url = URL.createObjectURL(blob);
+            this.downloadFile(url, `${baseName}.svg`);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            return;
+        }
+
+        if (!this.currentMolecule) {
+            alert('Please select a molecule first');
+            return;
+        }
+        const exportUrl = `/api/molecules/${encodeURIComponent(this.currentMolecule.id)}/export?format=${format}`;
+        const filename = `${this.currentMolecule.id}.${format}`;
+
+        if (!this.currentMolecule.owner) {
+            this.downloadFile(exportUrl, filename);
+            return;
+        }
+
+        // Private molecules need the session token, which a plain link cannot send
+        try {
+            const response = await fetch(exportUrl, { headers: this.authHeaders() });
+            if (!response.ok) {
+                alert('Failed to export molecule');
+                return;
+            }
+            const url = URL.createObjectURL(await response.blob());
+            this.downloadFile(url, filename);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Export error:', error);
+            alert('Failed to export molecule');
+        }
+    }
+
+    downloadFile(url, filename) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
     showSaveDialog() {
         if (!this.authToken) {
             alert('Please login to save visualizations');
@@ -343,10 +1428,7 @@ class MoleculAI {
         }
 
         try {
-            const settings = {
-                style: this.currentStyle,
-                elementVisibility: this.elementVisibility
-            };
+            const settings = this.viewSettings();
 
             const response = await fetch('/api/visualizations', {
                 method: 'POST',
@@ -408,6 +1490,8 @@ class MoleculAI {
                         </div>
                         <div class="save-item-actions">
                             <button class="btn btn-primary btn-small" data-save-id="${saveId}" data-molecule-id="${save.moleculeId}" data-settings="${encodedSettings}">Load</button>
+                            <button class="btn btn-small" data-share-id="${saveId}">🔗 ${save.shareToken ? 'Copy link' : 'Share'}</button>
+                            ${save.shareToken ? `<button class="btn btn-small" data-unshare-id="${saveId}">Unshare</button>` : ''}
                             <button class="btn btn-secondary btn-small" data-delete-id="${saveId}">Delete</button>
                         </div>
                     </div>
@@ -428,6 +1512,14 @@ class MoleculAI {
                     });
                 });
 
+                savesList.querySelectorAll('[data-share-id]').forEach(btn => {
+                    btn.addEventListener('click', (e) => this.shareSavedVisualization(e.target.dataset.shareId));
+                });
+
+                savesList.querySelectorAll('[data-unshare-id]').forEach(btn => {
+                    btn.addEventListener('click', (e) => this.unshareSavedVisualization(e.target.dataset.unshareId));
+                });
+
                 savesList.querySelectorAll('[data-delete-id]').forEach(btn => {
                     btn.addEventListener('click', (e) => {
                         const deleteId = e.target.dataset.deleteId;
@@ -448,18 +1540,7 @@ class MoleculAI {
             // Load the molecule
             document.getElementById('molecule-select').value = moleculeId;
             await this.loadMolecule(moleculeId);
-
-            // Apply settings
-            if (settings.style) {
-                this.currentStyle = settings.style;
-                document.getElementById('style-select').value = settings.style;
-            }
-
-            if (settings.elementVisibility) {
-                this.elementVisibility = settings.elementVisibility;
-                await this.loadElementControls(moleculeId);
-                this.renderMolecule(this.currentMolecule);
-            }
+            this.applyViewSettings(settings);
 
             document.getElementById('saves-modal').style.display = 'none';
             alert('Visualization loaded successfully!');
@@ -469,6 +1550,186 @@ class MoleculAI {
         }
     }
 
+    // Everything needed to show the current molecule exactly as it is on screen
+    viewSettings() {
+        return {
+            style: this.currentStyle,
+            colorScheme: this.currentColorScheme,
+            labels: this.viewer.labels,
+            elementVisibility: this.elementVisibility,
+            measurements: this.viewer.getMeasurements(),
+            selection: [...this.viewer.selection],
+            spinning: this.viewer.spinning,
+            camera: this.viewer.getCamera()
+        };
+    }
+
+    // Apply settings from viewSettings() to the molecule on display. Views
+    // saved before the camera was stored keep the current camera.
+    applyViewSettings(settings) {
+        if (settings.style) {
+            this.currentStyle = settings.style;
+            document.getElementById('style-select').value = settings.style;
+            this.viewer.setStyle(settings.style);
+        }
+
+        if (settings.colorScheme) {
+            this.currentColorScheme = settings.colorScheme;
+            document.getElementById('color-scheme').value = settings.colorScheme;
+            this.viewer.setColorScheme(settings.colorScheme);
+        }
+
+        if (settings.labels) {
+            this.viewer.setLabels(settings.labels);
+            document.getElementById('label-mode').value = this.viewer.labels;
+        }
+
+        if (settings.elementVisibility) {
+            this.elementVisibility = { ...settings.elementVisibility };
+            this.showElementControls(this.elementCounts || []);
+            this.renderMolecule(this.currentMolecule);
+        }
+
+        this.viewer.setMeasurements(settings.measurements || []);
+        this.viewer.setSelection(settings.selection || []);
+        if (settings.camera) {
+            this.viewer.setCamera(settings.camera);
+        }
+        if (Boolean(settings.spinning) !== this.viewer.spinning) {
+            this.viewer.toggleSpin();
+        }
+    }
+
+    /**
+     * Open the view in the URL fragment, if any: a molecule with its
+     * settings, or a saved view shared by its owner
+     */
+    async openLinkedView() {
+        const link = ViewLink.decode(window.location.hash);
+        if (!link) return;
+
+        if (link.share) {
+            await this.openSharedView(link.share.id, link.share.token);
+            return;
+        }
+
+        document.getElementById('molecule-select').value = link.moleculeId;
+        await this.loadMolecule(link.moleculeId);
+        if (this.currentMolecule?.id === link.moleculeId) {
+            this.applyViewSettings(link.settings);
+        }
+    }
+
+    async openSharedView(id, token) {
+        try {
+            const response = await fetch(
+                `/api/visualizations/${encodeURIComponent(id)}/public?token=${encodeURIComponent(token)}`
+            );
+            const view = await response.json();
+            if (!response.ok) {
+                alert(view.error || 'Failed to open the shared view');
+                return;
+            }
+
+            if (view.molecule.owner && view.molecule.owner !== this.username) {
+                this.showSharedMolecule(view.molecule, view.elements);
+            } else {
+                document.getElementById('molecule-select').value = view.moleculeId;
+                await this.loadMolecule(view.moleculeId);
+            }
+            this.applyViewSettings(view.settings || {});
+        } catch (error) {
+            console.error('Error opening shared view:', error);
+            alert('Failed to open the shared view');
+        }
+    }
+
+    /**
+     * Show someone else's private molecule from a share link. Panels that
+     * fetch the molecule by id need its owner's account, so they stay empty.
+     */
+    showSharedMolecule(molecule, elements) {
+        this.currentMolecule = molecule;
+        this.closeEditor();
+        this.exitReactionMode();
+        document.getElementById('molecule-select').value = '';
+        this.renderMolecule(molecule);
+        this.resetConformers(false);
+        this.resetMinimization(false);
+        this.updateMoleculeInfo(molecule);
+        document.getElementById('trajectory-controls').style.display = 'none';
+        this.showChains([]);
+        this.showElementControls(elements);
+        this.loadDepiction(molecule, true);
+        document.getElementById('similar-list').innerHTML = '<li class="placeholder">Not available for shared molecules</li>';
+    }
+
+    // Put the current view in the address bar and copy the link
+    async copyViewLink() {
+        if (!this.currentMolecule || this.editor) {
+            alert('Please select a molecule first');
+            return;
+        }
+
+        const fragment = ViewLink.encode(this.currentMolecule.id, this.viewSettings());
+        window.history.replaceState(null, '', `#${fragment}`);
+        await this.copyLink(window.location.href);
+    }
+
+    async copyLink(url) {
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Link copied to the clipboard');
+        } catch {
+            // Clipboard access needs a secure context and permission
+            prompt('Copy this link:', url);
+        }
+    }
+
+    async shareSavedVisualization(id) {
+        try {
+            const response = await fetch(`/api/visualizations/${id}/share`, {
+                method: 'POST',
+                headers: this.authHeaders()
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                alert(data.error || 'Failed to share visualization');
+                return;
+            }
+
+            const url = new URL(window.location.href);
+            url.hash = `share=${data.id}.${data.shareToken}`;
+            await this.copyLink(url.toString());
+            this.showSavedVisualizations();
+        } catch (error) {
+            console.error('Share error:', error);
+            alert('Failed to share visualization');
+        }
+    }
+
+    async unshareSavedVisualization(id) {
+        if (!confirm('Links to this visualization will stop working. Continue?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/visualizations/${id}/share`, {
+                method: 'DELETE',
+                headers: this.authHeaders()
+            });
+            if (!response.ok) {
+                const data = await response.json();
+                alert(data.error || 'Failed to stop sharing visualization');
+                return;
+            }
+            this.showSavedVisualizations();
+        } catch (error) {
+            console.error('Unshare error:', error);
+            alert('Failed to stop sharing visualization');
+        }
+    }
+
     async deleteSavedVisualization(id) {
         if (!confirm('Are you sure you want to delete this visualization?')) {
             return;
@@ -496,5 +1757,8 @@ class MoleculAI {
     }
 }
 
+// Trajectory frames fetched per request
+MoleculAI.FRAME_PAGE_SIZE = 50;
+
 // Initialize the application
 const app = new MoleculAI();
@@ -0,0 +1,324 @@
+/**
+ * Biopolymer geometry for the viewers
+ * Groups the atoms of proteins and nucleic acids into residues and backbone
+ * segments, and builds cartoon ribbons and backbone traces as
+ * renderer-neutral pieces: tubes (coil, traces) and flat quads (helix and
+ * sheet ribbons). Both the Canvas 2D and the WebGL renderer draw these.
+ */
+
+class Biopolymer {
+    constructor(molecule) {
+        this.residues = [];
+        // Residue of each atom by molecule atom index, or undefined
+        this.atomResidues = [];
+        this.segments = [];
+        this.chainIndex = new Map();
+
+        if (molecule) {
+            this.groupResidues(molecule);
+            this.findSegments(molecule);
+        }
+    }
+
+    isEmpty() {
+        return this.segments.length === 0;
+    }
+
+    groupResidues(molecule) {
+        const residues = new Map();
+        const ranges = molecule.secondaryStructure || [];
+
+        molecule.atoms.forEach((atom, index) => {
+            if (!atom.residue) return;
+
+            const chain = atom.chain || '';
+            const key = `${chain}|${atom.residueNumber}|${atom.insertionCode || ''}|${atom.residue}`;
+            if (!residues.has(key)) {
+                const code = Biopolymer.AMINO_ACIDS[atom.residue] || Biopolymer.NUCLEOTIDES[atom.residue] || null;
+                const range = code && ranges.find(r => (r.chain || '') === chain &&
+                    atom.residueNumber >= r.start && atom.residueNumber <= r.end);
+                residues.set(key, {
+                    index: residues.size,
+                    chain,
+                    name: atom.residue,
+                    number: atom.residueNumber,
+                    code,
+                    type: Biopolymer.residueType(atom.residue),
+                    secondary: code ? (range ? range.type : 'coil') : null,
+                    atoms: [],
+                    traced: false,
+                    traceAtom: null
+                });
+                if (!this.chainIndex.has(chain)) this.chainIndex.set(chain, this.chainIndex.size);
+            }
+
+            const residue = residues.get(key);
+            residue.atoms.push(index);
+            this.atomResidues[index] = residue;
+        });
+
+        this.residues = Array.from(residues.values());
+    }
+
+    /**
+     * Split each chain into runs of residues whose trace atoms (Cα for amino
+     * acids, P for nucleotides) are close enough to be linked
+     */
+    findSegments(molecule) {
+        let segment = [];
+        const finish = () => {
+            if (segment.length >= 2) {
+                segment.forEach(point => {
+                    point.residue.traced = true;
+                    point.residue.traceAtom = point.atom;
+                });
+                this.segments.push(segment);
+            }
+            segment = [];
+        };
+
+        this.residues.forEach(residue => {
+            const names = Biopolymer.TRACE_ATOMS[residue.type];
+            if (!names) return;
+
+            const byName = name => residue.atoms.find(i => molecule.atoms[i].name === name);
+            const traceIndex = byName(names.trace);
+            if (traceIndex === undefined) return;
+            const guideIndex = names.guides.map(byName).find(i => i !== undefined);
+
+            const point = {
+                residue,
+                atom: traceIndex,
+                position: molecule.atoms[traceIndex],
+                guide: guideIndex === undefined ? null : molecule.atoms[guideIndex]
+            };
+
+            const last = segment[segment.length - 1];
+            if (last && (last.residue.chain !== residue.chain || last.residue.type !== residue.type ||
+                Biopolymer.distance(last.position, point.position) > names.maxDistance)) {
+                finish();
+            }
+            segment.push(point);
+        });
+        finish();
+    }
+
+    /**
+     * Cartoon pieces: a spline through the trace atoms, drawn as a flat
+     * ribbon for helices, a ribbon ending in an arrowhead for strands and a
+     * thin tube for coil. `colorOf(residue)` picks each residue's color.
+     */
+    buildCartoon(colorOf) {
+        const pieces = [];
+        const samples = Biopolymer.CARTOON_SAMPLES;
+
+        this.segments.forEach(segment => {
+            const sides = this.guideSides(segment);
+
+            for (let i = 0; i + 1 < segment.length; i++) {
+                const residue = segment[i].residue;
+                const next = segment[i + 1].residue;
+                // The last residue of a strand carries the arrowhead over the whole interval
+                const arrow = residue.secondary === 'sheet' && next.secondary !== 'sheet';
+
+                const frames = [];
+                for (let k = 0; k <= samples; k++) {
+                    frames.push(this.splineFrame(segment, sides, i, k / samples));
+                }
+
+                for (let k = 0; k < samples; k++) {
+                    const t = (k + 0.5) / samples;
+                    const owner = arrow || t < 0.5 ? residue : next;
+                    const color = colorOf(owner);
+                    const [a, b] = [frames[k], frames[k + 1]];
+
+                    if (owner.secondary === 'helix' || owner.secondary === 'sheet') {
+                        const width = owner.secondary === 'helix' ? Biopolymer.HELIX_WIDTH : Biopolymer.SHEET_WIDTH;
+                        const widthAt = s => (arrow ? Biopolymer.ARROW_WIDTH * (1 - s) : width);
+                        pieces.push(Biopolymer.ribbonQuad(a, b, widthAt(k / samples), widthAt((k + 1) / samples), color));
+                    } else {
+                        pieces.push({ type: 'tube', from: a.position, to: b.position, radius: Biopolymer.COIL_RADIUS, color });
+                    }
+                }
+            }
+        });
+
+        return pieces;
+    }
+
+    /**
+     * Backbone trace pieces: a tube between consecutive trace atoms, each
+     * half colored by the residue it touches
+     */
+    buildTrace(colorOf) {
+        const pieces = [];
+        this.segments.forEach(segment => {
+            for (let i = 0; i + 1 < segment.length; i++) {
+                const [a, b] = [segment[i], segment[i + 1]];
+                const middle = Biopolymer.lerp(a.position, b.position, 0.5);
+                pieces.push(
+                    { type: 'tube', from: a.position, to: middle, radius: Biopolymer.TRACE_RADIUS, color: colorOf(a.residue) },
+                    { type: 'tube', from: middle, to: b.position, radius: Biopolymer.TRACE_RADIUS, color: colorOf(b.residue) }
+                );
+            }
+        });
+        return pieces;
+    }
+
+    /**
+     * Unit vectors across the ribbon at each residue, from the trace atom
+     * towards its guide atom (the carbonyl oxygen of amino acids). Each one
+     * is flipped to agree with the previous residue so strands do not twist.
+     */
+    guideSides(segment) {
+        const sides = [];
+        segment.forEach((point, i) => {
+            const tangent = this.splineFrame(segment, null, Math.min(i, segment.length - 2), i === segment.length - 1 ? 1 : 0).tangent;
+            let side = point.guide ? Biopolymer.sub(point.guide, point.position) : (sides[i - 1] || Biopolymer.anyPerpendicular(tangent));
+            side = Biopolymer.perpendicularTo(side, tangent);
+            if (i > 0 && Biopolymer.dot(side, sides[i - 1]) < 0) {
+                side = Biopolymer.scale(side, -1);
+            }
+            sides.push(side);
+        });
+        return sides;
+    }
+
+    /**
+     * Position, tangent and (when `sides` is given) side vector on the
+     * Catmull-Rom spline between trace atoms i and i + 1, at fraction t
+     */
+    splineFrame(segment, sides, i, t) {
+        const at = j => segment[Math.max(0, Math.min(segment.length - 1, j))].position;
+        const [p0, p1, p2, p3] = [at(i - 1), at(i), at(i + 1), at(i + 2)];
+        const axis = key => {
+            const [a, b, c, d] = [p0[key], p1[key], p2[key], p3[key]];
+            return {
+                position: 0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t * t + (3 * b - a - 3 * c + d) * t * t * t),
+                tangent: 0.5 * ((c - a) + 2 * (2 * a - 5 * b + 4 * c - d) * t + 3 * (3 * b - a - 3 * c + d) * t * t)
+            };
+        };
+        const [x, y, z] = ['x', 'y', 'z'].map(axis);
+        const frame = {
+            position: { x: x.position, y: y.position, z: z.position },
+            tangent: Biopolymer.normalize({ x: x.tangent, y: y.tangent, z: z.tangent })
+        };
+
+        if (sides) {
+            const side = Biopolymer.lerp(sides[i], sides[i + 1], t);
+            frame.side = Biopolymer.perpendicularTo(side, frame.tangent);
+            frame.normal = Biopolymer.cross(frame.tangent, frame.side);
+        }
+        return frame;
+    }
+
+    static ribbonQuad(a, b, widthA, widthB, color) {
+        const edge = (frame, width, sign) => Biopolymer.add(frame.position, Biopolymer.scale(frame.side, sign * width / 2));
+        return {
+            type: 'quad',
+            corners: [edge(a, widthA, -1), edge(a, widthA, 1), edge(b, widthB, 1), edge(b, widthB, -1)],
+            normal: Biopolymer.normalize(Biopolymer.add(a.normal, b.normal)),
+            color
+        };
+    }
+
+    static residueType(name) {
+        if (Biopolymer.AMINO_ACIDS[name]) return 'amino-acid';
+        if (Biopolymer.NUCLEOTIDES[name]) return 'nucleotide';
+        if (Biopolymer.WATER.includes(name)) return 'water';
+        return 'ligand';
+    }
+
+    static add(a, b) {
+        return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+    }
+
+    static sub(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+    }
+
+    static scale(a, factor) {
+        return { x: a.x * factor, y: a.y * factor, z: a.z * factor };
+    }
+
+    static dot(a, b) {
+        return a.x * b.x + a.y * b.y + a.z * b.z;
+    }
+
+    static cross(a, b) {
+        return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+    }
+
+    static lerp(a, b, t) {
+        return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+    }
+
+    static distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+    }
+
+    static normalize(a) {
+        const length = Math.hypot(a.x, a.y, a.z) || 1;
+        return Biopolymer.scale(a, 1 / length);
+    }
+
+    // Component of `v` perpendicular to unit vector `axis`, normalized
+    static perpendicularTo(v, axis) {
+        const result = Biopolymer.sub(v, Biopolymer.scale(axis, Biopolymer.dot(v, axis)));
+        return Math.hypot(result.x, result.y, result.z) > 1e-6
+            ? Biopolymer.normalize(result)
+            : Biopolymer.anyPerpendicular(axis);
+    }
+
+    static anyPerpendicular(axis) {
+        const other = Math.abs(axis.z) < 0.9 ? { x: 0, y: 0, z: 1 } : { x: 0, y: 1, z: 0 };
+        return Biopolymer.normalize(Biopolymer.cross(axis, other));
+    }
+}
+
+Biopolymer.AMINO_ACIDS = {
+    ALA: 'A', ARG: 'R', ASN: 'N', ASP: 'D', CYS: 'C', GLN: 'Q', GLU: 'E', GLY: 'G',
+    HIS: 'H', ILE: 'I', LEU: 'L', LYS: 'K', MET: 'M', PHE: 'F', PRO: 'P', SER: 'S',
+    THR: 'T', TRP: 'W', TYR: 'Y', VAL: 'V', SEC: 'U', PYL: 'O', MSE: 'M',
+    ASX: 'B', GLX: 'Z', UNK: 'X'
+};
+
+Biopolymer.NUCLEOTIDES = {
+    A: 'A', C: 'C', G: 'G', U: 'U', T: 'T', I: 'I',
+    DA: 'A', DC: 'C', DG: 'G', DT: 'T', DU: 'U', DI: 'I'
+};
+
+Biopolymer.WATER = ['HOH', 'WAT', 'H2O', 'DOD'];
+
+// Trace atom, ribbon guide atoms and largest trace-atom gap (Å) per residue type
+Biopolymer.TRACE_ATOMS = {
+    'amino-acid': { trace: 'CA', guides: ['O'], maxDistance: 4.2 },
+    'nucleotide': { trace: 'P', guides: ['OP1', 'O1P'], maxDistance: 8.0 }
+};
+
+// Cartoon dimensions in angstroms and spline samples between residues
+Biopolymer.HELIX_WIDTH = 1.4;
+Biopolymer.SHEET_WIDTH = 1.6;
+Biopolymer.ARROW_WIDTH = 2.4;
+Biopolymer.COIL_RADIUS = 0.2;
+Biopolymer.TRACE_RADIUS = 0.3;
+Biopolymer.CARTOON_SAMPLES = 6;
+
+// RasMol "amino" and "nucleic" residue colors
+Biopolymer.RESIDUE_COLORS = {
+    ASP: '#E60A0A', GLU: '#E60A0A', CYS: '#E6E600', MET: '#E6E600', MSE: '#E6E600',
+    LYS: '#145AFF', ARG: '#145AFF', SER: '#FA9600', THR: '#FA9600', PHE: '#3232AA',
+    TYR: '#3232AA', ASN: '#00DCDC', GLN: '#00DCDC', GLY: '#EBEBEB', LEU: '#0F820F',
+    VAL: '#0F820F', ILE: '#0F820F', ALA: '#C8C8C8', TRP: '#B45AB4', HIS: '#8282D2',
+    PRO: '#DC9682',
+    A: '#A0A0FF', DA: '#A0A0FF', C: '#FF8C4B', DC: '#FF8C4B', G: '#FF7070', DG: '#FF7070',
+    T: '#A0FFA0', DT: '#A0FFA0', U: '#FF8080', DU: '#FF8080'
+};
+Biopolymer.DEFAULT_RESIDUE_COLOR = '#BEA06E';
+
+Biopolymer.CHAIN_COLORS = [
+    '#4E79A7', '#F28E2B', '#59A14F', '#E15759', '#B07AA1',
+    '#76B7B2', '#EDC948', '#FF9DA7', '#9C755F', '#BAB0AC'
+];
+
+Biopolymer.SECONDARY_COLORS = { helix: '#D6336C', sheet: '#F2C200', coil: '#A0A0A0' };
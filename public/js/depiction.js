@@ -0,0 +1,262 @@
+/**
+ * 2D Depiction
+ * Draws the skeletal formula laid out by GET /api/molecules/:id/depiction
+ * (or POST /api/molecules/depict) on a canvas. Atoms keep the indices of
+ * the 3D molecule, so a selection can be shared with the 3D viewer.
+ */
+
+class Depiction2D {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.width = this.canvas.width = this.canvas.offsetWidth;
+        this.height = this.canvas.height = this.canvas.offsetHeight;
+
+        // { atoms, bonds, rings } with positions in bond lengths, y up
+        this.depiction = null;
+        this.selection = [];
+        this.onAtomClick = null;
+        // Maps layout coordinates to canvas pixels, refitted on every render
+        this.transform = { scale: Depiction2D.MAX_BOND_LENGTH, x: 0, y: 0 };
+
+        this.canvas.addEventListener('click', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const index = this.pickAtom(e.clientX - rect.left, e.clientY - rect.top);
+            if (index !== null && this.onAtomClick) {
+                this.onAtomClick(index);
+            }
+        });
+    }
+
+    setDepiction(depiction) {
+        this.depiction = depiction;
+        this.render();
+    }
+
+    setSelection(selection) {
+        this.selection = [...selection];
+        this.render();
+    }
+
+    // The canvas has no size while its panel is hidden
+    resize() {
+        this.width = this.canvas.width = this.canvas.offsetWidth;
+        this.height = this.canvas.height = this.canvas.offsetHeight;
+        this.render();
+    }
+
+    /**
+     * Scale the layout into the canvas with a margin, never drawing bonds
+     * longer than MAX_BOND_LENGTH pixels
+     */
+    fit() {
+        const atoms = this.depiction?.atoms || [];
+        if (atoms.length === 0) return;
+
+        const xs = atoms.map(atom => atom.x);
+        const ys = atoms.map(atom => atom.y);
+        const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+        const margin = Depiction2D.MARGIN;
+        const scale = Math.min(
+            Depiction2D.MAX_BOND_LENGTH,
+            (this.width - 2 * margin) / Math.max(maxX - minX, 1e-6),
+            (this.height - 2 * margin) / Math.max(maxY - minY, 1e-6)
+        );
+
+        this.transform = {
+            scale,
+            x: this.width / 2 - scale * (minX + maxX) / 2,
+            y: this.height / 2 + scale * (minY + maxY) / 2
+        };
+    }
+
+    toCanvas(point) {
+        const { scale, x, y } = this.transform;
+        return { x: x + scale * point.x, y: y - scale * point.y };
+    }
+
+    render() {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, this.width, this.height);
+        if (!this.depiction || this.depiction.atoms.length === 0) return;
+
+        this.fit();
+        const atomsByIndex = new Map(this.depiction.atoms.map(atom => [atom.index, atom]));
+        const lineWidth = Math.max(1, this.transform.scale / 25);
+
+        ctx.strokeStyle = '#222222';
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        this.depiction.bonds.forEach(bond => this.renderBond(atomsByIndex, bond));
+
+        ctx.lineWidth = lineWidth;
+        this.depiction.rings
+            .filter(ring => ring.aromatic)
+            .forEach(ring => this.renderAromaticCircle(atomsByIndex, ring));
+
+        const selected = new Set(this.selection);
+        this.depiction.atoms.forEach(atom => {
+            if (selected.has(atom.index)) this.renderSelection(atom);
+        });
+        this.depiction.atoms.forEach(atom => {
+            if (atom.label) this.renderLabel(atom);
+        });
+    }
+
+    /**
+     * Draw a bond as one, two or three lines. Ends are pulled back from
+     * labeled atoms so lines stop short of the text.
+     */
+    renderBond(atomsByIndex, bond) {
+        const from = atomsByIndex.get(bond.from);
+        const to = atomsByIndex.get(bond.to);
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        if (length === 0) return;
+
+        // Unit direction and its left normal, in layout coordinates
+        const ux = (to.x - from.x) / length;
+        const uy = (to.y - from.y) / length;
+        const normal = { x: -uy, y: ux };
+        const trimFrom = from.label ? Depiction2D.LABEL_CLEARANCE : 0;
+        const trimTo = to.label ? Depiction2D.LABEL_CLEARANCE : 0;
+        const spacing = Depiction2D.BOND_SPACING;
+
+        const line = (offset, inset = 0) => {
+            const start = {
+                x: from.x + ux * Math.max(trimFrom, inset) + normal.x * offset,
+                y: from.y + uy * Math.max(trimFrom, inset) + normal.y * offset
+            };
+            const end = {
+                x: to.x - ux * Math.max(trimTo, inset) + normal.x * offset,
+                y: to.y - uy * Math.max(trimTo, inset) + normal.y * offset
+            };
+            const a = this.toCanvas(start);
+            const b = this.toCanvas(end);
+            this.ctx.beginPath();
+            this.ctx.moveTo(a.x, a.y);
+            this.ctx.lineTo(b.x, b.y);
+            this.ctx.stroke();
+        };
+
+        if (bond.order === 3) {
+            line(0);
+            line(spacing);
+            line(-spacing);
+        } else if (bond.order === 2 && bond.side === 0) {
+            line(spacing / 2);
+            line(-spacing / 2);
+        } else if (bond.order === 2) {
+            // The inner line of a ring or chain double bond is shortened
+            line(0);
+            line(bond.side * spacing, Depiction2D.INNER_LINE_INSET);
+        } else {
+            line(0);
+        }
+    }
+
+    renderAromaticCircle(atomsByIndex, ring) {
+        const points = ring.atoms.map(index => atomsByIndex.get(index));
+        const center = {
+            x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+            y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+        };
+        // Inradius of a regular polygon with unit sides
+        const inradius = 0.5 / Math.tan(Math.PI / points.length);
+        const c = this.toCanvas(center);
+
+        this.ctx.beginPath();
+        this.ctx.arc(c.x, c.y, inradius * 0.65 * this.transform.scale, 0, Math.PI * 2);
+        this.ctx.stroke();
+    }
+
+    renderSelection(atom) {
+        const p = this.toCanvas(atom);
+        this.ctx.beginPath();
+        this.ctx.arc(p.x, p.y, this.transform.scale * 0.32, 0, Math.PI * 2);
+        this.ctx.fillStyle = 'rgba(230, 126, 34, 0.25)';
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#e67e22';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+    }
+
+    renderLabel(atom) {
+        const p = this.toCanvas(atom);
+        const fontSize = Math.max(9, Math.round(this.transform.scale * 0.42));
+
+        // A disc behind the text hides bond ends that reach into it
+        this.ctx.beginPath();
+        this.ctx.arc(p.x, p.y, fontSize * 0.6, 0, Math.PI * 2);
+        this.ctx.fillStyle = this.selection.includes(atom.index) ? '#fbe3cc' : '#ffffff';
+        this.ctx.fill();
+
+        this.ctx.font = `bold ${fontSize}px sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = Depiction2D.LABEL_COLORS[atom.element] || Depiction2D.LABEL_COLORS.default;
+        this.ctx.fillText(atom.label, p.x, p.y);
+    }
+
+    /**
+     * Index of the atom drawn nearest to (x, y) in canvas pixels, or null
+     * when none is within half a bond length
+     */
+    pickAtom(x, y) {
+        if (!this.depiction) return null;
+
+        let nearest = null;
+        let nearestDistance = this.transform.scale / 2;
+        this.depiction.atoms.forEach(atom => {
+            const p = this.toCanvas(atom);
+            const distance = Math.hypot(p.x - x, p.y - y);
+            if (distance < nearestDistance) {
+                nearest = atom.index;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    renderToContext(ctx) {
+        const original = this.ctx;
+        this.ctx = ctx;
+        try {
+            this.render();
+        } finally {
+            this.ctx = original;
+        }
+    }
+
+    exportSVG() {
+        const ctx = new SVGRenderingContext(this.width, this.height);
+        this.renderToContext(ctx);
+        return ctx.toString();
+    }
+}
+
+// Bond length in pixels when the structure is small enough to fit
+Depiction2D.MAX_BOND_LENGTH = 40;
+
+Depiction2D.MARGIN = 30;
+
+// Offsets in bond lengths
+Depiction2D.BOND_SPACING = 0.16;
+Depiction2D.INNER_LINE_INSET = 0.15;
+Depiction2D.LABEL_CLEARANCE = 0.28;
+
+// Text colors of heteroatom labels; the 3D element colors of light
+// elements (white hydrogen, pale fluorine) are unreadable on white
+Depiction2D.LABEL_COLORS = {
+    N: '#3050F8',
+    O: '#E00000',
+    S: '#B8A000',
+    P: '#E07000',
+    F: '#40A000',
+    Cl: '#1F9A1F',
+    Br: '#A62929',
+    I: '#940094',
+    B: '#E08070',
+    default: '#222222'
+};
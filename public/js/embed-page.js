@@ -0,0 +1,82 @@
+/**
+ * Embed Page
+ * Sets up the <molecul-ai-viewer> of /embed/:moleculeId, a page without the
+ * app's panels for use in an iframe. Query parameters configure the view:
+ *   /embed/caffeine?style=sphere&colorScheme=chain&labels=element&view=front&zoom=1.5&spin=1&hide=H
+ * and the page hosting the iframe controls it with postMessage:
+ *   frame.contentWindow.postMessage({ command: 'setStyle', args: ['line'], id: 1 }, '*')
+ * Commands are the element's COMMANDS. Each is answered with
+ * { source: 'molecul-ai', id, result } or { source: 'molecul-ai', id, error }.
+ */
+
+class EmbedPage {
+    constructor(element) {
+        this.element = element;
+
+        // Viewer events go to the host page as { source, event, ...detail }
+        EmbedPage.EVENTS.forEach(type => {
+            element.addEventListener(type, (e) => this.post({ event: type, ...e.detail }));
+        });
+        window.addEventListener('message', (e) => this.handleMessage(e));
+
+        this.configure(new URLSearchParams(window.location.search));
+        this.post({ event: 'ready', commands: customElements.get('molecul-ai-viewer').COMMANDS });
+    }
+
+    // Copy the query parameters onto the element, the molecule last
+    configure(params) {
+        Object.entries(EmbedPage.PARAMETERS).forEach(([param, attribute]) => {
+            const value = params.get(param);
+            if (value === null) return;
+
+            if (attribute === 'spin') {
+                this.element.toggleAttribute('spin', value !== '0' && value !== 'false');
+            } else {
+                this.element.setAttribute(attribute, value);
+            }
+        });
+
+        const moleculeId = decodeURIComponent(window.location.pathname.split('/').pop());
+        this.element.setAttribute('molecule-id', moleculeId);
+    }
+
+    async handleMessage(event) {
+        const { command, args, id } = event.data || {};
+        if (typeof command !== 'string') return;
+
+        // Sandboxed frames and file:// pages have the opaque origin 'null'
+        const reply = (message) => event.source?.postMessage(
+            { source: EmbedPage.SOURCE, id, ...message },
+            event.origin === 'null' ? '*' : event.origin
+        );
+        try {
+            reply({ result: await this.element.execute(command, args) });
+        } catch (error) {
+            reply({ error: error.message });
+        }
+    }
+
+    // Any page may frame a catalog molecule, so events go to any origin
+    post(message) {
+        if (window.parent !== window) {
+            window.parent.postMessage({ source: EmbedPage.SOURCE, ...message }, '*');
+        }
+    }
+}
+
+EmbedPage.SOURCE = 'molecul-ai';
+
+EmbedPage.EVENTS = ['moleculeload', 'moleculeerror', 'selectionchange'];
+
+// Query parameter -> element attribute
+EmbedPage.PARAMETERS = {
+    style: 'style',
+    colorScheme: 'color-scheme',
+    labels: 'labels',
+    view: 'view',
+    zoom: 'zoom',
+    spin: 'spin',
+    hide: 'hide'
+};
+
+const embedPage = new EmbedPage(document.querySelector('molecul-ai-viewer'));
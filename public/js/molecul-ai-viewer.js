@@ -0,0 +1,341 @@
+/**
+ * Embeddable Viewer
+ * The <molecul-ai-viewer> custom element shows a molecule from this server on
+ * any page, such as a wiki or a lab notebook:
+ *   <script src="https://<server>/embed.js"></script>
+ *   <molecul-ai-viewer molecule-id="benzene" style="sphere"></molecul-ai-viewer>
+ * /embed.js bundles this file with the renderer it needs. The viewer lives in
+ * a shadow root, so the host page's styles do not reach it.
+ */
+
+class MoleculAIViewer extends HTMLElement {
+    static get observedAttributes() {
+        return ['molecule-id', 'style', 'color-scheme', 'labels', 'view', 'zoom', 'spin', 'hide'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = `
+            <style>${MoleculAIViewer.SHADOW_STYLES}</style>
+            <div class="viewer-stack"><canvas class="viewer"></canvas></div>
+            <div class="status"></div>
+        `;
+
+        // Created on first connection, once the canvas has a size
+        this.viewer = null;
+        this.molecule = null;
+        this.elementVisibility = {};
+        // Bumped per load so a slow response cannot replace a newer molecule
+        this.loadRequest = 0;
+        this.resizeObserver = new ResizeObserver(() => this.viewer?.resize());
+    }
+
+    connectedCallback() {
+        if (!this.viewer) {
+            this.viewer = WebGLMolecule.createViewer(this.shadowRoot.querySelector('canvas'));
+            this.viewer.onSelectionChange = () => {
+                this.emit('selectionchange', { selection: [...this.viewer.selection] });
+            };
+            this.loadElementData();
+            MoleculAIViewer.observedAttributes
+                .filter(name => this.hasAttribute(name))
+                .forEach(name => this.applyAttribute(name, this.getAttribute(name)));
+        } else if (this.hasAttribute('spin')) {
+            this.applyAttribute('spin', this.getAttribute('spin'));
+        }
+        this.resizeObserver.observe(this);
+    }
+
+    disconnectedCallback() {
+        this.resizeObserver.disconnect();
+        this.viewer?.stopSpin();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        // Attributes present before connection are applied by connectedCallback
+        if (this.viewer) {
+            this.applyAttribute(name, value);
+        }
+    }
+
+    // Attributes take effect like the matching methods, but bad values are
+    // only logged by the viewer
+    applyAttribute(name, value) {
+        switch (name) {
+            case 'molecule-id':
+                // Failures show in the status line and as a moleculeerror event
+                if (value) this.loadMolecule(value).catch(() => {});
+                break;
+            case 'style':
+                // Anything but a rendering style is the usual inline CSS
+                if (Simple3DMolecule.STYLES.includes(value)) this.viewer.setStyle(value);
+                break;
+            case 'color-scheme':
+                this.viewer.setColorScheme(value || 'element');
+                break;
+            case 'labels':
+                this.viewer.setLabels(value || 'none');
+                break;
+            case 'view':
+                if (value) this.viewer.setView(value);
+                break;
+            case 'zoom': {
+                const zoom = Number(value);
+                if (value && Number.isFinite(zoom)) this.viewer.setZoom(zoom);
+                break;
+            }
+            case 'spin':
+                this.setSpin(value !== null && value !== 'false');
+                break;
+            case 'hide':
+                this.elementVisibility = Object.fromEntries(
+                    (value || '').split(/[\s,]+/).filter(Boolean).map(element => [element, false])
+                );
+                this.showMolecule();
+                break;
+        }
+    }
+
+    // Server the element was loaded from, unless a `server` attribute says otherwise
+    get server() {
+        return (this.getAttribute('server') || MoleculAIViewer.SCRIPT_ORIGIN).replace(/\/$/, '');
+    }
+
+    async loadElementData() {
+        const server = this.server;
+        if (!MoleculAIViewer.elementData.has(server)) {
+            MoleculAIViewer.elementData.set(server, fetch(`${server}/api/elements`)
+                .then(response => response.json())
+                .then(elements => Object.fromEntries(elements.map(element => [element.symbol, element]))));
+        }
+
+        try {
+            this.viewer.setElementData(await MoleculAIViewer.elementData.get(server));
+        } catch (error) {
+            MoleculAIViewer.elementData.delete(server);
+            console.error('Error loading element data:', error);
+        }
+    }
+
+    /**
+     * Show a catalog molecule. Resolves once it is on screen and rejects
+     * with the server's error message otherwise.
+     */
+    async loadMolecule(id) {
+        const request = ++this.loadRequest;
+        this.setStatus('Loading…');
+
+        try {
+            const response = await fetch(`${this.server}/api/molecules/${encodeURIComponent(id)}`);
+            const data = await response.json();
+            if (request !== this.loadRequest) return;
+            if (!response.ok) {
+                throw new Error(data.error || `Could not load molecule ${id}`);
+            }
+
+            this.molecule = data;
+            this.showMolecule();
+            this.setStatus('');
+            this.emit('moleculeload', { moleculeId: data.id, name: data.name, formula: data.formula });
+        } catch (error) {
+            if (request !== this.loadRequest) return;
+            this.setStatus(error.message);
+            this.emit('moleculeerror', { moleculeId: id, error: error.message });
+            throw error;
+        }
+    }
+
+    showMolecule() {
+        if (this.molecule) {
+            this.viewer.setMolecule(this.molecule, this.elementVisibility);
+        }
+    }
+
+    setStatus(message) {
+        const status = this.shadowRoot.querySelector('.status');
+        status.textContent = message;
+        status.hidden = !message;
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    setStyle(style) {
+        MoleculAIViewer.requireOption('style', Simple3DMolecule.STYLES, style);
+        this.viewer.setStyle(style);
+    }
+
+    setColorScheme(scheme) {
+        MoleculAIViewer.requireOption('color scheme', Simple3DMolecule.COLOR_SCHEMES, scheme);
+        this.viewer.setColorScheme(scheme);
+    }
+
+    setLabels(labels) {
+        MoleculAIViewer.requireOption('label mode', Simple3DMolecule.LABEL_MODES, labels);
+        this.viewer.setLabels(labels);
+    }
+
+    setView(view) {
+        MoleculAIViewer.requireOption('view', Object.keys(Simple3DMolecule.VIEWS), view);
+        this.viewer.setView(view);
+    }
+
+    resetView() {
+        this.viewer.resetView();
+    }
+
+    zoomIn() {
+        this.viewer.zoomIn();
+    }
+
+    zoomOut() {
+        this.viewer.zoomOut();
+    }
+
+    setZoom(zoom) {
+        if (!Number.isFinite(zoom)) {
+            throw new Error('zoom must be a number');
+        }
+        this.viewer.setZoom(zoom);
+    }
+
+    setSpin(spinning) {
+        if (spinning && !this.viewer.spinning) {
+            this.viewer.startSpin();
+        } else if (!spinning) {
+            this.viewer.stopSpin();
+        }
+    }
+
+    // Change the visibility of some elements, e.g. { H: false }
+    setElementVisibility(visibility) {
+        this.elementVisibility = { ...this.elementVisibility, ...visibility };
+        this.showMolecule();
+    }
+
+    setSelection(indices) {
+        this.viewer.setSelection(indices);
+    }
+
+    getCamera() {
+        return this.viewer.getCamera();
+    }
+
+    setCamera(camera) {
+        this.viewer.setCamera(camera);
+    }
+
+    getState() {
+        return {
+            moleculeId: this.molecule?.id ?? null,
+            style: this.viewer.style,
+            colorScheme: this.viewer.colorScheme,
+            labels: this.viewer.labels,
+            elementVisibility: { ...this.elementVisibility },
+            selection: [...this.viewer.selection],
+            spinning: this.viewer.spinning,
+            camera: this.viewer.getCamera()
+        };
+    }
+
+    exportPNG(resolution = 2) {
+        return this.viewer.exportPNG(resolution);
+    }
+
+    exportSVG() {
+        return this.viewer.exportSVG();
+    }
+
+    /**
+     * Run one of COMMANDS by name, as the /embed page does for messages
+     * from its host. Resolves with the command's result.
+     */
+    async execute(command, args = []) {
+        if (!MoleculAIViewer.COMMANDS.includes(command)) {
+            throw new Error(`Unknown command "${command}"`);
+        }
+        if (!this.viewer) {
+            throw new Error('The viewer is not on the page');
+        }
+        return this[command](...(Array.isArray(args) ? args : [args]));
+    }
+
+    static requireOption(name, options, value) {
+        if (!options.includes(value)) {
+            throw new Error(`Unknown ${name} "${value}"; expected one of ${options.join(', ')}`);
+        }
+    }
+}
+
+// Methods a host page may call through execute()
+MoleculAIViewer.COMMANDS = [
+    'loadMolecule', 'setStyle', 'setColorScheme', 'setLabels', 'setView', 'resetView', 'zoomIn', 'zoomOut',
+    'setZoom', 'setSpin', 'setElementVisibility', 'setSelection', 'getCamera', 'setCamera', 'getState',
+    'exportPNG', 'exportSVG'
+];
+
+MoleculAIViewer.SCRIPT_ORIGIN = document.currentScript
+    ? new URL(document.currentScript.src, window.location.href).origin
+    : window.location.origin;
+
+// Periodic table requests by server, shared by all viewers on the page
+MoleculAIViewer.elementData = new Map();
+
+MoleculAIViewer.SHADOW_STYLES = `
+    :host {
+        display: block;
+        position: relative;
+        width: 100%;
+        height: 400px;
+        overflow: hidden;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+
+    .viewer-stack {
+        position: relative;
+        width: 100%;
+        height: 100%;
+    }
+
+    .viewer {
+        display: block;
+        position: relative;
+        width: 100%;
+        height: 100%;
+        background: linear-gradient(to bottom, #f8f9fa 0%, #e9ecef 100%);
+        touch-action: none;
+        outline: none;
+    }
+
+    .viewer-gl {
+        position: absolute;
+        top: 0;
+        left: 0;
+        pointer-events: none;
+    }
+
+    .viewer.viewer-overlay {
+        background: transparent;
+    }
+
+    .status {
+        position: absolute;
+        left: 8px;
+        bottom: 8px;
+        padding: 4px 8px;
+        border-radius: 4px;
+        background: rgba(255, 255, 255, 0.85);
+        color: #555555;
+        font-size: 12px;
+    }
+
+    .status[hidden] {
+        display: none;
+    }
+`;
+
+if (!customElements.get('molecul-ai-viewer')) {
+    customElements.define('molecul-ai-viewer', MoleculAIViewer);
+}
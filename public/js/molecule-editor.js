@@ -0,0 +1,380 @@
+/**
+ * Structure editing for the viewers
+ * Holds a working copy of a molecule and changes it in place: atoms are
+ * added, deleted, re-typed and moved, bonds drawn and cycled through their
+ * orders, and missing hydrogens placed from valences. Every change can be
+ * undone and redone. The viewer shows `editor.molecule` directly, so it only
+ * needs a redraw after each change.
+ */
+
+class MoleculeEditor {
+    /**
+     * `elementData` is the periodic table by symbol from GET /api/elements,
+     * used for bond lengths and valences
+     */
+    constructor(molecule, elementData = {}) {
+        this.elementData = elementData;
+        // Trajectories only fit the atoms they were recorded for, so they are left behind
+        this.molecule = {
+            name: molecule?.name || 'New molecule',
+            atoms: (molecule?.atoms || []).map(atom => ({ ...atom })),
+            bonds: (molecule?.bonds || []).map(bond => ({ ...bond })),
+            ...(molecule?.secondaryStructure ? { secondaryStructure: molecule.secondaryStructure } : {})
+        };
+        this.undoStack = [];
+        this.redoStack = [];
+        // Snapshot taken when an atom drag starts, committed when it ends
+        this.moveStart = null;
+        this.onChange = null;
+    }
+
+    snapshot() {
+        return {
+            atoms: this.molecule.atoms.map(atom => ({ ...atom })),
+            bonds: this.molecule.bonds.map(bond => ({ ...bond }))
+        };
+    }
+
+    restore({ atoms, bonds }) {
+        this.molecule.atoms = atoms;
+        this.molecule.bonds = bonds;
+    }
+
+    // Record the state before `change` runs, so one undo reverts all of it
+    apply(change) {
+        const before = this.snapshot();
+        const result = change();
+        this.commit(before);
+        return result;
+    }
+
+    commit(before) {
+        this.undoStack.push(before);
+        if (this.undoStack.length > MoleculeEditor.MAX_HISTORY) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notifyChange();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo()) return;
+
+        this.redoStack.push(this.snapshot());
+        this.restore(this.undoStack.pop());
+        this.notifyChange();
+    }
+
+    redo() {
+        if (!this.canRedo()) return;
+
+        this.undoStack.push(this.snapshot());
+        this.restore(this.redoStack.pop());
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Add an atom and return its index. Bonded to `attachTo`, it goes at a
+     * bond length from that atom in the direction of its largest gap;
+     * otherwise at `position`.
+     */
+    addAtom(element, { attachTo = null, position = { x: 0, y: 0, z: 0 } } = {}) {
+        return this.apply(() => {
+            const atoms = this.molecule.atoms;
+            if (attachTo !== null) {
+                const [direction] = this.freeDirections(attachTo, 1);
+                const anchor = atoms[attachTo];
+                const length = this.bondLength(anchor.element, element);
+                position = {
+                    x: anchor.x + direction.x * length,
+                    y: anchor.y + direction.y * length,
+                    z: anchor.z + direction.z * length
+                };
+            }
+
+            atoms.push({ element, x: position.x, y: position.y, z: position.z });
+            const index = atoms.length - 1;
+            if (attachTo !== null) {
+                this.molecule.bonds.push({ from: attachTo, to: index, order: 1 });
+            }
+            return index;
+        });
+    }
+
+    // Delete atoms with their bonds; later atoms move down to close the gaps
+    deleteAtoms(indices) {
+        const removed = new Set(indices);
+        if (removed.size === 0) return;
+
+        this.apply(() => {
+            const newIndex = [];
+            let next = 0;
+            this.molecule.atoms.forEach((_, index) => {
+                newIndex[index] = removed.has(index) ? -1 : next++;
+            });
+            this.molecule.atoms = this.molecule.atoms.filter((_, index) => !removed.has(index));
+            this.molecule.bonds = this.molecule.bonds
+                .filter(bond => !removed.has(bond.from) && !removed.has(bond.to))
+                .map(bond => ({ ...bond, from: newIndex[bond.from], to: newIndex[bond.to] }));
+        });
+    }
+
+    // Residue names and charges belong to the old element, so they are dropped
+    setElement(indices, element) {
+        if (indices.length === 0) return;
+
+        this.apply(() => {
+            indices.forEach(index => {
+                const { x, y, z } = this.molecule.atoms[index];
+                this.molecule.atoms[index] = { element, x, y, z };
+            });
+        });
+    }
+
+    findBond(from, to) {
+        return this.molecule.bonds.findIndex(bond =>
+            (bond.from === from && bond.to === to) || (bond.from === to && bond.to === from));
+    }
+
+    /**
+     * Bond two atoms with a single bond, or move an existing bond on to the
+     * next order: single, double, triple, then single again. Aromatic bonds
+     * become single. Returns the new order.
+     */
+    drawBond(from, to) {
+        if (from === to) return 0;
+
+        return this.apply(() => {
+            const index = this.findBond(from, to);
+            if (index === -1) {
+                this.molecule.bonds.push({ from, to, order: 1 });
+                return 1;
+            }
+
+            const bond = this.molecule.bonds[index];
+            const orders = MoleculeEditor.BOND_ORDERS;
+            const order = bond.aromatic ? 1 : orders[(orders.indexOf(bond.order || 1) + 1) % orders.length];
+            this.molecule.bonds[index] = { from: bond.from, to: bond.to, order };
+            return order;
+        });
+    }
+
+    deleteBond(from, to) {
+        const index = this.findBond(from, to);
+        if (index === -1) return;
+
+        this.apply(() => {
+            this.molecule.bonds.splice(index, 1);
+        });
+    }
+
+    /**
+     * Drag an atom: beginMove() once, moveAtom() for every pointer move and
+     * endMove() on release. The whole drag is a single undo step.
+     */
+    beginMove() {
+        this.moveStart = this.snapshot();
+    }
+
+    moveAtom(index, { x, y, z }) {
+        Object.assign(this.molecule.atoms[index], { x, y, z });
+    }
+
+    endMove() {
+        if (!this.moveStart) return;
+
+        const before = this.moveStart;
+        this.moveStart = null;
+        const moved = before.atoms.some((atom, index) => {
+            const now = this.molecule.atoms[index];
+            return atom.x !== now.x || atom.y !== now.y || atom.z !== now.z;
+        });
+        if (moved) {
+            this.commit(before);
+        }
+    }
+
+    /**
+     * Fill the open valences of `indices` (every heavy atom by default) with
+     * hydrogens at ideal angles. An atom takes the lowest of its element's
+     * valences that covers the bonds it already has; aromatic bonds count
+     * 1.5. Returns the number of hydrogens added.
+     */
+    addHydrogens(indices = null) {
+        const targets = (indices || this.molecule.atoms.map((_, index) => index))
+            .filter(index => this.molecule.atoms[index].element !== 'H')
+            .map(index => ({ index, directions: this.freeDirections(index, this.openValence(index)) }))
+            .filter(({ directions }) => directions.length > 0);
+        if (targets.length === 0) return 0;
+
+        return this.apply(() => {
+            let added = 0;
+            targets.forEach(({ index, directions }) => {
+                const atom = this.molecule.atoms[index];
+                const length = this.bondLength(atom.element, 'H');
+                directions.forEach(direction => {
+                    this.molecule.atoms.push({
+                        element: 'H',
+                        x: atom.x + direction.x * length,
+                        y: atom.y + direction.y * length,
+                        z: atom.z + direction.z * length
+                    });
+                    this.molecule.bonds.push({ from: index, to: this.molecule.atoms.length - 1, order: 1 });
+                    added++;
+                });
+            });
+            return added;
+        });
+    }
+
+    openValence(index) {
+        const used = this.molecule.bonds.reduce((sum, bond) =>
+            (bond.from === index || bond.to === index ? sum + (bond.aromatic ? 1.5 : bond.order || 1) : sum), 0);
+        const valences = this.elementData[this.molecule.atoms[index].element]?.valences || [];
+        const valence = valences.find(v => v >= Math.floor(used));
+        return valence === undefined ? 0 : Math.max(0, valence - Math.floor(used));
+    }
+
+    bondLength(elementA, elementB) {
+        const radius = element => this.elementData[element]?.covalentRadius ?? MoleculeEditor.DEFAULT_COVALENT_RADIUS;
+        return radius(elementA) + radius(elementB);
+    }
+
+    neighbors(index) {
+        return this.molecule.bonds.flatMap(bond => {
+            if (bond.from === index) return [{ atom: bond.to, bond }];
+            if (bond.to === index) return [{ atom: bond.from, bond }];
+            return [];
+        });
+    }
+
+    /**
+     * Up to `count` unit vectors from an atom toward where new substituents
+     * go: linear next to a triple bond or two double bonds, trigonal next
+     * to a double or aromatic bond, tetrahedral otherwise.
+     */
+    freeDirections(index, count) {
+        if (count <= 0) return [];
+
+        const atoms = this.molecule.atoms;
+        const center = atoms[index];
+        const bonded = this.neighbors(index);
+        const units = bonded.map(({ atom }) => MoleculeEditor.normalize(MoleculeEditor.subtract(atoms[atom], center)));
+        const orders = bonded.map(({ bond }) => (bond.aromatic ? 1.5 : bond.order || 1));
+        const doubles = orders.filter(order => order >= 1.5).length;
+        const geometry = orders.some(order => order >= 3) || doubles >= 2
+            ? 'linear'
+            : doubles === 1 ? 'trigonal' : 'tetrahedral';
+        const { add, scale, cross, normalize, perpendicular } = MoleculeEditor;
+
+        let directions;
+        if (units.length === 0) {
+            directions = MoleculeEditor.TEMPLATES[geometry];
+        } else if (units.length === 1) {
+            const [u] = units;
+            // Keep trigonal centers in the plane of the neighbor's substituents
+            const other = this.neighbors(bonded[0].atom).find(({ atom }) => atom !== index);
+            const reference = other ? MoleculeEditor.subtract(atoms[other.atom], atoms[bonded[0].atom]) : null;
+            const p = perpendicular(u, reference);
+            const q = cross(u, p);
+            if (geometry === 'linear') {
+                directions = [scale(u, -1)];
+            } else if (geometry === 'trigonal') {
+                directions = [1, -1].map(sign => add(scale(u, -0.5), scale(p, sign * Math.sqrt(3) / 2)));
+            } else {
+                directions = [0, 1, 2].map(k => {
+                    const angle = k * 2 * Math.PI / 3;
+                    const side = add(scale(p, Math.cos(angle)), scale(q, Math.sin(angle)));
+                    return add(scale(u, -1 / 3), scale(side, Math.sqrt(8 / 9)));
+                });
+            }
+        } else if (units.length === 2 && geometry === 'tetrahedral') {
+            const bisector = normalize(scale(add(units[0], units[1]), -1));
+            const normal = normalize(cross(units[0], units[1]));
+            // Half the tetrahedral angle either side of the bisector
+            const half = Math.acos(-1 / 3) / 2;
+            directions = [1, -1].map(sign => add(scale(bisector, Math.cos(half)), scale(normal, sign * Math.sin(half))));
+        } else {
+            directions = [normalize(scale(units.reduce(add), -1))];
+        }
+
+        // normalize() turns the zero vector left when neighbors cancel out into the x axis
+        return directions.slice(0, count).map(direction => normalize(direction));
+    }
+
+    // The edited molecule in the shape POST /api/molecules takes
+    toMolecule(name = this.molecule.name) {
+        return {
+            name,
+            atoms: this.molecule.atoms.map(atom => ({ ...atom })),
+            bonds: this.molecule.bonds.map(bond => ({ ...bond })),
+            ...(this.molecule.secondaryStructure ? { secondaryStructure: this.molecule.secondaryStructure } : {})
+        };
+    }
+
+    static add(a, b) {
+        return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+    }
+
+    static subtract(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+    }
+
+    static scale(v, factor) {
+        return { x: v.x * factor, y: v.y * factor, z: v.z * factor };
+    }
+
+    static cross(a, b) {
+        return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+    }
+
+    static normalize(v) {
+        const length = Math.hypot(v.x, v.y, v.z);
+        return length > 1e-6 ? MoleculeEditor.scale(v, 1 / length) : { x: 1, y: 0, z: 0 };
+    }
+
+    // Unit vector perpendicular to `u`, in the plane of `reference` when given
+    static perpendicular(u, reference) {
+        const { subtract, scale, normalize, cross } = MoleculeEditor;
+        if (reference) {
+            const along = u.x * reference.x + u.y * reference.y + u.z * reference.z;
+            const rejected = subtract(reference, scale(u, along));
+            if (Math.hypot(rejected.x, rejected.y, rejected.z) > 1e-3) return normalize(rejected);
+        }
+        const axis = Math.abs(u.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 };
+        return normalize(cross(u, axis));
+    }
+}
+
+// Undo steps kept
+MoleculeEditor.MAX_HISTORY = 100;
+
+// Orders drawBond cycles through
+MoleculeEditor.BOND_ORDERS = [1, 2, 3];
+
+// Covalent radius in angstroms for elements without periodic table data
+MoleculeEditor.DEFAULT_COVALENT_RADIUS = 0.76;
+
+// Substituent directions around an atom with no neighbors yet
+MoleculeEditor.TEMPLATES = {
+    linear: [{ x: 1, y: 0, z: 0 }, { x: -1, y: 0, z: 0 }],
+    trigonal: [{ x: 1, y: 0, z: 0 }, { x: -0.5, y: Math.sqrt(3) / 2, z: 0 }, { x: -0.5, y: -Math.sqrt(3) / 2, z: 0 }],
+    tetrahedral: [{ x: 1, y: 1, z: 1 }, { x: -1, y: -1, z: 1 }, { x: -1, y: 1, z: -1 }, { x: 1, y: -1, z: -1 }]
+};
+
+// Elements offered by the editing toolbar
+MoleculeEditor.ELEMENTS = ['C', 'N', 'O', 'S', 'P', 'F', 'Cl', 'Br', 'I', 'H'];
@@ -4,57 +4,253 @@
  */
 
 class Simple3DMolecule {
+    // `canvasId` may also be the canvas itself, for canvases in a shadow root
     constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
+        this.canvas = typeof canvasId === 'string' ? document.getElementById(canvasId) : canvasId;
         this.ctx = this.canvas.getContext('2d');
         this.width = this.canvas.width = this.canvas.offsetWidth;
         this.height = this.canvas.height = this.canvas.offsetHeight;
         
         this.atoms = [];
         this.bonds = [];
-        this.rotation = { x: 0.5, y: 0.5 };
+        // View orientation as a unit quaternion { w, x, y, z }, and the
+        // screen offset of the structure in pixels
+        this.orientation = { ...Simple3DMolecule.VIEWS.iso };
+        this.pan = { x: 0, y: 0 };
         this.zoom = 1;
         this.spinning = false;
+        this.style = 'stick';
+        this.reaction = null;
+        this.reactionProgress = 0;
+        this.reactionPlaying = false;
+        this.onReactionProgress = null;
+        // Trajectory frames of the current molecule as flat [x, y, z, ...]
+        // arrays; pages stream in until `total` frames are loaded
+        this.trajectory = null;
+        this.trajectoryIndex = 0;
+        this.trajectoryAtoms = null;
+        this.trajectoryPlaying = false;
+        this.trajectoryFps = 10;
+        this.trajectoryMode = 'loop';
+        this.trajectoryDirection = 1;
+        this.onTrajectoryFrame = null;
+        // Other geometries of the molecule, such as conformers, drawn as
+        // faint outlines around the one on display
+        this.overlay = null;
+        this.optimization = null;
+        this.molecule = null;
+        this.elementVisibility = {};
+        this.selection = [];
+        this.measurements = [];
+        this.onSelectionChange = null;
+        // Periodic table data by symbol, from GET /api/elements
+        this.elementData = {};
+        this.colorScheme = 'element';
+        // Text drawn next to every atom: 'none', 'element' or 'number'
+        this.labels = 'none';
+        // Residues and backbone segments of proteins and nucleic acids
+        this.polymer = new Biopolymer(null);
+        this.polymerGeometry = null;
+        this.highlight = new Set();
+        // Center and base scale that fit the structure in the viewer
+        this.frame = { center: { x: 0, y: 0, z: 0 }, scale: 100, perspective: 5 };
+        // MoleculeEditor whose working copy is on display, or null
+        this.editor = null;
         
         this.setupInteraction();
     }
 
     setupInteraction() {
-        let isDragging = false;
+        // Gesture of the pointer held down: 'rotate', 'pan' or 'move' (an
+        // atom, while editing), or null
+        let drag = null;
         let lastX = 0;
         let lastY = 0;
+        let dragDistance = 0;
+        // Atom being moved while editing
+        let draggedAtom = null;
+        // Distance, angle and midpoint of the last two-finger touch
+        let pinch = null;
 
+        const canvasPoint = (clientX, clientY) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return { x: clientX - rect.left, y: clientY - rect.top };
+        };
+
+        const startDrag = (clientX, clientY, mode) => {
+            drag = mode;
+            lastX = clientX;
+            lastY = clientY;
+            dragDistance = 0;
+            draggedAtom = null;
+            if (mode === 'rotate' && this.editor) {
+                const point = canvasPoint(clientX, clientY);
+                draggedAtom = this.pickAtom(point.x, point.y);
+                if (draggedAtom !== null) {
+                    drag = 'move';
+                    this.editor.beginMove();
+                }
+            }
+        };
+
+        const moveDrag = (clientX, clientY) => {
+            const dx = clientX - lastX;
+            const dy = clientY - lastY;
+            if (drag === 'move') {
+                this.dragAtom(draggedAtom, dx, dy);
+            } else if (drag === 'pan') {
+                this.pan.x += dx;
+                this.pan.y += dy;
+            } else {
+                this.rotateByDrag(dx, dy);
+            }
+            lastX = clientX;
+            lastY = clientY;
+            dragDistance += Math.abs(dx) + Math.abs(dy);
+            this.render();
+        };
+
+        // A press that barely moved is a click, not a rotation
+        const endDrag = (clientX, clientY, released) => {
+            if (released && drag !== 'pan' && dragDistance < 4) {
+                const point = canvasPoint(clientX, clientY);
+                this.toggleSelection(this.pickAtom(point.x, point.y));
+            }
+            if (drag === 'move') {
+                this.editor.endMove();
+            }
+            drag = null;
+            draggedAtom = null;
+        };
+
+        // The left button rotates (or moves an atom while editing); the
+        // right and middle buttons pan
         this.canvas.addEventListener('mousedown', (e) => {
-            isDragging = true;
-            lastX = e.clientX;
-            lastY = e.clientY;
+            startDrag(e.clientX, e.clientY, e.button === 0 ? 'rotate' : 'pan');
         });
 
         this.canvas.addEventListener('mousemove', (e) => {
-            if (isDragging) {
-                const dx = e.clientX - lastX;
-                const dy = e.clientY - lastY;
-                this.rotation.y += dx * 0.01;
-                this.rotation.x += dy * 0.01;
-                lastX = e.clientX;
-                lastY = e.clientY;
-                this.render();
-            }
+            if (drag) moveDrag(e.clientX, e.clientY);
         });
 
-        this.canvas.addEventListener('mouseup', () => {
-            isDragging = false;
+        this.canvas.addEventListener('mouseup', (e) => {
+            if (drag) endDrag(e.clientX, e.clientY, true);
         });
 
+        // Leaving the canvas ends the drag, so a button released outside
+        // cannot leave it stuck
+        this.canvas.addEventListener('mouseleave', (e) => {
+            if (drag) endDrag(e.clientX, e.clientY, false);
+        });
+
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
         this.canvas.addEventListener('wheel', (e) => {
             e.preventDefault();
-            const delta = e.deltaY > 0 ? 0.9 : 1.1;
-            this.zoom *= delta;
-            this.zoom = Math.max(0.1, Math.min(this.zoom, 5));
-            this.render();
+            this.setZoom(this.zoom * (e.deltaY > 0 ? 0.9 : 1.1));
+        });
+
+        // One finger acts like the left button; two fingers pinch to zoom,
+        // twist to turn the view in the screen plane and slide to pan
+        const twoFingers = (touches) => {
+            const [a, b] = [touches[0], touches[1]];
+            return {
+                distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+                angle: Math.atan2(b.clientY - a.clientY, b.clientX - a.clientX),
+                x: (a.clientX + b.clientX) / 2,
+                y: (a.clientY + b.clientY) / 2
+            };
+        };
+
+        this.canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            if (e.touches.length === 1) {
+                startDrag(e.touches[0].clientX, e.touches[0].clientY, 'rotate');
+            } else if (e.touches.length === 2) {
+                if (drag) endDrag(0, 0, false);
+                pinch = twoFingers(e.touches);
+            }
+        }, { passive: false });
+
+        this.canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            if (pinch && e.touches.length >= 2) {
+                const current = twoFingers(e.touches);
+                if (pinch.distance > 0) {
+                    this.setZoom(this.zoom * current.distance / pinch.distance, false);
+                }
+                // Screen angles grow clockwise, view angles anticlockwise
+                this.rotateView({ x: 0, y: 0, z: 1 }, pinch.angle - current.angle);
+                this.pan.x += current.x - pinch.x;
+                this.pan.y += current.y - pinch.y;
+                pinch = current;
+                this.render();
+            } else if (drag && e.touches.length === 1) {
+                moveDrag(e.touches[0].clientX, e.touches[0].clientY);
+            }
+        }, { passive: false });
+
+        const touchEnd = (e) => {
+            if (e.touches.length > 0) return;
+            if (drag) {
+                const touch = e.changedTouches[0];
+                endDrag(touch.clientX, touch.clientY, e.type === 'touchend');
+            }
+            // Lifting one finger of a pinch does not start a rotation
+            pinch = null;
+        };
+        this.canvas.addEventListener('touchend', touchEnd);
+        this.canvas.addEventListener('touchcancel', touchEnd);
+
+        // Keyboard shortcuts while the viewer has focus
+        this.canvas.tabIndex = 0;
+        this.canvas.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (this.handleKey(e.key, e.shiftKey)) {
+                e.preventDefault();
+            }
         });
     }
 
+    /**
+     * Apply a keyboard shortcut: 1-4 for the front, top, side and isometric
+     * views, 0 or R to reset, + and - to zoom, arrows to rotate and
+     * Shift+arrows to pan. Returns whether the key was used.
+     */
+    handleKey(key, shift = false) {
+        const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+        if (Simple3DMolecule.VIEW_KEYS[key]) {
+            this.setView(Simple3DMolecule.VIEW_KEYS[key]);
+        } else if (key === '0' || key === 'r' || key === 'R') {
+            this.resetView();
+        } else if (key === '+' || key === '=') {
+            this.zoomIn();
+        } else if (key === '-' || key === '_') {
+            this.zoomOut();
+        } else if (arrows[key]) {
+            const [dx, dy] = arrows[key];
+            if (shift) {
+                this.pan.x += dx * Simple3DMolecule.KEY_PAN_STEP;
+                this.pan.y += dy * Simple3DMolecule.KEY_PAN_STEP;
+            } else {
+                const pixels = Simple3DMolecule.KEY_ROTATION_STEP / Simple3DMolecule.DRAG_ROTATION;
+                this.rotateByDrag(dx * pixels, dy * pixels);
+            }
+            this.render();
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    // Match the canvas to its size on the page after a layout change
+    resize() {
+        this.width = this.canvas.width = this.canvas.offsetWidth;
+        this.height = this.canvas.height = this.canvas.offsetHeight;
+        this.render();
+    }
+
     clear() {
         this.atoms = [];
         this.bonds = [];
@@ -62,10 +258,39 @@ class Simple3DMolecule {
     }
 
     setMolecule(molecule, elementVisibility = {}) {
+        this.pauseReaction();
+        this.reaction = null;
         this.clear();
-        
+
+        // Re-applying element visibility keeps selection, measurements and
+        // the trajectory frame
+        if (molecule !== this.molecule) {
+            this.pauseTrajectory();
+            this.molecule = molecule;
+            this.trajectory = null;
+            this.trajectoryAtoms = null;
+            this.overlay = null;
+            this.optimization = null;
+            this.selection = [];
+            this.measurements = [];
+            this.polymer = new Biopolymer(molecule);
+            this.highlight = new Set();
+            this.frameAtoms(molecule.atoms);
+            this.notifySelectionChange();
+        }
+
+        this.elementVisibility = elementVisibility;
+        this.updateAtoms();
+        this.render();
+    }
+
+    // Visible atoms and bonds of the molecule at the current trajectory frame
+    updateAtoms() {
+        const molecule = this.molecule;
+        const elementVisibility = this.elementVisibility;
+
         // Filter visible atoms
-        this.atoms = molecule.atoms
+        this.atoms = (this.trajectoryAtoms || molecule.atoms)
             .map((atom, index) => ({
                 ...atom,
                 originalIndex: index,
@@ -78,53 +303,550 @@ class Simple3DMolecule {
         this.bonds = molecule.bonds.filter(bond => 
             visibleIndices.has(bond.from) && visibleIndices.has(bond.to)
         );
+    }
+
+    /**
+     * Switch to reaction playback. `path` comes from /api/reactions/:id/path:
+     * atoms carry start/end coordinates, bonds carry startOrder/endOrder
+     * (0 when the bond is absent on that side of the reaction).
+     */
+    setReaction(path) {
+        this.pauseReaction();
+        this.pauseTrajectory();
+        this.reaction = path;
+        this.molecule = null;
+        this.trajectory = null;
+        this.trajectoryAtoms = null;
+        this.overlay = null;
+        this.optimization = null;
+        this.selection = [];
+        this.measurements = [];
+        this.polymer = new Biopolymer(null);
+        this.highlight = new Set();
+        this.frameAtoms(path.atoms.map(atom => atom.start));
+        this.notifySelectionChange();
+        this.setReactionProgress(0);
+    }
+
+    setReactionProgress(progress) {
+        if (!this.reaction) return;
+
+        const t = Math.max(0, Math.min(progress, 1));
+        this.reactionProgress = t;
+
+        // Ease in and out so atoms settle into the product geometry
+        const eased = t * t * (3 - 2 * t);
+        this.atoms = this.reaction.atoms.map((atom, index) => ({
+            element: atom.element,
+            x: atom.start.x + (atom.end.x - atom.start.x) * eased,
+            y: atom.start.y + (atom.end.y - atom.start.y) * eased,
+            z: atom.start.z + (atom.end.z - atom.start.z) * eased,
+            originalIndex: index
+        }));
+
+        // Broken bonds fade out over the first 60% of the timeline and formed
+        // bonds fade in over the last 60%; kept bonds switch order halfway
+        this.bonds = this.reaction.bonds
+            .map(bond => {
+                let opacity = 1;
+                if (bond.endOrder === 0) {
+                    opacity = Math.max(0, 1 - t / 0.6);
+                } else if (bond.startOrder === 0) {
+                    opacity = Math.max(0, (t - 0.4) / 0.6);
+                }
+                return {
+                    from: bond.from,
+                    to: bond.to,
+                    order: t < 0.5 ? (bond.startOrder || bond.endOrder) : (bond.endOrder || bond.startOrder),
+                    opacity
+                };
+            })
+            .filter(bond => bond.opacity > 0);
 
         this.render();
+        if (this.onReactionProgress) {
+            this.onReactionProgress(t);
+        }
     }
 
-    project3D(x, y, z) {
-        // Apply rotation
-        const cosX = Math.cos(this.rotation.x);
-        const sinX = Math.sin(this.rotation.x);
-        const cosY = Math.cos(this.rotation.y);
-        const sinY = Math.sin(this.rotation.y);
+    playReaction(duration = 4000) {
+        if (!this.reaction || this.reactionPlaying) return;
+
+        if (this.reactionProgress >= 1) {
+            this.reactionProgress = 0;
+        }
+        this.reactionPlaying = true;
+
+        const startProgress = this.reactionProgress;
+        let startTime = null;
+        const step = (time) => {
+            if (!this.reactionPlaying) return;
+            if (startTime === null) startTime = time;
+
+            const progress = startProgress + (time - startTime) / duration;
+            if (progress >= 1) {
+                this.reactionPlaying = false;
+            }
+            this.setReactionProgress(progress);
+            if (this.reactionPlaying) {
+                requestAnimationFrame(step);
+            }
+        };
+        requestAnimationFrame(step);
+    }
 
-        // Rotate around Y axis
-        let x1 = x * cosY - z * sinY;
-        let z1 = x * sinY + z * cosY;
+    pauseReaction() {
+        this.reactionPlaying = false;
+    }
+
+    /**
+     * Attach trajectory frames to the current molecule, one flat
+     * [x, y, z, ...] array per frame. `total` is the frame count once every
+     * page has arrived through appendTrajectoryFrames.
+     */
+    setTrajectory(frames, total = frames.length) {
+        if (!this.molecule) return;
+
+        this.pauseTrajectory();
+        this.trajectory = { frames: [...frames], total };
+        this.optimization = null;
+        this.trajectoryDirection = 1;
+        this.setTrajectoryFrame(0);
+    }
+
+    /**
+     * Play back a geometry optimization from /api/molecules/:id/minimize:
+     * `path` is { iterations, energies, frames }. The energy of each step is
+     * plotted in a corner of the view as the frames go by.
+     */
+    setOptimizationPath(path) {
+        this.setTrajectory(path.frames);
+        if (!this.trajectory) return;
+
+        this.optimization = path;
+        this.render();
+        this.playTrajectory();
+    }
+
+    appendTrajectoryFrames(frames) {
+        if (!this.trajectory) return;
+
+        this.trajectory.frames.push(...frames);
+        this.notifyTrajectoryFrame();
+    }
+
+    setTrajectoryFrame(index) {
+        if (!this.trajectory || this.trajectory.frames.length === 0) return;
 
-        // Rotate around X axis
-        let y1 = y * cosX - z1 * sinX;
-        let z2 = y * sinX + z1 * cosX;
+        const last = this.trajectory.frames.length - 1;
+        this.trajectoryIndex = Math.max(0, Math.min(Math.round(index), last));
+        const frame = this.trajectory.frames[this.trajectoryIndex];
+        this.trajectoryAtoms = this.molecule.atoms.map((atom, i) => ({
+            ...atom,
+            x: frame[i * 3],
+            y: frame[i * 3 + 1],
+            z: frame[i * 3 + 2]
+        }));
+
+        // Cartoons follow the backbone, so they are rebuilt for every frame
+        if (!this.polymer.isEmpty()) {
+            this.polymer = new Biopolymer({ ...this.molecule, atoms: this.trajectoryAtoms });
+        }
+
+        this.updateAtoms();
+        this.render();
+        this.notifyTrajectoryFrame();
+    }
+
+    /**
+     * Play the trajectory at trajectoryFps. At the last frame playback wraps
+     * round ('loop'), reverses ('bounce') or stops ('once'); while frames are
+     * still streaming in it waits at the last loaded frame instead.
+     */
+    playTrajectory() {
+        if (!this.trajectory || this.trajectoryPlaying) return;
+
+        const atEnd = this.trajectoryIndex >= this.trajectory.total - 1;
+        if (atEnd && this.trajectoryMode === 'once') {
+            this.setTrajectoryFrame(0);
+        }
+        this.trajectoryPlaying = true;
+        this.notifyTrajectoryFrame();
+
+        let lastTime = null;
+        const step = (time) => {
+            if (!this.trajectoryPlaying) return;
+            if (lastTime === null) lastTime = time;
+
+            const interval = 1000 / this.trajectoryFps;
+            const frames = Math.floor((time - lastTime) / interval);
+            if (frames > 0) {
+                lastTime += frames * interval;
+                this.advanceTrajectory(frames);
+            }
+            if (this.trajectoryPlaying) {
+                requestAnimationFrame(step);
+            }
+        };
+        requestAnimationFrame(step);
+    }
+
+    pauseTrajectory() {
+        if (!this.trajectoryPlaying) return;
+
+        this.trajectoryPlaying = false;
+        this.notifyTrajectoryFrame();
+    }
+
+    // Move playback `count` frames on in the current direction
+    advanceTrajectory(count) {
+        const loaded = this.trajectory.frames.length;
+        const complete = loaded >= this.trajectory.total;
+        let index = this.trajectoryIndex;
+
+        for (let i = 0; i < count; i++) {
+            let next = index + this.trajectoryDirection;
+            if (next >= loaded) {
+                if (!complete) break;
+                if (this.trajectoryMode === 'loop') {
+                    next = 0;
+                } else if (this.trajectoryMode === 'bounce') {
+                    this.trajectoryDirection = -1;
+                    next = Math.max(0, index - 1);
+                } else {
+                    this.trajectoryPlaying = false;
+                    break;
+                }
+            } else if (next < 0) {
+                this.trajectoryDirection = 1;
+                next = Math.min(1, loaded - 1);
+            }
+            index = next;
+        }
+
+        if (index !== this.trajectoryIndex) {
+            this.setTrajectoryFrame(index);
+        } else if (!this.trajectoryPlaying) {
+            this.notifyTrajectoryFrame();
+        }
+    }
+
+    setTrajectoryFps(fps) {
+        this.trajectoryFps = Math.max(1, Math.min(Number(fps) || 10, 60));
+    }
+
+    setTrajectoryMode(mode) {
+        if (Simple3DMolecule.TRAJECTORY_MODES.includes(mode)) {
+            this.trajectoryMode = mode;
+            this.trajectoryDirection = 1;
+        }
+    }
+
+    notifyTrajectoryFrame() {
+        if (this.onTrajectoryFrame && this.trajectory) {
+            this.onTrajectoryFrame(this.trajectoryIndex);
+        }
+    }
+
+    /**
+     * Outline other geometries of the current molecule, each a flat
+     * [x, y, z, ...] array, behind it; null removes the overlay. A frame
+     * that is also the trajectory frame on display is not outlined.
+     */
+    setOverlay(frames) {
+        this.overlay = frames && frames.length > 0 ? frames : null;
+        this.render();
+    }
+
+    // Overlay frames other than the one on display, each with its color
+    getOverlayFrames() {
+        if (!this.overlay) return [];
+
+        const current = this.trajectory?.frames[this.trajectoryIndex];
+        const colors = Simple3DMolecule.OVERLAY_COLORS;
+        return this.overlay
+            .map((frame, index) => ({ frame, color: colors[index % colors.length] }))
+            .filter(({ frame }) => frame !== current);
+    }
+
+    renderOverlay() {
+        this.ctx.globalAlpha = 0.45;
+        this.ctx.lineWidth = 1.5;
+        this.getOverlayFrames().forEach(({ frame, color }) => {
+            const project = index => this.project3D(frame[index * 3], frame[index * 3 + 1], frame[index * 3 + 2]);
+            this.ctx.beginPath();
+            this.bonds.forEach(bond => {
+                const from = project(bond.from);
+                const to = project(bond.to);
+                this.ctx.moveTo(from.x, from.y);
+                this.ctx.lineTo(to.x, to.y);
+            });
+            this.ctx.strokeStyle = color;
+            this.ctx.stroke();
+        });
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Center the view on the atoms' bounding box. Structures larger than
+     * FIT_RADIUS are scaled down to fit, with the perspective distance
+     * growing along so the nearest atoms never pass the eye.
+     */
+    frameAtoms(atoms) {
+        if (atoms.length === 0) return;
+
+        const center = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            const values = atoms.map(atom => atom[axis]);
+            center[axis] = (Math.min(...values) + Math.max(...values)) / 2;
+        });
+        const radius = Math.max(...atoms.map(atom =>
+            Math.hypot(atom.x - center.x, atom.y - center.y, atom.z - center.z)));
+
+        const fit = Math.max(1, radius / Simple3DMolecule.FIT_RADIUS);
+        this.frame = { center, scale: 100 / fit, perspective: 5 * fit };
+        this.pan = { x: 0, y: 0 };
+    }
+
+    project3D(x, y, z) {
+        const { center, perspective } = this.frame;
+        const { x: x1, y: y1, z: z2 } = this.rotate({ x: x - center.x, y: y - center.y, z: z - center.z });
 
         // Apply zoom and perspective
-        const scale = 100 * this.zoom;
-        const perspective = 5;
+        const scale = this.frame.scale * this.zoom;
         const scaleFactor = perspective / (perspective + z2);
 
         return {
-            x: this.width / 2 + x1 * scale * scaleFactor,
-            y: this.height / 2 - y1 * scale * scaleFactor,
-            z: z2
+            x: this.width / 2 + this.pan.x + x1 * scale * scaleFactor,
+            y: this.height / 2 + this.pan.y - y1 * scale * scaleFactor,
+            z: z2,
+            // Pixels per angstrom at this depth
+            scale: scale * scaleFactor
         };
     }
 
-    getElementColor(element) {
-        const colors = {
-            H: '#FFFFFF', C: '#909090', N: '#3050F8', O: '#FF0D0D',
-            F: '#90E050', Cl: '#1FF01F', Br: '#A62929', I: '#940094',
-            P: '#FF8000', S: '#FFFF30', B: '#FFB5B5', Si: '#F0C8A0'
+    // Apply the view rotation to a position or direction
+    rotate(v) {
+        return Simple3DMolecule.rotateByQuaternion(this.orientation, v);
+    }
+
+    // Undo the view rotation, taking a view-space direction back to the model
+    unrotate(v) {
+        const { w, x, y, z } = this.orientation;
+        return Simple3DMolecule.rotateByQuaternion({ w, x: -x, y: -y, z: -z }, v);
+    }
+
+    // Turn the view about a unit axis in view space (x right, y up, z into the screen)
+    rotateView(axis, angle) {
+        const turn = Simple3DMolecule.axisAngleQuaternion(axis, angle);
+        const q = Simple3DMolecule.multiplyQuaternions(turn, this.orientation);
+        // Renormalize so rounding errors do not build up over long drags
+        const length = Math.hypot(q.w, q.x, q.y, q.z);
+        this.orientation = { w: q.w / length, x: q.x / length, y: q.y / length, z: q.z / length };
+    }
+
+    /**
+     * Trackball rotation for a drag of (dx, dy) pixels: the side of the
+     * structure nearest the viewer follows the pointer. The axis always lies
+     * in the screen plane, so there is no gimbal lock.
+     */
+    rotateByDrag(dx, dy) {
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return;
+        this.rotateView({ x: -dy / length, y: -dx / length, z: 0 }, length * Simple3DMolecule.DRAG_ROTATION);
+    }
+
+    /**
+     * Zoom within the allowed range. The pan offset scales along, so the
+     * point at the center of the canvas stays there.
+     */
+    setZoom(zoom, render = true) {
+        const clamped = Math.max(0.1, Math.min(zoom, 5));
+        const ratio = clamped / this.zoom;
+        this.pan = { x: this.pan.x * ratio, y: this.pan.y * ratio };
+        this.zoom = clamped;
+        if (render) this.render();
+    }
+
+    // Orientation, zoom and pan, as stored in saved views and share links
+    getCamera() {
+        return { orientation: { ...this.orientation }, zoom: this.zoom, pan: { ...this.pan } };
+    }
+
+    // Apply a camera from getCamera(), ignoring malformed parts
+    setCamera({ orientation, zoom, pan } = {}) {
+        const finite = (...values) => values.every(value => Number.isFinite(value));
+        if (orientation && finite(orientation.w, orientation.x, orientation.y, orientation.z)) {
+            const length = Math.hypot(orientation.w, orientation.x, orientation.y, orientation.z);
+            if (length > 0) {
+                this.orientation = {
+                    w: orientation.w / length,
+                    x: orientation.x / length,
+                    y: orientation.y / length,
+                    z: orientation.z / length
+                };
+            }
+        }
+        if (finite(zoom)) {
+            this.zoom = Math.max(0.1, Math.min(zoom, 5));
+        }
+        if (pan && finite(pan.x, pan.y)) {
+            this.pan = { x: pan.x, y: pan.y };
+        }
+        this.render();
+    }
+
+    static axisAngleQuaternion(axis, angle) {
+        const sin = Math.sin(angle / 2);
+        return { w: Math.cos(angle / 2), x: axis.x * sin, y: axis.y * sin, z: axis.z * sin };
+    }
+
+    // Rotation by b followed by a
+    static multiplyQuaternions(a, b) {
+        return {
+            w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+            x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+            y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+            z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w
         };
-        return colors[element] || '#808080';
     }
 
-    getElementRadius(element) {
-        const radii = {
-            H: 0.31, C: 0.70, N: 0.65, O: 0.60,
-            F: 0.50, Cl: 1.00, Br: 1.20, I: 1.40,
-            P: 1.00, S: 1.00, B: 0.90, Si: 1.10
+    static rotateByQuaternion(q, v) {
+        // v + w·t + u × t with t = 2 u × v, u the vector part of q
+        const tx = 2 * (q.y * v.z - q.z * v.y);
+        const ty = 2 * (q.z * v.x - q.x * v.z);
+        const tz = 2 * (q.x * v.y - q.y * v.x);
+        return {
+            x: v.x + q.w * tx + q.y * tz - q.z * ty,
+            y: v.y + q.w * ty + q.z * tx - q.x * tz,
+            z: v.z + q.w * tz + q.x * ty - q.y * tx
         };
-        return (radii[element] || 0.70) * 20;
+    }
+
+    /**
+     * Edit the structure with a MoleculeEditor (molecule-editor.js): its
+     * working copy goes on display, and dragging an atom moves it instead of
+     * turning the view. null leaves editing; the caller then shows whichever
+     * molecule should follow.
+     */
+    setEditor(editor) {
+        this.editor = editor;
+        if (editor) {
+            this.setMolecule(editor.molecule, this.elementVisibility);
+        }
+    }
+
+    /**
+     * Redraw after the editor changed the molecule in place. Deleting atoms
+     * renumbers the rest, so selections and measurements past the end go.
+     */
+    moleculeEdited() {
+        const count = this.molecule.atoms.length;
+        this.selection = this.selection.filter(index => index < count);
+        this.measurements = this.measurements.filter(atoms => atoms.every(index => index < count));
+        this.highlight = new Set();
+        this.polymer = new Biopolymer(this.molecule);
+        this.updateAtoms();
+        this.render();
+        this.notifySelectionChange();
+    }
+
+    // Move an atom with the pointer, parallel to the screen at its own depth
+    dragAtom(index, dx, dy) {
+        const atom = this.molecule.atoms[index];
+        const { scale } = this.project3D(atom.x, atom.y, atom.z);
+        const shift = this.unrotate({ x: dx / scale, y: -dy / scale, z: 0 });
+        this.editor.moveAtom(index, { x: atom.x + shift.x, y: atom.y + shift.y, z: atom.z + shift.z });
+        this.updateAtoms();
+        this.render();
+    }
+
+    setStyle(style) {
+        if (!Simple3DMolecule.STYLES.includes(style)) {
+            console.warn(`Unknown rendering style "${style}", keeping "${this.style}"`);
+            return;
+        }
+        this.style = style;
+        this.render();
+    }
+
+    setElementData(elements) {
+        this.elementData = elements;
+        this.render();
+    }
+
+    /**
+     * Color polymer residues by element, residue type, chain or secondary
+     * structure. Ligands and other atoms outside residues keep element colors.
+     */
+    setColorScheme(scheme) {
+        if (!Simple3DMolecule.COLOR_SCHEMES.includes(scheme)) {
+            console.warn(`Unknown color scheme "${scheme}", keeping "${this.colorScheme}"`);
+            return;
+        }
+        this.colorScheme = scheme;
+        this.render();
+    }
+
+    setLabels(labels) {
+        if (!Simple3DMolecule.LABEL_MODES.includes(labels)) {
+            console.warn(`Unknown label mode "${labels}", keeping "${this.labels}"`);
+            return;
+        }
+        this.labels = labels;
+        this.render();
+    }
+
+    /**
+     * Color of a polymer residue in the current scheme; cartoons and traces
+     * fall back to secondary structure colors under element coloring
+     */
+    getResidueColor(residue) {
+        switch (this.colorScheme) {
+            case 'residue':
+                return Biopolymer.RESIDUE_COLORS[residue.name] || Biopolymer.DEFAULT_RESIDUE_COLOR;
+            case 'chain': {
+                const colors = Biopolymer.CHAIN_COLORS;
+                return colors[this.polymer.chainIndex.get(residue.chain) % colors.length];
+            }
+            default:
+                return Biopolymer.SECONDARY_COLORS[residue.secondary] || Biopolymer.SECONDARY_COLORS.coil;
+        }
+    }
+
+    // Residue of a displayed atom when it is colored by residue, else null
+    getColoringResidue(atom) {
+        if (this.colorScheme === 'element') return null;
+        const residue = this.polymer.atomResidues[atom.originalIndex];
+        return residue && residue.code ? residue : null;
+    }
+
+    getAtomColor(atom) {
+        const residue = this.getColoringResidue(atom);
+        return residue ? this.getResidueColor(residue) : this.getElementColor(atom.element);
+    }
+
+    getAtomStrokeColor(atom) {
+        const residue = this.getColoringResidue(atom);
+        return residue ? this.getResidueColor(residue) : this.getStrokeColor(atom.element);
+    }
+
+    getElementColor(element) {
+        return this.elementData[element]?.color || '#808080';
+    }
+
+    getStrokeColor(element) {
+        // White hydrogen lines vanish against the light background
+        return element === 'H' ? '#B0B0B0' : this.getElementColor(element);
+    }
+
+    getElementRadius(element) {
+        // Covalent radius in angstroms, scaled to pixels
+        return (this.elementData[element]?.covalentRadius || 0.70) * 20;
+    }
+
+    getVdwRadius(element) {
+        return this.elementData[element]?.vdwRadius || 1.70;
     }
 
     render() {
@@ -143,62 +865,610 @@ class Simple3DMolecule {
             pos: this.project3D(atom.x, atom.y, atom.z)
         }));
 
-        // Sort by z-depth for proper rendering order
-        projectedAtoms.sort((a, b) => a.pos.z - b.pos.z);
-
-        // Draw bonds first
-        this.bonds.forEach(bond => {
-            const fromAtom = projectedAtoms.find(a => a.originalIndex === bond.from);
-            const toAtom = projectedAtoms.find(a => a.originalIndex === bond.to);
-
-            if (fromAtom && toAtom) {
-                this.ctx.beginPath();
-                this.ctx.moveTo(fromAtom.pos.x, fromAtom.pos.y);
-                this.ctx.lineTo(toAtom.pos.x, toAtom.pos.y);
-                this.ctx.strokeStyle = '#555555';
-                this.ctx.lineWidth = bond.order * 2;
-                this.ctx.stroke();
+        // Sort back to front so nearer atoms are painted over farther ones
+        projectedAtoms.sort((a, b) => b.pos.z - a.pos.z);
+
+        const atomsByIndex = new Map(projectedAtoms.map(atom => [atom.originalIndex, atom]));
+        const projectedBonds = this.bonds
+            .map(bond => ({
+                ...bond,
+                fromAtom: atomsByIndex.get(bond.from),
+                toAtom: atomsByIndex.get(bond.to)
+            }))
+            .filter(bond => bond.fromAtom && bond.toAtom);
+
+        this.renderOverlay();
+
+        switch (this.style) {
+            case 'sphere':
+                this.renderSpaceFilling(projectedAtoms);
+                break;
+            case 'line':
+                this.renderWireframe(projectedAtoms, projectedBonds);
+                break;
+            case 'cross':
+                this.renderCrosses(projectedAtoms, projectedBonds);
+                break;
+            case 'cartoon':
+            case 'trace':
+                this.renderPolymer(projectedAtoms, projectedBonds);
+                break;
+            default:
+                this.renderSticks(projectedAtoms, projectedBonds);
+        }
+
+        this.renderHighlight(atomsByIndex);
+        this.renderMeasurements(atomsByIndex);
+        this.renderAtomLabels();
+        this.renderOptimizationPlot();
+    }
+
+    isPolymerStyle() {
+        return this.style === 'cartoon' || this.style === 'trace';
+    }
+
+    /**
+     * In cartoon and trace styles the backbone replaces the atoms of traced
+     * residues. Everything else (ligands, residues outside the trace) and
+     * highlighted atoms are drawn as sticks; water is hidden.
+     */
+    showsAsStick(atom) {
+        if (this.highlight.has(atom.originalIndex)) return true;
+        const residue = this.polymer.atomResidues[atom.originalIndex];
+        if (!residue) return true;
+        return residue.type !== 'water' && !residue.traced;
+    }
+
+    // Cartoon or trace pieces for the current style and colors, built once per change
+    getPolymerGeometry() {
+        const key = `${this.style}|${this.colorScheme}`;
+        if (!this.polymerGeometry || this.polymerGeometry.polymer !== this.polymer || this.polymerGeometry.key !== key) {
+            const colorOf = residue => this.getResidueColor(residue);
+            this.polymerGeometry = {
+                polymer: this.polymer,
+                key,
+                pieces: this.style === 'trace' ? this.polymer.buildTrace(colorOf) : this.polymer.buildCartoon(colorOf)
+            };
+        }
+        return this.polymerGeometry.pieces;
+    }
+
+    renderPolymer(projectedAtoms, projectedBonds) {
+        const shown = projectedAtoms.filter(atom => this.showsAsStick(atom));
+        const shownIndices = new Set(shown.map(atom => atom.originalIndex));
+        const shownBonds = projectedBonds.filter(bond => shownIndices.has(bond.from) && shownIndices.has(bond.to));
+
+        const pieces = this.getPolymerGeometry().map(piece => {
+            if (piece.type === 'tube') {
+                const from = this.project3D(piece.from.x, piece.from.y, piece.from.z);
+                const to = this.project3D(piece.to.x, piece.to.y, piece.to.z);
+                return {
+                    z: (from.z + to.z) / 2,
+                    draw: () => this.drawTube(from, to, piece.radius, piece.color)
+                };
             }
+            const corners = piece.corners.map(p => this.project3D(p.x, p.y, p.z));
+            return {
+                z: corners.reduce((sum, p) => sum + p.z, 0) / corners.length,
+                draw: () => this.drawRibbonQuad(corners, piece.normal, piece.color)
+            };
         });
 
-        // Draw atoms
+        const items = [...pieces, ...this.stickItems(shown, shownBonds)];
+        items.sort((a, b) => b.z - a.z);
+        items.forEach(item => item.draw());
+    }
+
+    drawTube(from, to, radius, color) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(from.x, from.y);
+        this.ctx.lineTo(to.x, to.y);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = Math.max(1, radius * (from.scale + to.scale));
+        this.ctx.lineCap = 'round';
+        this.ctx.stroke();
+        this.ctx.lineCap = 'butt';
+    }
+
+    drawRibbonQuad(corners, normal, color) {
+        // Both faces are lit; brighter the more the ribbon faces the viewer
+        const facing = Math.abs(this.rotate(normal).z);
+        const shaded = this.lightenColor(color, Math.round(30 * facing - 20));
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(corners[0].x, corners[0].y);
+        corners.slice(1).forEach(p => this.ctx.lineTo(p.x, p.y));
+        this.ctx.closePath();
+        this.ctx.fillStyle = shaded;
+        this.ctx.fill();
+        // A hairline in the same color hides seams between neighbouring quads
+        this.ctx.strokeStyle = shaded;
+        this.ctx.lineWidth = 0.5;
+        this.ctx.stroke();
+    }
+
+    renderSpaceFilling(projectedAtoms) {
+        // Van der Waals spheres at true scale; bonds are hidden inside the spheres
         projectedAtoms.forEach(atom => {
-            const radius = this.getElementRadius(atom.element) * this.zoom;
-            
-            // Shadow
+            const radius = this.getVdwRadius(atom.element) * atom.pos.scale;
+            this.drawSphere(atom, radius);
+        });
+    }
+
+    renderSticks(projectedAtoms, projectedBonds) {
+        const items = this.stickItems(projectedAtoms, projectedBonds);
+
+        // Bonds and joint caps share one depth ordering
+        items.sort((a, b) => b.z - a.z);
+        items.forEach(item => item.draw());
+    }
+
+    // Depth-sortable draw calls for stick bonds and their joint caps
+    stickItems(projectedAtoms, projectedBonds) {
+        const stickRadius = 0.15;
+        return [
+            ...projectedBonds.map(bond => ({
+                z: (bond.fromAtom.pos.z + bond.toAtom.pos.z) / 2,
+                draw: () => {
+                    const width = 2 * stickRadius * (bond.fromAtom.pos.scale + bond.toAtom.pos.scale) / 2;
+                    this.drawSplitBond(bond.fromAtom, bond.toAtom, width, bond.opacity);
+                }
+            })),
+            ...projectedAtoms.map(atom => ({
+                z: atom.pos.z,
+                draw: () => this.drawSphere(atom, stickRadius * atom.pos.scale, false)
+            }))
+        ];
+    }
+
+    renderWireframe(projectedAtoms, projectedBonds) {
+        projectedBonds.forEach(bond => {
+            this.drawSplitBond(bond.fromAtom, bond.toAtom, Math.max(1, bond.order) * 1.5, bond.opacity);
+        });
+
+        // Atoms without any visible bond would otherwise disappear
+        const bonded = new Set();
+        projectedBonds.forEach(bond => {
+            bonded.add(bond.from);
+            bonded.add(bond.to);
+        });
+        projectedAtoms
+            .filter(atom => !bonded.has(atom.originalIndex))
+            .forEach(atom => this.drawCross(atom, 0.25 * atom.pos.scale));
+    }
+
+    renderCrosses(projectedAtoms, projectedBonds) {
+        projectedBonds.forEach(bond => {
+            this.ctx.globalAlpha = bond.opacity ?? 1;
+            this.ctx.beginPath();
+            this.ctx.moveTo(bond.fromAtom.pos.x, bond.fromAtom.pos.y);
+            this.ctx.lineTo(bond.toAtom.pos.x, bond.toAtom.pos.y);
+            this.ctx.strokeStyle = 'rgba(85, 85, 85, 0.4)';
+            this.ctx.lineWidth = 1;
+            this.ctx.stroke();
+        });
+        this.ctx.globalAlpha = 1;
+
+        projectedAtoms.forEach(atom => this.drawCross(atom, 0.25 * atom.pos.scale));
+    }
+
+    drawSphere(atom, radius, withShadow = true) {
+        if (withShadow) {
             this.ctx.beginPath();
             this.ctx.arc(atom.pos.x + 2, atom.pos.y + 2, radius, 0, Math.PI * 2);
             this.ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
             this.ctx.fill();
+        }
 
-            // Atom sphere with gradient
-            const atomGradient = this.ctx.createRadialGradient(
-                atom.pos.x - radius/3, atom.pos.y - radius/3, 0,
-                atom.pos.x, atom.pos.y, radius
-            );
-            const color = this.getElementColor(atom.element);
-            atomGradient.addColorStop(0, this.lightenColor(color, 40));
-            atomGradient.addColorStop(1, color);
-            
-            this.ctx.beginPath();
-            this.ctx.arc(atom.pos.x, atom.pos.y, radius, 0, Math.PI * 2);
-            this.ctx.fillStyle = atomGradient;
-            this.ctx.fill();
-            
-            // Outline
-            this.ctx.strokeStyle = '#333333';
-            this.ctx.lineWidth = 1;
-            this.ctx.stroke();
+        // Atom sphere with gradient
+        const atomGradient = this.ctx.createRadialGradient(
+            atom.pos.x - radius/3, atom.pos.y - radius/3, 0,
+            atom.pos.x, atom.pos.y, radius
+        );
+        const color = this.getAtomColor(atom);
+        atomGradient.addColorStop(0, this.lightenColor(color, 40));
+        atomGradient.addColorStop(1, color);
+
+        this.ctx.beginPath();
+        this.ctx.arc(atom.pos.x, atom.pos.y, radius, 0, Math.PI * 2);
+        this.ctx.fillStyle = atomGradient;
+        this.ctx.fill();
+
+        // Outline
+        this.ctx.strokeStyle = '#333333';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
 
-            // Element label
+        // Element label, only where it fits inside the sphere
+        if (radius >= 8) {
             this.ctx.fillStyle = atom.element === 'H' ? '#000000' : '#FFFFFF';
-            this.ctx.font = `bold ${Math.max(12, radius)}px Arial`;
+            this.ctx.font = `bold ${Math.min(Math.max(12, radius), 24)}px Arial`;
             this.ctx.textAlign = 'center';
             this.ctx.textBaseline = 'middle';
             this.ctx.fillText(atom.element, atom.pos.x, atom.pos.y);
+        }
+    }
+
+    drawSplitBond(fromAtom, toAtom, width, opacity = 1) {
+        // Each half of the bond takes the color of the atom it touches
+        this.ctx.globalAlpha = opacity;
+        const midX = (fromAtom.pos.x + toAtom.pos.x) / 2;
+        const midY = (fromAtom.pos.y + toAtom.pos.y) / 2;
+
+        [[fromAtom, midX, midY], [toAtom, midX, midY]].forEach(([atom, x, y]) => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(atom.pos.x, atom.pos.y);
+            this.ctx.lineTo(x, y);
+            this.ctx.strokeStyle = this.getAtomStrokeColor(atom);
+            this.ctx.lineWidth = width;
+            this.ctx.lineCap = 'round';
+            this.ctx.stroke();
+        });
+        this.ctx.lineCap = 'butt';
+        this.ctx.globalAlpha = 1;
+    }
+
+    drawCross(atom, size) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(atom.pos.x - size, atom.pos.y);
+        this.ctx.lineTo(atom.pos.x + size, atom.pos.y);
+        this.ctx.moveTo(atom.pos.x, atom.pos.y - size);
+        this.ctx.lineTo(atom.pos.x, atom.pos.y + size);
+        this.ctx.strokeStyle = this.getAtomStrokeColor(atom);
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+    }
+
+    /**
+     * Screen radius of an atom in the current style, used for hit-testing
+     * and selection rings
+     */
+    getDisplayRadius(atom) {
+        switch (this.style) {
+            case 'sphere':
+                return this.getVdwRadius(atom.element) * atom.pos.scale;
+            case 'stick':
+            case 'cartoon':
+            case 'trace':
+                return 0.15 * atom.pos.scale;
+            default:
+                return 0.25 * atom.pos.scale;
+        }
+    }
+
+    /**
+     * Return the index (into the molecule's atom list) of the frontmost
+     * visible atom under canvas point (x, y), or null
+     */
+    pickAtom(x, y) {
+        if (this.reaction) return null;
+
+        let picked = null;
+        this.atoms.forEach(atom => {
+            if (!this.isAtomDrawn(atom)) return;
+            const pos = this.project3D(atom.x, atom.y, atom.z);
+            // Thin sticks and crosses get a minimum target size
+            const radius = Math.max(6, this.getDisplayRadius({ ...atom, pos }));
+            const hit = Math.hypot(pos.x - x, pos.y - y) <= radius;
+            if (hit && (!picked || pos.z < picked.z)) {
+                picked = { index: atom.originalIndex, z: pos.z };
+            }
+        });
+        return picked ? picked.index : null;
+    }
+
+    // Cartoons and traces only draw the trace atom of traced residues
+    isAtomDrawn(atom) {
+        if (!this.isPolymerStyle() || this.showsAsStick(atom)) return true;
+        return this.polymer.atomResidues[atom.originalIndex].traceAtom === atom.originalIndex;
+    }
+
+    /**
+     * Mark atoms (by molecule index), such as the residues picked in the
+     * sequence panel. In cartoon and trace styles they are drawn as sticks.
+     */
+    highlightAtoms(indices) {
+        this.highlight = new Set(indices);
+        this.render();
+    }
+
+    clearHighlight() {
+        this.highlight = new Set();
+        this.render();
+    }
+
+    renderHighlight(atomsByIndex) {
+        this.highlight.forEach(index => {
+            const atom = atomsByIndex.get(index);
+            if (!atom) return;
+
+            this.ctx.beginPath();
+            this.ctx.arc(atom.pos.x, atom.pos.y, Math.max(6, this.getDisplayRadius(atom)) + 3, 0, Math.PI * 2);
+            this.ctx.fillStyle = 'rgba(255, 193, 7, 0.35)';
+            this.ctx.fill();
+        });
+    }
+
+    /**
+     * Add an atom to the selection, or remove it if already selected.
+     * Selecting a fifth atom starts a new selection.
+     */
+    toggleSelection(index) {
+        if (index === null || index === undefined) return;
+
+        if (this.selection.includes(index)) {
+            this.selection = this.selection.filter(i => i !== index);
+        } else if (this.selection.length >= 4) {
+            this.selection = [index];
+        } else {
+            this.selection = [...this.selection, index];
+        }
+        this.notifySelectionChange();
+        this.render();
+    }
+
+    clearSelection() {
+        this.selection = [];
+        this.notifySelectionChange();
+        this.render();
+    }
+
+    // Select the given atoms, dropping indices outside the molecule
+    setSelection(indices) {
+        const atomCount = this.molecule ? this.molecule.atoms.length : 0;
+        this.selection = [...new Set(indices || [])]
+            .filter(i => Number.isInteger(i) && i >= 0 && i < atomCount)
+            .slice(0, 4);
+        this.notifySelectionChange();
+        this.render();
+    }
+
+    /**
+     * Pin the current 2, 3 or 4 selected atoms as a distance, angle or
+     * dihedral measurement. Returns the measurement, or null.
+     */
+    addMeasurementFromSelection() {
+        if (this.selection.length < 2) return null;
+
+        const atoms = [...this.selection];
+        this.measurements.push(atoms);
+        this.selection = [];
+        this.notifySelectionChange();
+        this.render();
+        return this.measure(atoms);
+    }
+
+    removeMeasurement(index) {
+        this.measurements.splice(index, 1);
+        this.notifySelectionChange();
+        this.render();
+    }
+
+    clearMeasurements() {
+        this.measurements = [];
+        this.notifySelectionChange();
+        this.render();
+    }
+
+    // Measurements as arrays of atom indices, for saving in view settings
+    getMeasurements() {
+        return this.measurements.map(atoms => [...atoms]);
+    }
+
+    setMeasurements(measurements) {
+        const atomCount = this.molecule ? this.molecule.atoms.length : 0;
+        this.measurements = (measurements || [])
+            .filter(atoms => Array.isArray(atoms) && atoms.length >= 2 && atoms.length <= 4 &&
+                atoms.every(i => Number.isInteger(i) && i >= 0 && i < atomCount))
+            .map(atoms => [...atoms]);
+        this.notifySelectionChange();
+        this.render();
+    }
+
+    /**
+     * Measure the atoms at the given indices: a distance in Å for two atoms,
+     * an angle in degrees for three and a signed dihedral for four
+     */
+    measure(indices) {
+        // Measurements follow the atoms through trajectory frames
+        const points = indices.map(i => (this.trajectoryAtoms || this.molecule.atoms)[i]);
+        const type = Simple3DMolecule.MEASUREMENT_TYPES[indices.length];
+        return { type, atoms: [...indices], value: Simple3DMolecule.measurePoints(points) };
+    }
+
+    static measurePoints(points) {
+        const sub = (a, b) => [a.x - b.x, a.y - b.y, a.z - b.z];
+        const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+        const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const norm = u => Math.sqrt(dot(u, u));
+        const degrees = radians => radians * 180 / Math.PI;
+
+        if (points.length === 2) {
+            return norm(sub(points[1], points[0]));
+        }
+
+        if (points.length === 3) {
+            const u = sub(points[0], points[1]);
+            const v = sub(points[2], points[1]);
+            const cosine = dot(u, v) / (norm(u) * norm(v));
+            return degrees(Math.acos(Math.max(-1, Math.min(1, cosine))));
+        }
+
+        // Dihedral about the middle bond, positive for clockwise rotation
+        const b1 = sub(points[1], points[0]);
+        const b2 = sub(points[2], points[1]);
+        const b3 = sub(points[3], points[2]);
+        const n1 = cross(b1, b2);
+        const n2 = cross(b2, b3);
+        const sine = dot(cross(n1, n2), b2) / norm(b2);
+        return degrees(Math.atan2(sine, dot(n1, n2)));
+    }
+
+    static formatMeasurement({ type, value }) {
+        return type === 'distance' ? `${value.toFixed(3)} Å` : `${value.toFixed(1)}°`;
+    }
+
+    notifySelectionChange() {
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.selection, this.measurements);
+        }
+    }
+
+    // Element symbols or numbered symbols (C1, O2, as in the measurement list) beside the atoms
+    renderAtomLabels() {
+        if (this.labels === 'none' || this.reaction) return;
+
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillStyle = '#1a1a1a';
+        this.atoms.forEach(atom => {
+            if (!this.isAtomDrawn(atom)) return;
+            const pos = this.project3D(atom.x, atom.y, atom.z);
+            const offset = Math.max(4, this.getDisplayRadius({ ...atom, pos }) * 0.7);
+            const text = this.labels === 'number' ? `${atom.element}${atom.originalIndex + 1}` : atom.element;
+            this.ctx.fillText(text, pos.x + offset, pos.y - offset);
         });
     }
 
+    renderMeasurements(atomsByIndex) {
+        const groups = [
+            ...this.measurements.map(atoms => ({ atoms, color: '#6f42c1' })),
+            ...(this.selection.length >= 2 ? [{ atoms: this.selection, color: '#e67e22' }] : [])
+        ];
+
+        groups.forEach(({ atoms, color }) => {
+            const projected = atoms.map(i => atomsByIndex.get(i));
+            // Skip measurements involving hidden atoms
+            if (projected.some(atom => !atom)) return;
+
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(projected[0].pos.x, projected[0].pos.y);
+            projected.slice(1).forEach(atom => this.ctx.lineTo(atom.pos.x, atom.pos.y));
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 1.5;
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            // Distances label the midpoint, angles the vertex, dihedrals the middle bond
+            const [start, end] = atoms.length === 2 ? projected : projected.slice(1, 3);
+            const anchor = atoms.length === 3
+                ? projected[1].pos
+                : { x: (start.pos.x + end.pos.x) / 2, y: (start.pos.y + end.pos.y) / 2 };
+            const label = Simple3DMolecule.formatMeasurement(this.measure(atoms));
+
+            this.ctx.font = 'bold 12px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'bottom';
+            this.ctx.fillStyle = color;
+            this.ctx.fillText(label, anchor.x, anchor.y - 6);
+        });
+
+        this.selection.forEach(index => {
+            const atom = atomsByIndex.get(index);
+            if (!atom) return;
+
+            this.ctx.beginPath();
+            this.ctx.arc(atom.pos.x, atom.pos.y, Math.max(6, this.getDisplayRadius(atom)) + 4, 0, Math.PI * 2);
+            this.ctx.strokeStyle = '#e67e22';
+            this.ctx.lineWidth = 2.5;
+            this.ctx.stroke();
+        });
+    }
+
+    /**
+     * Energy against step of the optimization being played back, in the
+     * bottom right corner. Energies are drawn on a log scale above the
+     * lowest one, so the slow tail of a minimization stays visible.
+     */
+    renderOptimizationPlot() {
+        if (!this.optimization || !this.trajectory) return;
+
+        const { iterations, energies } = this.optimization;
+        const width = 160;
+        const height = 70;
+        const left = this.width - width - 10;
+        const top = this.height - height - 10;
+        const lowest = Math.min(...energies);
+        const highest = Math.log(Math.max(...energies) - lowest + 1) || 1;
+        const lastStep = iterations[iterations.length - 1] || 1;
+        const point = index => ({
+            x: left + 8 + (width - 16) * iterations[index] / lastStep,
+            y: top + height - 8 - (height - 30) * Math.log(energies[index] - lowest + 1) / highest
+        });
+
+        // A path rather than strokeRect, which the SVG export context lacks
+        this.ctx.beginPath();
+        this.ctx.moveTo(left, top);
+        this.ctx.lineTo(left + width, top);
+        this.ctx.lineTo(left + width, top + height);
+        this.ctx.lineTo(left, top + height);
+        this.ctx.closePath();
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#ced4da';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+
+        this.ctx.beginPath();
+        energies.forEach((_, index) => {
+            const { x, y } = point(index);
+            if (index === 0) this.ctx.moveTo(x, y);
+            else this.ctx.lineTo(x, y);
+        });
+        this.ctx.strokeStyle = '#667eea';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.stroke();
+
+        const current = Math.min(this.trajectoryIndex, energies.length - 1);
+        const marker = point(current);
+        this.ctx.beginPath();
+        this.ctx.arc(marker.x, marker.y, 3.5, 0, Math.PI * 2);
+        this.ctx.fillStyle = '#e67e22';
+        this.ctx.fill();
+
+        this.ctx.font = '11px Arial';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillStyle = '#333';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(`E = ${energies[current].toFixed(2)} kcal/mol`, left + 6, top + 5);
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`Step ${iterations[current]}`, left + width - 6, top + 5);
+    }
+
+    /**
+     * Render the current view into another context without touching the
+     * on-screen canvas. Used by the image exporters.
+     */
+    renderToContext(ctx) {
+        const original = this.ctx;
+        this.ctx = ctx;
+        try {
+            this.render();
+        } finally {
+            this.ctx = original;
+        }
+    }
+
+    exportPNG(resolution = 2) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(this.width * resolution);
+        canvas.height = Math.round(this.height * resolution);
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(resolution, resolution);
+        this.renderToContext(ctx);
+
+        return canvas.toDataURL('image/png');
+    }
+
+    exportSVG() {
+        const ctx = new SVGRenderingContext(this.width, this.height);
+        this.renderToContext(ctx);
+        return ctx.toString();
+    }
+
     lightenColor(color, percent) {
         const num = parseInt(color.replace('#', ''), 16);
         const amt = Math.round(2.55 * percent);
@@ -209,42 +1479,33 @@ class Simple3DMolecule {
     }
 
     setView(view) {
-        const views = {
-            front: { x: 0, y: 0 },
-            top: { x: Math.PI / 2, y: 0 },
-            side: { x: 0, y: Math.PI / 2 },
-            iso: { x: 0.5, y: 0.5 }
-        };
-        
-        if (views[view]) {
-            this.rotation = views[view];
+        if (Simple3DMolecule.VIEWS[view]) {
+            this.orientation = { ...Simple3DMolecule.VIEWS[view] };
             this.render();
         }
     }
 
     resetView() {
-        this.rotation = { x: 0.5, y: 0.5 };
+        this.orientation = { ...Simple3DMolecule.VIEWS.iso };
+        this.pan = { x: 0, y: 0 };
         this.zoom = 1;
         this.render();
     }
 
     zoomIn() {
-        this.zoom *= 1.2;
-        this.zoom = Math.min(this.zoom, 5);
-        this.render();
+        this.setZoom(this.zoom * 1.2);
     }
 
     zoomOut() {
-        this.zoom *= 0.8;
-        this.zoom = Math.max(this.zoom, 0.1);
-        this.render();
+        this.setZoom(this.zoom * 0.8);
     }
 
     startSpin() {
         this.spinning = true;
         const spin = () => {
             if (this.spinning) {
-                this.rotation.y += 0.02;
+                // About the vertical axis of the screen
+                this.rotateView({ x: 0, y: 1, z: 0 }, -0.02);
                 this.render();
                 requestAnimationFrame(spin);
             }
@@ -264,3 +1525,44 @@ class Simple3DMolecule {
         }
     }
 }
+
+Simple3DMolecule.STYLES = ['stick', 'sphere', 'line', 'cross', 'cartoon', 'trace'];
+
+Simple3DMolecule.COLOR_SCHEMES = ['element', 'residue', 'chain', 'secondary'];
+
+Simple3DMolecule.LABEL_MODES = ['none', 'element', 'number'];
+
+// Outline colors of overlaid geometries, in overlay order
+Simple3DMolecule.OVERLAY_COLORS = ['#E67E22', '#2980B9', '#8E44AD', '#16A085', '#C0392B', '#7F8C8D'];
+
+// What trajectory playback does at the last frame
+Simple3DMolecule.TRAJECTORY_MODES = ['loop', 'bounce', 'once'];
+
+// Orientations of the standard views: front looks down the z axis, top
+// turns the model 90° about x, side 90° about y, and isometric turns it
+// 0.5 rad about y and then about x
+Simple3DMolecule.VIEWS = {
+    front: { w: 1, x: 0, y: 0, z: 0 },
+    top: Simple3DMolecule.axisAngleQuaternion({ x: 1, y: 0, z: 0 }, Math.PI / 2),
+    side: Simple3DMolecule.axisAngleQuaternion({ x: 0, y: 1, z: 0 }, -Math.PI / 2),
+    iso: Simple3DMolecule.multiplyQuaternions(
+        Simple3DMolecule.axisAngleQuaternion({ x: 1, y: 0, z: 0 }, 0.5),
+        Simple3DMolecule.axisAngleQuaternion({ x: 0, y: 1, z: 0 }, -0.5)
+    )
+};
+
+// Keyboard shortcuts for the standard views
+Simple3DMolecule.VIEW_KEYS = { 1: 'front', 2: 'top', 3: 'side', 4: 'iso' };
+
+// Radians of rotation per pixel dragged, and per arrow key press
+Simple3DMolecule.DRAG_ROTATION = 0.01;
+Simple3DMolecule.KEY_ROTATION_STEP = Math.PI / 36;
+
+// Pixels panned per Shift+arrow key press
+Simple3DMolecule.KEY_PAN_STEP = 20;
+
+// Radius (Å) up to which structures are shown at the base scale of 100 px/Å
+Simple3DMolecule.FIT_RADIUS = 4;
+
+// Measurement kind by number of atoms involved
+Simple3DMolecule.MEASUREMENT_TYPES = { 2: 'distance', 3: 'angle', 4: 'dihedral' };
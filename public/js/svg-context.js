@@ -0,0 +1,160 @@
+/**
+ * SVG Rendering Context
+ * Records the subset of the Canvas 2D API used by Simple3DMolecule and
+ * replays it as SVG markup, so the same render() produces vector output
+ */
+
+class SVGRenderingContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.elements = [];
+        this.defs = [];
+        this.path = '';
+        this.gradientCount = 0;
+
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.globalAlpha = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.lineDash = [];
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    clearRect() {
+        this.elements = [];
+        this.defs = [];
+    }
+
+    fillRect(x, y, width, height) {
+        this.elements.push(
+            `<rect x="${this.num(x)}" y="${this.num(y)}" width="${this.num(width)}" height="${this.num(height)}"` +
+            ` fill="${this.paint(this.fillStyle)}"${this.opacity()}/>`
+        );
+    }
+
+    createLinearGradient(x0, y0, x1, y1) {
+        return this.createGradient('linearGradient',
+            `x1="${this.num(x0)}" y1="${this.num(y0)}" x2="${this.num(x1)}" y2="${this.num(y1)}"`);
+    }
+
+    createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        // SVG radial gradients have a focal point but no inner radius
+        return this.createGradient('radialGradient',
+            `fx="${this.num(x0)}" fy="${this.num(y0)}" cx="${this.num(x1)}" cy="${this.num(y1)}" r="${this.num(r1)}"`);
+    }
+
+    createGradient(tag, attributes) {
+        const gradient = {
+            id: `g${++this.gradientCount}`,
+            tag,
+            attributes,
+            stops: [],
+            addColorStop(offset, color) {
+                this.stops.push({ offset, color });
+            }
+        };
+        return gradient;
+    }
+
+    beginPath() {
+        this.path = '';
+    }
+
+    moveTo(x, y) {
+        this.path += `M${this.num(x)} ${this.num(y)}`;
+    }
+
+    lineTo(x, y) {
+        this.path += `L${this.num(x)} ${this.num(y)}`;
+    }
+
+    closePath() {
+        this.path += 'Z';
+    }
+
+    arc(x, y, radius, startAngle, endAngle) {
+        const sweep = endAngle - startAngle;
+        const point = angle => `${this.num(x + radius * Math.cos(angle))} ${this.num(y + radius * Math.sin(angle))}`;
+
+        // A full circle cannot be expressed as a single SVG arc
+        if (Math.abs(sweep) >= Math.PI * 2 - 1e-6) {
+            const r = this.num(radius);
+            this.path += `M${point(startAngle)}A${r} ${r} 0 1 1 ${point(startAngle + Math.PI)}` +
+                `A${r} ${r} 0 1 1 ${point(startAngle)}Z`;
+            return;
+        }
+
+        const largeArc = Math.abs(sweep) > Math.PI ? 1 : 0;
+        const r = this.num(radius);
+        this.path += `${this.path ? 'L' : 'M'}${point(startAngle)}A${r} ${r} 0 ${largeArc} 1 ${point(endAngle)}`;
+    }
+
+    fill() {
+        this.elements.push(`<path d="${this.path}" fill="${this.paint(this.fillStyle)}"${this.opacity()}/>`);
+    }
+
+    stroke() {
+        this.elements.push(
+            `<path d="${this.path}" fill="none" stroke="${this.paint(this.strokeStyle)}"` +
+            ` stroke-width="${this.num(this.lineWidth)}" stroke-linecap="${this.lineCap}"` +
+            `${this.lineDash.length ? ` stroke-dasharray="${this.lineDash.join(' ')}"` : ''}${this.opacity()}/>`
+        );
+    }
+
+    fillText(text, x, y) {
+        const anchors = { center: 'middle', left: 'start', start: 'start', right: 'end', end: 'end' };
+        const baselines = { middle: 'central', top: 'hanging', bottom: 'text-after-edge' };
+        const [, weight, size, family] = this.font.match(/^(?:(bold|normal)\s+)?([\d.]+px)\s+(.+)$/) || [];
+
+        this.elements.push(
+            `<text x="${this.num(x)}" y="${this.num(y)}" fill="${this.paint(this.fillStyle)}"` +
+            ` font-family="${this.escape(family || 'sans-serif')}" font-size="${size || '10px'}"` +
+            `${weight === 'bold' ? ' font-weight="bold"' : ''}` +
+            ` text-anchor="${anchors[this.textAlign] || 'start'}"` +
+            ` dominant-baseline="${baselines[this.textBaseline] || 'alphabetic'}"${this.opacity()}>` +
+            `${this.escape(text)}</text>`
+        );
+    }
+
+    paint(style) {
+        if (typeof style === 'string') return style;
+
+        if (!this.defs.some(def => def.includes(`id="${style.id}"`))) {
+            const stops = style.stops
+                .map(stop => `<stop offset="${stop.offset}" stop-color="${stop.color}"/>`)
+                .join('');
+            this.defs.push(`<${style.tag} id="${style.id}" gradientUnits="userSpaceOnUse" ${style.attributes}>${stops}</${style.tag}>`);
+        }
+        return `url(#${style.id})`;
+    }
+
+    opacity() {
+        return this.globalAlpha < 1 ? ` opacity="${this.num(this.globalAlpha)}"` : '';
+    }
+
+    num(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    toString() {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}"` +
+            ` viewBox="0 0 ${this.width} ${this.height}">\n` +
+            `<defs>${this.defs.join('')}</defs>\n${this.elements.join('\n')}\n</svg>\n`;
+    }
+}
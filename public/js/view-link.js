@@ -0,0 +1,102 @@
+/**
+ * View Links
+ * Packs a molecule and the viewer settings of a saved visualization into a
+ * compact URL fragment and back, for example
+ *   #m=caffeine&q=0.8776_0.2298_-0.2298_0.3573&z=1.5&p=12_-30&s=sphere&h=H&k=0-1.0-1-2
+ * Settings at their defaults are left out. Shared saved views use
+ * #share=<id>.<token> instead, opened through GET /api/visualizations/:id/public.
+ */
+
+class ViewLink {
+    /**
+     * Fragment (without '#') for a molecule and settings as saved with a
+     * visualization: { style, colorScheme, labels, elementVisibility,
+     * measurements, selection, spinning, camera: { orientation, zoom, pan } }
+     */
+    static encode(moleculeId, settings = {}) {
+        const params = new URLSearchParams({ m: moleculeId });
+        const round = (value, digits) => Number(value.toFixed(digits));
+
+        const camera = settings.camera;
+        if (camera?.orientation) {
+            const { w, x, y, z } = camera.orientation;
+            params.set('q', [w, x, y, z].map(value => round(value, 4)).join('_'));
+        }
+        if (camera && camera.zoom !== 1) {
+            params.set('z', round(camera.zoom, 3));
+        }
+        if (camera?.pan && (camera.pan.x !== 0 || camera.pan.y !== 0)) {
+            params.set('p', [camera.pan.x, camera.pan.y].map(value => Math.round(value)).join('_'));
+        }
+
+        Object.entries(ViewLink.OPTIONS).forEach(([key, { name, fallback }]) => {
+            if (settings[name] && settings[name] !== fallback) params.set(key, settings[name]);
+        });
+
+        const hidden = Object.keys(settings.elementVisibility || {})
+            .filter(element => settings.elementVisibility[element] === false);
+        if (hidden.length > 0) params.set('h', hidden.join('.'));
+        if (settings.measurements?.length > 0) {
+            params.set('k', settings.measurements.map(atoms => atoms.join('-')).join('.'));
+        }
+        if (settings.selection?.length > 0) params.set('a', settings.selection.join('-'));
+        if (settings.spinning) params.set('spin', '1');
+
+        return params.toString();
+    }
+
+    /**
+     * Read a fragment made by encode() or a share link. Returns
+     * { moleculeId, settings }, { share: { id, token } } or null when the
+     * fragment holds no view. Malformed parts are left out of the settings.
+     */
+    static decode(fragment) {
+        const params = new URLSearchParams(String(fragment || '').replace(/^#/, ''));
+
+        const share = params.get('share');
+        if (share) {
+            const separator = share.indexOf('.');
+            if (separator <= 0) return null;
+            return { share: { id: share.slice(0, separator), token: share.slice(separator + 1) } };
+        }
+
+        const moleculeId = params.get('m');
+        if (!moleculeId) return null;
+
+        const numbers = (value, separator) => (value ? value.split(separator).map(Number) : []);
+        const indices = value => numbers(value, '-').filter(Number.isInteger);
+        const settings = {};
+
+        const camera = {};
+        const q = numbers(params.get('q'), '_');
+        if (q.length === 4 && q.every(Number.isFinite)) {
+            camera.orientation = { w: q[0], x: q[1], y: q[2], z: q[3] };
+        }
+        const zoom = Number(params.get('z') ?? 1);
+        camera.zoom = Number.isFinite(zoom) ? zoom : 1;
+        const pan = numbers(params.get('p'), '_');
+        camera.pan = pan.length === 2 && pan.every(Number.isFinite) ? { x: pan[0], y: pan[1] } : { x: 0, y: 0 };
+        settings.camera = camera;
+
+        Object.entries(ViewLink.OPTIONS).forEach(([key, { name, fallback }]) => {
+            settings[name] = params.get(key) || fallback;
+        });
+
+        settings.elementVisibility = {};
+        (params.get('h') || '').split('.').filter(Boolean).forEach(element => {
+            settings.elementVisibility[element] = false;
+        });
+        settings.measurements = (params.get('k') || '').split('.').filter(Boolean).map(indices);
+        settings.selection = indices(params.get('a'));
+        settings.spinning = params.get('spin') === '1';
+
+        return { moleculeId, settings };
+    }
+}
+
+// Single-valued settings by fragment key, with the default that is left out
+ViewLink.OPTIONS = {
+    s: { name: 'style', fallback: 'stick' },
+    c: { name: 'colorScheme', fallback: 'element' },
+    l: { name: 'labels', fallback: 'none' }
+};
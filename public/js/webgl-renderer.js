@@ -0,0 +1,556 @@
+/**
+ * WebGL Molecular Renderer
+ * Draws atoms and bonds as instanced impostor spheres and cylinders with a
+ * depth buffer and per-pixel lighting, so structures with thousands of atoms
+ * stay interactive. Cartoon ribbons are drawn as a lit triangle mesh.
+ * Extends Simple3DMolecule and keeps its API, projection, picking and
+ * measurements; the original canvas becomes a transparent overlay for
+ * selection rings, highlights and measurement labels.
+ */
+
+const WEBGL_SHADER_COMMON = `#version 300 es
+precision highp float;
+
+uniform vec2 uViewport;
+uniform mat3 uRotation;
+uniform vec2 uPan;
+uniform vec3 uCenter;
+uniform float uScale;
+uniform float uPerspective;
+uniform float uDepthRange;
+
+// Same rotation as Simple3DMolecule.rotate
+vec3 rotate(vec3 v) {
+    return uRotation * v;
+}
+
+// Same framing, pan and perspective as Simple3DMolecule.project3D: returns
+// the screen offset from the canvas center (y up), depth and pixels per angstrom
+vec4 project(vec3 p) {
+    vec3 r = rotate(p - uCenter);
+    float f = uPerspective / (uPerspective + r.z);
+    return vec4(r.x * uScale * f + uPan.x, r.y * uScale * f + uPan.y, r.z, uScale * f);
+}
+
+float depthOf(float z) {
+    return clamp(0.5 + z / (2.0 * uDepthRange), 0.0, 1.0);
+}
+`;
+
+const WEBGL_LIGHTING = `
+vec3 shade(vec3 color, vec3 normal) {
+    vec3 light = normalize(vec3(-0.4, 0.5, 0.75));
+    float diffuse = max(dot(normal, light), 0.0);
+    float specular = pow(max(dot(reflect(-light, normal), vec3(0.0, 0.0, 1.0)), 0.0), 32.0);
+    return color * (0.35 + 0.65 * diffuse) + vec3(0.3 * specular);
+}
+`;
+
+const SPHERE_VERTEX_SHADER = `${WEBGL_SHADER_COMMON}
+in vec2 aCorner;
+in vec3 aCenter;
+in float aRadius;
+in vec3 aColor;
+
+out vec2 vCorner;
+out vec3 vColor;
+out float vZ;
+out float vRadius;
+out float vPixelRadius;
+
+void main() {
+    vec4 p = project(aCenter);
+    vPixelRadius = aRadius * p.w;
+    vec2 position = p.xy + aCorner * vPixelRadius;
+    gl_Position = vec4(position / (uViewport * 0.5), depthOf(p.z) * 2.0 - 1.0, 1.0);
+    vCorner = aCorner;
+    vColor = aColor;
+    vZ = p.z;
+    vRadius = aRadius;
+}
+`;
+
+const SPHERE_FRAGMENT_SHADER = `${WEBGL_SHADER_COMMON}${WEBGL_LIGHTING}
+in vec2 vCorner;
+in vec3 vColor;
+in float vZ;
+in float vRadius;
+in float vPixelRadius;
+
+out vec4 fragColor;
+
+void main() {
+    float d2 = dot(vCorner, vCorner);
+    if (d2 > 1.0) discard;
+
+    vec3 normal = vec3(vCorner, sqrt(1.0 - d2));
+    vec3 color = shade(vColor, normal);
+    // One-pixel dark rim, like the outline of the 2D renderer
+    if (sqrt(d2) > 1.0 - 1.0 / max(vPixelRadius, 1.0)) {
+        color = vec3(0.2);
+    }
+    fragColor = vec4(color, 1.0);
+    gl_FragDepth = depthOf(vZ - vRadius * normal.z);
+}
+`;
+
+const CYLINDER_VERTEX_SHADER = `${WEBGL_SHADER_COMMON}
+in vec2 aCorner;
+in vec3 aStart;
+in vec3 aEnd;
+in float aRadius;
+in vec3 aColorA;
+in vec3 aColorB;
+in float aOpacity;
+
+out float vAlong;
+out float vAcross;
+out vec2 vPerpendicular;
+out vec3 vColorA;
+out vec3 vColorB;
+out float vOpacity;
+out float vZ;
+out float vRadius;
+
+void main() {
+    vec4 a = project(aStart);
+    vec4 b = project(aEnd);
+    vec2 axis = b.xy - a.xy;
+    float len = length(axis);
+    vec2 direction = len > 1e-4 ? axis / len : vec2(1.0, 0.0);
+    vPerpendicular = vec2(-direction.y, direction.x);
+
+    vec4 p = mix(a, b, aCorner.x);
+    vec2 position = p.xy + vPerpendicular * aCorner.y * aRadius * p.w;
+    gl_Position = vec4(position / (uViewport * 0.5), depthOf(p.z) * 2.0 - 1.0, 1.0);
+
+    vAlong = aCorner.x;
+    vAcross = aCorner.y;
+    vColorA = aColorA;
+    vColorB = aColorB;
+    vOpacity = aOpacity;
+    vZ = p.z;
+    vRadius = aRadius;
+}
+`;
+
+const CYLINDER_FRAGMENT_SHADER = `${WEBGL_SHADER_COMMON}${WEBGL_LIGHTING}
+in float vAlong;
+in float vAcross;
+in vec2 vPerpendicular;
+in vec3 vColorA;
+in vec3 vColorB;
+in float vOpacity;
+in float vZ;
+in float vRadius;
+
+out vec4 fragColor;
+
+void main() {
+    float facing = sqrt(max(0.0, 1.0 - vAcross * vAcross));
+    vec3 normal = vec3(vPerpendicular * vAcross, facing);
+    // Each half of the bond takes the color of the atom it touches
+    vec3 color = vAlong < 0.5 ? vColorA : vColorB;
+    fragColor = vec4(shade(color, normal), vOpacity);
+    gl_FragDepth = depthOf(vZ - vRadius * facing);
+}
+`;
+
+const MESH_VERTEX_SHADER = `${WEBGL_SHADER_COMMON}
+in vec3 aPosition;
+in vec3 aNormal;
+in vec3 aColor;
+
+out vec3 vNormal;
+out vec3 vColor;
+
+void main() {
+    vec4 p = project(aPosition);
+    gl_Position = vec4(p.xy / (uViewport * 0.5), depthOf(p.z) * 2.0 - 1.0, 1.0);
+    // Depth grows away from the viewer; lighting expects z towards it
+    vec3 n = rotate(aNormal);
+    vNormal = vec3(n.xy, -n.z);
+    vColor = aColor;
+}
+`;
+
+const MESH_FRAGMENT_SHADER = `${WEBGL_SHADER_COMMON}${WEBGL_LIGHTING}
+in vec3 vNormal;
+in vec3 vColor;
+
+out vec4 fragColor;
+
+void main() {
+    // Ribbons are flat, so light whichever face is showing
+    vec3 normal = normalize(vNormal);
+    if (normal.z < 0.0) normal = -normal;
+    fragColor = vec4(shade(vColor, normal), 1.0);
+}
+`;
+
+const MESH_ATTRIBUTES = [['aPosition', 3], ['aNormal', 3], ['aColor', 3]];
+
+const SPHERE_ATTRIBUTES = [['aCenter', 3], ['aRadius', 1], ['aColor', 3]];
+const CYLINDER_ATTRIBUTES = [
+    ['aStart', 3], ['aEnd', 3], ['aRadius', 1], ['aColorA', 3], ['aColorB', 3], ['aOpacity', 1]
+];
+
+class WebGLMolecule extends Simple3DMolecule {
+    constructor(canvasId) {
+        // Set up WebGL before touching the page so a failure leaves nothing behind
+        const glCanvas = document.createElement('canvas');
+        const gl = glCanvas.getContext('webgl2', { antialias: true, premultipliedAlpha: false });
+        if (!gl) {
+            throw new Error('WebGL 2 is not available');
+        }
+        const sphereProgram = WebGLMolecule.createProgram(gl, SPHERE_VERTEX_SHADER, SPHERE_FRAGMENT_SHADER);
+        const cylinderProgram = WebGLMolecule.createProgram(gl, CYLINDER_VERTEX_SHADER, CYLINDER_FRAGMENT_SHADER);
+        const meshProgram = WebGLMolecule.createProgram(gl, MESH_VERTEX_SHADER, MESH_FRAGMENT_SHADER);
+
+        super(canvasId);
+
+        this.gl = gl;
+        this.glCanvas = glCanvas;
+        this.spheres = this.createInstancedVAO(sphereProgram, [-1, -1, 1, -1, -1, 1, 1, 1], SPHERE_ATTRIBUTES);
+        this.cylinders = this.createInstancedVAO(cylinderProgram, [0, -1, 1, -1, 0, 1, 1, 1], CYLINDER_ATTRIBUTES);
+        this.mesh = this.createMeshVAO(meshProgram, MESH_ATTRIBUTES);
+        this.scene = null;
+
+        // The 2D canvas stays on top for mouse input and overlays
+        this.overlayCtx = this.ctx;
+        glCanvas.className = `${this.canvas.className} viewer-gl`;
+        this.canvas.classList.add('viewer-overlay');
+        this.canvas.parentElement.insertBefore(glCanvas, this.canvas);
+
+        this.sizeGLCanvas();
+    }
+
+    resize() {
+        this.width = this.canvas.width = this.canvas.offsetWidth;
+        this.height = this.canvas.height = this.canvas.offsetHeight;
+        this.sizeGLCanvas();
+        this.render();
+    }
+
+    sizeGLCanvas() {
+        const pixelRatio = window.devicePixelRatio || 1;
+        this.glCanvas.width = Math.round(this.width * pixelRatio);
+        this.glCanvas.height = Math.round(this.height * pixelRatio);
+    }
+
+    /**
+     * Create the best available viewer: WebGL where the browser supports it,
+     * otherwise the Canvas 2D renderer
+     */
+    static createViewer(canvasId) {
+        try {
+            return new WebGLMolecule(canvasId);
+        } catch (error) {
+            console.warn('WebGL renderer unavailable, using Canvas 2D:', error.message);
+            return new Simple3DMolecule(canvasId);
+        }
+    }
+
+    static createProgram(gl, vertexSource, fragmentSource) {
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`Shader compilation failed: ${gl.getShaderInfoLog(shader)}`);
+            }
+            return shader;
+        };
+
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Shader linking failed: ${gl.getProgramInfoLog(program)}`);
+        }
+        return program;
+    }
+
+    /**
+     * A vertex array with a shared quad (aCorner, drawn as a triangle strip)
+     * and one interleaved buffer of per-instance attributes
+     */
+    createInstancedVAO(program, corners, attributes) {
+        const gl = this.gl;
+        const vao = gl.createVertexArray();
+        gl.bindVertexArray(vao);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(corners), gl.STATIC_DRAW);
+        const cornerLocation = gl.getAttribLocation(program, 'aCorner');
+        gl.enableVertexAttribArray(cornerLocation);
+        gl.vertexAttribPointer(cornerLocation, 2, gl.FLOAT, false, 0, 0);
+
+        const instanceBuffer = gl.createBuffer();
+        const stride = attributes.reduce((total, [, size]) => total + size, 0);
+        const batch = { program, vao, instanceBuffer, attributes, stride };
+        gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+        attributes.forEach(([name]) => {
+            const location = gl.getAttribLocation(program, name);
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribDivisor(location, 1);
+        });
+        this.pointInstanceAttributes(batch, 0);
+
+        gl.bindVertexArray(null);
+        return batch;
+    }
+
+    // A vertex array over one interleaved buffer of triangle vertices
+    createMeshVAO(program, attributes) {
+        const gl = this.gl;
+        const vao = gl.createVertexArray();
+        gl.bindVertexArray(vao);
+
+        const vertexBuffer = gl.createBuffer();
+        const stride = attributes.reduce((total, [, size]) => total + size, 0);
+        gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+        let offset = 0;
+        attributes.forEach(([name, size]) => {
+            const location = gl.getAttribLocation(program, name);
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride * 4, offset * 4);
+            offset += size;
+        });
+
+        gl.bindVertexArray(null);
+        return { program, vao, vertexBuffer, stride };
+    }
+
+    // Point the per-instance attributes at instance `first` of the buffer
+    pointInstanceAttributes(batch, first) {
+        const gl = this.gl;
+        let offset = first * batch.stride;
+        batch.attributes.forEach(([name, size]) => {
+            const location = gl.getAttribLocation(batch.program, name);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, batch.stride * 4, offset * 4);
+            offset += size;
+        });
+    }
+
+    render() {
+        // Image exporters render into their own 2D context
+        if (this.ctx !== this.overlayCtx) {
+            super.render();
+            return;
+        }
+
+        this.drawScene();
+
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        const marked = new Set([...this.selection, ...this.measurements.flat(), ...this.highlight]);
+        const atomsByIndex = new Map(this.atoms
+            .filter(atom => marked.has(atom.originalIndex))
+            .map(atom => [atom.originalIndex, { ...atom, pos: this.project3D(atom.x, atom.y, atom.z) }]));
+        this.renderHighlight(atomsByIndex);
+        this.renderMeasurements(atomsByIndex);
+        this.renderAtomLabels();
+        this.renderOptimizationPlot();
+    }
+
+    drawScene() {
+        const gl = this.gl;
+        const scene = this.scene;
+        if (!scene || scene.atoms !== this.atoms || scene.bonds !== this.bonds || scene.style !== this.style ||
+            scene.elementData !== this.elementData || scene.colorScheme !== this.colorScheme ||
+            scene.polymer !== this.polymer || scene.highlight !== this.highlight || scene.overlay !== this.overlay) {
+            this.buildScene();
+        }
+
+        gl.viewport(0, 0, this.glCanvas.width, this.glCanvas.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clearDepth(1);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        gl.enable(gl.DEPTH_TEST);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+        const { sphereCount, cylinderCount, opaqueCylinderCount, meshVertexCount } = this.scene;
+        this.drawInstances(this.spheres, 0, sphereCount);
+        if (meshVertexCount > 0) {
+            gl.useProgram(this.mesh.program);
+            this.setUniforms(this.mesh.program);
+            gl.bindVertexArray(this.mesh.vao);
+            gl.drawArrays(gl.TRIANGLES, 0, meshVertexCount);
+            gl.bindVertexArray(null);
+        }
+
+        // Fading reaction bonds are drawn last without writing depth
+        this.drawInstances(this.cylinders, 0, opaqueCylinderCount);
+        gl.depthMask(false);
+        this.drawInstances(this.cylinders, opaqueCylinderCount, cylinderCount - opaqueCylinderCount);
+        gl.depthMask(true);
+    }
+
+    drawInstances(batch, first, count) {
+        if (count <= 0) return;
+        const gl = this.gl;
+        const { program } = batch;
+
+        gl.useProgram(program);
+        this.setUniforms(program);
+
+        gl.bindVertexArray(batch.vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, batch.instanceBuffer);
+        if (first > 0) this.pointInstanceAttributes(batch, first);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+        if (first > 0) this.pointInstanceAttributes(batch, 0);
+        gl.bindVertexArray(null);
+    }
+
+    // View uniforms shared by every program
+    setUniforms(program) {
+        const gl = this.gl;
+        const { center, scale, perspective } = this.frame;
+        gl.uniform2f(gl.getUniformLocation(program, 'uViewport'), this.width, this.height);
+        // Columns are the rotated model axes
+        const rotation = [{ x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 }]
+            .flatMap(axis => {
+                const { x, y, z } = this.rotate(axis);
+                return [x, y, z];
+            });
+        gl.uniformMatrix3fv(gl.getUniformLocation(program, 'uRotation'), false, rotation);
+        gl.uniform2f(gl.getUniformLocation(program, 'uPan'), this.pan.x, -this.pan.y);
+        gl.uniform3f(gl.getUniformLocation(program, 'uCenter'), center.x, center.y, center.z);
+        gl.uniform1f(gl.getUniformLocation(program, 'uScale'), scale * this.zoom);
+        gl.uniform1f(gl.getUniformLocation(program, 'uPerspective'), perspective);
+        gl.uniform1f(gl.getUniformLocation(program, 'uDepthRange'), this.scene.depthRange);
+    }
+
+    /**
+     * Turn the visible atoms and bonds into instance data for the current
+     * style. Only runs when the structure, style, colors or highlight
+     * change; rotating and zooming just update uniforms.
+     */
+    buildScene() {
+        const gl = this.gl;
+        const atomsByIndex = new Map(this.atoms.map(atom => [atom.originalIndex, atom]));
+        const bonds = this.bonds
+            .map(bond => ({ bond, from: atomsByIndex.get(bond.from), to: atomsByIndex.get(bond.to) }))
+            .filter(({ from, to }) => from && to);
+
+        const sphereData = [];
+        const cylinderData = [];
+        const meshData = [];
+        const addSphere = (atom, radius, color = this.colorToRGB(this.getAtomColor(atom))) => {
+            sphereData.push(atom.x, atom.y, atom.z, radius, ...color);
+        };
+        const addCylinder = (start, end, radius, colorA, colorB, opacity = 1) => {
+            cylinderData.push({ values: [start.x, start.y, start.z, end.x, end.y, end.z, radius, ...colorA, ...colorB, opacity], opacity });
+        };
+        const bondColors = ({ from, to }) => [
+            this.colorToRGB(this.getAtomStrokeColor(from)),
+            this.colorToRGB(this.getAtomStrokeColor(to))
+        ];
+        const addCross = atom => {
+            const color = this.colorToRGB(this.getAtomStrokeColor(atom));
+            [[0.25, 0, 0], [0, 0.25, 0], [0, 0, 0.25]].forEach(([dx, dy, dz]) => {
+                addCylinder(
+                    { x: atom.x - dx, y: atom.y - dy, z: atom.z - dz },
+                    { x: atom.x + dx, y: atom.y + dy, z: atom.z + dz },
+                    0.02, color, color
+                );
+            });
+        };
+
+        switch (this.style) {
+            case 'sphere':
+                this.atoms.forEach(atom => addSphere(atom, this.getVdwRadius(atom.element)));
+                break;
+            case 'line': {
+                const bonded = new Set();
+                bonds.forEach(item => {
+                    const radius = 0.02 * Math.max(1, item.bond.order);
+                    addCylinder(item.from, item.to, radius, ...bondColors(item), item.bond.opacity ?? 1);
+                    bonded.add(item.bond.from);
+                    bonded.add(item.bond.to);
+                });
+                // Atoms without any visible bond would otherwise disappear
+                this.atoms.filter(atom => !bonded.has(atom.originalIndex)).forEach(addCross);
+                break;
+            }
+            case 'cross': {
+                const grey = [0.33, 0.33, 0.33];
+                bonds.forEach(item => addCylinder(item.from, item.to, 0.01, grey, grey, 0.4 * (item.bond.opacity ?? 1)));
+                this.atoms.forEach(addCross);
+                break;
+            }
+            case 'cartoon':
+            case 'trace': {
+                this.getPolymerGeometry().forEach(piece => {
+                    const color = this.colorToRGB(piece.color);
+                    if (piece.type === 'tube') {
+                        // Spheres close the joints between tube pieces
+                        addCylinder(piece.from, piece.to, piece.radius, color, color);
+                        addSphere(piece.from, piece.radius, color);
+                        addSphere(piece.to, piece.radius, color);
+                    } else {
+                        const [a, b, c, d] = piece.corners;
+                        const { x, y, z } = piece.normal;
+                        [a, b, c, a, c, d].forEach(p => meshData.push(p.x, p.y, p.z, x, y, z, ...color));
+                    }
+                });
+
+                const shown = this.atoms.filter(atom => this.showsAsStick(atom));
+                const shownIndices = new Set(shown.map(atom => atom.originalIndex));
+                bonds
+                    .filter(item => shownIndices.has(item.bond.from) && shownIndices.has(item.bond.to))
+                    .forEach(item => addCylinder(item.from, item.to, 0.15, ...bondColors(item), item.bond.opacity ?? 1));
+                shown.forEach(atom => addSphere(atom, 0.15));
+                break;
+            }
+            default:
+                bonds.forEach(item => addCylinder(item.from, item.to, 0.15, ...bondColors(item), item.bond.opacity ?? 1));
+                this.atoms.forEach(atom => addSphere(atom, 0.15));
+        }
+
+        // Overlaid geometries as thin translucent bonds, one color each
+        this.getOverlayFrames().forEach(({ frame, color }) => {
+            const rgb = this.colorToRGB(color);
+            const position = index => ({ x: frame[index * 3], y: frame[index * 3 + 1], z: frame[index * 3 + 2] });
+            bonds.forEach(({ bond }) => addCylinder(position(bond.from), position(bond.to), 0.04, rgb, rgb, 0.45));
+        });
+
+        // Opaque cylinders first so translucent ones can be drawn afterwards
+        cylinderData.sort((a, b) => (b.opacity >= 1) - (a.opacity >= 1));
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.spheres.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(sphereData), gl.DYNAMIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cylinders.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(cylinderData.flatMap(c => c.values)), gl.DYNAMIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.mesh.vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(meshData), gl.DYNAMIC_DRAW);
+
+        // Depth covers every atom plus the largest van der Waals radius
+        const { center } = this.frame;
+        const extent = this.atoms.reduce((max, atom) =>
+            Math.max(max, Math.hypot(atom.x - center.x, atom.y - center.y, atom.z - center.z)), 0);
+
+        this.scene = {
+            atoms: this.atoms,
+            bonds: this.bonds,
+            style: this.style,
+            elementData: this.elementData,
+            colorScheme: this.colorScheme,
+            polymer: this.polymer,
+            highlight: this.highlight,
+            overlay: this.overlay,
+            sphereCount: sphereData.length / this.spheres.stride,
+            cylinderCount: cylinderData.length,
+            opaqueCylinderCount: cylinderData.filter(c => c.opacity >= 1).length,
+            meshVertexCount: meshData.length / this.mesh.stride,
+            depthRange: extent + 4
+        };
+    }
+
+    colorToRGB(color) {
+        const value = parseInt(color.replace('#', ''), 16);
+        return [(value >> 16 & 0xFF) / 255, (value >> 8 & 0xFF) / 255, (value & 0xFF) / 255];
+    }
+}
@@ -4,9 +4,21 @@ import bodyParser from 'body-parser';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import moleculeServer from './mcp-server/molecules-server.js';
+import moleculeServer, { FRAME_PAGE_SIZE, MAX_IMPORT_MOLECULES } from './mcp-server/molecules-server.js';
+import { ParseError, SUPPORTED_FORMATS, EXPORT_MIME_TYPES, writeMolecule } from './mcp-server/formats.js';
+import { computeProperties, missingElementData } from './mcp-server/properties.js';
+import { ELEMENTS, getElement } from './mcp-server/elements.js';
+import { mountMcpRoutes } from './mcp-server/mcp.js';
+import { MAX_CONFORMER_ATOMS } from './mcp-server/conformers.js';
+import { MAX_FORCE_FIELD_ATOMS, MINIMIZATION_METHODS } from './mcp-server/forcefield.js';
+import { MAX_DEPICTION_ATOMS } from './mcp-server/depict.js';
+import { MAX_VALIDATE_ATOMS } from './mcp-server/validation.js';
+import { MatchLimitError } from './mcp-server/substructure.js';
+import { SmilesSizeError } from './mcp-server/smiles.js';
+import { createStore } from './storage/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -27,12 +39,12 @@ const JWT_SECRET = process.env.JWT_SECRET || (() => {
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+// Structure uploads can be larger than the 100kb default
+app.use(bodyParser.json({ limit: '10mb' }));
 app.use(express.static('public'));
 
-// In-memory user storage (in production, use a proper database)
-const users = new Map();
-const savedVisualizations = new Map();
+// Users and saved visualizations (JSON file by default, see storage/index.js)
+const store = await createStore();
 
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
@@ -52,6 +64,33 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+// Like authenticateToken, but anonymous requests (or stale tokens) continue
+// without req.user instead of being rejected
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, user) => {
+    if (!err) {
+      req.user = user;
+    }
+    next();
+  });
+};
+
+// Catalog molecules are public; user molecules are visible only to their owner
+const findMolecule = async (id, user) => {
+  const molecule = moleculeServer.getMolecule(id);
+  if (molecule) return molecule;
+
+  const owned = await store.getMolecule(id);
+  return owned && user && owned.owner === user.username ? owned : null;
+};
+
 // Routes
 
 // Health check
@@ -68,12 +107,12 @@ app.post('/api/auth/register', async (req, res) => {
       return res.status(400).json({ error: 'Username and password required' });
     }
 
-    if (users.has(username)) {
+    if (await store.getUser(username)) {
       return res.status(400).json({ error: 'Username already exists' });
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
-    users.set(username, {
+    await store.createUser({
       username,
       password: hashedPassword,
       createdAt: new Date().toISOString()
@@ -90,7 +129,7 @@ app.post('/api/auth/login', async (req, res) => {
   try {
     const { username, password } = req.body;
 
-    const user = users.get(username);
+    const user = await store.getUser(username);
     if (!user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
@@ -108,45 +147,424 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 // MCP Server routes - Molecule data
-app.get('/api/molecules', (req, res) => {
-  const molecules = moleculeServer.getAllMolecules();
-  res.json(molecules);
+app.get('/api/molecules', optionalAuth, async (req, res) => {
+  const privateMolecules = req.user ? await store.listMolecules(req.user.username) : [];
+  res.json(moleculeServer.getAllMolecules(privateMolecules));
 });
 
-app.get('/api/molecules/:id', (req, res) => {
-  const molecule = moleculeServer.getMolecule(req.params.id);
+// Registered before /api/molecules/:id so "search" is not taken for an id
+app.get('/api/molecules/search', optionalAuth, async (req, res) => {
+  const privateMolecules = req.user ? await store.listMolecules(req.user.username) : [];
+
+  try {
+    res.json(moleculeServer.queryMolecules(req.query, privateMolecules));
+  } catch (error) {
+    if (error instanceof ParseError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof MatchLimitError) {
+      return res.status(422).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+app.get('/api/molecules/:id', optionalAuth, async (req, res) => {
+  const molecule = await findMolecule(req.params.id, req.user);
   if (!molecule) {
     return res.status(404).json({ error: 'Molecule not found' });
   }
-  res.json(molecule);
+  res.json(moleculeServer.withoutFrames(molecule));
 });
 
-app.get('/api/molecules/:id/elements', (req, res) => {
-  const elements = moleculeServer.getElementsInMolecule(req.params.id);
-  if (!elements) {
+app.get('/api/molecules/:id/elements', optionalAuth, async (req, res) => {
+  const molecule = await findMolecule(req.params.id, req.user);
+  if (!molecule) {
     return res.status(404).json({ error: 'Molecule not found' });
   }
-  res.json(elements);
+  res.json(moleculeServer.countElements(molecule));
 });
 
-app.get('/api/molecules/search/:query', (req, res) => {
-  const results = moleculeServer.searchMolecules(req.params.query);
+app.get('/api/molecules/:id/properties', optionalAuth, async (req, res) => {
+  const molecule = await findMolecule(req.params.id, req.user);
+  if (!molecule) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+
+  const missing = missingElementData(molecule);
+  if (missing.length > 0) {
+    return res.status(422).json({ error: `No mass data for ${missing.join(', ')}` });
+  }
+
+  res.json(computeProperties(molecule));
+});
+
+app.get('/api/molecules/:id/similar', optionalAuth, async (req, res) => {
+  const threshold = req.query.threshold === undefined ? 0.7 : Number(req.query.threshold);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    return res.status(400).json({ error: 'threshold must be a number from 0 to 1' });
+  }
+
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: 'limit must be an integer from 1 to 100' });
+  }
+
+  const molecule = await findMolecule(req.params.id, req.user);
+  if (!molecule) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+
+  const privateMolecules = req.user ? await store.listMolecules(req.user.username) : [];
+  res.json(moleculeServer.findSimilar(molecule, { threshold, limit }, privateMolecules));
+});
+
+// Trajectory frames are served in pages so long trajectories stream in
+app.get('/api/molecules/:id/frames', optionalAuth, async (req, res) => {
+  const start = req.query.start === undefined ? 0 : Number(req.query.start);
+  if (!Number.isInteger(start) || start < 0) {
+    return res.status(400).json({ error: 'start must be a non-negative integer' });
+  }
+
+  const count = req.query.count === undefined ? FRAME_PAGE_SIZE : Number(req.query.count);
+  if (!Number.isInteger(count) || count < 1 || count > 100) {
+    return res.status(400).json({ error: 'count must be an integer from 1 to 100' });
+  }
+
+  const molecule = await findMolecule(req.params.id, req.user);
+  if (!molecule) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+  res.json(moleculeServer.getFrames(molecule, { start, count }));
+});
+
+app.get('/api/molecules/:id/chains', optionalAuth, async (req, res) => {
+  const molecule = await findMolecule(req.params.id, req.user);
+  if (!molecule) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+  res.json(moleculeServer.getChains(molecule));
+});
+
+// Conformers are searched on demand and never stored. Searches are slow,
+// so they are for signed-in users only.
+app.post('/api/molecules/:id/conformers', authenticateToken, async (req, res) => {
+  const { count = 10, rmsdThreshold = 0.5 } = req.body || {};
+  if (!Number.isInteger(count) || count < 1 || count > 50) {
+    return res.status(400).json({ error: 'count must be an integer from 1 to 50' });
+  }
+  if (typeof rmsdThreshold !== 'number' || !(rmsdThreshold >= 0 && rmsdThreshold <= 5)) {
+    return res.status(400).json({ error: 'rmsdThreshold must be a number from 0 to 5' });
+  }
+
+  const molecule = await findMolecule(req.params.id, req.user);
+  if (!molecule) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+  if (molecule.atoms.length > MAX_CONFORMER_ATOMS) {
+    return res.status(422).json({ error: `Conformer search is limited to ${MAX_CONFORMER_ATOMS} atoms` });
+  }
+
+  res.json(moleculeServer.generateConformers(molecule, { count, rmsdThreshold }));
+});
+
+// Minimized geometries are not stored; owners keep one with PUT /api/molecules/:id.
+// Like conformer searches, minimizations are for signed-in users only.
+app.post('/api/molecules/:id/minimize', authenticateToken, async (req, res) => {
+  const { method = 'lbfgs', maxIterations = 500, gradientTolerance = 0.05 } = req.body || {};
+  if (!MINIMIZATION_METHODS.includes(method)) {
+    return res.status(400).json({ error: `method must be one of ${MINIMIZATION_METHODS.join(', ')}` });
+  }
+  if (!Number.isInteger(maxIterations) || maxIterations < 1 || maxIterations > 5000) {
+    return res.status(400).json({ error: 'maxIterations must be an integer from 1 to 5000' });
+  }
+  if (typeof gradientTolerance !== 'number' || !(gradientTolerance > 0 && gradientTolerance <= 10)) {
+    return res.status(400).json({ error: 'gradientTolerance must be a number above 0 and at most 10' });
+  }
+
+  const molecule = await findMolecule(req.params.id, req.user);
+  if (!molecule) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+  if (molecule.atoms.length > MAX_FORCE_FIELD_ATOMS) {
+    return res.status(422).json({ error: `Minimization is limited to ${MAX_FORCE_FIELD_ATOMS} atoms` });
+  }
+
+  res.json(moleculeServer.minimizeMolecule(molecule, { method, maxIterations, gradientTolerance }));
+});
+
+app.get('/api/molecules/:id/depiction', optionalAuth, async (req, res) => {
+  const molecule = await findMolecule(req.params.id, req.user);
+  if (!molecule) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+  if (molecule.atoms.length > MAX_DEPICTION_ATOMS) {
+    return res.status(422).json({ error: `Depiction is limited to ${MAX_DEPICTION_ATOMS} atoms` });
+  }
+
+  res.json(moleculeServer.depictMolecule(molecule));
+});
+
+app.get('/api/molecules/:id/export', optionalAuth, async (req, res) => {
+  const format = String(req.query.format || '').toLowerCase();
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of ${SUPPORTED_FORMATS.join(', ')}` });
+  }
+
+  const molecule = await findMolecule(req.params.id, req.user);
+  if (!molecule) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+
+  // attachment() sets a type from the extension, so ours goes second
+  res.attachment(`${req.params.id}.${format}`);
+  res.type(EXPORT_MIME_TYPES[format]);
+  res.send(writeMolecule(molecule, format));
+});
+
+app.get('/api/molecules/search/:query', optionalAuth, async (req, res) => {
+  const privateMolecules = req.user ? await store.listMolecules(req.user.username) : [];
+  const results = moleculeServer.searchMolecules(req.params.query, privateMolecules);
   res.json(results);
 });
 
+// User molecules (requires authentication)
+// Store a validated structure as a new private molecule of `owner`
+const createUserMolecule = async (data, owner) => {
+  const now = new Date().toISOString();
+  const molecule = {
+    id: `user-${crypto.randomUUID()}`,
+    ...moleculeServer.normalizeMolecule(data),
+    owner,
+    version: 1,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await store.createMolecule(molecule);
+  return molecule;
+};
+
+app.post('/api/molecules', authenticateToken, async (req, res) => {
+  const { errors, warnings } = moleculeServer.validateMolecule(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors[0].message, errors, warnings });
+  }
+
+  const molecule = await createUserMolecule(req.body, req.user.username);
+  res.json(moleculeServer.withoutFrames(molecule));
+});
+
+app.put('/api/molecules/:id', authenticateToken, async (req, res) => {
+  const existing = await store.getMolecule(req.params.id);
+
+  if (!existing) {
+    if (moleculeServer.getMolecule(req.params.id)) {
+      return res.status(403).json({ error: 'Catalog molecules are read-only' });
+    }
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+
+  if (existing.owner !== req.user.username) {
+    return res.status(403).json({ error: 'Not authorized' });
+  }
+
+  // Clients send the version they edited so concurrent edits are not lost
+  if (req.body.version !== undefined && req.body.version !== existing.version) {
+    return res.status(409).json({ error: 'Molecule was changed by another request', version: existing.version });
+  }
+
+  // Frames only fit the atoms they were recorded for, so new atoms drop them
+  const changes = {
+    name: req.body.name ?? existing.name,
+    atoms: req.body.atoms ?? existing.atoms,
+    bonds: req.body.bonds ?? existing.bonds,
+    frames: req.body.frames ?? (req.body.atoms ? undefined : existing.frames)
+  };
+  const { errors, warnings } = moleculeServer.validateMolecule(changes);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors[0].message, errors, warnings });
+  }
+
+  const { frames, ...unchanged } = existing;
+  const molecule = {
+    ...unchanged,
+    ...moleculeServer.normalizeMolecule(changes),
+    version: existing.version + 1,
+    updatedAt: new Date().toISOString()
+  };
+
+  await store.updateMolecule(molecule);
+  res.json(moleculeServer.withoutFrames(molecule));
+});
+
+app.get('/api/molecules/:id/versions', authenticateToken, async (req, res) => {
+  const molecule = await store.getMolecule(req.params.id);
+
+  if (!molecule) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+
+  if (molecule.owner !== req.user.username) {
+    return res.status(403).json({ error: 'Not authorized' });
+  }
+
+  const versions = await store.listMoleculeVersions(req.params.id);
+  res.json([...versions, molecule].map(version => moleculeServer.withoutFrames(version)));
+});
+
+app.delete('/api/molecules/:id', authenticateToken, async (req, res) => {
+  const molecule = await store.getMolecule(req.params.id);
+
+  if (!molecule) {
+    if (moleculeServer.getMolecule(req.params.id)) {
+      return res.status(403).json({ error: 'Catalog molecules are read-only' });
+    }
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+
+  if (molecule.owner !== req.user.username) {
+    return res.status(403).json({ error: 'Not authorized' });
+  }
+
+  await store.deleteMolecule(req.params.id);
+  res.json({ success: true });
+});
+
+// Imported structures become private molecules of the caller
+app.post('/api/molecules/import', authenticateToken, async (req, res) => {
+  const { content, filename, format } = req.body;
+
+  if (!content || typeof content !== 'string') {
+    return res.status(400).json({ error: 'File content required' });
+  }
+
+  let molecules;
+  try {
+    molecules = moleculeServer.importMolecules(content, { filename, format });
+  } catch (error) {
+    if (error instanceof ParseError) {
+      return res.status(400).json({ error: error.message, line: error.line });
+    }
+    return res.status(500).json({ error: 'Import failed' });
+  }
+
+  if (molecules.length > MAX_IMPORT_MOLECULES) {
+    return res.status(422).json({ error: `Import is limited to ${MAX_IMPORT_MOLECULES} molecules per file` });
+  }
+
+  const stored = [];
+  for (const molecule of molecules) {
+    stored.push(await createUserMolecule(molecule, req.user.username));
+  }
+  res.json(stored.map(molecule => moleculeServer.withoutFrames(molecule)));
+});
+
+// Report problems with a structure without storing it
+app.post('/api/molecules/validate', (req, res) => {
+  const { atoms } = req.body || {};
+  if (Array.isArray(atoms) && atoms.length > MAX_VALIDATE_ATOMS) {
+    return res.status(422).json({ error: `Validation is limited to ${MAX_VALIDATE_ATOMS} atoms` });
+  }
+  res.json(moleculeServer.validateMolecule(req.body));
+});
+
+// Lay out structures that are not stored, such as one being edited
+app.post('/api/molecules/depict', (req, res) => {
+  const { atoms, bonds = [] } = req.body || {};
+  if (!Array.isArray(atoms) || !Array.isArray(bonds)) {
+    return res.status(400).json({ error: 'atoms and bonds must be arrays' });
+  }
+  const isAtomIndex = value => Number.isInteger(value) && value >= 0 && value < atoms.length;
+  if (atoms.some(atom => typeof atom?.element !== 'string') ||
+      bonds.some(bond => !isAtomIndex(bond?.from) || !isAtomIndex(bond?.to) || bond.from === bond.to)) {
+    return res.status(400).json({ error: 'Every atom needs an element and every bond two different atom indices' });
+  }
+  if (atoms.length > MAX_DEPICTION_ATOMS) {
+    return res.status(422).json({ error: `Depiction is limited to ${MAX_DEPICTION_ATOMS} atoms` });
+  }
+
+  res.json(moleculeServer.depictMolecule({ atoms, bonds }));
+});
+
+// Built molecules are stored as private molecules of the caller
+app.post('/api/molecules/from-smiles', authenticateToken, async (req, res) => {
+  const { smiles, name } = req.body || {};
+
+  if (typeof smiles !== 'string' || !smiles.trim()) {
+    return res.status(400).json({ error: 'SMILES string required' });
+  }
+  if (name !== undefined && typeof name !== 'string') {
+    return res.status(400).json({ error: 'name must be a string' });
+  }
+
+  let molecule;
+  try {
+    molecule = moleculeServer.createFromSmiles(smiles, name?.trim());
+  } catch (error) {
+    if (error instanceof ParseError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof SmilesSizeError) {
+      return res.status(422).json({ error: error.message });
+    }
+    return res.status(500).json({ error: 'Structure generation failed' });
+  }
+
+  res.json(await createUserMolecule(molecule, req.user.username));
+});
+
+// Periodic table
+app.get('/api/elements', (req, res) => {
+  res.json(ELEMENTS);
+});
+
+app.get('/api/elements/:symbol', (req, res) => {
+  const element = getElement(req.params.symbol);
+  if (!element) {
+    return res.status(404).json({ error: 'Element not found' });
+  }
+  res.json(element);
+});
+
+// Reaction routes
+app.get('/api/reactions', (req, res) => {
+  res.json(moleculeServer.getAllReactions());
+});
+
+app.get('/api/reactions/:id', (req, res) => {
+  const reaction = moleculeServer.getReaction(req.params.id);
+  if (!reaction) {
+    return res.status(404).json({ error: 'Reaction not found' });
+  }
+  res.json(reaction);
+});
+
+app.get('/api/reactions/:id/path', (req, res) => {
+  const path = moleculeServer.getReactionPath(req.params.id);
+  if (!path) {
+    return res.status(404).json({ error: 'Reaction not found' });
+  }
+  res.json(path);
+});
+
+// MCP protocol endpoints (Streamable HTTP at /mcp, legacy SSE at /mcp/sse)
+mountMcpRoutes(app, moleculeServer);
+
 // Saved visualizations (requires authentication)
-app.get('/api/visualizations', authenticateToken, (req, res) => {
-  const userVisualizations = Array.from(savedVisualizations.values())
-    .filter(v => v.username === req.user.username);
-  res.json(userVisualizations);
+app.get('/api/visualizations', authenticateToken, async (req, res) => {
+  res.json(await store.listVisualizations(req.user.username));
 });
 
-app.post('/api/visualizations', authenticateToken, (req, res) => {
+app.post('/api/visualizations', authenticateToken, async (req, res) => {
   const { name, moleculeId, settings } = req.body;
   
   if (!name || !moleculeId) {
     return res.status(400).json({ error: 'Name and molecule ID required' });
   }
+  if (settings !== undefined && (typeof settings !== 'object' || settings === null || Array.isArray(settings))) {
+    return res.status(400).json({ error: 'settings must be an object' });
+  }
 
   const visualization = {
     id: Date.now().toString(),
@@ -157,12 +575,79 @@ app.post('/api/visualizations', authenticateToken, (req, res) => {
     createdAt: new Date().toISOString()
   };
 
-  savedVisualizations.set(visualization.id, visualization);
+  await store.createVisualization(visualization);
   res.json(visualization);
 });
 
-app.delete('/api/visualizations/:id', authenticateToken, (req, res) => {
-  const visualization = savedVisualizations.get(req.params.id);
+// Share links: anyone holding the token can open the view without an account
+app.post('/api/visualizations/:id/share', authenticateToken, async (req, res) => {
+  let visualization = await store.getVisualization(req.params.id);
+
+  if (!visualization) {
+    return res.status(404).json({ error: 'Visualization not found' });
+  }
+
+  if (visualization.username !== req.user.username) {
+    return res.status(403).json({ error: 'Not authorized' });
+  }
+
+  if (!visualization.shareToken) {
+    visualization = { ...visualization, shareToken: crypto.randomBytes(18).toString('base64url') };
+    await store.updateVisualization(visualization);
+  }
+  res.json({ id: visualization.id, shareToken: visualization.shareToken });
+});
+
+// Revoking a token breaks every link made with it
+app.delete('/api/visualizations/:id/share', authenticateToken, async (req, res) => {
+  const visualization = await store.getVisualization(req.params.id);
+
+  if (!visualization) {
+    return res.status(404).json({ error: 'Visualization not found' });
+  }
+
+  if (visualization.username !== req.user.username) {
+    return res.status(403).json({ error: 'Not authorized' });
+  }
+
+  const { shareToken, ...unshared } = visualization;
+  if (shareToken) {
+    await store.updateVisualization(unshared);
+  }
+  res.json({ success: true });
+});
+
+// The molecule comes along, since a private one cannot be fetched without its owner's account
+app.get('/api/visualizations/:id/public', async (req, res) => {
+  const visualization = await store.getVisualization(req.params.id);
+  const token = Buffer.from(String(req.query.token || ''));
+  const expected = Buffer.from(visualization?.shareToken || '');
+
+  // Unknown views and wrong tokens look the same, so ids cannot be probed
+  if (!visualization || expected.length === 0 || token.length !== expected.length ||
+      !crypto.timingSafeEqual(token, expected)) {
+    return res.status(404).json({ error: 'Visualization not found' });
+  }
+
+  const molecule = await findMolecule(visualization.moleculeId, { username: visualization.username });
+  if (!molecule) {
+    return res.status(404).json({ error: 'Molecule not found' });
+  }
+
+  const { id, name, moleculeId, settings, createdAt } = visualization;
+  res.json({
+    id,
+    name,
+    moleculeId,
+    settings,
+    createdAt,
+    molecule: moleculeServer.withoutFrames(molecule),
+    elements: moleculeServer.countElements(molecule)
+  });
+});
+
+app.delete('/api/visualizations/:id', authenticateToken, async (req, res) => {
+  const visualization = await store.getVisualization(req.params.id);
   
   if (!visualization) {
     return res.status(404).json({ error: 'Visualization not found' });
@@ -172,10 +657,32 @@ app.delete('/api/visualizations/:id', authenticateToken, (req, res) => {
     return res.status(403).json({ error: 'Not authorized' });
   }
 
-  savedVisualizations.delete(req.params.id);
+  await store.deleteVisualization(req.params.id);
   res.json({ success: true });
 });
 
+// The embeddable viewer in one script: the renderer and the
+// <molecul-ai-viewer> element, wrapped in a function so none of their
+// classes clash with the globals of the host page
+const EMBED_SCRIPTS = ['svg-context.js', 'biopolymer.js', 'simple3d.js', 'webgl-renderer.js', 'molecul-ai-viewer.js'];
+
+app.get('/embed.js', async (req, res) => {
+  const sources = await Promise.all(
+    EMBED_SCRIPTS.map(file => readFile(join(__dirname, 'public', 'js', file), 'utf8'))
+  );
+  res.type('application/javascript').send(`(() => {\n${sources.join('\n')}\n})();\n`);
+});
+
+// Viewer page for iframes, set up by query parameters (see public/js/embed-page.js).
+// Embeds are anonymous, so private molecules cannot be shown.
+app.get('/embed/:moleculeId', async (req, res) => {
+  const molecule = await findMolecule(req.params.moleculeId, null);
+  if (!molecule) {
+    return res.status(404).type('text/plain').send('Molecule not found');
+  }
+  res.sendFile(join(__dirname, 'public', 'embed.html'));
+});
+
 // Serve main page
 app.get('/', (req, res) => {
   res.sendFile(join(__dirname, 'public', 'index.html'));
@@ -185,4 +692,5 @@ app.get('/', (req, res) => {
 app.listen(PORT, () => {
   console.log(`MOLECULAI server running on http://localhost:${PORT}`);
   console.log(`API available at http://localhost:${PORT}/api`);
+  console.log(`MCP endpoint available at http://localhost:${PORT}/mcp`);
 });
@@ -0,0 +1,44 @@
+/**
+ * Storage layer
+ * Picks a repository implementation for users, saved visualizations and
+ * user molecules.
+ *
+ * Every store exposes the same async interface:
+ *   open(), close()
+ *   getUser(username), createUser(user)
+ *   listVisualizations(username), getVisualization(id),
+ *   createVisualization(visualization), updateVisualization(visualization),
+ *   deleteVisualization(id)
+ *   listMolecules(owner), getMolecule(id), createMolecule(molecule),
+ *   updateMolecule(molecule), listMoleculeVersions(id), deleteMolecule(id)
+ */
+
+import { MemoryStore } from './memory-store.js';
+import { JsonFileStore } from './json-store.js';
+
+export const STORAGE_DRIVERS = ['json', 'memory'];
+
+export const DEFAULT_DATA_FILE = 'data/moleculai.json';
+
+/**
+ * Create and open a store. Options default to the STORAGE_DRIVER and
+ * DATA_FILE environment variables.
+ */
+export async function createStore({
+  driver = process.env.STORAGE_DRIVER || 'json',
+  filename = process.env.DATA_FILE || DEFAULT_DATA_FILE
+} = {}) {
+  let store;
+  if (driver === 'json') {
+    store = new JsonFileStore(filename);
+  } else if (driver === 'memory') {
+    store = new MemoryStore();
+  } else {
+    throw new Error(`Unknown storage driver "${driver}"; expected one of ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  await store.open();
+  return store;
+}
+
+export { MemoryStore, JsonFileStore };
@@ -0,0 +1,56 @@
+/**
+ * JSON file store
+ * Keeps the whole data set in memory and rewrites the file after each
+ * mutation. Writes go to a temporary file that is renamed over the original,
+ * so a crash mid-write never leaves a truncated file behind.
+ */
+
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import { MemoryStore, detachPrototypes } from './memory-store.js';
+import { migrate } from './migrations.js';
+
+export class JsonFileStore extends MemoryStore {
+  constructor(filename) {
+    super();
+    this.filename = filename;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async open() {
+    try {
+      this.data = JSON.parse(await fs.readFile(this.filename, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Cannot read data file ${this.filename}: ${error.message}`);
+      }
+      this.data = {};
+    }
+
+    const migrated = migrate(this.data);
+    detachPrototypes(this.data);
+    if (migrated) {
+      await this.save();
+    }
+  }
+
+  async close() {
+    await this.pendingWrite;
+  }
+
+  save() {
+    // Serialize writes so an older snapshot never lands after a newer one
+    const snapshot = JSON.stringify(this.data, null, 2);
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(() => this.write(snapshot));
+    return this.pendingWrite;
+  }
+
+  async write(content) {
+    const temporary = `${this.filename}.tmp`;
+    await fs.mkdir(dirname(this.filename), { recursive: true });
+    await fs.writeFile(temporary, content);
+    await fs.rename(temporary, this.filename);
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * In-memory store
+ * Implements the repository interface used by server.js. Nothing survives a
+ * restart, which makes it the right choice for tests.
+ */
+
+import { migrate } from './migrations.js';
+
+const COLLECTIONS = ['users', 'visualizations', 'molecules', 'moleculeVersions'];
+
+/**
+ * Give every collection a null prototype. Collections are keyed by usernames
+ * and ids that users choose, and in a plain object keys like '__proto__',
+ * 'constructor' or 'toString' would reach Object.prototype.
+ */
+export function detachPrototypes(data) {
+  COLLECTIONS.forEach(name => {
+    data[name] = Object.assign(Object.create(null), data[name]);
+  });
+}
+
+// Own entries only, as a second guard against inherited members
+const lookup = (collection, key) => (Object.hasOwn(collection, key) ? collection[key] : null);
+
+export class MemoryStore {
+  constructor() {
+    this.data = {};
+  }
+
+  async open() {
+    migrate(this.data);
+    detachPrototypes(this.data);
+  }
+
+  async close() {}
+
+  // Called after every mutation; persistent stores override this
+  async save() {}
+
+  async getUser(username) {
+    return lookup(this.data.users, username);
+  }
+
+  async createUser(user) {
+    this.data.users[user.username] = user;
+    await this.save();
+    return user;
+  }
+
+  async listVisualizations(username) {
+    return Object.values(this.data.visualizations)
+      .filter(v => v.username === username);
+  }
+
+  async getVisualization(id) {
+    return lookup(this.data.visualizations, id);
+  }
+
+  async createVisualization(visualization) {
+    this.data.visualizations[visualization.id] = visualization;
+    await this.save();
+    return visualization;
+  }
+
+  async updateVisualization(visualization) {
+    this.data.visualizations[visualization.id] = visualization;
+    await this.save();
+    return visualization;
+  }
+
+  async deleteVisualization(id) {
+    const existed = id in this.data.visualizations;
+    delete this.data.visualizations[id];
+    if (existed) await this.save();
+    return existed;
+  }
+
+  async listMolecules(owner) {
+    return Object.values(this.data.molecules)
+      .filter(m => m.owner === owner);
+  }
+
+  async getMolecule(id) {
+    return lookup(this.data.molecules, id);
+  }
+
+  async createMolecule(molecule) {
+    this.data.molecules[molecule.id] = molecule;
+    this.data.moleculeVersions[molecule.id] = [];
+    await this.save();
+    return molecule;
+  }
+
+  // Replaces a molecule, archiving the previous revision in its history.
+  // Trajectory frames are not archived, only their count, so a long
+  // trajectory is not copied on every edit.
+  async updateMolecule(molecule) {
+    const previous = lookup(this.data.molecules, molecule.id);
+    if (previous) {
+      const { frames, ...archived } = previous;
+      if (frames) archived.frameCount = frames.length;
+      this.data.moleculeVersions[molecule.id] = [...(lookup(this.data.moleculeVersions, molecule.id) || []), archived];
+    }
+    this.data.molecules[molecule.id] = molecule;
+    await this.save();
+    return molecule;
+  }
+
+  // Earlier revisions of a molecule, oldest first
+  async listMoleculeVersions(id) {
+    return lookup(this.data.moleculeVersions, id) || [];
+  }
+
+  async deleteMolecule(id) {
+    const existed = id in this.data.molecules;
+    delete this.data.molecules[id];
+    delete this.data.moleculeVersions[id];
+    if (existed) await this.save();
+    return existed;
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Schema migrations for the document stores
+ * Each migration upgrades the stored data by one version. Stores run every
+ * migration newer than the data's schemaVersion when they open.
+ */
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create users and visualizations collections',
+    up(data) {
+      data.users = data.users || {};
+      data.visualizations = data.visualizations || {};
+    }
+  },
+  {
+    version: 2,
+    description: 'Create user molecule and molecule version collections',
+    up(data) {
+      data.molecules = data.molecules || {};
+      data.moleculeVersions = data.moleculeVersions || {};
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply pending migrations in place. Returns true if anything changed.
+ */
+export function migrate(data) {
+  const current = data.schemaVersion || 0;
+  if (current > SCHEMA_VERSION) {
+    throw new Error(`Data schema version ${current} is newer than supported version ${SCHEMA_VERSION}`);
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > current);
+  pending.forEach(migration => {
+    migration.up(data);
+    data.schemaVersion = migration.version;
+  });
+
+  return pending.length > 0;
+}
@@ -8,20 +8,36 @@ import cors from 'cors';
 import bodyParser from 'body-parser';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
-import moleculeServer from '../mcp-server/molecules-server.js';
+import crypto from 'crypto';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import moleculeServer, { FRAME_PAGE_SIZE, MAX_IMPORT_MOLECULES } from '../mcp-server/molecules-server.js';
+import { ParseError, SUPPORTED_FORMATS, EXPORT_MIME_TYPES, writeMolecule } from '../mcp-server/formats.js';
+import { computeProperties, missingElementData } from '../mcp-server/properties.js';
+import { ELEMENTS, getElement } from '../mcp-server/elements.js';
+import { MAX_CONFORMER_ATOMS } from '../mcp-server/conformers.js';
+import { MAX_FORCE_FIELD_ATOMS, MINIMIZATION_METHODS } from '../mcp-server/forcefield.js';
+import { MAX_DEPICTION_ATOMS } from '../mcp-server/depict.js';
+import { MAX_VALIDATE_ATOMS } from '../mcp-server/validation.js';
+import { MatchLimitError } from '../mcp-server/substructure.js';
+import { SmilesSizeError, MAX_SMILES_ATOMS } from '../mcp-server/smiles.js';
+import { createStore } from '../storage/index.js';
 
 // Create a test version of the app
-function createTestApp() {
+async function createTestApp() {
   const app = express();
   const JWT_SECRET = 'test-secret-key';
+  // Repository root, where server.js serves public files from
+  const __dirname = join(dirname(fileURLToPath(import.meta.url)), '..');
 
   // Middleware
   app.use(cors());
-  app.use(bodyParser.json());
+  // Structure uploads can be larger than the 100kb default
+  app.use(bodyParser.json({ limit: '10mb' }));
 
   // In-memory storage for tests
-  const users = new Map();
-  const savedVisualizations = new Map();
+  const store = await createStore({ driver: 'memory' });
 
   // Authentication middleware
   const authenticateToken = (req, res, next) => {
@@ -41,6 +57,33 @@ function createTestApp() {
     });
   };
 
+  // Like authenticateToken, but anonymous requests (or stale tokens) continue
+  // without req.user instead of being rejected
+  const optionalAuth = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return next();
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+      if (!err) {
+        req.user = user;
+      }
+      next();
+    });
+  };
+
+  // Catalog molecules are public; user molecules are visible only to their owner
+  const findMolecule = async (id, user) => {
+    const molecule = moleculeServer.getMolecule(id);
+    if (molecule) return molecule;
+
+    const owned = await store.getMolecule(id);
+    return owned && user && owned.owner === user.username ? owned : null;
+  };
+
   // Routes
   app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -54,12 +97,12 @@ function createTestApp() {
         return res.status(400).json({ error: 'Username and password required' });
       }
 
-      if (users.has(username)) {
+      if (await store.getUser(username)) {
         return res.status(400).json({ error: 'Username already exists' });
       }
 
       const hashedPassword = await bcrypt.hash(password, 10);
-      users.set(username, {
+      await store.createUser({
         username,
         password: hashedPassword,
         createdAt: new Date().toISOString()
@@ -76,7 +119,7 @@ function createTestApp() {
     try {
       const { username, password } = req.body;
 
-      const user = users.get(username);
+      const user = await store.getUser(username);
       if (!user) {
         return res.status(401).json({ error: 'Invalid credentials' });
       }
@@ -94,45 +137,421 @@ function createTestApp() {
   });
 
   // Molecule routes
-  app.get('/api/molecules', (req, res) => {
-    const molecules = moleculeServer.getAllMolecules();
-    res.json(molecules);
+  app.get('/api/molecules', optionalAuth, async (req, res) => {
+    const privateMolecules = req.user ? await store.listMolecules(req.user.username) : [];
+    res.json(moleculeServer.getAllMolecules(privateMolecules));
+  });
+
+  // Registered before /api/molecules/:id so "search" is not taken for an id
+  app.get('/api/molecules/search', optionalAuth, async (req, res) => {
+    const privateMolecules = req.user ? await store.listMolecules(req.user.username) : [];
+
+    try {
+      res.json(moleculeServer.queryMolecules(req.query, privateMolecules));
+    } catch (error) {
+      if (error instanceof ParseError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof MatchLimitError) {
+        return res.status(422).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Search failed' });
+    }
+  });
+
+  app.get('/api/molecules/:id', optionalAuth, async (req, res) => {
+    const molecule = await findMolecule(req.params.id, req.user);
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(moleculeServer.withoutFrames(molecule));
+  });
+
+  app.get('/api/molecules/:id/elements', optionalAuth, async (req, res) => {
+    const molecule = await findMolecule(req.params.id, req.user);
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(moleculeServer.countElements(molecule));
+  });
+
+  app.get('/api/molecules/:id/properties', optionalAuth, async (req, res) => {
+    const molecule = await findMolecule(req.params.id, req.user);
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+
+    const missing = missingElementData(molecule);
+    if (missing.length > 0) {
+      return res.status(422).json({ error: `No mass data for ${missing.join(', ')}` });
+    }
+
+    res.json(computeProperties(molecule));
+  });
+
+  app.get('/api/molecules/:id/similar', optionalAuth, async (req, res) => {
+    const threshold = req.query.threshold === undefined ? 0.7 : Number(req.query.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({ error: 'threshold must be a number from 0 to 1' });
+    }
+
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'limit must be an integer from 1 to 100' });
+    }
+
+    const molecule = await findMolecule(req.params.id, req.user);
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+
+    const privateMolecules = req.user ? await store.listMolecules(req.user.username) : [];
+    res.json(moleculeServer.findSimilar(molecule, { threshold, limit }, privateMolecules));
+  });
+
+  // Trajectory frames are served in pages so long trajectories stream in
+  app.get('/api/molecules/:id/frames', optionalAuth, async (req, res) => {
+    const start = req.query.start === undefined ? 0 : Number(req.query.start);
+    if (!Number.isInteger(start) || start < 0) {
+      return res.status(400).json({ error: 'start must be a non-negative integer' });
+    }
+
+    const count = req.query.count === undefined ? FRAME_PAGE_SIZE : Number(req.query.count);
+    if (!Number.isInteger(count) || count < 1 || count > 100) {
+      return res.status(400).json({ error: 'count must be an integer from 1 to 100' });
+    }
+
+    const molecule = await findMolecule(req.params.id, req.user);
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(moleculeServer.getFrames(molecule, { start, count }));
+  });
+
+  app.get('/api/molecules/:id/chains', optionalAuth, async (req, res) => {
+    const molecule = await findMolecule(req.params.id, req.user);
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    res.json(moleculeServer.getChains(molecule));
+  });
+
+  // Conformers are searched on demand and never stored. Searches are slow,
+  // so they are for signed-in users only.
+  app.post('/api/molecules/:id/conformers', authenticateToken, async (req, res) => {
+    const { count = 10, rmsdThreshold = 0.5 } = req.body || {};
+    if (!Number.isInteger(count) || count < 1 || count > 50) {
+      return res.status(400).json({ error: 'count must be an integer from 1 to 50' });
+    }
+    if (typeof rmsdThreshold !== 'number' || !(rmsdThreshold >= 0 && rmsdThreshold <= 5)) {
+      return res.status(400).json({ error: 'rmsdThreshold must be a number from 0 to 5' });
+    }
+
+    const molecule = await findMolecule(req.params.id, req.user);
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    if (molecule.atoms.length > MAX_CONFORMER_ATOMS) {
+      return res.status(422).json({ error: `Conformer search is limited to ${MAX_CONFORMER_ATOMS} atoms` });
+    }
+
+    res.json(moleculeServer.generateConformers(molecule, { count, rmsdThreshold }));
+  });
+
+  // Minimized geometries are not stored; owners keep one with PUT /api/molecules/:id.
+  // Like conformer searches, minimizations are for signed-in users only.
+  app.post('/api/molecules/:id/minimize', authenticateToken, async (req, res) => {
+    const { method = 'lbfgs', maxIterations = 500, gradientTolerance = 0.05 } = req.body || {};
+    if (!MINIMIZATION_METHODS.includes(method)) {
+      return res.status(400).json({ error: `method must be one of ${MINIMIZATION_METHODS.join(', ')}` });
+    }
+    if (!Number.isInteger(maxIterations) || maxIterations < 1 || maxIterations > 5000) {
+      return res.status(400).json({ error: 'maxIterations must be an integer from 1 to 5000' });
+    }
+    if (typeof gradientTolerance !== 'number' || !(gradientTolerance > 0 && gradientTolerance <= 10)) {
+      return res.status(400).json({ error: 'gradientTolerance must be a number above 0 and at most 10' });
+    }
+
+    const molecule = await findMolecule(req.params.id, req.user);
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+    if (molecule.atoms.length > MAX_FORCE_FIELD_ATOMS) {
+      return res.status(422).json({ error: `Minimization is limited to ${MAX_FORCE_FIELD_ATOMS} atoms` });
+    }
+
+    res.json(moleculeServer.minimizeMolecule(molecule, { method, maxIterations, gradientTolerance }));
   });
 
-  app.get('/api/molecules/:id', (req, res) => {
-    const molecule = moleculeServer.getMolecule(req.params.id);
+  app.get('/api/molecules/:id/depiction', optionalAuth, async (req, res) => {
+    const molecule = await findMolecule(req.params.id, req.user);
     if (!molecule) {
       return res.status(404).json({ error: 'Molecule not found' });
     }
-    res.json(molecule);
+    if (molecule.atoms.length > MAX_DEPICTION_ATOMS) {
+      return res.status(422).json({ error: `Depiction is limited to ${MAX_DEPICTION_ATOMS} atoms` });
+    }
+
+    res.json(moleculeServer.depictMolecule(molecule));
   });
 
-  app.get('/api/molecules/:id/elements', (req, res) => {
-    const elements = moleculeServer.getElementsInMolecule(req.params.id);
-    if (!elements) {
+  app.get('/api/molecules/:id/export', optionalAuth, async (req, res) => {
+    const format = String(req.query.format || '').toLowerCase();
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of ${SUPPORTED_FORMATS.join(', ')}` });
+    }
+
+    const molecule = await findMolecule(req.params.id, req.user);
+    if (!molecule) {
       return res.status(404).json({ error: 'Molecule not found' });
     }
-    res.json(elements);
+
+    // attachment() sets a type from the extension, so ours goes second
+    res.attachment(`${req.params.id}.${format}`);
+    res.type(EXPORT_MIME_TYPES[format]);
+    res.send(writeMolecule(molecule, format));
   });
 
-  app.get('/api/molecules/search/:query', (req, res) => {
-    const results = moleculeServer.searchMolecules(req.params.query);
+  app.get('/api/molecules/search/:query', optionalAuth, async (req, res) => {
+    const privateMolecules = req.user ? await store.listMolecules(req.user.username) : [];
+    const results = moleculeServer.searchMolecules(req.params.query, privateMolecules);
     res.json(results);
   });
 
+  // User molecules (requires authentication)
+  // Store a validated structure as a new private molecule of `owner`
+  const createUserMolecule = async (data, owner) => {
+    const now = new Date().toISOString();
+    const molecule = {
+      id: `user-${crypto.randomUUID()}`,
+      ...moleculeServer.normalizeMolecule(data),
+      owner,
+      version: 1,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await store.createMolecule(molecule);
+    return molecule;
+  };
+
+  app.post('/api/molecules', authenticateToken, async (req, res) => {
+    const { errors, warnings } = moleculeServer.validateMolecule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0].message, errors, warnings });
+    }
+
+    const molecule = await createUserMolecule(req.body, req.user.username);
+    res.json(moleculeServer.withoutFrames(molecule));
+  });
+
+  app.put('/api/molecules/:id', authenticateToken, async (req, res) => {
+    const existing = await store.getMolecule(req.params.id);
+
+    if (!existing) {
+      if (moleculeServer.getMolecule(req.params.id)) {
+        return res.status(403).json({ error: 'Catalog molecules are read-only' });
+      }
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+
+    if (existing.owner !== req.user.username) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    // Clients send the version they edited so concurrent edits are not lost
+    if (req.body.version !== undefined && req.body.version !== existing.version) {
+      return res.status(409).json({ error: 'Molecule was changed by another request', version: existing.version });
+    }
+
+    // Frames only fit the atoms they were recorded for, so new atoms drop them
+    const changes = {
+      name: req.body.name ?? existing.name,
+      atoms: req.body.atoms ?? existing.atoms,
+      bonds: req.body.bonds ?? existing.bonds,
+      frames: req.body.frames ?? (req.body.atoms ? undefined : existing.frames)
+    };
+    const { errors, warnings } = moleculeServer.validateMolecule(changes);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0].message, errors, warnings });
+    }
+
+    const { frames, ...unchanged } = existing;
+    const molecule = {
+      ...unchanged,
+      ...moleculeServer.normalizeMolecule(changes),
+      version: existing.version + 1,
+      updatedAt: new Date().toISOString()
+    };
+
+    await store.updateMolecule(molecule);
+    res.json(moleculeServer.withoutFrames(molecule));
+  });
+
+  app.get('/api/molecules/:id/versions', authenticateToken, async (req, res) => {
+    const molecule = await store.getMolecule(req.params.id);
+
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+
+    if (molecule.owner !== req.user.username) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const versions = await store.listMoleculeVersions(req.params.id);
+    res.json([...versions, molecule].map(version => moleculeServer.withoutFrames(version)));
+  });
+
+  app.delete('/api/molecules/:id', authenticateToken, async (req, res) => {
+    const molecule = await store.getMolecule(req.params.id);
+
+    if (!molecule) {
+      if (moleculeServer.getMolecule(req.params.id)) {
+        return res.status(403).json({ error: 'Catalog molecules are read-only' });
+      }
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+
+    if (molecule.owner !== req.user.username) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    await store.deleteMolecule(req.params.id);
+    res.json({ success: true });
+  });
+
+  // Imported structures become private molecules of the caller
+  app.post('/api/molecules/import', authenticateToken, async (req, res) => {
+    const { content, filename, format } = req.body;
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ error: 'File content required' });
+    }
+
+    let molecules;
+    try {
+      molecules = moleculeServer.importMolecules(content, { filename, format });
+    } catch (error) {
+      if (error instanceof ParseError) {
+        return res.status(400).json({ error: error.message, line: error.line });
+      }
+      return res.status(500).json({ error: 'Import failed' });
+    }
+
+    if (molecules.length > MAX_IMPORT_MOLECULES) {
+      return res.status(422).json({ error: `Import is limited to ${MAX_IMPORT_MOLECULES} molecules per file` });
+    }
+
+    const stored = [];
+    for (const molecule of molecules) {
+      stored.push(await createUserMolecule(molecule, req.user.username));
+    }
+    res.json(stored.map(molecule => moleculeServer.withoutFrames(molecule)));
+  });
+
+  // Report problems with a structure without storing it
+  app.post('/api/molecules/validate', (req, res) => {
+    const { atoms } = req.body || {};
+    if (Array.isArray(atoms) && atoms.length > MAX_VALIDATE_ATOMS) {
+      return res.status(422).json({ error: `Validation is limited to ${MAX_VALIDATE_ATOMS} atoms` });
+    }
+    res.json(moleculeServer.validateMolecule(req.body));
+  });
+
+  // Lay out structures that are not stored, such as one being edited
+  app.post('/api/molecules/depict', (req, res) => {
+    const { atoms, bonds = [] } = req.body || {};
+    if (!Array.isArray(atoms) || !Array.isArray(bonds)) {
+      return res.status(400).json({ error: 'atoms and bonds must be arrays' });
+    }
+    const isAtomIndex = value => Number.isInteger(value) && value >= 0 && value < atoms.length;
+    if (atoms.some(atom => typeof atom?.element !== 'string') ||
+        bonds.some(bond => !isAtomIndex(bond?.from) || !isAtomIndex(bond?.to) || bond.from === bond.to)) {
+      return res.status(400).json({ error: 'Every atom needs an element and every bond two different atom indices' });
+    }
+    if (atoms.length > MAX_DEPICTION_ATOMS) {
+      return res.status(422).json({ error: `Depiction is limited to ${MAX_DEPICTION_ATOMS} atoms` });
+    }
+
+    res.json(moleculeServer.depictMolecule({ atoms, bonds }));
+  });
+
+  // Built molecules are stored as private molecules of the caller
+  app.post('/api/molecules/from-smiles', authenticateToken, async (req, res) => {
+    const { smiles, name } = req.body || {};
+
+    if (typeof smiles !== 'string' || !smiles.trim()) {
+      return res.status(400).json({ error: 'SMILES string required' });
+    }
+    if (name !== undefined && typeof name !== 'string') {
+      return res.status(400).json({ error: 'name must be a string' });
+    }
+
+    let molecule;
+    try {
+      molecule = moleculeServer.createFromSmiles(smiles, name?.trim());
+    } catch (error) {
+      if (error instanceof ParseError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof SmilesSizeError) {
+        return res.status(422).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Structure generation failed' });
+    }
+
+    res.json(await createUserMolecule(molecule, req.user.username));
+  });
+
+  // Periodic table
+  app.get('/api/elements', (req, res) => {
+    res.json(ELEMENTS);
+  });
+
+  app.get('/api/elements/:symbol', (req, res) => {
+    const element = getElement(req.params.symbol);
+    if (!element) {
+      return res.status(404).json({ error: 'Element not found' });
+    }
+    res.json(element);
+  });
+
+  // Reaction routes
+  app.get('/api/reactions', (req, res) => {
+    res.json(moleculeServer.getAllReactions());
+  });
+
+  app.get('/api/reactions/:id', (req, res) => {
+    const reaction = moleculeServer.getReaction(req.params.id);
+    if (!reaction) {
+      return res.status(404).json({ error: 'Reaction not found' });
+    }
+    res.json(reaction);
+  });
+
+  app.get('/api/reactions/:id/path', (req, res) => {
+    const path = moleculeServer.getReactionPath(req.params.id);
+    if (!path) {
+      return res.status(404).json({ error: 'Reaction not found' });
+    }
+    res.json(path);
+  });
+
   // Visualization routes
-  app.get('/api/visualizations', authenticateToken, (req, res) => {
-    const userVisualizations = Array.from(savedVisualizations.values())
-      .filter(v => v.username === req.user.username);
-    res.json(userVisualizations);
+  app.get('/api/visualizations', authenticateToken, async (req, res) => {
+    res.json(await store.listVisualizations(req.user.username));
   });
 
-  app.post('/api/visualizations', authenticateToken, (req, res) => {
+  app.post('/api/visualizations', authenticateToken, async (req, res) => {
     const { name, moleculeId, settings } = req.body;
     
     if (!name || !moleculeId) {
       return res.status(400).json({ error: 'Name and molecule ID required' });
     }
+    if (settings !== undefined && (typeof settings !== 'object' || settings === null || Array.isArray(settings))) {
+      return res.status(400).json({ error: 'settings must be an object' });
+    }
 
     const visualization = {
       id: Date.now().toString(),
@@ -143,12 +562,79 @@ function createTestApp() {
       createdAt: new Date().toISOString()
     };
 
-    savedVisualizations.set(visualization.id, visualization);
+    await store.createVisualization(visualization);
     res.json(visualization);
   });
 
-  app.delete('/api/visualizations/:id', authenticateToken, (req, res) => {
-    const visualization = savedVisualizations.get(req.params.id);
+  // Share links: anyone holding the token can open the view without an account
+  app.post('/api/visualizations/:id/share', authenticateToken, async (req, res) => {
+    let visualization = await store.getVisualization(req.params.id);
+
+    if (!visualization) {
+      return res.status(404).json({ error: 'Visualization not found' });
+    }
+
+    if (visualization.username !== req.user.username) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (!visualization.shareToken) {
+      visualization = { ...visualization, shareToken: crypto.randomBytes(18).toString('base64url') };
+      await store.updateVisualization(visualization);
+    }
+    res.json({ id: visualization.id, shareToken: visualization.shareToken });
+  });
+
+  // Revoking a token breaks every link made with it
+  app.delete('/api/visualizations/:id/share', authenticateToken, async (req, res) => {
+    const visualization = await store.getVisualization(req.params.id);
+
+    if (!visualization) {
+      return res.status(404).json({ error: 'Visualization not found' });
+    }
+
+    if (visualization.username !== req.user.username) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const { shareToken, ...unshared } = visualization;
+    if (shareToken) {
+      await store.updateVisualization(unshared);
+    }
+    res.json({ success: true });
+  });
+
+  // The molecule comes along, since a private one cannot be fetched without its owner's account
+  app.get('/api/visualizations/:id/public', async (req, res) => {
+    const visualization = await store.getVisualization(req.params.id);
+    const token = Buffer.from(String(req.query.token || ''));
+    const expected = Buffer.from(visualization?.shareToken || '');
+
+    // Unknown views and wrong tokens look the same, so ids cannot be probed
+    if (!visualization || expected.length === 0 || token.length !== expected.length ||
+        !crypto.timingSafeEqual(token, expected)) {
+      return res.status(404).json({ error: 'Visualization not found' });
+    }
+
+    const molecule = await findMolecule(visualization.moleculeId, { username: visualization.username });
+    if (!molecule) {
+      return res.status(404).json({ error: 'Molecule not found' });
+    }
+
+    const { id, name, moleculeId, settings, createdAt } = visualization;
+    res.json({
+      id,
+      name,
+      moleculeId,
+      settings,
+      createdAt,
+      molecule: moleculeServer.withoutFrames(molecule),
+      elements: moleculeServer.countElements(molecule)
+    });
+  });
+
+  app.delete('/api/visualizations/:id', authenticateToken, async (req, res) => {
+    const visualization = await store.getVisualization(req.params.id);
     
     if (!visualization) {
       return res.status(404).json({ error: 'Visualization not found' });
@@ -158,20 +644,47 @@ function createTestApp() {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    savedVisualizations.delete(req.params.id);
+    await store.deleteVisualization(req.params.id);
     res.json({ success: true });
   });
 
+  // The embeddable viewer in one script: the renderer and the
+  // <molecul-ai-viewer> element, wrapped in a function so none of their
+  // classes clash with the globals of the host page
+  const EMBED_SCRIPTS = ['svg-context.js', 'biopolymer.js', 'simple3d.js', 'webgl-renderer.js', 'molecul-ai-viewer.js'];
+
+  app.get('/embed.js', async (req, res) => {
+    const sources = await Promise.all(
+      EMBED_SCRIPTS.map(file => readFile(join(__dirname, 'public', 'js', file), 'utf8'))
+    );
+    res.type('application/javascript').send(`(() => {\n${sources.join('\n')}\n})();\n`);
+  });
+
+  // Viewer page for iframes, set up by query parameters (see public/js/embed-page.js).
+  // Embeds are anonymous, so private molecules cannot be shown.
+  app.get('/embed/:moleculeId', async (req, res) => {
+    const molecule = await findMolecule(req.params.moleculeId, null);
+    if (!molecule) {
+      return res.status(404).type('text/plain').send('Molecule not found');
+    }
+    res.sendFile(join(__dirname, 'public', 'embed.html'));
+  });
+
   return app;
 }
 
 describe('API Endpoints', () => {
   let app;
 
-  beforeEach(() => {
-    app = createTestApp();
+  beforeEach(async () => {
+    app = await createTestApp();
   });
 
+  // Imports, conformer searches and minimizations need an account
+  const registerUser = async () => (await request(app)
+    .post('/api/auth/register')
+    .send({ username: 'chemist', password: 'pass123' })).body.token;
+
   describe('GET /api/health', () => {
     test('should return health status', async () => {
       const response = await request(app)
@@ -261,6 +774,31 @@ describe('API Endpoints', () => {
 
       expect(response.body).toHaveProperty('error', 'Invalid credentials');
     });
+
+    test('should treat Object.prototype member names as unknown users', async () => {
+      for (const username of ['constructor', 'toString', '__proto__']) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ username, password: 'somepass' })
+          .expect(401);
+      }
+    });
+
+    test('should keep a user named __proto__ apart from other lookups', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: '__proto__', password: 'protopass' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: '__proto__', password: 'protopass' })
+        .expect(200);
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'password', password: 'protopass' })
+        .expect(401);
+    });
   });
 
   describe('GET /api/molecules', () => {
@@ -300,6 +838,14 @@ describe('API Endpoints', () => {
 
       expect(response.body).toHaveProperty('error', 'Molecule not found');
     });
+
+    test('should return 404 for Object.prototype member names', async () => {
+      for (const id of ['toString', 'valueOf', 'constructor', '__proto__']) {
+        await request(app)
+          .get(`/api/molecules/${id}`)
+          .expect(404);
+      }
+    });
   });
 
   describe('GET /api/molecules/:id/elements', () => {
@@ -327,24 +873,1171 @@ describe('API Endpoints', () => {
     });
   });
 
-  describe('GET /api/molecules/search/:query', () => {
+  describe('GET /api/molecules/:id/properties', () => {
+    test('should compute properties for water', async () => {
+      const response = await request(app)
+        .get('/api/molecules/water/properties')
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        formula: 'H2O',
+        molecularWeight: 18.015,
+        monoisotopicMass: 18.01056,
+        degreeOfUnsaturation: 0,
+        netCharge: 0
+      });
+      expect(response.body.principalMoments.length).toBe(3);
+      expect(response.body.dipoleMoment.magnitude).toBeGreaterThan(1);
+    });
+
+    test('should return 404 for unknown molecules', async () => {
+      const response = await request(app)
+        .get('/api/molecules/nonexistent/properties')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Molecule not found');
+    });
+
+    test('should compute properties for every element with an atomic weight', async () => {
+      const token = await registerUser();
+      const [imported] = (await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ filename: 'tccl4.xyz', content: '5\nTechnetium tetrachloride\nTc 0 0 0\nCl 2.3 0 0\nCl -2.3 0 0\nCl 0 2.3 0\nCl 0 -2.3 0\n' })).body;
+
+      const response = await request(app)
+        .get(`/api/molecules/${imported.id}/properties`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ formula: 'Cl4Tc', molecularWeight: 239.8, monoisotopicMass: null });
+    });
+  });
+
+  describe('GET /api/molecules/:id/similar', () => {
+    test('should rank private molecules by similarity', async () => {
+      const token = (await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'similar', password: 'pass123' })).body.token;
+      const ethanol = moleculeServer.getMolecule('ethanol');
+      const copy = (await request(app)
+        .post('/api/molecules')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Ethanol copy', atoms: ethanol.atoms, bonds: ethanol.bonds })).body;
+
+      const response = await request(app)
+        .get('/api/molecules/ethanol/similar?threshold=0.9')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body).toEqual([
+        { id: copy.id, name: 'Ethanol copy', formula: 'C2H6O', owner: 'similar', version: 1, similarity: 1 }
+      ]);
+    });
+
+    test('should exclude the molecule itself and sort by similarity', async () => {
+      const response = await request(app)
+        .get('/api/molecules/benzene/similar?threshold=0')
+        .expect(200);
+
+      expect(response.body.map(m => m.id)).not.toContain('benzene');
+      response.body.slice(1).forEach((result, index) => {
+        expect(result.similarity).toBeLessThanOrEqual(response.body[index].similarity);
+      });
+    });
+
+    test('should reject thresholds outside 0 to 1', async () => {
+      const response = await request(app)
+        .get('/api/molecules/water/similar?threshold=1.5')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'threshold must be a number from 0 to 1');
+    });
+
+    test('should return 404 for unknown molecules', async () => {
+      await request(app)
+        .get('/api/molecules/nonexistent/similar')
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/molecules/search', () => {
+    test('should find molecules by substructure', async () => {
+      const response = await request(app)
+        .get('/api/molecules/search')
+        .query({ substructure: '[OX2H1]' })
+        .expect(200);
+
+      expect(response.body.results.map(m => m.id)).toContain('ethanol');
+      expect(response.body.results.map(m => m.id)).not.toContain('water');
+    });
+
+    test('should combine element constraints, weight range and sorting', async () => {
+      const response = await request(app)
+        .get('/api/molecules/search')
+        .query({ elements: 'C1-2 O>=1', maxWeight: 50, sort: 'weight', order: 'desc' })
+        .expect(200);
+
+      expect(response.body.results.map(m => m.id)).toEqual(['ethanol', 'co2']);
+      expect(response.body.results[0]).toMatchObject({ molecularWeight: 46.069, atomCount: 9 });
+    });
+
+    test('should paginate results', async () => {
+      const response = await request(app)
+        .get('/api/molecules/search')
+        .query({ q: 'e', sort: 'name', pageSize: 2, page: 2 })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ page: 2, pageSize: 2 });
+      expect(response.body.total).toBeGreaterThanOrEqual(3);
+      expect(response.body.results.length).toBeLessThanOrEqual(2);
+    });
+
+    test('should reject invalid patterns', async () => {
+      const response = await request(app)
+        .get('/api/molecules/search')
+        .query({ substructure: 'C(C' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Unclosed branch at position 3');
+    });
+
+    test('should give up on patterns too broad to match', async () => {
+      const response = await request(app)
+        .get('/api/molecules/search')
+        .query({ substructure: '*.*.*.*.*.*.*.*(*)(*)(*)(*)*' })
+        .expect(422);
+
+      expect(response.body.error).toMatch(/too broad/);
+    });
+
+    test('should reject invalid sort fields', async () => {
+      const response = await request(app)
+        .get('/api/molecules/search')
+        .query({ sort: 'color' })
+        .expect(400);
+
+      expect(response.body.error).toBe('sort must be one of name, formula, weight, atoms');
+    });
+  });
+
+  describe('GET /api/molecules/search/:query', () => {
     test('should search molecules by name', async () => {
       const response = await request(app)
-        .get('/api/molecules/search/water')
+        .get('/api/molecules/search/water')
+        .expect(200);
+
+      expect(Array.isArray(response.body)).toBe(true);
+      expect(response.body.length).toBe(1);
+      expect(response.body[0].id).toBe('water');
+    });
+
+    test('should return empty array for no matches', async () => {
+      const response = await request(app)
+        .get('/api/molecules/search/xyz123')
+        .expect(200);
+
+      expect(Array.isArray(response.body)).toBe(true);
+      expect(response.body.length).toBe(0);
+    });
+  });
+
+  describe('GET /api/molecules/:id/frames', () => {
+    const trajectory = [0, 1, 2].map(step =>
+      `2\nStretching hydrogen\nH 0 0 0\nH ${(0.74 + step / 10).toFixed(2)} 0 0\n`).join('');
+
+    test('should page through imported trajectory frames', async () => {
+      const token = await registerUser();
+      const imported = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ filename: 'stretch.xyz', content: trajectory })
+        .expect(200);
+      const { id } = imported.body[0];
+
+      expect(imported.body[0]).toHaveProperty('frameCount', 3);
+      expect(imported.body[0]).not.toHaveProperty('frames');
+
+      const fetched = await request(app)
+        .get(`/api/molecules/${id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(fetched.body).toHaveProperty('frameCount', 3);
+      expect(fetched.body).not.toHaveProperty('frames');
+
+      const response = await request(app)
+        .get(`/api/molecules/${id}/frames?start=1&count=1`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(response.body).toEqual({ start: 1, total: 3, frames: [[0, 0, 0, 0.84, 0, 0]] });
+    });
+
+    test('should return the coordinates of molecules without frames as one frame', async () => {
+      const response = await request(app)
+        .get('/api/molecules/water/frames')
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.frames[0].length).toBe(9);
+    });
+
+    test('should validate start and count', async () => {
+      const start = await request(app).get('/api/molecules/water/frames?start=-1').expect(400);
+      const count = await request(app).get('/api/molecules/water/frames?count=500').expect(400);
+
+      expect(start.body).toHaveProperty('error', 'start must be a non-negative integer');
+      expect(count.body).toHaveProperty('error', 'count must be an integer from 1 to 100');
+    });
+
+    test('should return 404 for non-existent molecule', async () => {
+      const response = await request(app)
+        .get('/api/molecules/nonexistent/frames')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Molecule not found');
+    });
+  });
+
+  describe('GET /api/molecules/:id/chains', () => {
+    test('should return chains with sequences for imported proteins', async () => {
+      const token = await registerUser();
+      const pdb = [
+        'ATOM      1  N   GLY B   5       0.000   0.000   0.000  1.00  0.00           N',
+        'ATOM      2  CA  GLY B   5       1.458   0.000   0.000  1.00  0.00           C',
+        'ATOM      3  N   SER B   6       3.800   0.000   0.000  1.00  0.00           N',
+        'HETATM    4  O   HOH B 101       9.000   9.000   9.000  1.00  0.00           O',
+        'END'
+      ].join('\n');
+      const imported = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ filename: 'dipeptide.pdb', content: pdb })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/molecules/${imported.body[0].id}/chains`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.length).toBe(1);
+      expect(response.body[0]).toMatchObject({ id: 'B', type: 'protein', sequence: 'GS' });
+      expect(response.body[0].residues[1]).toMatchObject({ name: 'SER', number: 6, secondary: 'coil', atoms: [2] });
+    });
+
+    test('should return no chains for small molecules', async () => {
+      const response = await request(app)
+        .get('/api/molecules/water/chains')
+        .expect(200);
+
+      expect(response.body).toEqual([]);
+    });
+
+    test('should return 404 for non-existent molecule', async () => {
+      const response = await request(app)
+        .get('/api/molecules/nonexistent/chains')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Molecule not found');
+    });
+  });
+
+  describe('POST /api/molecules/:id/conformers', () => {
+    test('should return a ranked conformer ensemble', async () => {
+      const token = await registerUser();
+      const built = await request(app)
+        .post('/api/molecules/from-smiles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ smiles: 'CCCC', name: 'Butane' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/molecules/${built.body.id}/conformers`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ count: 2 })
+        .expect(200);
+
+      expect(response.body.rotatableBonds).toEqual([[1, 2]]);
+      expect(response.body.starts).toBe(3);
+      expect(response.body.conformers).toHaveLength(2);
+      expect(response.body.conformers[0]).toMatchObject({ rank: 1, relativeEnergy: 0, rmsd: 0 });
+      expect(response.body.conformers[1].relativeEnergy).toBeGreaterThan(0);
+      expect(response.body.conformers[1].coordinates).toHaveLength(42);
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/api/molecules/water/conformers')
+        .expect(401);
+    });
+
+    test('should reject invalid options', async () => {
+      const token = await registerUser();
+      const count = await request(app)
+        .post('/api/molecules/water/conformers')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ count: 0 })
+        .expect(400);
+      expect(count.body).toHaveProperty('error', 'count must be an integer from 1 to 50');
+
+      const threshold = await request(app)
+        .post('/api/molecules/water/conformers')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ rmsdThreshold: 'far' })
+        .expect(400);
+      expect(threshold.body).toHaveProperty('error', 'rmsdThreshold must be a number from 0 to 5');
+    });
+
+    test('should refuse molecules over the atom limit', async () => {
+      const token = await registerUser();
+      const xyz = [String(MAX_CONFORMER_ATOMS + 1), 'Neon cluster',
+        ...Array.from({ length: MAX_CONFORMER_ATOMS + 1 }, (_, i) => `Ne ${(i % 10) * 4} ${Math.floor(i / 10) * 4} 0`)].join('\n');
+      const imported = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ filename: 'cluster.xyz', content: xyz })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/molecules/${imported.body[0].id}/conformers`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(422);
+
+      expect(response.body.error).toMatch(/limited to \d+ atoms/);
+    });
+
+    test('should return 404 for non-existent molecule', async () => {
+      const token = await registerUser();
+      const response = await request(app)
+        .post('/api/molecules/nonexistent/conformers')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Molecule not found');
+    });
+  });
+
+  describe('POST /api/molecules/:id/minimize', () => {
+    test('should return the minimized geometry and its path', async () => {
+      const token = await registerUser();
+      const response = await request(app)
+        .post('/api/molecules/ethanol/minimize')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ method: 'conjugate-gradient' })
+        .expect(200);
+
+      const { body } = response;
+      expect(body).toMatchObject({ method: 'conjugate-gradient', maxIterations: 500, converged: true });
+      expect(body.energy.total).toBeLessThanOrEqual(body.initialEnergy.total);
+      expect(body.atoms).toHaveLength(9);
+      expect(body.path.frames[0]).toHaveLength(27);
+      expect(body.path.iterations[0]).toBe(0);
+      expect(body.path.iterations.at(-1)).toBe(body.iterations);
+      expect(body.path.energies).toHaveLength(body.path.frames.length);
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/api/molecules/water/minimize')
+        .expect(401);
+    });
+
+    test('should reject invalid options', async () => {
+      const token = await registerUser();
+      const method = await request(app)
+        .post('/api/molecules/water/minimize')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ method: 'newton' })
+        .expect(400);
+      expect(method.body.error).toMatch(/^method must be one of lbfgs/);
+
+      const iterations = await request(app)
+        .post('/api/molecules/water/minimize')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ maxIterations: 1.5 })
+        .expect(400);
+      expect(iterations.body).toHaveProperty('error', 'maxIterations must be an integer from 1 to 5000');
+
+      const tolerance = await request(app)
+        .post('/api/molecules/water/minimize')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ gradientTolerance: 0 })
+        .expect(400);
+      expect(tolerance.body).toHaveProperty('error', 'gradientTolerance must be a number above 0 and at most 10');
+    });
+
+    test('should refuse molecules over the atom limit', async () => {
+      const token = await registerUser();
+      const xyz = [String(MAX_FORCE_FIELD_ATOMS + 1), 'Neon cluster',
+        ...Array.from({ length: MAX_FORCE_FIELD_ATOMS + 1 }, (_, i) => `Ne ${(i % 10) * 4} ${Math.floor(i / 10) * 4} 0`)].join('\n');
+      const imported = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ filename: 'cluster.xyz', content: xyz })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/molecules/${imported.body[0].id}/minimize`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(422);
+
+      expect(response.body.error).toMatch(/limited to \d+ atoms/);
+    });
+
+    test('should return 404 for non-existent molecule', async () => {
+      const token = await registerUser();
+      const response = await request(app)
+        .post('/api/molecules/nonexistent/minimize')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Molecule not found');
+    });
+  });
+
+  describe('GET /api/molecules/:id/depiction', () => {
+    test('should return a 2D layout', async () => {
+      const response = await request(app)
+        .get('/api/molecules/benzene/depiction')
+        .expect(200);
+
+      expect(response.body.atoms).toHaveLength(6);
+      expect(response.body.atoms.every(atom => atom.label === null && atom.hydrogens === 1)).toBe(true);
+      expect(response.body.rings).toHaveLength(1);
+    });
+
+    test('should return 404 for non-existent molecule', async () => {
+      const response = await request(app)
+        .get('/api/molecules/nonexistent/depiction')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Molecule not found');
+    });
+  });
+
+  describe('POST /api/molecules/depict', () => {
+    test('should lay out a structure that is not stored', async () => {
+      const response = await request(app)
+        .post('/api/molecules/depict')
+        .send({
+          atoms: [{ element: 'C' }, { element: 'O' }, { element: 'H' }],
+          bonds: [{ from: 0, to: 1, order: 2 }, { from: 0, to: 2, order: 1 }]
+        })
+        .expect(200);
+
+      expect(response.body.atoms.map(atom => atom.label)).toEqual([null, 'O']);
+      expect(response.body.bonds).toEqual([expect.objectContaining({ from: 0, to: 1, order: 2, side: 0 })]);
+    });
+
+    test('should reject malformed structures', async () => {
+      await request(app)
+        .post('/api/molecules/depict')
+        .send({ atoms: 'C' })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/molecules/depict')
+        .send({ atoms: [{ element: 'C' }], bonds: [{ from: 0, to: 1 }] })
+        .expect(400);
+      expect(response.body.error).toMatch(/two different atom indices/);
+    });
+
+    test('should refuse structures over the atom limit', async () => {
+      const atoms = Array.from({ length: MAX_DEPICTION_ATOMS + 1 }, () => ({ element: 'C' }));
+      const response = await request(app)
+        .post('/api/molecules/depict')
+        .send({ atoms })
+        .expect(422);
+
+      expect(response.body.error).toMatch(/limited to \d+ atoms/);
+    });
+  });
+
+  describe('GET /api/molecules/:id/export', () => {
+    test('should export a molecule as an attachment', async () => {
+      const response = await request(app)
+        .get('/api/molecules/water/export?format=xyz')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^chemical\/x-xyz/);
+      expect(response.headers['content-disposition']).toContain('water.xyz');
+      expect(response.text.split('\n')[0]).toBe('3');
+    });
+
+    test.each(SUPPORTED_FORMATS)('should send %s with its chemical MIME type', async (format) => {
+      const response = await request(app)
+        .get(`/api/molecules/ethanol/export?format=${format}`)
+        .expect(200);
+
+      expect(response.headers['content-type'].split(';')[0]).toBe(EXPORT_MIME_TYPES[format]);
+      expect(response.headers['content-disposition']).toBe(`attachment; filename="ethanol.${format}"`);
+    });
+
+    test('should export PDB', async () => {
+      const response = await request(app)
+        .get('/api/molecules/co2/export?format=pdb')
+        .expect(200);
+
+      expect(response.text).toMatch(/^COMPND {4}CARBON DIOXIDE/);
+    });
+
+    test('should export mmCIF', async () => {
+      const response = await request(app)
+        .get('/api/molecules/co2/export?format=cif')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^chemical\/x-mmcif/);
+      expect(response.headers['content-disposition']).toContain('co2.cif');
+      expect(response.text).toMatch(/^data_/);
+      expect(response.text).toContain('_atom_site.Cartn_x');
+    });
+
+    test('should reject unsupported formats', async () => {
+      const response = await request(app)
+        .get('/api/molecules/water/export?format=mmtf')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Format must be one of xyz, mol, sdf, pdb, cif');
+    });
+
+    test('should return 404 for non-existent molecule', async () => {
+      const response = await request(app)
+        .get('/api/molecules/nonexistent/export?format=mol')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Molecule not found');
+    });
+  });
+
+  describe('POST /api/molecules/import', () => {
+    test('should import an XYZ file and make it retrievable', async () => {
+      const token = await registerUser();
+      const response = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ filename: 'ammonia.xyz', content: '4\nAmmonia\nN 0 0 0.1\nH 0.94 0 -0.27\nH -0.47 0.81 -0.27\nH -0.47 -0.81 -0.27\n' })
+        .expect(200);
+
+      expect(response.body.length).toBe(1);
+      expect(response.body[0].id).toMatch(/^user-/);
+      expect(response.body[0]).toMatchObject({ name: 'Ammonia', formula: 'H3N', owner: 'chemist', version: 1 });
+
+      const fetched = await request(app)
+        .get(`/api/molecules/${response.body[0].id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(fetched.body.atoms.length).toBe(4);
+      expect(fetched.body.bonds.length).toBe(3);
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/api/molecules/import')
+        .send({ filename: 'neon.xyz', content: '1\nNeon\nNe 0 0 0\n' })
+        .expect(401);
+    });
+
+    test('should keep imports private to their owner', async () => {
+      const token = await registerUser();
+      const [neon] = (await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ filename: 'neon.xyz', content: '1\nNeon\nNe 0 0 0\n' })
+        .expect(200)).body;
+
+      await request(app).get(`/api/molecules/${neon.id}`).expect(404);
+      const catalog = await request(app).get('/api/molecules').expect(200);
+      expect(catalog.body.map(molecule => molecule.id)).not.toContain(neon.id);
+      expect(moleculeServer.getMolecule(neon.id)).toBeNull();
+    });
+
+    test('should refuse files with too many molecules', async () => {
+      const token = await registerUser();
+      const sdf = Array.from({ length: MAX_IMPORT_MOLECULES + 1 }, () =>
+        'Neon\n  test\n\n  1  0  0  0  0  0            999 V2000\n    0.0000    0.0000    0.0000 Ne  0  0  0  0  0  0\nM  END\n$$$$\n').join('');
+
+      const response = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ filename: 'many.sdf', content: sdf })
+        .expect(422);
+
+      expect(response.body).toHaveProperty('error', `Import is limited to ${MAX_IMPORT_MOLECULES} molecules per file`);
+    });
+
+    test('should reject missing content', async () => {
+      const token = await registerUser();
+      const response = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ filename: 'empty.xyz' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'File content required');
+    });
+
+    test('should return parse errors with line numbers', async () => {
+      const token = await registerUser();
+      const response = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ filename: 'bad.xyz', content: '2\nBroken\nO 0 0 0\nH 0 x 0\n' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('line', 4);
+      expect(response.body.error).toMatch(/^Line 4:/);
+    });
+
+    test('should reject unrecognized formats', async () => {
+      const token = await registerUser();
+      const response = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ filename: 'notes.txt', content: 'hello' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/Unsupported or unrecognized format/);
+    });
+  });
+
+  describe('POST /api/molecules/validate', () => {
+    test('should report errors and warnings without storing anything', async () => {
+      const response = await request(app)
+        .post('/api/molecules/validate')
+        .send({
+          name: 'Odd',
+          formula: 'CH5',
+          atoms: [{ element: 'C', x: 0, y: 0, z: 0 }, { element: 'H', x: 0.1, y: 0, z: 0 }],
+          bonds: [{ from: 0, to: 1, order: 1 }, { from: 1, to: 3, order: 1 }]
+        })
+        .expect(200);
+
+      expect(response.body.valid).toBe(false);
+      expect(response.body.errors.map(e => e.code)).toEqual(['dangling-bond']);
+    });
+
+    test('should list warnings for valid structures', async () => {
+      const response = await request(app)
+        .post('/api/molecules/validate')
+        .send({
+          name: 'Odd',
+          formula: 'CH5',
+          atoms: [{ element: 'C', x: 0, y: 0, z: 0 }, { element: 'H', x: 0.1, y: 0, z: 0 }],
+          bonds: [{ from: 0, to: 1, order: 1 }]
+        })
+        .expect(200);
+
+      expect(response.body.valid).toBe(true);
+      expect(response.body.warnings.map(w => w.code)).toEqual(['overlapping-atoms', 'formula-mismatch']);
+    });
+
+    test('should refuse structures over the atom limit', async () => {
+      const atoms = Array.from({ length: MAX_VALIDATE_ATOMS + 1 }, () => ({ element: 'C', x: 0, y: 0, z: 0 }));
+      const response = await request(app)
+        .post('/api/molecules/validate')
+        .send({ name: 'Too big', atoms })
+        .expect(422);
+
+      expect(response.body.error).toBe(`Validation is limited to ${MAX_VALIDATE_ATOMS} atoms`);
+    });
+
+    test('should reject imports with unknown elements', async () => {
+      const token = await registerUser();
+      const response = await request(app)
+        .post('/api/molecules/import')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ filename: 'bad.xyz', content: '1\nMystery\nQq 0 0 0\n' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid structure "Mystery": Atom 0 has unknown element "Qq"');
+    });
+  });
+
+  describe('POST /api/molecules/from-smiles', () => {
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/api/molecules/from-smiles')
+        .send({ smiles: 'CCO' })
+        .expect(401);
+    });
+
+    test('should build a private molecule with 3D coordinates', async () => {
+      const token = await registerUser();
+      const response = await request(app)
+        .post('/api/molecules/from-smiles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ smiles: 'CC(=O)O', name: 'Acetic acid' })
+        .expect(200);
+
+      expect(response.body.id).toMatch(/^user-/);
+      expect(response.body).toMatchObject({ name: 'Acetic acid', formula: 'C2H4O2', owner: 'chemist', version: 1 });
+      expect(response.body.atoms.length).toBe(8);
+      response.body.atoms.forEach(atom => {
+        expect(Number.isFinite(atom.x)).toBe(true);
+        expect(Number.isFinite(atom.y)).toBe(true);
+        expect(Number.isFinite(atom.z)).toBe(true);
+      });
+
+      await request(app)
+        .get(`/api/molecules/${response.body.id}`)
+        .expect(404);
+      const mine = await request(app)
+        .get('/api/molecules')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(mine.body.map(m => m.id)).toContain(response.body.id);
+    });
+
+    test('should name the molecule after its SMILES by default', async () => {
+      const token = await registerUser();
+      const response = await request(app)
+        .post('/api/molecules/from-smiles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ smiles: 'CCO', name: ' ' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('name', 'CCO');
+    });
+
+    test('should reject missing SMILES and non-string names', async () => {
+      const token = await registerUser();
+      for (const body of [{}, { smiles: 42 }, { smiles: '  ' }]) {
+        const response = await request(app)
+          .post('/api/molecules/from-smiles')
+          .set('Authorization', `Bearer ${token}`)
+          .send(body)
+          .expect(400);
+        expect(response.body).toHaveProperty('error', 'SMILES string required');
+      }
+
+      const response = await request(app)
+        .post('/api/molecules/from-smiles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ smiles: 'CCO', name: { first: 'Ethanol' } })
+        .expect(400);
+      expect(response.body).toHaveProperty('error', 'name must be a string');
+    });
+
+    test('should report the position of SMILES errors', async () => {
+      const token = await registerUser();
+      const response = await request(app)
+        .post('/api/molecules/from-smiles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ smiles: 'CC(C' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Unclosed branch at position 4');
+    });
+
+    test('should reject structures that fail validation', async () => {
+      const token = await registerUser();
+      const response = await request(app)
+        .post('/api/molecules/from-smiles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ smiles: 'C(C)(C)(C)(C)C' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/Atom 0 \(C\) has bond order sum 5, more than 4$/);
+    });
+
+    test('should refuse structures over the atom limit', async () => {
+      const token = await registerUser();
+      // A linear alkane CnH2n+2 just over the limit
+      const carbons = Math.ceil(MAX_SMILES_ATOMS / 3);
+      const response = await request(app)
+        .post('/api/molecules/from-smiles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ smiles: 'C'.repeat(carbons) })
+        .expect(422);
+
+      expect(response.body).toHaveProperty('error', new SmilesSizeError().message);
+    });
+  });
+
+  describe('GET /api/elements', () => {
+    test('should return all 118 elements in order', async () => {
+      const response = await request(app)
+        .get('/api/elements')
+        .expect(200);
+
+      expect(response.body.length).toBe(118);
+      expect(response.body[0]).toMatchObject({ number: 1, symbol: 'H', name: 'Hydrogen', color: '#FFFFFF' });
+      expect(response.body[117]).toMatchObject({ number: 118, symbol: 'Og' });
+    });
+
+    test('should return a single element by symbol', async () => {
+      const response = await request(app)
+        .get('/api/elements/Fe')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        number: 26,
+        symbol: 'Fe',
+        name: 'Iron',
+        mass: 55.845,
+        monoisotopicMass: 55.934936,
+        color: '#E06633',
+        covalentRadius: 1.32,
+        vdwRadius: 2.44,
+        electronegativity: 1.83,
+        valences: [2, 3]
+      });
+    });
+
+    test('should return 404 for unknown symbols', async () => {
+      const response = await request(app)
+        .get('/api/elements/Xx')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Element not found');
+    });
+  });
+
+  describe('GET /api/reactions', () => {
+    test('should return list of reactions with equations', async () => {
+      const response = await request(app)
+        .get('/api/reactions')
         .expect(200);
 
       expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBe(1);
-      expect(response.body[0].id).toBe('water');
+      expect(response.body.length).toBeGreaterThan(0);
+
+      response.body.forEach(reaction => {
+        expect(reaction).toHaveProperty('id');
+        expect(reaction).toHaveProperty('name');
+        expect(reaction).toHaveProperty('equation');
+      });
     });
+  });
 
-    test('should return empty array for no matches', async () => {
+  describe('GET /api/reactions/:id', () => {
+    test('should return reaction with participants', async () => {
       const response = await request(app)
-        .get('/api/molecules/search/xyz123')
+        .get('/api/reactions/methane-combustion')
         .expect(200);
 
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBe(0);
+      expect(response.body).toHaveProperty('equation', 'CH4 + 2 O2 → CO2 + 2 H2O');
+      expect(response.body.reactants[0]).toHaveProperty('moleculeId', 'methane');
+      expect(response.body).toHaveProperty('atomMapping');
+    });
+
+    test('should return 404 for non-existent reaction', async () => {
+      const response = await request(app)
+        .get('/api/reactions/nonexistent')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Reaction not found');
+    });
+  });
+
+  describe('GET /api/reactions/:id/path', () => {
+    test('should return playback atoms and bonds', async () => {
+      const response = await request(app)
+        .get('/api/reactions/hydrogen-combustion/path')
+        .expect(200);
+
+      expect(response.body.atoms.length).toBe(6);
+      expect(response.body.atoms[0]).toHaveProperty('start');
+      expect(response.body.atoms[0]).toHaveProperty('end');
+      expect(response.body.bonds[0]).toHaveProperty('startOrder');
+      expect(response.body.bonds[0]).toHaveProperty('endOrder');
+    });
+
+    test('should return 404 for non-existent reaction', async () => {
+      const response = await request(app)
+        .get('/api/reactions/nonexistent/path')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Reaction not found');
+    });
+  });
+
+  describe('User Molecule Endpoints', () => {
+    const water = {
+      name: 'My water',
+      atoms: [
+        { element: 'O', x: 0, y: 0, z: 0 },
+        { element: 'H', x: 0.757, y: 0.586, z: 0 },
+        { element: 'H', x: -0.757, y: 0.586, z: 0 }
+      ],
+      bonds: [
+        { from: 0, to: 1, order: 1 },
+        { from: 0, to: 2, order: 1 }
+      ]
+    };
+    let token;
+    let otherToken;
+
+    const createWater = () => request(app)
+      .post('/api/molecules')
+      .set('Authorization', `Bearer ${token}`)
+      .send(water);
+
+    beforeEach(async () => {
+      token = (await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'chemist', password: 'pass123' })).body.token;
+      otherToken = (await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'rival', password: 'pass123' })).body.token;
+    });
+
+    describe('POST /api/molecules', () => {
+      test('should create a private molecule', async () => {
+        const response = await createWater().expect(200);
+
+        expect(response.body.id).toMatch(/^user-/);
+        expect(response.body).toMatchObject({ name: 'My water', formula: 'H2O', owner: 'chemist', version: 1 });
+        expect(response.body.atoms.length).toBe(3);
+      });
+
+      test('should require authentication', async () => {
+        await request(app).post('/api/molecules').send(water).expect(401);
+      });
+
+      test('should reject molecules without atoms', async () => {
+        const response = await request(app)
+          .post('/api/molecules')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Empty', atoms: [] })
+          .expect(400);
+
+        expect(response.body).toHaveProperty('error', 'Name and atoms required');
+      });
+
+      test('should reject bonds to missing atoms', async () => {
+        const response = await request(app)
+          .post('/api/molecules')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ ...water, bonds: [{ from: 0, to: 5 }] })
+          .expect(400);
+
+        expect(response.body.error).toBe('Bond 0 must connect two different existing atoms');
+        expect(response.body.errors.map(e => e.code)).toEqual(['dangling-bond']);
+      });
+
+      test('should store trajectory frames', async () => {
+        const frame = water.atoms.flatMap(a => [a.x, a.y, a.z]);
+        const response = await request(app)
+          .post('/api/molecules')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ ...water, frames: [frame, frame.map(v => v * 1.1)] })
+          .expect(200);
+
+        expect(response.body).toHaveProperty('frameCount', 2);
+
+        const frames = await request(app)
+          .get(`/api/molecules/${response.body.id}/frames`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+        expect(frames.body.frames[1]).toEqual(frame.map(v => v * 1.1));
+      });
+
+      test('should reject frames that do not match the atoms', async () => {
+        const response = await request(app)
+          .post('/api/molecules')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ ...water, frames: [[0, 0, 0]] })
+          .expect(400);
+
+        expect(response.body.error).toBe('Frame 0 needs 9 numeric coordinates, x, y and z for each atom');
+      });
+    });
+
+    describe('listing and reading', () => {
+      test('should merge private molecules into the owner\'s catalog only', async () => {
+        const { id } = (await createWater()).body;
+
+        const own = await request(app).get('/api/molecules').set('Authorization', `Bearer ${token}`);
+        const other = await request(app).get('/api/molecules').set('Authorization', `Bearer ${otherToken}`);
+        const anonymous = await request(app).get('/api/molecules');
+
+        expect(own.body.length).toBe(anonymous.body.length + 1);
+        expect(own.body[own.body.length - 1]).toEqual({ id, name: 'My water', formula: 'H2O', owner: 'chemist', version: 1 });
+        expect(other.body).toEqual(anonymous.body);
+      });
+
+      test('should include private molecules in search results', async () => {
+        await createWater();
+
+        const response = await request(app)
+          .get('/api/molecules/search/water')
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+
+        expect(response.body.map(m => m.name)).toEqual(['Water', 'My water']);
+      });
+
+      test('should hide private molecules from other users', async () => {
+        const { id } = (await createWater()).body;
+
+        await request(app).get(`/api/molecules/${id}`).set('Authorization', `Bearer ${token}`).expect(200);
+        await request(app).get(`/api/molecules/${id}`).set('Authorization', `Bearer ${otherToken}`).expect(404);
+        await request(app).get(`/api/molecules/${id}`).expect(404);
+      });
+
+      test('should count elements and export private molecules for the owner', async () => {
+        const { id } = (await createWater()).body;
+
+        const elements = await request(app)
+          .get(`/api/molecules/${id}/elements`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+        const exported = await request(app)
+          .get(`/api/molecules/${id}/export?format=xyz`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+
+        expect(elements.body).toContainEqual({ element: 'H', count: 2 });
+        expect(exported.text.split('\n')[1]).toBe('My water');
+      });
+
+      test('should serve the catalog when the token is invalid', async () => {
+        await request(app).get('/api/molecules').set('Authorization', 'Bearer invalid').expect(200);
+      });
+    });
+
+    describe('PUT /api/molecules/:id', () => {
+      test('should update the molecule and bump its version', async () => {
+        const { id } = (await createWater()).body;
+
+        const response = await request(app)
+          .put(`/api/molecules/${id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Heavy water', version: 1 })
+          .expect(200);
+
+        expect(response.body).toMatchObject({ id, name: 'Heavy water', formula: 'H2O', version: 2 });
+      });
+
+      test('should drop trajectory frames when the atoms change', async () => {
+        const frame = water.atoms.flatMap(a => [a.x, a.y, a.z]);
+        const { id } = (await request(app)
+          .post('/api/molecules')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ ...water, frames: [frame, frame] })).body;
+
+        const renamed = await request(app)
+          .put(`/api/molecules/${id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Vibrating water' })
+          .expect(200);
+        const edited = await request(app)
+          .put(`/api/molecules/${id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ atoms: water.atoms, bonds: water.bonds })
+          .expect(200);
+
+        expect(renamed.body).toHaveProperty('frameCount', 2);
+        expect(edited.body).not.toHaveProperty('frameCount');
+      });
+
+      test('should keep earlier versions', async () => {
+        const { id } = (await createWater()).body;
+        await request(app)
+          .put(`/api/molecules/${id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ atoms: water.atoms.slice(0, 1), bonds: [] });
+
+        const response = await request(app)
+          .get(`/api/molecules/${id}/versions`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+
+        expect(response.body.map(v => [v.version, v.formula])).toEqual([[1, 'H2O'], [2, 'O']]);
+      });
+
+      test('should list versions without trajectory frames', async () => {
+        const frame = water.atoms.flatMap(a => [a.x, a.y, a.z]);
+        const { id } = (await request(app)
+          .post('/api/molecules')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ ...water, frames: [frame, frame] })).body;
+        await request(app)
+          .put(`/api/molecules/${id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Vibrating water' });
+
+        const response = await request(app)
+          .get(`/api/molecules/${id}/versions`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+
+        expect(response.body.map(v => v.frameCount)).toEqual([2, 2]);
+        expect(response.body.some(v => 'frames' in v)).toBe(false);
+      });
+
+      test('should reject stale versions', async () => {
+        const { id } = (await createWater()).body;
+        await request(app)
+          .put(`/api/molecules/${id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'First edit' });
+
+        const response = await request(app)
+          .put(`/api/molecules/${id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Second edit', version: 1 })
+          .expect(409);
+
+        expect(response.body).toHaveProperty('version', 2);
+      });
+
+      test('should not update other users\' molecules', async () => {
+        const { id } = (await createWater()).body;
+
+        await request(app)
+          .put(`/api/molecules/${id}`)
+          .set('Authorization', `Bearer ${otherToken}`)
+          .send({ name: 'Stolen' })
+          .expect(403);
+        await request(app)
+          .get(`/api/molecules/${id}/versions`)
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(403);
+      });
+
+      test('should not update catalog molecules', async () => {
+        const response = await request(app)
+          .put('/api/molecules/water')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Mine now' })
+          .expect(403);
+
+        expect(response.body).toHaveProperty('error', 'Catalog molecules are read-only');
+      });
+    });
+
+    describe('DELETE /api/molecules/:id', () => {
+      test('should delete own molecule', async () => {
+        const { id } = (await createWater()).body;
+
+        await request(app)
+          .delete(`/api/molecules/${id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+        await request(app)
+          .get(`/api/molecules/${id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(404);
+      });
+
+      test('should not delete other users\' molecules', async () => {
+        const { id } = (await createWater()).body;
+
+        const response = await request(app)
+          .delete(`/api/molecules/${id}`)
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(403);
+
+        expect(response.body).toHaveProperty('error', 'Not authorized');
+      });
+
+      test('should return 404 for unknown molecules', async () => {
+        await request(app)
+          .delete('/api/molecules/user-missing')
+          .set('Authorization', `Bearer ${token}`)
+          .expect(404);
+      });
     });
   });
 
@@ -417,6 +2110,16 @@ describe('API Endpoints', () => {
         expect(response.body).toHaveProperty('error', 'Name and molecule ID required');
       });
 
+      test('should reject settings that are not an object', async () => {
+        const response = await request(app)
+          .post('/api/visualizations')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'My View', moleculeId: 'water', settings: 'sphere' })
+          .expect(400);
+
+        expect(response.body).toHaveProperty('error', 'settings must be an object');
+      });
+
       test('should reject without moleculeId', async () => {
         const response = await request(app)
           .post('/api/visualizations')
@@ -428,6 +2131,115 @@ describe('API Endpoints', () => {
       });
     });
 
+    describe('Share links', () => {
+      const settings = {
+        style: 'sphere',
+        labels: 'number',
+        camera: { orientation: { w: 0.5, x: 0.5, y: 0.5, z: 0.5 }, zoom: 2, pan: { x: 10, y: -4 } },
+        measurements: [[0, 1]]
+      };
+      let visualizationId;
+
+      beforeEach(async () => {
+        const response = await request(app)
+          .post('/api/visualizations')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Shared View', moleculeId: 'water', settings });
+
+        visualizationId = response.body.id;
+      });
+
+      test('should open a shared view without an account', async () => {
+        const share = await request(app)
+          .post(`/api/visualizations/${visualizationId}/share`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+        expect(share.body.shareToken).toMatch(/^[\w-]{24}$/);
+
+        const response = await request(app)
+          .get(`/api/visualizations/${visualizationId}/public`)
+          .query({ token: share.body.shareToken })
+          .expect(200);
+
+        expect(response.body).toMatchObject({ id: visualizationId, name: 'Shared View', moleculeId: 'water', settings });
+        expect(response.body.molecule).toHaveProperty('id', 'water');
+        expect(response.body.elements).toEqual(expect.arrayContaining([{ element: 'O', count: 1 }]));
+        expect(response.body).not.toHaveProperty('username');
+        expect(response.body).not.toHaveProperty('shareToken');
+      });
+
+      test('should keep the same token when shared again', async () => {
+        const first = await request(app)
+          .post(`/api/visualizations/${visualizationId}/share`)
+          .set('Authorization', `Bearer ${token}`);
+        const second = await request(app)
+          .post(`/api/visualizations/${visualizationId}/share`)
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(second.body.shareToken).toBe(first.body.shareToken);
+      });
+
+      test('should include private molecules of the owner', async () => {
+        const created = await request(app)
+          .post('/api/molecules')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Private', atoms: [{ element: 'He', x: 0, y: 0, z: 0 }], bonds: [] });
+        const saved = await request(app)
+          .post('/api/visualizations')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Private View', moleculeId: created.body.id });
+        const share = await request(app)
+          .post(`/api/visualizations/${saved.body.id}/share`)
+          .set('Authorization', `Bearer ${token}`);
+
+        const response = await request(app)
+          .get(`/api/visualizations/${saved.body.id}/public`)
+          .query({ token: share.body.shareToken })
+          .expect(200);
+
+        expect(response.body.molecule).toMatchObject({ id: created.body.id, name: 'Private' });
+      });
+
+      test('should refuse missing, wrong and revoked tokens alike', async () => {
+        const share = await request(app)
+          .post(`/api/visualizations/${visualizationId}/share`)
+          .set('Authorization', `Bearer ${token}`);
+
+        const unshared = await request(app)
+          .get(`/api/visualizations/${visualizationId}/public`)
+          .expect(404);
+        expect(unshared.body).toHaveProperty('error', 'Visualization not found');
+        await request(app)
+          .get(`/api/visualizations/${visualizationId}/public`)
+          .query({ token: 'x'.repeat(24) })
+          .expect(404);
+
+        await request(app)
+          .delete(`/api/visualizations/${visualizationId}/share`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+        await request(app)
+          .get(`/api/visualizations/${visualizationId}/public`)
+          .query({ token: share.body.shareToken })
+          .expect(404);
+      });
+
+      test('should only let the owner share', async () => {
+        const other = await request(app)
+          .post('/api/auth/register')
+          .send({ username: 'otheruser', password: 'otherpass123' });
+
+        await request(app)
+          .post(`/api/visualizations/${visualizationId}/share`)
+          .set('Authorization', `Bearer ${other.body.token}`)
+          .expect(403);
+        await request(app)
+          .post('/api/visualizations/nonexistent/share')
+          .set('Authorization', `Bearer ${token}`)
+          .expect(404);
+      });
+    });
+
     describe('DELETE /api/visualizations/:id', () => {
       let visualizationId;
 
@@ -470,4 +2282,52 @@ describe('API Endpoints', () => {
       });
     });
   });
+
+  describe('Embedding', () => {
+    test('GET /embed.js should bundle the renderer with the custom element', async () => {
+      const response = await request(app)
+        .get('/embed.js')
+        .expect('Content-Type', /javascript/)
+        .expect(200);
+
+      expect(response.text).toContain('class Simple3DMolecule');
+      expect(response.text).toContain("customElements.define('molecul-ai-viewer', MoleculAIViewer)");
+      // One function scope for all scripts, so duplicate declarations would not parse
+      expect(() => new Function(response.text)).not.toThrow();
+    });
+
+    test('GET /embed/:moleculeId should serve the viewer page', async () => {
+      const response = await request(app)
+        .get('/embed/benzene')
+        .query({ style: 'sphere', spin: 1 })
+        .expect('Content-Type', /html/)
+        .expect(200);
+
+      expect(response.text).toContain('<molecul-ai-viewer>');
+      expect(response.text).toContain('/js/embed-page.js');
+    });
+
+    test('should return 404 for unknown molecules', async () => {
+      const response = await request(app)
+        .get('/embed/nonexistent')
+        .expect(404);
+
+      expect(response.text).toBe('Molecule not found');
+    });
+
+    test('should not embed private molecules, even for their owner', async () => {
+      const token = (await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'embedder', password: 'pass123' })).body.token;
+      const created = await request(app)
+        .post('/api/molecules')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Private', atoms: [{ element: 'He', x: 0, y: 0, z: 0 }], bonds: [] });
+
+      await request(app)
+        .get(`/embed/${created.body.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
 });
@@ -0,0 +1,133 @@
+/**
+ * Tests for residue, chain and secondary structure perception
+ */
+
+import {
+  residueFields,
+  residueType,
+  getResidues,
+  getChains,
+  assignSecondaryStructure
+} from '../mcp-server/biopolymer.js';
+
+// Ideal backbone geometry, built atom by atom from bond lengths, angles
+// and torsions (NeRF)
+const radians = degrees => degrees * Math.PI / 180;
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+const unit = u => u.map(v => v / Math.hypot(...u));
+
+function place(a, b, c, length, angle, torsion) {
+  const bc = unit(sub(c, b));
+  const n = unit(cross(sub(b, a), bc));
+  const m = cross(n, bc);
+  const d = [
+    -length * Math.cos(radians(angle)),
+    length * Math.sin(radians(angle)) * Math.cos(radians(torsion)),
+    length * Math.sin(radians(angle)) * Math.sin(radians(torsion))
+  ];
+  return c.map((v, i) => v + d[0] * bc[i] + d[1] * m[i] + d[2] * n[i]);
+}
+
+// Polyalanine backbone atoms with the same phi/psi at every residue
+function backbone(count, phi, psi, { chain = 'A', start = 1, shift = [0, 0, 0] } = {}) {
+  const atoms = [];
+  let [n, ca] = [[0, 0, 0], [1.458, 0, 0]];
+  let c = place([0, 1, 0], n, ca, 1.525, 111.2, -60);
+
+  for (let i = 0; i < count; i++) {
+    const nextN = place(n, ca, c, 1.329, 116.2, psi);
+    const o = place(n, ca, c, 1.231, 120.5, psi + 180);
+    Object.entries({ N: n, CA: ca, C: c, O: o }).forEach(([name, [x, y, z]]) => {
+      atoms.push({
+        element: name[0], x: x + shift[0], y: y + shift[1], z: z + shift[2],
+        name, residue: 'ALA', residueNumber: start + i, chain
+      });
+    });
+    const nextCA = place(ca, c, nextN, 1.458, 121.7, 180);
+    [n, ca, c] = [nextN, nextCA, place(c, nextN, nextCA, 1.525, 111.2, phi)];
+  }
+  return atoms;
+}
+
+const helix = count => backbone(count, -57, -47);
+const strand = (count, options) => backbone(count, -120, 130, options);
+
+describe('residueType', () => {
+  test('should classify residues by name', () => {
+    expect(residueType('GLY')).toBe('amino-acid');
+    expect(residueType('DA')).toBe('nucleotide');
+    expect(residueType('HOH')).toBe('water');
+    expect(residueType('HEM')).toBe('ligand');
+  });
+});
+
+describe('residueFields', () => {
+  test('should copy only the residue fields that are set', () => {
+    const atom = { element: 'C', x: 0, y: 0, z: 0, name: 'CA', residue: 'ALA', residueNumber: 1, chain: 'A', hetero: false };
+    expect(residueFields(atom)).toEqual({ name: 'CA', residue: 'ALA', residueNumber: 1, chain: 'A' });
+  });
+});
+
+describe('getResidues', () => {
+  test('should group atoms by chain, number and insertion code', () => {
+    const atoms = [
+      ...helix(2),
+      { element: 'N', x: 9, y: 0, z: 0, name: 'N', residue: 'GLY', residueNumber: 2, insertionCode: 'A', chain: 'A' },
+      { element: 'O', x: 20, y: 0, z: 0, name: 'O', residue: 'HOH', residueNumber: 101, chain: 'A', hetero: true },
+      { element: 'Na', x: 30, y: 0, z: 0 }
+    ];
+    const residues = getResidues({ atoms, bonds: [] });
+
+    expect(residues.map(r => `${r.name}${r.number}${r.insertionCode || ''}`)).toEqual(['ALA1', 'ALA2', 'GLY2A', 'HOH101']);
+    expect(residues[0]).toEqual({
+      chain: 'A', name: 'ALA', number: 1, type: 'amino-acid', code: 'A', hetero: false, atoms: [0, 1, 2, 3]
+    });
+    expect(residues[3]).toMatchObject({ type: 'water', hetero: true, atoms: [9] });
+  });
+});
+
+describe('assignSecondaryStructure', () => {
+  test('should find helices and strands from Cα geometry', () => {
+    const atoms = [...helix(12), ...strand(8, { start: 20, shift: [40, 0, 0] })];
+
+    expect(assignSecondaryStructure({ atoms, bonds: [] })).toEqual([
+      { type: 'helix', chain: 'A', start: 1, end: 12 },
+      { type: 'sheet', chain: 'A', start: 20, end: 27 }
+    ]);
+  });
+
+  test('should not assign structure to short or non-protein chains', () => {
+    expect(assignSecondaryStructure({ atoms: helix(4), bonds: [] })).toEqual([]);
+    expect(assignSecondaryStructure({ atoms: [{ element: 'O', x: 0, y: 0, z: 0 }], bonds: [] })).toEqual([]);
+  });
+});
+
+describe('getChains', () => {
+  test('should build sequences and mark secondary structure per residue', () => {
+    const atoms = [
+      ...helix(6),
+      ...strand(3, { chain: 'B' }),
+      { element: 'Fe', x: 30, y: 0, z: 0, name: 'FE', residue: 'HEM', residueNumber: 200, chain: 'B', hetero: true },
+      { element: 'O', x: 40, y: 0, z: 0, name: 'O', residue: 'HOH', residueNumber: 201, chain: 'C', hetero: true }
+    ];
+    const molecule = {
+      atoms,
+      bonds: [],
+      secondaryStructure: [{ type: 'helix', chain: 'A', start: 2, end: 4 }]
+    };
+    const chains = getChains(molecule);
+
+    expect(chains.map(c => [c.id, c.type, c.sequence])).toEqual([
+      ['A', 'protein', 'AAAAAA'],
+      ['B', 'protein', 'AAA']
+    ]);
+    expect(chains[0].residues.map(r => r.secondary)).toEqual(['coil', 'helix', 'helix', 'helix', 'coil', 'coil']);
+    expect(chains[1].residues[3]).toMatchObject({ name: 'HEM', type: 'ligand' });
+    expect(chains[1].residues[3].secondary).toBeUndefined();
+  });
+
+  test('should return no chains for molecules without residues', () => {
+    expect(getChains({ atoms: [{ element: 'O', x: 0, y: 0, z: 0 }], bonds: [] })).toEqual([]);
+  });
+});
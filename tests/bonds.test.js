@@ -0,0 +1,174 @@
+/**
+ * Tests for bond perception
+ */
+
+import {
+  perceiveBonds,
+  perceiveConnectivity,
+  assignBondOrders,
+  findAromaticBonds,
+  findRingBonds
+} from '../mcp-server/bonds.js';
+import { smilesToGraph } from '../mcp-server/smiles.js';
+import { embedMolecule } from '../mcp-server/embed.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const moleculeServer = new MoleculeServer();
+
+// Bonds as sorted "from-to:order" strings, independent of direction and order
+const bondKeys = bonds => bonds
+  .map(b => `${Math.min(b.from, b.to)}-${Math.max(b.from, b.to)}:${b.order}`)
+  .sort();
+
+const withoutBonds = molecule => ({ ...molecule, bonds: [] });
+const fromSmiles = smiles => embedMolecule(smilesToGraph(smiles));
+
+describe('perceiveConnectivity', () => {
+  test('should reproduce the connectivity of catalog molecules', () => {
+    ['water', 'methane', 'ethanol', 'benzene', 'co2'].forEach(id => {
+      const molecule = moleculeServer.getMolecule(id);
+      const singles = molecule.bonds.map(b => ({ ...b, order: 1 }));
+
+      expect(bondKeys(perceiveConnectivity(molecule.atoms))).toEqual(bondKeys(singles));
+    });
+  });
+
+  test('should not bond atoms that are too far apart or overlapping', () => {
+    const atoms = [
+      { element: 'C', x: 0, y: 0, z: 0 },
+      { element: 'C', x: 2.2, y: 0, z: 0 },
+      { element: 'O', x: 2.2, y: 0.1, z: 0 }
+    ];
+
+    expect(perceiveConnectivity(atoms)).toEqual([]);
+  });
+
+  test('should give hydrogen only its closest neighbor', () => {
+    const atoms = [
+      { element: 'O', x: 0, y: 0, z: 0 },
+      { element: 'H', x: 0.97, y: 0, z: 0 },
+      { element: 'O', x: 2.2, y: 0, z: 0 }
+    ];
+
+    expect(perceiveConnectivity(atoms)).toEqual([{ from: 0, to: 1, order: 1 }]);
+  });
+
+  test('should honor a custom tolerance', () => {
+    const atoms = [
+      { element: 'C', x: 0, y: 0, z: 0 },
+      { element: 'C', x: 1.9, y: 0, z: 0 }
+    ];
+
+    expect(perceiveConnectivity(atoms)).toHaveLength(1);
+    expect(perceiveConnectivity(atoms, { tolerance: 0.2 })).toEqual([]);
+  });
+});
+
+describe('assignBondOrders', () => {
+  test('should recover double and triple bonds', () => {
+    ['C=CC=C', 'CC#N', 'CC(=O)O', 'O=C=O'].forEach(smiles => {
+      const molecule = fromSmiles(smiles);
+      const bonds = perceiveConnectivity(molecule.atoms);
+
+      expect(bondKeys(assignBondOrders(molecule.atoms, bonds))).toEqual(bondKeys(molecule.bonds));
+    });
+  });
+
+  test('should find a Kekulé structure for fused rings', () => {
+    const molecule = fromSmiles('C1=CC=C2C=CC=CC2=C1');
+    const bonds = assignBondOrders(molecule.atoms, perceiveConnectivity(molecule.atoms));
+    const carbons = molecule.atoms.map((atom, index) => index).filter(i => molecule.atoms[i].element === 'C');
+
+    carbons.forEach(index => {
+      const doubles = bonds.filter(b => b.order === 2 && (b.from === index || b.to === index));
+      expect(doubles).toHaveLength(1);
+    });
+  });
+
+  test('should keep long bonds single when hydrogens are missing', () => {
+    const molecule = fromSmiles('CCCC');
+    const heavy = molecule.atoms.filter(atom => atom.element === 'C');
+    const bonds = assignBondOrders(heavy, perceiveConnectivity(heavy));
+
+    expect(bonds.every(b => b.order === 1)).toBe(true);
+  });
+
+  test('should account for formal charges', () => {
+    const molecule = fromSmiles('C[N+](C)(C)C');
+    const bonds = assignBondOrders(molecule.atoms, perceiveConnectivity(molecule.atoms));
+
+    expect(bonds.every(b => b.order === 1)).toBe(true);
+  });
+});
+
+describe('findAromaticBonds', () => {
+  test('should detect aromatic rings by Hückel\'s rule', () => {
+    ['C1=CC=CC=C1', 'C1=CC=NC=C1', 'C1=CNC=C1', 'C1=COC=C1', 'O=C1C=CC=CN1'].forEach(smiles => {
+      const molecule = fromSmiles(smiles);
+      const ring = findRingBonds(molecule.atoms, molecule.bonds)
+        .map((inRing, index) => (inRing ? index : -1))
+        .filter(index => index >= 0);
+
+      expect([...findAromaticBonds(molecule.atoms, molecule.bonds)].sort((a, b) => a - b)).toEqual(ring);
+    });
+  });
+
+  test('should reject rings that are not aromatic', () => {
+    ['C1CCCCC1', 'C1=CC=CC1', 'C1=CC=CC=CC=C1'].forEach(smiles => {
+      const molecule = fromSmiles(smiles);
+      expect(findAromaticBonds(molecule.atoms, molecule.bonds).size).toBe(0);
+    });
+  });
+
+  test('should keep bonds already flagged aromatic', () => {
+    const molecule = fromSmiles('c1ccccc1');
+    expect(findAromaticBonds(molecule.atoms, molecule.bonds).size).toBe(6);
+  });
+});
+
+describe('perceiveBonds', () => {
+  test('should mark perceived aromatic bonds', () => {
+    const benzene = perceiveBonds(withoutBonds(moleculeServer.getMolecule('benzene')));
+    const ring = benzene.bonds.filter(b => benzene.atoms[b.from].element === 'C' && benzene.atoms[b.to].element === 'C');
+
+    expect(ring).toHaveLength(6);
+    ring.forEach(bond => expect(bond).toEqual({ from: bond.from, to: bond.to, order: 1.5, aromatic: true }));
+  });
+
+  test('should match the bonds of non-aromatic catalog molecules', () => {
+    ['water', 'methane', 'ethanol', 'co2'].forEach(id => {
+      const molecule = moleculeServer.getMolecule(id);
+      expect(bondKeys(perceiveBonds(withoutBonds(molecule)).bonds)).toEqual(bondKeys(molecule.bonds));
+    });
+  });
+
+  test('should leave molecules that have bonds unchanged', () => {
+    const water = moleculeServer.getMolecule('water');
+    expect(perceiveBonds(water).bonds).toBe(water.bonds);
+  });
+
+  test('should bond polymer atoms that only hetero groups have CONECT bonds for', () => {
+    const residue = { residue: 'GLY', residueNumber: 1, chain: 'A' };
+    const ligand = { residue: 'EOH', residueNumber: 101, chain: 'A', hetero: true };
+    const molecule = {
+      atoms: [
+        { element: 'N', x: 0, y: 0, z: 0, name: 'N', ...residue },
+        { element: 'C', x: 1.458, y: 0, z: 0, name: 'CA', ...residue },
+        { element: 'C', x: 10, y: 0, z: 0, name: 'C1', ...ligand },
+        { element: 'O', x: 11.43, y: 0, z: 0, name: 'O1', ...ligand },
+        { element: 'C', x: 20, y: 0, z: 0, name: 'C2', ...ligand }
+      ],
+      bonds: [{ from: 2, to: 3, order: 1 }]
+    };
+
+    expect(bondKeys(perceiveBonds(molecule).bonds)).toEqual(['0-1:1', '2-3:1']);
+  });
+
+  test('should not modify the input molecule', () => {
+    const molecule = withoutBonds(moleculeServer.getMolecule('ethanol'));
+    const perceived = perceiveBonds(molecule);
+
+    expect(molecule.bonds).toEqual([]);
+    expect(perceived.bonds.length).toBe(8);
+  });
+});
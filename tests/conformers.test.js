@@ -0,0 +1,92 @@
+/**
+ * Tests for the conformer search
+ */
+
+import { findRotatableBonds, generateConformers, superpose } from '../mcp-server/conformers.js';
+import { embedMolecule } from '../mcp-server/embed.js';
+import { smilesToGraph } from '../mcp-server/smiles.js';
+
+const build = smiles => embedMolecule(smilesToGraph(smiles));
+
+describe('findRotatableBonds', () => {
+  test('should skip terminal, ring and multiple bonds', () => {
+    const butane = build('CCCC');
+    expect(findRotatableBonds(butane).map(index => butane.bonds[index])).toMatchObject([{ from: 1, to: 2 }]);
+
+    expect(findRotatableBonds(build('CCO'))).toEqual([]);
+    expect(findRotatableBonds(build('C1CCCCC1'))).toEqual([]);
+    expect(findRotatableBonds(build('CC=CC'))).toEqual([]);
+  });
+
+  test('should find the bond between a ring and a chain', () => {
+    const molecule = build('CCc1ccccc1');
+    const rotatable = findRotatableBonds(molecule).map(index => molecule.bonds[index]);
+
+    expect(rotatable).toMatchObject([{ from: 1, to: 2 }]);
+  });
+});
+
+describe('superpose', () => {
+  test('should undo a rotation and translation', () => {
+    const reference = [0, 0, 0, 1.5, 0, 0, 0, 2, 0, 0, 0, 2.5];
+    const [cos, sin] = [Math.cos(1), Math.sin(1)];
+    const moved = [];
+    for (let i = 0; i < 4; i++) {
+      const [x, y, z] = reference.slice(3 * i, 3 * i + 3);
+      moved.push(x * cos - z * sin + 3, y - 1, x * sin + z * cos + 2);
+    }
+
+    const { rmsd, coordinates } = superpose(reference, moved, [0, 1, 2, 3]);
+
+    expect(rmsd).toBeCloseTo(0, 6);
+    Array.from(coordinates).forEach((value, i) => expect(value).toBeCloseTo(reference[i], 6));
+  });
+
+  test('should not superpose mirror images', () => {
+    const reference = [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1];
+    const mirrored = reference.map((value, i) => (i % 3 === 2 ? -value : value));
+
+    expect(superpose(reference, mirrored, [0, 1, 2, 3]).rmsd).toBeGreaterThan(0.1);
+  });
+});
+
+describe('generateConformers', () => {
+  test('should find the anti and gauche conformers of butane', () => {
+    const { rotatableBonds, starts, conformers } = generateConformers(build('CCCC'));
+
+    expect(rotatableBonds).toEqual([[1, 2]]);
+    expect(starts).toBe(3);
+    expect(conformers.map(c => c.rank)).toEqual([1, 2, 3]);
+    expect(conformers[0]).toMatchObject({ relativeEnergy: 0, rmsd: 0 });
+    conformers.slice(1).forEach(conformer => {
+      expect(conformer.relativeEnergy).toBeGreaterThan(0);
+      expect(conformer.rmsd).toBeGreaterThan(0.5);
+    });
+    expect(conformers[0].coordinates).toHaveLength(42);
+  });
+
+  test('should rank by energy and respect count and rmsdThreshold', () => {
+    const molecule = build('CCCCCC');
+    const { conformers } = generateConformers(molecule, { count: 4 });
+
+    expect(conformers).toHaveLength(4);
+    const energies = conformers.map(c => c.energy);
+    expect(energies).toEqual([...energies].sort((a, b) => a - b));
+    conformers.forEach(c => expect(c.relativeEnergy).toBeCloseTo(c.energy - energies[0], 2));
+
+    expect(generateConformers(molecule, { rmsdThreshold: 5 }).conformers).toHaveLength(1);
+  });
+
+  test('should return a single minimized geometry for rigid molecules', () => {
+    const { rotatableBonds, conformers } = generateConformers(build('c1ccccc1'));
+
+    expect(rotatableBonds).toEqual([]);
+    expect(conformers).toHaveLength(1);
+    expect(conformers[0]).toMatchObject({ rank: 1, relativeEnergy: 0, rmsd: 0 });
+  });
+
+  test('should be deterministic', () => {
+    const molecule = build('CCOCCN');
+    expect(generateConformers(molecule)).toEqual(generateConformers(molecule));
+  });
+});
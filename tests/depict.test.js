@@ -0,0 +1,126 @@
+/**
+ * Tests for the 2D depiction layout
+ */
+
+import { depictMolecule } from '../mcp-server/depict.js';
+import { smilesToGraph } from '../mcp-server/smiles.js';
+
+const depict = smiles => depictMolecule(smilesToGraph(smiles));
+
+const byIndex = depiction => new Map(depiction.atoms.map(atom => [atom.index, atom]));
+
+const bondLengths = depiction => {
+  const atoms = byIndex(depiction);
+  return depiction.bonds.map(({ from, to }) =>
+    Math.hypot(atoms.get(from).x - atoms.get(to).x, atoms.get(from).y - atoms.get(to).y));
+};
+
+// Smallest distance between any two drawn atoms
+const closestPair = depiction => {
+  let closest = Infinity;
+  depiction.atoms.forEach((a, i) => depiction.atoms.slice(i + 1).forEach(b => {
+    closest = Math.min(closest, Math.hypot(a.x - b.x, a.y - b.y));
+  }));
+  return closest;
+};
+
+describe('depictMolecule', () => {
+  test('should hide hydrogens on heavy atoms and leave carbons unlabeled', () => {
+    const depiction = depict('CCO');
+
+    expect(depiction.atoms.map(atom => atom.element)).toEqual(['C', 'C', 'O']);
+    expect(depiction.atoms.map(atom => atom.label)).toEqual([null, null, 'OH']);
+    expect(depiction.atoms.map(atom => atom.hydrogens)).toEqual([3, 2, 1]);
+    expect(depiction.bonds).toHaveLength(2);
+  });
+
+  test('should label isolated atoms and charges', () => {
+    const depiction = depict('[NH4+].[Cl-].C');
+
+    expect(depiction.atoms.map(atom => atom.label)).toEqual(['NH4+', 'Cl−', 'CH4']);
+    // Fragments are laid out left to right
+    const xs = depiction.atoms.map(atom => atom.x);
+    expect(xs).toEqual([...xs].sort((a, b) => a - b));
+  });
+
+  test('should draw chains as a zig-zag with 120 degree angles', () => {
+    const depiction = depict('CCCCCC');
+    const ys = depiction.atoms.map(atom => atom.y);
+
+    bondLengths(depiction).forEach(length => expect(length).toBeCloseTo(1, 2));
+    // Alternating up and down, advancing left to right
+    ys.slice(1).forEach((y, i) => expect(Math.sign(y - ys[i])).toBe(i % 2 === 0 ? -1 : 1));
+    expect(depiction.atoms[5].x - depiction.atoms[0].x).toBeCloseTo(5 * Math.cos(Math.PI / 6), 2);
+  });
+
+  test('should lay fused rings out as regular hexagons', () => {
+    const depiction = depict('c1ccc2c(c1)ccc1ccccc12');
+
+    expect(depiction.rings).toHaveLength(3);
+    depiction.rings.forEach(ring => {
+      expect(ring.atoms).toHaveLength(6);
+      expect(ring.aromatic).toBe(true);
+    });
+    bondLengths(depiction).forEach(length => expect(length).toBeCloseTo(1, 2));
+    expect(closestPair(depiction)).toBeCloseTo(1, 2);
+  });
+
+  test('should place spiro and bridged rings without stacking atoms', () => {
+    const spiro = depict('C1CC12CC2');
+    expect(spiro.rings.map(ring => ring.atoms.length)).toEqual([3, 3]);
+    expect(closestPair(spiro)).toBeCloseTo(1, 2);
+
+    const norbornane = depict('C1CC2CCC1C2');
+    expect(norbornane.rings).toHaveLength(2);
+    expect(closestPair(norbornane)).toBeGreaterThan(0.5);
+  });
+
+  test('should keep substituents off the ring', () => {
+    const depiction = depict('CC(C)Cc1ccc(cc1)C(C)C(=O)O');
+
+    bondLengths(depiction).forEach(length => expect(length).toBeCloseTo(1, 2));
+    expect(closestPair(depiction)).toBeGreaterThan(0.99);
+  });
+
+  test('should turn a chain away from a neighbouring substituent', () => {
+    // The acetyl group of aspirin zig-zags into the ortho carboxyl group
+    expect(closestPair(depict('CC(=O)Oc1ccccc1C(=O)O'))).toBeGreaterThan(0.99);
+  });
+
+  test('should draw triple bonds and allenes straight', () => {
+    const depiction = depict('CC#CC');
+    const [a, b, c, d] = depiction.atoms;
+
+    expect(Math.atan2(d.y - c.y, d.x - c.x)).toBeCloseTo(Math.atan2(b.y - a.y, b.x - a.x), 2);
+  });
+
+  test('should put the second line of a double bond where it belongs', () => {
+    // Ring double bonds point into the ring
+    const ring = depict('C1=CCCCC1');
+    const atoms = byIndex(ring);
+    const [bond] = ring.bonds.filter(b => b.order === 2);
+    const [from, to] = [atoms.get(bond.from), atoms.get(bond.to)];
+    const center = {
+      x: ring.atoms.reduce((sum, atom) => sum + atom.x, 0) / 6,
+      y: ring.atoms.reduce((sum, atom) => sum + atom.y, 0) / 6
+    };
+    const left = (to.x - from.x) * (center.y - from.y) - (to.y - from.y) * (center.x - from.x) > 0;
+    expect(bond.side).toBe(left ? 1 : -1);
+
+    // Terminal double bonds are centered
+    expect(depict('CC(C)=O').bonds.find(b => b.order === 2).side).toBe(0);
+    expect(depict('CC=CC').bonds.find(b => b.order === 2).side).not.toBe(0);
+  });
+
+  test('should mark aromatic bonds and rings only when the whole ring is aromatic', () => {
+    const depiction = depict('O=C1C=CC(=O)C=C1c1ccccc1');
+
+    expect(depiction.rings.map(ring => ring.aromatic).sort()).toEqual([false, true]);
+    expect(depiction.bonds.filter(bond => bond.aromatic)).toHaveLength(6);
+    expect(depiction.bonds.find(bond => bond.aromatic)).toMatchObject({ order: 1.5, side: 0 });
+  });
+
+  test('should be deterministic', () => {
+    expect(depict('CN1C=NC2=C1C(=O)N(C(=O)N2C)C')).toEqual(depict('CN1C=NC2=C1C(=O)N(C(=O)N2C)C'));
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for the periodic table module
+ */
+
+import { ELEMENTS, getElement } from '../mcp-server/elements.js';
+
+describe('ELEMENTS', () => {
+  test('should list elements 1 to 118 with unique symbols', () => {
+    expect(ELEMENTS.map(e => e.number)).toEqual(Array.from({ length: 118 }, (_, i) => i + 1));
+    expect(new Set(ELEMENTS.map(e => e.symbol)).size).toBe(118);
+  });
+
+  test('should give every element a name, mass, color and covalent radius', () => {
+    ELEMENTS.forEach(element => {
+      expect(element.name).toMatch(/^[A-Z][a-z]+$/);
+      expect(element.mass).toBeGreaterThan(0);
+      expect(element.color).toMatch(/^#[0-9A-F]{6}$/);
+      expect(element.covalentRadius).toBeGreaterThan(0);
+      expect(Array.isArray(element.valences)).toBe(true);
+    });
+  });
+
+  test('should have increasing masses apart from known inversions', () => {
+    // Ar/K, Co/Ni, Te/I, Th/Pa, U/Np and Pu/Am are heavier than their successors
+    const inversions = ELEMENTS.slice(1)
+      .filter((element, i) => element.mass < ELEMENTS[i].mass)
+      .map(element => element.symbol);
+
+    expect(inversions).toEqual(['K', 'Ni', 'I', 'Pa', 'Np', 'Am']);
+  });
+
+  test('should leave unknown values null', () => {
+    expect(getElement('He').electronegativity).toBeNull();
+    expect(getElement('Og').vdwRadius).toBeNull();
+  });
+});
+
+describe('getElement', () => {
+  test('should look up elements by symbol', () => {
+    expect(getElement('C')).toMatchObject({ number: 6, name: 'Carbon', mass: 12.011, vdwRadius: 1.70, valences: [4] });
+    expect(getElement('Cl').electronegativity).toBe(3.16);
+    expect(getElement('O').monoisotopicMass).toBe(15.99491462);
+    expect(getElement('Pd').monoisotopicMass).toBe(105.90348);
+    expect(getElement('Tc').monoisotopicMass).toBeNull();
+  });
+
+  test('should return null for unknown symbols', () => {
+    expect(getElement('Xx')).toBeNull();
+    expect(getElement('c')).toBeNull();
+  });
+});
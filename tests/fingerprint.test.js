@@ -0,0 +1,76 @@
+/**
+ * Tests for molecular fingerprints and similarity
+ */
+
+import { morganFingerprint, tanimoto, FINGERPRINT_BITS } from '../mcp-server/fingerprint.js';
+import { smilesToGraph } from '../mcp-server/smiles.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const fingerprint = smiles => morganFingerprint(smilesToGraph(smiles));
+const similarity = (a, b) => tanimoto(fingerprint(a), fingerprint(b));
+
+describe('morganFingerprint', () => {
+  test('should return sorted, unique bit indices within range', () => {
+    const bits = fingerprint('CC(=O)Oc1ccccc1C(=O)O');
+
+    expect(bits.length).toBeGreaterThan(10);
+    expect(bits).toEqual([...new Set(bits)].sort((a, b) => a - b));
+    expect(bits.every(bit => bit >= 0 && bit < FINGERPRINT_BITS)).toBe(true);
+  });
+
+  test('should not depend on atom order', () => {
+    expect(fingerprint('OCC')).toEqual(fingerprint('CCO'));
+  });
+
+  test('should ignore coordinates', () => {
+    const moleculeServer = new MoleculeServer();
+    const ethanol = moleculeServer.getMolecule('ethanol');
+    const moved = { ...ethanol, atoms: ethanol.atoms.map(a => ({ ...a, x: a.x + 5 })) };
+
+    expect(morganFingerprint(moved)).toEqual(morganFingerprint(ethanol));
+  });
+
+  test('should fingerprint molecules without heavy atoms', () => {
+    expect(fingerprint('[H][H]').length).toBeGreaterThan(0);
+  });
+
+  test('should treat Kekulé and aromatic benzene alike', () => {
+    expect(fingerprint('C1=CC=CC=C1')).toEqual(fingerprint('c1ccccc1'));
+  });
+});
+
+describe('tanimoto', () => {
+  test('should be 1 for identical and 0 for disjoint fingerprints', () => {
+    expect(tanimoto([1, 5, 9], [1, 5, 9])).toBe(1);
+    expect(tanimoto([1, 2], [3, 4])).toBe(0);
+    expect(tanimoto([1, 2, 3], [2, 3, 4])).toBe(0.5);
+  });
+
+  test('should rank close analogues above unrelated molecules', () => {
+    expect(similarity('CCO', 'CCCO')).toBeGreaterThan(similarity('CCO', 'c1ccccc1'));
+    expect(similarity('c1ccccc1O', 'c1ccccc1C')).toBeGreaterThan(similarity('c1ccccc1O', 'CCCCCC'));
+  });
+});
+
+describe('MoleculeServer.findSimilar', () => {
+  const moleculeServer = new MoleculeServer();
+
+  test('should rank private molecules and apply the threshold', () => {
+    const propanol = { id: 'user-1', owner: 'alice', version: 1, ...smilesToGraph('CCCO'), name: 'Propanol' };
+    const ethanol = moleculeServer.getMolecule('ethanol');
+
+    const results = moleculeServer.findSimilar(ethanol, { threshold: 0.2 }, [propanol]);
+    expect(results.map(r => r.id)).toEqual(['user-1']);
+    expect(results[0].similarity).toBeGreaterThan(0.2);
+  });
+
+  test('should cache fingerprints per molecule', () => {
+    const water = moleculeServer.getMolecule('water');
+    expect(moleculeServer.getFingerprint(water)).toBe(moleculeServer.getFingerprint(water));
+  });
+
+  test('should limit the number of results', () => {
+    const results = moleculeServer.findSimilar(moleculeServer.getMolecule('water'), { threshold: 0, limit: 2 });
+    expect(results.length).toBe(2);
+  });
+});
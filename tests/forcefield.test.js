@@ -0,0 +1,179 @@
+/**
+ * Tests for the force field and minimizer
+ */
+
+import {
+  buildForceField,
+  calculateEnergy,
+  minimizeCoordinates,
+  minimizeMolecule,
+  atomCoordinates,
+  MAX_PATH_FRAMES
+} from '../mcp-server/forcefield.js';
+import { embedMolecule, idealBondLength } from '../mcp-server/embed.js';
+import { smilesToGraph } from '../mcp-server/smiles.js';
+
+const distance = (coords, i, j) =>
+  Math.hypot(coords[3 * i] - coords[3 * j], coords[3 * i + 1] - coords[3 * j + 1], coords[3 * i + 2] - coords[3 * j + 2]);
+
+// Dihedral angle p-q-r-s in degrees
+function torsion(coords, [p, q, r, s]) {
+  const at = i => [0, 1, 2].map(d => coords[3 * i + d]);
+  const sub = (u, v) => u.map((x, d) => x - v[d]);
+  const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+  const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+  const [b1, b2, b3] = [sub(at(q), at(p)), sub(at(r), at(q)), sub(at(s), at(r))];
+  const [n1, n2] = [cross(b1, b2), cross(b2, b3)];
+  const y = dot(cross(n1, n2), b2) / Math.hypot(...b2);
+  return Math.atan2(y, dot(n1, n2)) * 180 / Math.PI;
+}
+
+describe('buildForceField', () => {
+  test('should collect bond, angle, torsion and van der Waals terms', () => {
+    const forceField = buildForceField(smilesToGraph('CC'));
+
+    expect(forceField.atomCount).toBe(8);
+    expect(forceField.bonds).toHaveLength(7);
+    // Three angles at each carbon between its hydrogens, three with the other carbon
+    expect(forceField.angles).toHaveLength(12);
+    expect(forceField.torsions).toHaveLength(9);
+    expect(forceField.torsions[0]).toMatchObject({ n: 3, sign: -1 });
+    // Only the hydrogen pairs across the C-C bond are three bonds apart
+    expect(forceField.pairs).toHaveLength(9);
+    expect(forceField.inversions).toEqual([]);
+  });
+
+  test('should keep sp2 centres planar', () => {
+    const forceField = buildForceField(smilesToGraph('C=O'));
+
+    expect(forceField.inversions).toHaveLength(3);
+    expect(forceField.angles.every(angle => Math.abs(angle.cos + 0.5) < 1e-9)).toBe(true);
+  });
+});
+
+describe('calculateEnergy', () => {
+  test('should match a numerical gradient', () => {
+    const molecule = embedMolecule(smilesToGraph('CC(=O)Nc1ccccc1'));
+    const forceField = buildForceField(molecule);
+    const coords = atomCoordinates(molecule.atoms).map((value, i) => value + 0.1 * Math.sin(i));
+    const gradient = new Float64Array(coords.length);
+    calculateEnergy(forceField, coords, gradient);
+
+    const step = 1e-5;
+    for (let i = 0; i < coords.length; i++) {
+      const plus = Float64Array.from(coords);
+      const minus = Float64Array.from(coords);
+      plus[i] += step;
+      minus[i] -= step;
+      const numerical = (calculateEnergy(forceField, plus).total - calculateEnergy(forceField, minus).total) / (2 * step);
+      expect(gradient[i]).toBeCloseTo(numerical, 4);
+    }
+  });
+
+  test('should split the energy by term', () => {
+    const molecule = embedMolecule(smilesToGraph('CCO'));
+    const energy = calculateEnergy(buildForceField(molecule), atomCoordinates(molecule.atoms));
+
+    expect(Object.keys(energy)).toEqual(['bond', 'angle', 'torsion', 'inversion', 'vdw', 'total']);
+    expect(energy.total).toBeCloseTo(energy.bond + energy.angle + energy.torsion + energy.inversion + energy.vdw, 10);
+  });
+});
+
+describe('minimizeCoordinates', () => {
+  test('should relax a distorted structure to ideal bond lengths', () => {
+    const molecule = embedMolecule(smilesToGraph('CCCC'));
+    const forceField = buildForceField(molecule);
+    const coords = atomCoordinates(molecule.atoms).map((value, i) => value + 0.2 * Math.cos(3 * i));
+    const before = calculateEnergy(forceField, coords).total;
+
+    const result = minimizeCoordinates(forceField, coords);
+
+    expect(result.converged).toBe(true);
+    expect(result.energy).toBeLessThan(before);
+    expect(result.energy).toBeCloseTo(calculateEnergy(forceField, coords).total, 10);
+    expect(distance(coords, 0, 1)).toBeCloseTo(idealBondLength('C', 'C'), 1);
+  });
+
+  test('should settle butane in a staggered conformation', () => {
+    const molecule = embedMolecule(smilesToGraph('CCCC'));
+    const coords = atomCoordinates(molecule.atoms);
+    minimizeCoordinates(buildForceField(molecule), coords);
+
+    const angle = Math.abs(torsion(coords, [0, 1, 2, 3]));
+    expect(Math.min(Math.abs(angle - 60), Math.abs(angle - 180))).toBeLessThan(15);
+  });
+
+  test('should stop at the iteration limit', () => {
+    const molecule = embedMolecule(smilesToGraph('CCCCCC'));
+    const coords = atomCoordinates(molecule.atoms).map((value, i) => value + 0.3 * Math.sin(i));
+
+    expect(minimizeCoordinates(buildForceField(molecule), coords, { maxIterations: 2 })).toMatchObject({
+      iterations: 2,
+      converged: false
+    });
+  });
+
+  test.each(['conjugate-gradient', 'steepest-descent'])('should lower the energy by %s', method => {
+    const molecule = embedMolecule(smilesToGraph('CCO'));
+    const forceField = buildForceField(molecule);
+    const coords = atomCoordinates(molecule.atoms).map((value, i) => value + 0.2 * Math.cos(3 * i));
+    const before = calculateEnergy(forceField, coords).total;
+
+    const result = minimizeCoordinates(forceField, coords, { method, maxIterations: 2000 });
+
+    expect(result.energy).toBeLessThan(before);
+    expect(distance(coords, 0, 1)).toBeCloseTo(idealBondLength('C', 'C'), 1);
+  });
+
+  test('should report every step with a falling energy', () => {
+    const molecule = embedMolecule(smilesToGraph('CCCC'));
+    const coords = atomCoordinates(molecule.atoms).map((value, i) => value + 0.2 * Math.sin(i));
+    const steps = [];
+
+    const result = minimizeCoordinates(buildForceField(molecule), coords, {
+      onStep: (current, energy, iteration) => steps.push({ energy, iteration })
+    });
+
+    expect(steps.map(step => step.iteration)).toEqual(Array.from({ length: result.iterations }, (_, i) => i + 1));
+    steps.slice(1).forEach((step, i) => expect(step.energy).toBeLessThanOrEqual(steps[i].energy));
+    expect(steps.at(-1).energy).toBe(result.energy);
+  });
+});
+
+describe('minimizeMolecule', () => {
+  test('should thin the path to evenly spaced steps from start to finish', () => {
+    const molecule = embedMolecule(smilesToGraph('CC(=O)Nc1ccccc1'));
+    molecule.atoms = molecule.atoms.map((atom, i) => ({ ...atom, x: atom.x + 0.3 * Math.sin(i) }));
+
+    const result = minimizeMolecule(molecule, { method: 'steepest-descent', maxIterations: 300 });
+    const { iterations, energies, frames } = result.path;
+
+    expect(frames.length).toBeLessThanOrEqual(MAX_PATH_FRAMES);
+    expect(frames.length).toBeGreaterThan(MAX_PATH_FRAMES / 2);
+    expect(iterations[0]).toBe(0);
+    expect(iterations.at(-1)).toBe(300);
+    const stride = iterations[1];
+    iterations.slice(1, -1).forEach((iteration, i) => expect(iteration).toBe((i + 1) * stride));
+    expect(energies[0]).toBeCloseTo(result.initialEnergy.total, 2);
+    expect(energies.at(-1)).toBeCloseTo(result.energy.total, 2);
+    expect(frames.at(-1)).toEqual(result.atoms.flatMap(atom => [atom.x, atom.y, atom.z]));
+  });
+
+  test('should leave the input molecule unchanged', () => {
+    const molecule = embedMolecule(smilesToGraph('CCO'));
+    const atoms = structuredClone(molecule.atoms);
+
+    const result = minimizeMolecule(molecule, { maxIterations: 5 });
+
+    expect(result.path.frames).toHaveLength(6);
+    expect(molecule.atoms).toEqual(atoms);
+  });
+
+  test('should take fewer steps on larger molecules', () => {
+    // Neon atoms 10 Å apart feel no force, so this converges at once
+    const atoms = Array.from({ length: 400 }, (_, i) => ({ element: 'Ne', x: (i % 20) * 10, y: Math.floor(i / 20) * 10, z: 0 }));
+
+    expect(minimizeMolecule({ atoms, bonds: [] }, { maxIterations: 5000 }).maxIterations).toBe(156);
+    expect(minimizeMolecule(embedMolecule(smilesToGraph('CCO')), { maxIterations: 5000 }).maxIterations).toBe(5000);
+  });
+});
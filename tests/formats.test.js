@@ -0,0 +1,468 @@
+/**
+ * Tests for chemical file format parsers
+ */
+
+import {
+  detectFormat,
+  hillFormula,
+  parseMolecules,
+  parseXYZ,
+  parseMol,
+  parseSDF,
+  parsePDB,
+  parseCIF,
+  writeMolecule,
+  writeXYZ,
+  writeMol,
+  writeSDF,
+  writePDB,
+  writeCIF,
+  ParseError
+} from '../mcp-server/formats.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const WATER_XYZ = `3
+Water
+O   0.000   0.000   0.000
+H   0.757   0.586   0.000
+H  -0.757   0.586   0.000
+`;
+
+const METHANOL_V2000 = `Methanol
+  MOLECULAI
+
+  3  2  0  0  0  0  0  0  0  0999 V2000
+   -0.7500    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.6700    0.0000    0.0000 O   0  5  0  0  0  0  0  0  0  0  0  0
+   -1.1000    1.0000    0.0000 H   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  1  0
+  1  3  1  0
+M  END
+`;
+
+const ETHENE_V3000 = `Ethene
+  MOLECULAI
+
+  0  0  0     0  0            999 V3000
+M  V30 BEGIN CTAB
+M  V30 COUNTS 2 1 0 0 0
+M  V30 BEGIN ATOM
+M  V30 1 C -0.6650 0.0000 0.0000 0
+M  V30 2 C 0.6650 0.0000 0.0000 0 -
+M  V30 CHG=1
+M  V30 END ATOM
+M  V30 BEGIN BOND
+M  V30 1 2 1 2
+M  V30 END BOND
+M  V30 END CTAB
+M  END
+`;
+
+const TWO_RECORD_SDF = `${METHANOL_V2000}> <NAME>
+Methanol
+
+$$$$
+
+  MOLECULAI
+
+  1  0  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 Na  0  3  0  0  0  0  0  0  0  0  0  0
+M  END
+> <NAME>
+Sodium ion
+
+$$$$
+`;
+
+const CO2_PDB = `COMPND    CARBON DIOXIDE
+HETATM    1  C   CO2 A   1       0.000   0.000   0.000  1.00  0.00           C
+HETATM    2  O1  CO2 A   1       1.162   0.000   0.000  1.00  0.00           O
+HETATM    3  O2  CO2 A   1      -1.162   0.000   0.000  1.00  0.00
+CONECT    1    2    2    3    3
+CONECT    2    1    1
+CONECT    3    1    1
+END
+`;
+
+const DIPEPTIDE_PDB = `HELIX    1   1 ALA A    1  GLY A    2  1                                   2
+ATOM      1  N   ALA A   1       0.000   0.000   0.000  1.00  0.00           N
+ATOM      2  CA AALA A   1       1.458   0.000   0.000  0.60  0.00           C
+ATOM      3  CA BALA A   1       1.500   0.200   0.000  0.40  0.00           C
+ATOM      4  N   GLY A   2A      3.000   1.000   0.000  1.00  0.00           N
+HETATM    5  O   HOH A 101       9.000   9.000   9.000  1.00  0.00           O
+END
+`;
+
+const DIPEPTIDE_CIF = `data_1ABC
+_struct.title 'Test dipeptide'
+loop_
+_atom_site.group_PDB
+_atom_site.id
+_atom_site.type_symbol
+_atom_site.label_atom_id
+_atom_site.label_alt_id
+_atom_site.label_comp_id
+_atom_site.label_asym_id
+_atom_site.label_seq_id
+_atom_site.Cartn_x
+_atom_site.Cartn_y
+_atom_site.Cartn_z
+_atom_site.auth_seq_id
+_atom_site.auth_asym_id
+_atom_site.pdbx_PDB_model_num
+ATOM   1 N N   . ALA A 1 0.000 0.000 0.000 10 B 1
+ATOM   2 C CA  A ALA A 1 1.458 0.000 0.000 10 B 1
+ATOM   3 C CA  B ALA A 1 1.500 0.200 0.000 10 B 1
+ATOM   4 N N   . GLY A 2 3.000 1.000 0.000 11 B 1
+HETATM 5 O O   . HOH C . 9.000 9.000 9.000 201 B 1
+ATOM   6 N N   . ALA A 1 0.000 0.000 0.500 10 B 2
+ATOM   7 C CA  . ALA A 1 1.458 0.000 0.500 10 B 2
+ATOM   8 N N   . GLY A 2 3.000 1.000 0.500 11 B 2
+HETATM 9 O O   . HOH C . 9.000 9.000 9.500 201 B 2
+#
+loop_
+_struct_conf.conf_type_id
+_struct_conf.beg_auth_asym_id
+_struct_conf.beg_auth_seq_id
+_struct_conf.end_auth_asym_id
+_struct_conf.end_auth_seq_id
+HELX_P B 10 B 11
+TURN_P B 11 B 11
+`;
+
+describe('detectFormat', () => {
+  test('should detect formats from file extensions', () => {
+    expect(detectFormat('water.xyz')).toBe('xyz');
+    expect(detectFormat('drug.MOL')).toBe('mol');
+    expect(detectFormat('library.sdf')).toBe('sdf');
+    expect(detectFormat('1abc.pdb')).toBe('pdb');
+    expect(detectFormat('1abc.cif')).toBe('cif');
+  });
+
+  test('should detect formats from content', () => {
+    expect(detectFormat('', WATER_XYZ)).toBe('xyz');
+    expect(detectFormat('', METHANOL_V2000)).toBe('mol');
+    expect(detectFormat('', TWO_RECORD_SDF)).toBe('sdf');
+    expect(detectFormat('', CO2_PDB)).toBe('pdb');
+    expect(detectFormat('', DIPEPTIDE_CIF)).toBe('cif');
+  });
+
+  test('should return null for unrecognized content', () => {
+    expect(detectFormat('notes.txt', 'hello world')).toBeNull();
+  });
+});
+
+describe('hillFormula', () => {
+  test('should put carbon and hydrogen first', () => {
+    const atoms = ['O', 'H', 'C', 'H', 'N', 'C'].map(element => ({ element }));
+    expect(hillFormula(atoms)).toBe('C2H2NO');
+  });
+
+  test('should sort alphabetically without carbon', () => {
+    const atoms = ['O', 'H', 'H', 'Na', 'Cl'].map(element => ({ element }));
+    expect(hillFormula(atoms)).toBe('ClH2NaO');
+  });
+});
+
+describe('parseXYZ', () => {
+  test('should parse atoms and use the comment as name', () => {
+    const molecule = parseXYZ(WATER_XYZ);
+
+    expect(molecule.name).toBe('Water');
+    expect(molecule.formula).toBe('H2O');
+    expect(molecule.atoms.length).toBe(3);
+    expect(molecule.atoms[1]).toEqual({ element: 'H', x: 0.757, y: 0.586, z: 0 });
+    expect(molecule.bonds).toEqual([]);
+  });
+
+  test('should accept atomic numbers as elements', () => {
+    const molecule = parseXYZ('1\n\n8 0 0 0\n');
+    expect(molecule.atoms[0].element).toBe('O');
+  });
+
+  test('should report missing atoms with line number', () => {
+    expect(() => parseXYZ('3\nWater\nO 0 0 0\n')).toThrow('Line 4: Expected 3 atoms but found 1');
+  });
+
+  test('should report bad coordinates with line number', () => {
+    try {
+      parseXYZ('1\n\nO 0 abc 0\n');
+      throw new Error('expected ParseError');
+    } catch (error) {
+      expect(error).toBeInstanceOf(ParseError);
+      expect(error.line).toBe(3);
+      expect(error.message).toContain('Invalid y coordinate');
+    }
+  });
+
+  test('should read further records as trajectory frames', () => {
+    const molecule = parseXYZ(`${WATER_XYZ}3\nstep 2\nO 0 0 0.1\nH 0.757 0.586 0.1\nH -0.757 0.586 0.1\n`);
+
+    expect(molecule.name).toBe('Water');
+    expect(molecule.atoms[0]).toEqual({ element: 'O', x: 0, y: 0, z: 0 });
+    expect(molecule.frames).toEqual([
+      [0, 0, 0, 0.757, 0.586, 0, -0.757, 0.586, 0],
+      [0, 0, 0.1, 0.757, 0.586, 0.1, -0.757, 0.586, 0.1]
+    ]);
+    expect(parseXYZ(WATER_XYZ).frames).toBeUndefined();
+  });
+
+  test('should reject frames with different atoms', () => {
+    expect(() => parseXYZ(`${WATER_XYZ}1\n\nO 0 0 0\n`)).toThrow('Line 6: Frame 2 has 1 atoms, expected 3');
+    expect(() => parseXYZ(`${WATER_XYZ}3\n\nH 0 0 0\nO 1 0 0\nH 2 0 0\n`)).toThrow('Line 8: Frame 2 atom 1 is H, expected O');
+  });
+});
+
+describe('parseMol', () => {
+  test('should parse V2000 atoms, bonds and charges', () => {
+    const molecule = parseMol(METHANOL_V2000);
+
+    expect(molecule.name).toBe('Methanol');
+    expect(molecule.formula).toBe('CHO');
+    expect(molecule.atoms[1]).toEqual({ element: 'O', x: 0.67, y: 0, z: 0, charge: -1 });
+    expect(molecule.bonds).toEqual([
+      { from: 0, to: 1, order: 1 },
+      { from: 0, to: 2, order: 1 }
+    ]);
+  });
+
+  test('should let M  CHG override the atom block charge', () => {
+    const withCharge = METHANOL_V2000.replace('M  END', 'M  CHG  1   1   1\nM  END');
+    const molecule = parseMol(withCharge);
+
+    expect(molecule.atoms[0].charge).toBe(1);
+  });
+
+  test('should parse V3000 with continuation lines', () => {
+    const molecule = parseMol(ETHENE_V3000);
+
+    expect(molecule.atoms.length).toBe(2);
+    expect(molecule.atoms[1].charge).toBe(1);
+    expect(molecule.bonds).toEqual([{ from: 0, to: 1, order: 2 }]);
+  });
+
+  test('should report bonds to missing atoms with line number', () => {
+    const broken = METHANOL_V2000.replace('  1  3  1  0', '  1  7  1  0');
+    expect(() => parseMol(broken)).toThrow('Line 9: Bond refers to missing atom 7');
+  });
+});
+
+describe('parseSDF', () => {
+  test('should parse every record and read NAME fields', () => {
+    const molecules = parseSDF(TWO_RECORD_SDF);
+
+    expect(molecules.length).toBe(2);
+    expect(molecules[0].name).toBe('Methanol');
+    expect(molecules[1].name).toBe('Sodium ion');
+    expect(molecules[1].atoms[0]).toMatchObject({ element: 'Na', charge: 1 });
+  });
+
+  test('should report line numbers relative to the whole file', () => {
+    const broken = TWO_RECORD_SDF.replace('    0.0000    0.0000    0.0000 Na', '    0.0000    oops      0.0000 Na');
+    expect(() => parseSDF(broken)).toThrow(/^Line 19: Invalid y coordinate/);
+  });
+});
+
+describe('parsePDB', () => {
+  test('should parse HETATM records and CONECT bond orders', () => {
+    const molecule = parsePDB(CO2_PDB);
+
+    expect(molecule.name).toBe('CARBON DIOXIDE');
+    expect(molecule.formula).toBe('CO2');
+    expect(molecule.atoms.map(a => a.element)).toEqual(['C', 'O', 'O']);
+    expect(molecule.bonds).toEqual([
+      { from: 0, to: 1, order: 2 },
+      { from: 0, to: 2, order: 2 }
+    ]);
+  });
+
+  test('should read later models as trajectory frames', () => {
+    const pdb = `MODEL        1
+ATOM      1  N   GLY A   1       0.000   0.000   0.000  1.00  0.00           N
+ENDMDL
+MODEL        2
+ATOM      1  N   GLY A   1       1.000   0.000   0.000  1.00  0.00           N
+ENDMDL
+`;
+    const molecule = parsePDB(pdb);
+
+    expect(molecule.atoms.length).toBe(1);
+    expect(molecule.frames).toEqual([[0, 0, 0], [1, 0, 0]]);
+    const extra = 'ATOM      2  CA  GLY A   1       2.000   0.000   0.000  1.00  0.00           C\n';
+    expect(() => parsePDB(pdb.replace(/ENDMDL\n$/, `${extra}ENDMDL\n`))).toThrow('Line 7: Model 2 has 2 atoms, expected 1');
+  });
+
+  test('should report CONECT records to missing atoms', () => {
+    expect(() => parsePDB(`${CO2_PDB}CONECT    1    9\n`)).toThrow('Line 9: CONECT refers to missing atom 9');
+  });
+
+  test('should read residue fields and keep the first alternate location', () => {
+    const molecule = parsePDB(DIPEPTIDE_PDB);
+
+    expect(molecule.atoms.length).toBe(4);
+    expect(molecule.atoms[1]).toEqual({
+      element: 'C', x: 1.458, y: 0, z: 0,
+      name: 'CA', residue: 'ALA', residueNumber: 1, chain: 'A'
+    });
+    expect(molecule.atoms[2].insertionCode).toBe('A');
+    expect(molecule.atoms[3].hetero).toBe(true);
+  });
+
+  test('should read HELIX and SHEET records', () => {
+    const sheet = 'SHEET    1   A 2 GLY A   2  GLY A   5  0\n';
+    expect(parsePDB(`${DIPEPTIDE_PDB}${sheet}`).secondaryStructure).toEqual([
+      { type: 'helix', chain: 'A', start: 1, end: 2 },
+      { type: 'sheet', chain: 'A', start: 2, end: 5 }
+    ]);
+    expect(parsePDB(CO2_PDB).secondaryStructure).toBeUndefined();
+  });
+});
+
+describe('parseCIF', () => {
+  test('should read author residue numbering and later models as frames', () => {
+    const molecule = parseCIF(DIPEPTIDE_CIF);
+
+    expect(molecule.name).toBe('Test dipeptide');
+    expect(molecule.formula).toBe('CN2O');
+    expect(molecule.atoms.length).toBe(4);
+    expect(molecule.atoms[1]).toEqual({
+      element: 'C', x: 1.458, y: 0, z: 0,
+      name: 'CA', residue: 'ALA', residueNumber: 10, chain: 'B'
+    });
+    expect(molecule.atoms[3]).toMatchObject({ residue: 'HOH', residueNumber: 201, hetero: true });
+    expect(molecule.bonds).toEqual([]);
+    expect(molecule.frames).toEqual([
+      [0, 0, 0, 1.458, 0, 0, 3, 1, 0, 9, 9, 9],
+      [0, 0, 0.5, 1.458, 0, 0.5, 3, 1, 0.5, 9, 9, 9.5]
+    ]);
+  });
+
+  test('should reject models with a different number of atoms', () => {
+    const cif = DIPEPTIDE_CIF.replace('HETATM 9 O O   . HOH C . 9.000 9.000 9.500 201 B 2\n', '');
+    expect(() => parseCIF(cif)).toThrow('Model 2 has 3 atoms, expected 4');
+  });
+
+  test('should read helices from struct_conf and ignore turns', () => {
+    expect(parseCIF(DIPEPTIDE_CIF).secondaryStructure).toEqual([
+      { type: 'helix', chain: 'B', start: 10, end: 11 }
+    ]);
+  });
+
+  test('should fall back to the data block name', () => {
+    const cif = DIPEPTIDE_CIF.replace("_struct.title 'Test dipeptide'\n", '');
+    expect(parseCIF(cif).name).toBe('1ABC');
+  });
+
+  test('should reject files without atom sites', () => {
+    expect(() => parseCIF('data_empty\n_struct.title Empty\n')).toThrow(ParseError);
+  });
+});
+
+describe('parseMolecules', () => {
+  test('should reject unsupported formats', () => {
+    expect(() => parseMolecules('', 'mmtf')).toThrow('Unsupported format: mmtf');
+  });
+});
+
+describe('writers', () => {
+  const benzene = new MoleculeServer().getMolecule('benzene');
+  const charged = {
+    name: 'Ammonium',
+    formula: 'H4N',
+    atoms: [
+      { element: 'N', x: 0, y: 0, z: 0, charge: 1 },
+      { element: 'H', x: 0.59, y: 0.59, z: 0.59 },
+      { element: 'H', x: -0.59, y: -0.59, z: 0.59 },
+      { element: 'H', x: -0.59, y: 0.59, z: -0.59 },
+      { element: 'H', x: 0.59, y: -0.59, z: -0.59 }
+    ],
+    bonds: [
+      { from: 0, to: 1, order: 1 },
+      { from: 0, to: 2, order: 1 },
+      { from: 0, to: 3, order: 1 },
+      { from: 0, to: 4, order: 1 }
+    ]
+  };
+
+  test('should round-trip XYZ coordinates', () => {
+    const molecule = parseXYZ(writeXYZ(benzene));
+
+    expect(molecule.name).toBe('Benzene');
+    expect(molecule.atoms).toEqual(benzene.atoms.map(a => ({ element: a.element, x: a.x, y: a.y, z: a.z })));
+  });
+
+  test('should round-trip MOL atoms, bonds and charges', () => {
+    const molecule = parseMol(writeMol(charged));
+
+    expect(molecule.atoms[0]).toEqual({ element: 'N', x: 0, y: 0, z: 0, charge: 1 });
+    expect(molecule.bonds).toEqual(charged.bonds);
+  });
+
+  test('should write fixed-width V2000 lines', () => {
+    const lines = writeMol(benzene).split('\n');
+
+    expect(lines[3]).toBe(' 12 12  0  0  0  0  0  0  0  0999 V2000');
+    expect(lines[4].slice(31, 34)).toBe('C  ');
+    expect(lines[16]).toBe('  1  2  2  0');
+  });
+
+  test('should write SDF records with data fields', () => {
+    const sdf = writeSDF([benzene, charged]);
+    const molecules = parseSDF(sdf);
+
+    expect(sdf).toContain('> <NAME>\nBenzene\n');
+    expect(molecules.map(m => m.formula)).toEqual(['C6H6', 'H4N']);
+  });
+
+  test('should round-trip PDB coordinates and bond orders', () => {
+    const molecule = parsePDB(writePDB(benzene));
+
+    expect(molecule.formula).toBe('C6H6');
+    expect(molecule.atoms[0]).toEqual({
+      element: 'C', x: 1.207, y: 0.697, z: 0,
+      name: 'C1', residue: 'UNL', residueNumber: 1, chain: 'A', hetero: true
+    });
+    expect(molecule.bonds.find(b => b.from === 0 && b.to === 1).order).toBe(2);
+    expect(molecule.bonds.length).toBe(12);
+  });
+
+  test('should round-trip PDB residues and secondary structure', () => {
+    const molecule = parsePDB(writePDB(parsePDB(DIPEPTIDE_PDB)));
+
+    expect(molecule.atoms).toEqual(parsePDB(DIPEPTIDE_PDB).atoms);
+    expect(molecule.secondaryStructure).toEqual([{ type: 'helix', chain: 'A', start: 1, end: 2 }]);
+  });
+
+  test('should round-trip mmCIF atoms, residues and secondary structure', () => {
+    const original = parseCIF(DIPEPTIDE_CIF);
+    const molecule = parseCIF(writeCIF(original));
+
+    expect(molecule.name).toBe('Test dipeptide');
+    expect(molecule.atoms).toEqual(original.atoms);
+    expect(molecule.secondaryStructure).toEqual(original.secondaryStructure);
+    expect(molecule.frames).toEqual(original.frames);
+  });
+
+  test('should write trajectory frames as XYZ records and PDB models', () => {
+    const trajectory = {
+      ...charged,
+      frames: [
+        charged.atoms.flatMap(a => [a.x, a.y, a.z]),
+        charged.atoms.flatMap(a => [a.y, a.z, a.x])
+      ]
+    };
+
+    expect(parseXYZ(writeXYZ(trajectory)).frames).toEqual(trajectory.frames);
+    expect(parsePDB(writePDB(trajectory)).frames).toEqual(trajectory.frames);
+    expect(writePDB(trajectory)).toContain('MODEL        2\n');
+  });
+
+  test('should write PDB charges', () => {
+    const molecule = parsePDB(writePDB(charged));
+    expect(molecule.atoms[0].charge).toBe(1);
+  });
+
+  test('should reject unsupported formats', () => {
+    expect(() => writeMolecule(benzene, 'png')).toThrow('Unsupported format: png');
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for the MCP protocol bindings, driven by a scripted JSON-RPC client
+ */
+
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import moleculeServer from '../mcp-server/molecules-server.js';
+import { mountMcpRoutes } from '../mcp-server/mcp.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 0,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'jest', version: '1.0.0' }
+  }
+};
+
+function createTestApp() {
+  const app = express();
+  app.use(bodyParser.json());
+  mountMcpRoutes(app, moleculeServer);
+  return app;
+}
+
+function rpc(app, id, method, params = {}) {
+  return request(app)
+    .post('/mcp')
+    .set('Accept', 'application/json, text/event-stream')
+    .send({ jsonrpc: '2.0', id, method, params })
+    .expect(200);
+}
+
+describe('MCP over Streamable HTTP', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  test('should answer initialize with server info', async () => {
+    const response = await request(app)
+      .post('/mcp')
+      .set('Accept', 'application/json, text/event-stream')
+      .send(INITIALIZE)
+      .expect(200);
+
+    expect(response.body.result.serverInfo.name).toBe('moleculai-molecules');
+    expect(response.body.result.capabilities).toHaveProperty('tools');
+    expect(response.body.result.capabilities).toHaveProperty('resources');
+  });
+
+  test('should list the molecule tools', async () => {
+    const response = await rpc(app, 1, 'tools/list');
+    const names = response.body.result.tools.map(t => t.name);
+
+    expect(names).toEqual(expect.arrayContaining([
+      'getAllMolecules',
+      'getMolecule',
+      'getElementsInMolecule',
+      'searchMolecules'
+    ]));
+  });
+
+  test('should call getMolecule', async () => {
+    const response = await rpc(app, 2, 'tools/call', {
+      name: 'getMolecule',
+      arguments: { id: 'water' }
+    });
+    const molecule = JSON.parse(response.body.result.content[0].text);
+
+    expect(molecule.id).toBe('water');
+    expect(molecule.atoms.length).toBe(3);
+  });
+
+  test('should call searchMolecules', async () => {
+    const response = await rpc(app, 3, 'tools/call', {
+      name: 'searchMolecules',
+      arguments: { query: 'benz' }
+    });
+    const results = JSON.parse(response.body.result.content[0].text);
+
+    expect(results.map(m => m.id)).toEqual(['benzene']);
+  });
+
+  test('should report unknown molecules as tool errors', async () => {
+    const response = await rpc(app, 4, 'tools/call', {
+      name: 'getElementsInMolecule',
+      arguments: { id: 'nonexistent' }
+    });
+
+    expect(response.body.result.isError).toBe(true);
+  });
+
+  test('should list each molecule as a resource', async () => {
+    const response = await rpc(app, 5, 'resources/list');
+    const uris = response.body.result.resources.map(r => r.uri);
+
+    expect(uris).toContain('molecule://benzene');
+    expect(uris.length).toBe(moleculeServer.getAllMolecules().length);
+  });
+
+  test('should read a molecule resource', async () => {
+    const response = await rpc(app, 6, 'resources/read', { uri: 'molecule://co2' });
+    const content = response.body.result.contents[0];
+
+    expect(content.mimeType).toBe('application/json');
+    expect(JSON.parse(content.text).formula).toBe('CO2');
+  });
+
+  test('should reject SSE messages for unknown sessions', async () => {
+    const response = await request(app)
+      .post('/mcp/messages?sessionId=missing')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+      .expect(404);
+
+    expect(response.body).toHaveProperty('error', 'MCP session not found');
+  });
+});
+
+describe('MCP over stdio', () => {
+  test('should answer a scripted session', async () => {
+    const child = spawn(process.execPath, [join(__dirname, '..', 'mcp-server', 'stdio.js')], {
+      stdio: ['pipe', 'pipe', 'ignore']
+    });
+
+    const responses = new Map();
+    let buffer = '';
+    const done = new Promise((resolve, reject) => {
+      child.stdout.on('data', chunk => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) >= 0) {
+          const message = JSON.parse(buffer.slice(0, newline));
+          buffer = buffer.slice(newline + 1);
+          responses.set(message.id, message);
+          if (responses.size === 2) resolve();
+        }
+      });
+      child.on('error', reject);
+    });
+
+    const send = message => child.stdin.write(`${JSON.stringify(message)}\n`);
+    send(INITIALIZE);
+    send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    send({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'tools/call',
+      params: { name: 'getAllMolecules', arguments: {} }
+    });
+
+    try {
+      await done;
+    } finally {
+      child.kill();
+    }
+
+    const molecules = JSON.parse(responses.get(1).result.content[0].text);
+    expect(molecules.length).toBe(5);
+  });
+});
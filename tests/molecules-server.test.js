@@ -3,6 +3,7 @@
  */
 
 import { MoleculeServer } from '../mcp-server/molecules-server.js';
+import { SmilesSizeError } from '../mcp-server/smiles.js';
 
 describe('MoleculeServer', () => {
   let moleculeServer;
@@ -142,4 +143,218 @@ describe('MoleculeServer', () => {
       expect(resultsLower.length).toBe(resultsMixed.length);
     });
   });
+
+  describe('importMolecules', () => {
+    test('should parse molecules without adding them to the catalog', () => {
+      const xyz = '1\nWater\nO 0 0 0\n';
+      const catalogSize = moleculeServer.getAllMolecules().length;
+      const [water] = moleculeServer.importMolecules(xyz, { filename: 'a.xyz' });
+
+      expect(water).toMatchObject({ name: 'Water', atoms: [{ element: 'O', x: 0, y: 0, z: 0 }] });
+      expect(water).not.toHaveProperty('id');
+      expect(moleculeServer.getAllMolecules().length).toBe(catalogSize);
+    });
+
+    test('should perceive bonds for structures that have none', () => {
+      const xyz = '3\nWater\nO 0 0 0.12\nH 0 0.76 -0.48\nH 0 -0.76 -0.48\n';
+      const [water] = moleculeServer.importMolecules(xyz, { format: 'xyz' });
+
+      expect(water.bonds).toEqual([
+        { from: 0, to: 1, order: 1 },
+        { from: 0, to: 2, order: 1 }
+      ]);
+    });
+
+    test('should keep residue fields and assign secondary structure', () => {
+      const pdb = [
+        'ATOM      1  N   GLY A   1       0.000   0.000   0.000  1.00  0.00           N',
+        'ATOM      2  CA  GLY A   1       1.458   0.000   0.000  1.00  0.00           C',
+        'HELIX    1   1 GLY A    1  GLY A    1  1                                   1',
+        'END'
+      ].join('\n');
+      const [peptide] = moleculeServer.importMolecules(pdb, { format: 'pdb' });
+
+      expect(peptide.atoms[1]).toEqual({
+        element: 'C', x: 1.458, y: 0, z: 0, name: 'CA', residue: 'GLY', residueNumber: 1, chain: 'A'
+      });
+      expect(peptide.bonds).toEqual([{ from: 0, to: 1, order: 1 }]);
+      expect(peptide.secondaryStructure).toEqual([{ type: 'helix', chain: 'A', start: 1, end: 1 }]);
+      expect(moleculeServer.getChains(peptide)).toMatchObject([{ id: 'A', type: 'protein', sequence: 'G' }]);
+    });
+
+    test('should reject structures that fail validation', () => {
+      expect(() => moleculeServer.importMolecules('1\nMystery\nQq 0 0 0\n', { format: 'xyz' }))
+        .toThrow('Invalid structure "Mystery": Atom 0 has unknown element "Qq"');
+    });
+  });
+
+  describe('createFromSmiles', () => {
+    test('should build a molecule without adding it to the catalog', () => {
+      const catalogSize = moleculeServer.getAllMolecules().length;
+      const molecule = moleculeServer.createFromSmiles('CCO', 'Ethanol');
+
+      expect(molecule).toMatchObject({ name: 'Ethanol', formula: 'C2H6O' });
+      expect(molecule).not.toHaveProperty('id');
+      expect(moleculeServer.getAllMolecules().length).toBe(catalogSize);
+    });
+
+    test('should reject hypervalent atoms', () => {
+      expect(() => moleculeServer.createFromSmiles('C(C)(C)(C)(C)C'))
+        .toThrow('Invalid structure "C(C)(C)(C)(C)C": Atom 0 (C) has bond order sum 5, more than 4');
+      expect(moleculeServer.createFromSmiles('C[N+](C)(C)C')).toHaveProperty('formula', 'C4H12N');
+    });
+
+    test('should refuse structures too large to embed', () => {
+      expect(() => moleculeServer.createFromSmiles('C'.repeat(101))).toThrow(SmilesSizeError);
+    });
+
+    test('should accept fused aromatic rings', () => {
+      expect(moleculeServer.createFromSmiles('c1ccc2ccccc2c1')).toHaveProperty('formula', 'C10H8');
+      expect(moleculeServer.createFromSmiles('c1ccc2[nH]ccc2c1')).toHaveProperty('formula', 'C8H7N');
+      expect(moleculeServer.createFromSmiles('Cn1cnc2c1c(=O)n(C)c(=O)n2C')).toHaveProperty('formula', 'C8H10N4O2');
+    });
+  });
+
+  describe('getAllReactions', () => {
+    test('should return reactions with id, name and equation', () => {
+      const reactions = moleculeServer.getAllReactions();
+
+      expect(reactions.length).toBeGreaterThan(0);
+      reactions.forEach(reaction => {
+        expect(reaction).toHaveProperty('id');
+        expect(reaction).toHaveProperty('name');
+        expect(reaction).toHaveProperty('equation');
+      });
+    });
+
+    test('should not add reaction-only species to the molecule catalog', () => {
+      expect(moleculeServer.getMolecule('oxygen')).toBeNull();
+    });
+  });
+
+  describe('getReaction', () => {
+    test('should describe participants with formulas', () => {
+      const reaction = moleculeServer.getReaction('hydrogen-combustion');
+
+      expect(reaction.equation).toBe('2 H2 + O2 → 2 H2O');
+      expect(reaction.reactants).toEqual([
+        { moleculeId: 'hydrogen', coefficient: 2, name: 'Hydrogen', formula: 'H2' },
+        { moleculeId: 'oxygen', coefficient: 1, name: 'Oxygen', formula: 'O2' }
+      ]);
+    });
+
+    test('should return null for non-existent reaction', () => {
+      expect(moleculeServer.getReaction('nonexistent')).toBeNull();
+    });
+
+    test('should have balanced, element-preserving atom mappings', () => {
+      Object.keys(moleculeServer.reactions).forEach(id => {
+        const reaction = moleculeServer.reactions[id];
+        const reactants = moleculeServer.buildAssembly(reaction.reactants);
+        const products = moleculeServer.buildAssembly(reaction.products);
+
+        expect(reactants.atoms.length).toBe(products.atoms.length);
+        expect(new Set(reaction.atomMapping).size).toBe(products.atoms.length);
+        reaction.atomMapping.forEach((productIndex, reactantIndex) => {
+          expect(products.atoms[productIndex].element)
+            .toBe(reactants.atoms[reactantIndex].element);
+        });
+      });
+    });
+  });
+
+  describe('trajectory frames', () => {
+    const xyz = '1\nNeon\nNe 0 0 0\n1\n\nNe 0 0 1\n1\n\nNe 0 0 2\n';
+
+    test('should replace frames with a frame count', () => {
+      const [neon] = moleculeServer.importMolecules(xyz, { format: 'xyz' });
+      const summary = moleculeServer.withoutFrames(neon);
+
+      expect(summary).toHaveProperty('frameCount', 3);
+      expect(summary).not.toHaveProperty('frames');
+      expect(moleculeServer.withoutFrames(moleculeServer.getMolecule('water'))).toBe(moleculeServer.getMolecule('water'));
+    });
+
+    test('should return pages of frames', () => {
+      const [neon] = moleculeServer.importMolecules(xyz, { format: 'xyz' });
+
+      expect(moleculeServer.getFrames(neon, { start: 1, count: 5 })).toEqual({ start: 1, total: 3, frames: [[0, 0, 1], [0, 0, 2]] });
+      expect(moleculeServer.getFrames(neon, { start: 9 })).toEqual({ start: 9, total: 3, frames: [] });
+    });
+  });
+
+  describe('generateConformers', () => {
+    test('should rank conformers without changing the stored molecule', () => {
+      const ethanol = moleculeServer.getMolecule('ethanol');
+      const atoms = structuredClone(ethanol.atoms);
+      const { rotatableBonds, conformers } = moleculeServer.generateConformers(ethanol, { count: 5 });
+
+      expect(rotatableBonds).toEqual([]);
+      expect(conformers).toHaveLength(1);
+      expect(conformers[0].coordinates).toHaveLength(ethanol.atoms.length * 3);
+      expect(ethanol.atoms).toEqual(atoms);
+    });
+  });
+
+  describe('minimizeMolecule', () => {
+    test('should minimize without changing the stored molecule', () => {
+      const ethanol = moleculeServer.getMolecule('ethanol');
+      const atoms = structuredClone(ethanol.atoms);
+      const result = moleculeServer.minimizeMolecule(ethanol, { method: 'steepest-descent', maxIterations: 20 });
+
+      expect(result).toMatchObject({ method: 'steepest-descent', iterations: 20 });
+      expect(result.energy.total).toBeLessThan(result.initialEnergy.total);
+      expect(result.atoms.map(atom => atom.element)).toEqual(atoms.map(atom => atom.element));
+      expect(ethanol.atoms).toEqual(atoms);
+    });
+  });
+
+  describe('depictMolecule', () => {
+    test('should lay out a catalog molecule with implicit hydrogens', () => {
+      const depiction = moleculeServer.depictMolecule(moleculeServer.getMolecule('ethanol'));
+
+      expect(depiction.atoms.map(atom => atom.label)).toEqual([null, null, 'OH']);
+      expect(depiction.bonds).toHaveLength(2);
+      expect(depiction.rings).toEqual([]);
+    });
+  });
+
+  describe('getReactionPath', () => {
+    test('should classify kept, broken and formed bonds', () => {
+      const path = moleculeServer.getReactionPath('hydrogen-combustion');
+
+      const broken = path.bonds.filter(b => b.startOrder > 0 && b.endOrder === 0);
+      const formed = path.bonds.filter(b => b.startOrder === 0 && b.endOrder > 0);
+
+      // Two H-H and one O=O break, four O-H form
+      expect(broken.length).toBe(3);
+      expect(formed.length).toBe(4);
+      formed.forEach(bond => {
+        const elements = [path.atoms[bond.from].element, path.atoms[bond.to].element].sort();
+        expect(elements).toEqual(['H', 'O']);
+      });
+    });
+
+    test('should keep product geometry for mapped atoms', () => {
+      const path = moleculeServer.getReactionPath('methane-combustion');
+      const carbon = path.atoms[0];
+      const oxygens = path.bonds
+        .filter(b => b.endOrder === 2 && (b.from === 0 || b.to === 0))
+        .map(b => path.atoms[b.from === 0 ? b.to : b.from]);
+
+      expect(oxygens.length).toBe(2);
+      oxygens.forEach(atom => {
+        const distance = Math.hypot(
+          atom.end.x - carbon.end.x,
+          atom.end.y - carbon.end.y,
+          atom.end.z - carbon.end.z
+        );
+        expect(distance).toBeCloseTo(1.162, 3);
+      });
+    });
+
+    test('should return null for non-existent reaction', () => {
+      expect(moleculeServer.getReactionPath('nonexistent')).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,151 @@
+/**
+ * Tests for computed molecular properties
+ */
+
+import {
+  computeProperties,
+  degreeOfUnsaturation,
+  estimatePartialCharges,
+  missingElementData
+} from '../mcp-server/properties.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const atomsOf = formula => formula.flatMap(([element, count]) => Array(count).fill({ element }));
+
+describe('computeProperties', () => {
+  const moleculeServer = new MoleculeServer();
+
+  test('should compute masses and a Hill formula for ethanol', () => {
+    const properties = computeProperties(moleculeServer.getMolecule('ethanol'));
+
+    expect(properties.formula).toBe('C2H6O');
+    expect(properties.molecularWeight).toBeCloseTo(46.069, 3);
+    expect(properties.monoisotopicMass).toBeCloseTo(46.04186, 4);
+  });
+
+  test('should use the most abundant isotope of transition metals', () => {
+    const palladiumChloride = {
+      atoms: [
+        { element: 'Pd', x: 0, y: 0, z: 0 },
+        { element: 'Cl', x: 2.3, y: 0, z: 0 },
+        { element: 'Cl', x: -2.3, y: 0, z: 0 }
+      ],
+      bonds: [{ from: 0, to: 1, order: 1 }, { from: 0, to: 2, order: 1 }]
+    };
+
+    const properties = computeProperties(palladiumChloride);
+    expect(properties.molecularWeight).toBeCloseTo(177.32, 3);
+    expect(properties.monoisotopicMass).toBeCloseTo(175.84119, 4);
+  });
+
+  test('should leave out the monoisotopic mass of elements without a stable isotope', () => {
+    const pertechnetate = {
+      atoms: [
+        { element: 'Tc', x: 0, y: 0, z: 0 },
+        { element: 'O', x: 1.7, y: 0, z: 0 },
+        { element: 'O', x: -1.7, y: 0, z: 0 },
+        { element: 'O', x: 0, y: 1.7, z: 0 },
+        { element: 'O', x: 0, y: -1.7, z: 0 }
+      ],
+      bonds: [1, 2, 3, 4].map(to => ({ from: 0, to, order: 1 }))
+    };
+
+    const properties = computeProperties(pertechnetate);
+    expect(properties.molecularWeight).toBeCloseTo(161.996, 3);
+    expect(properties.monoisotopicMass).toBeNull();
+  });
+
+  test('should put the center of mass of symmetric molecules at their center', () => {
+    const properties = computeProperties(moleculeServer.getMolecule('benzene'));
+    expect(properties.centerOfMass).toEqual({ x: 0, y: 0, z: 0 });
+  });
+
+  test('should give a linear molecule one zero principal moment', () => {
+    const [smallest, middle, largest] = computeProperties(moleculeServer.getMolecule('co2')).principalMoments;
+
+    expect(smallest).toBe(0);
+    expect(middle).toBeCloseTo(largest, 6);
+    // 2 × 15.999 amu × (1.162 Å)²
+    expect(largest).toBeCloseTo(2 * 15.999 * 1.162 ** 2, 2);
+  });
+
+  test('should obey the perpendicular axis theorem for planar benzene', () => {
+    const [a, b, c] = computeProperties(moleculeServer.getMolecule('benzene')).principalMoments;
+    expect(a + b).toBeCloseTo(c, 2);
+  });
+
+  test('should give symmetric molecules no dipole', () => {
+    expect(computeProperties(moleculeServer.getMolecule('methane')).dipoleMoment.magnitude).toBe(0);
+    expect(computeProperties(moleculeServer.getMolecule('co2')).dipoleMoment.magnitude).toBe(0);
+  });
+
+  test('should estimate a water dipole close to experiment', () => {
+    const { dipoleMoment } = computeProperties(moleculeServer.getMolecule('water'));
+
+    expect(dipoleMoment.magnitude).toBeGreaterThan(1.5);
+    expect(dipoleMoment.magnitude).toBeLessThan(2.2);
+    // Hydrogens sit at +y, so the dipole points from oxygen towards them
+    expect(dipoleMoment.y).toBeGreaterThan(0);
+  });
+
+  test('should sum formal charges', () => {
+    const ammonium = {
+      atoms: [
+        { element: 'N', x: 0, y: 0, z: 0, charge: 1 },
+        { element: 'H', x: 0.59, y: 0.59, z: 0.59 },
+        { element: 'H', x: -0.59, y: -0.59, z: 0.59 },
+        { element: 'H', x: -0.59, y: 0.59, z: -0.59 },
+        { element: 'H', x: 0.59, y: -0.59, z: -0.59 }
+      ],
+      bonds: [1, 2, 3, 4].map(to => ({ from: 0, to, order: 1 }))
+    };
+
+    const properties = computeProperties(ammonium);
+    expect(properties.netCharge).toBe(1);
+    expect(properties.partialCharges.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 6);
+  });
+});
+
+describe('degreeOfUnsaturation', () => {
+  test.each([
+    ['hexane', [['C', 6], ['H', 14]], 0],
+    ['benzene', [['C', 6], ['H', 6]], 4],
+    ['pyridine', [['C', 5], ['H', 5], ['N', 1]], 4],
+    ['chloroethene', [['C', 2], ['H', 3], ['Cl', 1]], 1],
+    ['acetic acid', [['C', 2], ['H', 4], ['O', 2]], 1],
+    ['germane', [['Ge', 1], ['H', 4]], 0],
+    ['palladium chloride', [['Pd', 1], ['Cl', 2]], 0]
+  ])('should count rings and pi bonds in %s', (name, formula, expected) => {
+    expect(degreeOfUnsaturation(atomsOf(formula))).toBe(expected);
+  });
+});
+
+describe('estimatePartialCharges', () => {
+  test('should move charge towards the more electronegative atom', () => {
+    const charges = estimatePartialCharges(
+      [{ element: 'H' }, { element: 'F' }],
+      [{ from: 0, to: 1, order: 1 }]
+    );
+
+    expect(charges[0]).toBeGreaterThan(0);
+    expect(charges[0]).toBeCloseTo(-charges[1], 10);
+  });
+
+  test('should leave bonds to atoms without electronegativity unpolarized', () => {
+    const charges = estimatePartialCharges(
+      [{ element: 'Ne' }, { element: 'F' }],
+      [{ from: 0, to: 1, order: 1 }]
+    );
+    expect(charges).toEqual([0, 0]);
+  });
+});
+
+describe('missingElementData', () => {
+  test('should list elements without mass data once', () => {
+    expect(missingElementData({ atoms: atomsOf([['Xx', 2], ['O', 1]]) })).toEqual(['Xx']);
+  });
+
+  test('should accept every element of the periodic table', () => {
+    expect(missingElementData({ atoms: atomsOf([['Pd', 1], ['U', 1], ['Og', 1]]) })).toEqual([]);
+  });
+});
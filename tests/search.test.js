@@ -0,0 +1,152 @@
+/**
+ * Tests for substructure matching and advanced search
+ */
+
+import {
+  parseSmarts, findSubstructure, analyzeGraph, MatchLimitError, MAX_PATTERN_ATOMS
+} from '../mcp-server/substructure.js';
+import { parseElementConstraints, parseSearchCriteria, searchMolecules } from '../mcp-server/search.js';
+import { smilesToGraph } from '../mcp-server/smiles.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const moleculeServer = new MoleculeServer();
+const catalog = moleculeServer.getAllMolecules().map(m => moleculeServer.getMolecule(m.id));
+const matching = pattern => catalog
+  .filter(molecule => findSubstructure(parseSmarts(pattern), molecule))
+  .map(molecule => molecule.id);
+
+describe('analyzeGraph', () => {
+  test('should perceive Kekulé benzene as aromatic', () => {
+    const graph = analyzeGraph(moleculeServer.getMolecule('benzene'));
+
+    expect(graph.atoms.filter(a => a.element === 'C').every(a => a.aromatic && a.inRing)).toBe(true);
+    expect(graph.atoms.filter(a => a.element === 'H').some(a => a.aromatic || a.inRing)).toBe(false);
+  });
+
+  test('should count attached hydrogens and neighbors', () => {
+    const graph = analyzeGraph(moleculeServer.getMolecule('ethanol'));
+    const oxygen = graph.atoms.find(a => a.element === 'O');
+
+    expect(oxygen).toMatchObject({ hydrogens: 1, degree: 2, inRing: false });
+  });
+
+  test('should not treat cyclohexane as aromatic', () => {
+    const graph = analyzeGraph(smilesToGraph('C1CCCCC1'));
+    expect(graph.bonds.some(b => b.aromatic)).toBe(false);
+    expect(graph.atoms[0].inRing).toBe(true);
+  });
+});
+
+describe('findSubstructure', () => {
+  test.each([
+    ['c1ccccc1', ['benzene']],
+    ['*1*****1', ['benzene']],
+    ['O=C=O', ['co2']],
+    ['[#8]', ['water', 'ethanol', 'co2']],
+    ['[OH]', ['ethanol']],
+    ['[H]O[H]', ['water']],
+    ['[CH4]', ['methane']],
+    ['C-O', ['ethanol']],
+    ['[C,N]~[O]', ['ethanol', 'co2']],
+    ['[!#6;!#1]', ['water', 'ethanol', 'co2']],
+    ['[R]', ['benzene']],
+    ['C=C', []]
+  ])('should match %s', (pattern, expected) => {
+    expect(matching(pattern)).toEqual(expected);
+  });
+
+  test('should return the atom mapping', () => {
+    const aspirin = smilesToGraph('CC(=O)Oc1ccccc1C(=O)O');
+    const mapping = findSubstructure(parseSmarts('[CX3](=O)[OX2H1]'), aspirin);
+
+    expect(mapping.map(i => aspirin.atoms[i].element)).toEqual(['C', 'O', 'O']);
+    expect(mapping[0]).toBe(10);
+  });
+
+  test('should honor ring and negated bond primitives', () => {
+    const toluene = smilesToGraph('Cc1ccccc1');
+
+    expect(findSubstructure(parseSmarts('C!@c'), toluene)).not.toBeNull();
+    expect(findSubstructure(parseSmarts('c@c'), toluene)).not.toBeNull();
+    expect(findSubstructure(parseSmarts('C@c'), toluene)).toBeNull();
+  });
+
+  test('should map each pattern atom to a different atom', () => {
+    expect(findSubstructure(parseSmarts('OOO'), moleculeServer.getMolecule('co2'))).toBeNull();
+  });
+
+  test('should reject molecules lacking the pattern\'s elements without matching', () => {
+    const chain = smilesToGraph('C'.repeat(200));
+    const budget = { steps: 0 };
+
+    expect(findSubstructure(parseSmarts('C.C.C.[U]'), chain, undefined, budget)).toBeNull();
+    expect(findSubstructure(parseSmarts('[O;H1].[#8]'), moleculeServer.getMolecule('ethanol'), undefined, budget)).toBeNull();
+  });
+
+  test('should throw MatchLimitError once the step budget runs out', () => {
+    const chain = smilesToGraph('C'.repeat(60));
+
+    expect(() => findSubstructure(parseSmarts('C.C.C.C(C)(C)(C)C'), chain)).toThrow(MatchLimitError);
+    expect(() => findSubstructure(parseSmarts('CCC'), chain, undefined, { steps: 2 })).toThrow(MatchLimitError);
+  });
+});
+
+describe('parseSmarts', () => {
+  test.each([
+    ['', 'Substructure pattern is empty'],
+    ['C(C', 'Unclosed branch at position 3'],
+    ['[C', 'Unclosed "[" at position 1'],
+    ['[Q]', 'Unknown atom primitive "Q" at position 2'],
+    ['C1CC', 'Unclosed ring 1 at position 2'],
+    ['=C', 'Bond without a preceding atom at position 1'],
+    ['C'.repeat(MAX_PATTERN_ATOMS + 1), `Substructure patterns are limited to ${MAX_PATTERN_ATOMS} atoms`]
+  ])('should reject %p', (pattern, message) => {
+    expect(() => parseSmarts(pattern)).toThrow(message);
+  });
+
+  test('should record the element each pattern atom requires', () => {
+    const { atoms } = parseSmarts('Cc[#7][O,#8][C,N][!C]*[Cl;X1]');
+    expect(atoms.map(atom => atom.element)).toEqual(['C', 'C', 'N', 'O', null, null, null, 'Cl']);
+  });
+});
+
+describe('parseElementConstraints', () => {
+  test('should parse ranges, comparisons, exact counts and bare symbols', () => {
+    expect(parseElementConstraints('C2-6 O>=1 N<2 Cl0 S')).toEqual([
+      { element: 'C', min: 2, max: 6 },
+      { element: 'O', min: 1, max: Infinity },
+      { element: 'N', min: 0, max: 1 },
+      { element: 'Cl', min: 0, max: 0 },
+      { element: 'S', min: 1, max: Infinity }
+    ]);
+  });
+
+  test('should reject unknown elements and empty ranges', () => {
+    expect(() => parseElementConstraints('Xx2')).toThrow('Invalid element constraint "Xx2"');
+    expect(() => parseElementConstraints('C6-2')).toThrow('range is empty');
+  });
+});
+
+describe('searchMolecules', () => {
+  const search = query => searchMolecules(catalog, parseSearchCriteria(query));
+
+  test('should filter by element counts', () => {
+    expect(search({ elements: 'C>=1 H0' }).results.map(m => m.id)).toEqual(['co2']);
+  });
+
+  test('should filter by molecular weight range', () => {
+    expect(search({ minWeight: '17', maxWeight: '45', sort: 'weight' }).results.map(m => m.id)).toEqual(['water', 'co2']);
+  });
+
+  test('should sort descending and paginate', () => {
+    const page = search({ sort: 'atoms', order: 'desc', pageSize: '2', page: '1' });
+
+    expect(page.total).toBe(5);
+    expect(page.results.map(m => m.id)).toEqual(['benzene', 'ethanol']);
+  });
+
+  test('should reject invalid paging values', () => {
+    expect(() => parseSearchCriteria({ pageSize: '500' })).toThrow('pageSize must be an integer from 1 to 100');
+    expect(() => parseSearchCriteria({ minWeight: 'heavy' })).toThrow('minWeight must be a number');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for the SMILES parser and 3D embedding
+ */
+
+import { parseSmiles, smilesToGraph } from '../mcp-server/smiles.js';
+import { embedMolecule, idealBondLength } from '../mcp-server/embed.js';
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+describe('parseSmiles', () => {
+  test('should parse a simple chain with implicit hydrogens', () => {
+    const { atoms, bonds } = parseSmiles('CCO');
+
+    expect(atoms.map(a => a.element)).toEqual(['C', 'C', 'O']);
+    expect(atoms.map(a => a.implicitHydrogens)).toEqual([3, 2, 1]);
+    expect(bonds).toEqual([
+      { from: 0, to: 1, order: 1 },
+      { from: 1, to: 2, order: 1 }
+    ]);
+  });
+
+  test('should parse branches and bond orders', () => {
+    const { atoms, bonds } = parseSmiles('CC(=O)O');
+
+    expect(bonds.find(b => b.to === 2).order).toBe(2);
+    expect(bonds.find(b => b.to === 3).from).toBe(1);
+    expect(atoms[1].implicitHydrogens).toBe(0);
+  });
+
+  test('should close rings and mark aromatic bonds', () => {
+    const { atoms, bonds } = parseSmiles('c1ccccc1');
+
+    expect(bonds.length).toBe(6);
+    expect(bonds.every(b => b.aromatic && b.order === 1.5)).toBe(true);
+    expect(atoms.every(a => a.aromatic && a.implicitHydrogens === 1)).toBe(true);
+  });
+
+  test('should support two-digit ring closures', () => {
+    expect(parseSmiles('C%12CC%12').bonds.length).toBe(3);
+  });
+
+  test('should parse bracket atoms with charges, isotopes and hydrogens', () => {
+    const { atoms } = parseSmiles('[13CH3][NH3+].[O-2]');
+
+    expect(atoms[0]).toMatchObject({ element: 'C', isotope: 13, implicitHydrogens: 3, charge: 0 });
+    expect(atoms[1]).toMatchObject({ element: 'N', implicitHydrogens: 3, charge: 1 });
+    expect(atoms[2]).toMatchObject({ element: 'O', implicitHydrogens: 0, charge: -2 });
+  });
+
+  test('should use higher valences when needed', () => {
+    const { atoms } = parseSmiles('CS(=O)(=O)C');
+    expect(atoms[1].implicitHydrogens).toBe(0);
+  });
+
+  test('should keep aromatic heteroatoms without hydrogens', () => {
+    const { atoms } = parseSmiles('c1ccncc1');
+    expect(atoms[3]).toMatchObject({ element: 'N', aromatic: true, implicitHydrogens: 0 });
+  });
+
+  test.each([
+    ['', 'SMILES string is empty'],
+    ['C(C', 'Unclosed branch at position 3'],
+    ['CC)', 'Unmatched ")" at position 3'],
+    ['C1CC', 'Unclosed ring 1 at position 2'],
+    ['C=#C', 'Two bond symbols in a row at position 3'],
+    ['CX', 'Unexpected character "X" at position 2'],
+    ['[Zz]', 'Unknown element "Zz" at position 2'],
+    ['C=', 'Bond symbol without a following atom at position 2']
+  ])('should reject %p', (smiles, message) => {
+    expect(() => parseSmiles(smiles)).toThrow(message);
+  });
+});
+
+describe('smilesToGraph', () => {
+  test('should expand implicit hydrogens into atoms', () => {
+    const graph = smilesToGraph('CCO');
+
+    expect(graph.formula).toBe('C2H6O');
+    expect(graph.atoms.length).toBe(9);
+    expect(graph.bonds.length).toBe(8);
+    expect(graph.atoms.slice(3).every(a => a.element === 'H')).toBe(true);
+  });
+
+  test('should keep charges', () => {
+    const graph = smilesToGraph('[NH4+]');
+    expect(graph.atoms[0].charge).toBe(1);
+    expect(graph.formula).toBe('H4N');
+  });
+
+  test.each([
+    ['c1ccsc1', 'C4H4S'],
+    ['Cn1cccc1', 'C5H7N'],
+    ['c1cc[nH]c1', 'C4H5N'],
+    ['c1ccc2ccccc2c1', 'C10H8'],
+    ['Cn1cnc2c1c(=O)n(C)c(=O)n2C', 'C8H10N4O2']
+  ])('should give aromatic %p the formula %p', (smiles, formula) => {
+    expect(smilesToGraph(smiles).formula).toBe(formula);
+  });
+});
+
+describe('embedMolecule', () => {
+  test('should reproduce ideal bond lengths', () => {
+    const molecule = embedMolecule(smilesToGraph('CC(=O)Nc1ccc(O)cc1'));
+
+    molecule.bonds.forEach(bond => {
+      const a = molecule.atoms[bond.from];
+      const b = molecule.atoms[bond.to];
+      expect(distance(a, b)).toBeCloseTo(idealBondLength(a.element, b.element, bond.order), 1);
+    });
+  });
+
+  test('should keep non-bonded atoms apart', () => {
+    const molecule = embedMolecule(smilesToGraph('CCCCCC'));
+    const bonded = new Set(molecule.bonds.map(b => `${b.from}-${b.to}`));
+
+    molecule.atoms.forEach((a, i) => {
+      molecule.atoms.slice(i + 1).forEach((b, offset) => {
+        const j = i + 1 + offset;
+        if (!bonded.has(`${i}-${j}`)) {
+          expect(distance(a, b)).toBeGreaterThan(1.5);
+        }
+      });
+    });
+  });
+
+  test('should give methane tetrahedral angles', () => {
+    const molecule = embedMolecule(smilesToGraph('C'));
+    const [carbon, ...hydrogens] = molecule.atoms;
+    const cosine = (a, b) => {
+      const u = [a.x - carbon.x, a.y - carbon.y, a.z - carbon.z];
+      const v = [b.x - carbon.x, b.y - carbon.y, b.z - carbon.z];
+      return (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / (Math.hypot(...u) * Math.hypot(...v));
+    };
+
+    expect(Math.acos(cosine(hydrogens[0], hydrogens[1])) * 180 / Math.PI).toBeCloseTo(109.5, 0);
+  });
+
+  test('should keep benzene flat', () => {
+    const molecule = embedMolecule(smilesToGraph('c1ccccc1'));
+    const [p, q, r] = [molecule.atoms[0], molecule.atoms[2], molecule.atoms[4]];
+    const u = [q.x - p.x, q.y - p.y, q.z - p.z];
+    const v = [r.x - p.x, r.y - p.y, r.z - p.z];
+    const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    const length = Math.hypot(...normal);
+
+    molecule.atoms.forEach(atom => {
+      const height = ((atom.x - p.x) * normal[0] + (atom.y - p.y) * normal[1] + (atom.z - p.z) * normal[2]) / length;
+      expect(Math.abs(height)).toBeLessThan(0.05);
+    });
+  });
+
+  test('should be deterministic', () => {
+    const graph = smilesToGraph('CCN');
+    expect(embedMolecule(graph)).toEqual(embedMolecule(graph));
+  });
+
+  test('should place a single atom at the origin', () => {
+    const molecule = embedMolecule(smilesToGraph('[Na+]'));
+    expect(molecule.atoms[0]).toMatchObject({ x: 0, y: 0, z: 0 });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Tests for the storage layer
+ */
+
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createStore, MemoryStore, JsonFileStore } from '../storage/index.js';
+import { migrate, SCHEMA_VERSION } from '../storage/migrations.js';
+
+const user = { username: 'alice', password: 'hash', createdAt: '2024-01-01T00:00:00.000Z' };
+const visualization = {
+  id: '1',
+  username: 'alice',
+  name: 'My water',
+  moleculeId: 'water',
+  settings: { style: 'sphere' },
+  createdAt: '2024-01-01T00:00:00.000Z'
+};
+
+describe('migrate', () => {
+  test('should bring empty data to the latest schema', () => {
+    const data = {};
+
+    expect(migrate(data)).toBe(true);
+    expect(data).toEqual({
+      schemaVersion: SCHEMA_VERSION,
+      users: {},
+      visualizations: {},
+      molecules: {},
+      moleculeVersions: {}
+    });
+  });
+
+  test('should do nothing when data is current', () => {
+    const data = {};
+    migrate(data);
+    expect(migrate(data)).toBe(false);
+  });
+
+  test('should refuse data from a newer version', () => {
+    expect(() => migrate({ schemaVersion: SCHEMA_VERSION + 1 })).toThrow('is newer than supported version');
+  });
+});
+
+describe('createStore', () => {
+  test('should create a memory store', async () => {
+    expect(await createStore({ driver: 'memory' })).toBeInstanceOf(MemoryStore);
+  });
+
+  test('should reject unknown drivers', async () => {
+    await expect(createStore({ driver: 'mongo' })).rejects.toThrow('Unknown storage driver "mongo"');
+  });
+});
+
+describe('MemoryStore', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = await createStore({ driver: 'memory' });
+  });
+
+  test('should store and find users', async () => {
+    await store.createUser(user);
+
+    expect(await store.getUser('alice')).toEqual(user);
+    expect(await store.getUser('bob')).toBeNull();
+  });
+
+  test('should not find Object.prototype members as records', async () => {
+    for (const key of ['__proto__', 'constructor', 'toString']) {
+      expect(await store.getUser(key)).toBeNull();
+      expect(await store.getVisualization(key)).toBeNull();
+      expect(await store.getMolecule(key)).toBeNull();
+      expect(await store.listMoleculeVersions(key)).toEqual([]);
+    }
+  });
+
+  test('should keep a user named __proto__ to itself', async () => {
+    await store.createUser({ ...user, username: '__proto__' });
+
+    expect(await store.getUser('__proto__')).toEqual({ ...user, username: '__proto__' });
+    expect(await store.getUser('password')).toBeNull();
+    expect(await store.getUser('alice')).toBeNull();
+  });
+
+  test('should store records under prototype member names', async () => {
+    await store.createUser({ ...user, username: 'constructor' });
+    await store.createMolecule({ id: 'toString', owner: 'alice', version: 1 });
+
+    expect(await store.getUser('constructor')).toMatchObject({ username: 'constructor' });
+    expect(await store.getMolecule('toString')).toMatchObject({ id: 'toString' });
+    expect(await store.listMolecules('alice')).toHaveLength(1);
+  });
+
+  test('should list visualizations by owner', async () => {
+    await store.createVisualization(visualization);
+    await store.createVisualization({ ...visualization, id: '2', username: 'bob' });
+
+    expect(await store.listVisualizations('alice')).toEqual([visualization]);
+  });
+
+  test('should replace visualizations on update', async () => {
+    await store.createVisualization(visualization);
+    await store.updateVisualization({ ...visualization, shareToken: 'abc' });
+
+    expect(await store.getVisualization('1')).toEqual({ ...visualization, shareToken: 'abc' });
+    expect(await store.listVisualizations('alice')).toHaveLength(1);
+  });
+
+  test('should delete visualizations', async () => {
+    await store.createVisualization(visualization);
+
+    expect(await store.deleteVisualization('1')).toBe(true);
+    expect(await store.getVisualization('1')).toBeNull();
+    expect(await store.deleteVisualization('1')).toBe(false);
+  });
+
+  test('should archive previous molecule versions on update', async () => {
+    const molecule = { id: 'user-1', owner: 'alice', name: 'Water', version: 1 };
+    await store.createMolecule(molecule);
+    await store.updateMolecule({ ...molecule, name: 'Heavy water', version: 2 });
+
+    expect(await store.getMolecule('user-1')).toMatchObject({ name: 'Heavy water', version: 2 });
+    expect(await store.listMoleculeVersions('user-1')).toEqual([molecule]);
+    expect(await store.listMolecules('alice')).toHaveLength(1);
+    expect(await store.listMolecules('bob')).toEqual([]);
+  });
+
+  test('should archive a frame count instead of trajectory frames', async () => {
+    const molecule = { id: 'user-1', owner: 'alice', name: 'Water', version: 1, frames: [[0, 0, 0], [0, 0, 1]] };
+    await store.createMolecule(molecule);
+    await store.updateMolecule({ ...molecule, name: 'Vibrating water', version: 2 });
+
+    expect(await store.listMoleculeVersions('user-1')).toEqual([
+      { id: 'user-1', owner: 'alice', name: 'Water', version: 1, frameCount: 2 }
+    ]);
+    expect((await store.getMolecule('user-1')).frames).toHaveLength(2);
+  });
+
+  test('should delete molecules with their history', async () => {
+    await store.createMolecule({ id: 'user-1', owner: 'alice', version: 1 });
+    await store.updateMolecule({ id: 'user-1', owner: 'alice', version: 2 });
+
+    expect(await store.deleteMolecule('user-1')).toBe(true);
+    expect(await store.getMolecule('user-1')).toBeNull();
+    expect(await store.listMoleculeVersions('user-1')).toEqual([]);
+  });
+});
+
+describe('JsonFileStore', () => {
+  let directory;
+  let filename;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(join(tmpdir(), 'moleculai-'));
+    filename = join(directory, 'nested', 'data.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('should persist data across reopening', async () => {
+    const store = await createStore({ driver: 'json', filename });
+    await store.createUser(user);
+    await store.createVisualization(visualization);
+    await store.close();
+
+    const reopened = await createStore({ driver: 'json', filename });
+    expect(reopened).toBeInstanceOf(JsonFileStore);
+    expect(await reopened.getUser('alice')).toEqual(user);
+    expect(await reopened.listVisualizations('alice')).toEqual([visualization]);
+  });
+
+  test('should reload a user named __proto__ as an ordinary record', async () => {
+    const store = await createStore({ driver: 'json', filename });
+    await store.createUser({ ...user, username: '__proto__' });
+    await store.close();
+
+    const reopened = await createStore({ driver: 'json', filename });
+    expect(await reopened.getUser('__proto__')).toEqual({ ...user, username: '__proto__' });
+    expect(await reopened.getUser('password')).toBeNull();
+  });
+
+  test('should write the schema version when creating the file', async () => {
+    const store = await createStore({ driver: 'json', filename });
+    await store.close();
+
+    const data = JSON.parse(await fs.readFile(filename, 'utf8'));
+    expect(data.schemaVersion).toBe(SCHEMA_VERSION);
+  });
+
+  test('should migrate existing files', async () => {
+    await fs.mkdir(join(directory, 'nested'));
+    await fs.writeFile(filename, JSON.stringify({ users: { alice: user } }));
+
+    const store = await createStore({ driver: 'json', filename });
+    await store.close();
+
+    const data = JSON.parse(await fs.readFile(filename, 'utf8'));
+    expect(data.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(data.users).toEqual({ alice: user });
+    expect(data.visualizations).toEqual({});
+    expect(data.molecules).toEqual({});
+  });
+
+  test('should keep the last of several concurrent writes', async () => {
+    const store = await createStore({ driver: 'json', filename });
+    await Promise.all([1, 2, 3].map(id => store.createVisualization({ ...visualization, id: String(id) })));
+    await store.close();
+
+    const data = JSON.parse(await fs.readFile(filename, 'utf8'));
+    expect(Object.keys(data.visualizations)).toEqual(['1', '2', '3']);
+  });
+
+  test('should report unreadable files', async () => {
+    await fs.mkdir(join(directory, 'nested'));
+    await fs.writeFile(filename, '{ not json');
+
+    await expect(createStore({ driver: 'json', filename })).rejects.toThrow('Cannot read data file');
+  });
+});
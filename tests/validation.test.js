@@ -0,0 +1,195 @@
+/**
+ * Tests for structure validation
+ */
+
+import { validateMolecule, parseFormula } from '../mcp-server/validation.js';
+import { MoleculeServer } from '../mcp-server/molecules-server.js';
+
+const moleculeServer = new MoleculeServer();
+
+const water = {
+  name: 'Water',
+  formula: 'H2O',
+  atoms: [
+    { element: 'O', x: 0, y: 0, z: 0.12 },
+    { element: 'H', x: 0, y: 0.76, z: -0.48 },
+    { element: 'H', x: 0, y: -0.76, z: -0.48 }
+  ],
+  bonds: [{ from: 0, to: 1, order: 1 }, { from: 0, to: 2, order: 1 }]
+};
+
+const codes = issues => issues.map(issue => issue.code);
+
+describe('validateMolecule', () => {
+  test('should accept every catalog molecule without warnings', () => {
+    moleculeServer.getAllMolecules().forEach(({ id }) => {
+      expect(validateMolecule(moleculeServer.getMolecule(id))).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+  });
+
+  test('should require a name and atoms', () => {
+    expect(validateMolecule({ name: 'Empty', atoms: [] })).toEqual({
+      valid: false,
+      errors: [{ code: 'missing-fields', message: 'Name and atoms required' }],
+      warnings: []
+    });
+    expect(validateMolecule(undefined).valid).toBe(false);
+  });
+
+  test('should report malformed atoms, unknown elements and bad charges', () => {
+    const report = validateMolecule({
+      name: 'Broken',
+      atoms: [
+        { element: 'C', x: 0, y: 'a', z: 0 },
+        { element: 'Xx', x: 0, y: 0, z: 0 },
+        { element: 'N', x: 1, y: 0, z: 0, charge: 0.5 }
+      ]
+    });
+
+    expect(report.valid).toBe(false);
+    expect(report.errors).toEqual([
+      { code: 'invalid-atom', message: 'Atom 0 needs an element and numeric x, y and z', atoms: [0] },
+      { code: 'unknown-element', message: 'Atom 1 has unknown element "Xx"', atoms: [1] },
+      { code: 'invalid-charge', message: 'Atom 2 charge must be an integer', atoms: [2] }
+    ]);
+  });
+
+  test('should check residue fields and secondary structure ranges', () => {
+    const residue = { residue: 'GLY', residueNumber: 1, chain: 'A' };
+    const report = validateMolecule({
+      name: 'Peptide',
+      atoms: [
+        { element: 'N', x: 0, y: 0, z: 0, name: 'N', ...residue },
+        { element: 'C', x: 1.46, y: 0, z: 0, name: 'CA', ...residue, residueNumber: '1' }
+      ],
+      secondaryStructure: [
+        { type: 'helix', chain: 'A', start: 1, end: 4 },
+        { type: 'turn', start: 1, end: 2 }
+      ]
+    });
+
+    expect(report.errors).toEqual([
+      {
+        code: 'invalid-residue',
+        message: 'Atom 1 has invalid residue fields; name, residue, insertionCode and chain must be strings, residueNumber an integer and hetero a boolean',
+        atoms: [1]
+      },
+      {
+        code: 'invalid-secondary-structure',
+        message: 'Secondary structure range 1 needs a type of helix or sheet and integer start and end residue numbers'
+      }
+    ]);
+    expect(validateMolecule({ ...water, secondaryStructure: 'helix' }).errors).toEqual([
+      { code: 'invalid-secondary-structure', message: 'Secondary structure must be an array' }
+    ]);
+  });
+
+  test('should check that trajectory frames cover every atom', () => {
+    const frame = water.atoms.flatMap(a => [a.x, a.y, a.z]);
+
+    expect(validateMolecule({ ...water, frames: [frame, frame] }).errors).toEqual([]);
+    expect(validateMolecule({ ...water, frames: [frame, [...frame.slice(1), 'x']] }).errors).toEqual([{
+      code: 'invalid-frames',
+      message: 'Frame 1 needs 9 numeric coordinates, x, y and z for each atom',
+      frame: 1
+    }]);
+    expect(validateMolecule({ ...water, frames: {} }).errors[0].code).toBe('invalid-frames');
+  });
+
+  test('should report dangling, duplicate and invalid bonds', () => {
+    const report = validateMolecule({
+      ...water,
+      bonds: [
+        { from: 0, to: 1, order: 1 },
+        { from: 0, to: 5 },
+        { from: 2, to: 2 },
+        { from: 1, to: 0 },
+        { from: 0, to: 2, order: 7 }
+      ]
+    });
+
+    expect(codes(report.errors)).toEqual(['dangling-bond', 'dangling-bond', 'duplicate-bond', 'invalid-bond-order']);
+    expect(report.errors[0]).toEqual({
+      code: 'dangling-bond',
+      message: 'Bond 1 must connect two different existing atoms',
+      bond: 1
+    });
+    expect(validateMolecule({ ...water, bonds: {} }).errors[0].code).toBe('invalid-bonds');
+  });
+
+  test('should warn about overlapping atoms', () => {
+    const report = validateMolecule({
+      ...water,
+      atoms: [...water.atoms, { element: 'H', x: 0.1, y: 0.7, z: -0.45 }]
+    });
+
+    expect(report.valid).toBe(true);
+    expect(report.warnings).toContainEqual({
+      code: 'overlapping-atoms',
+      message: 'Atoms 1 and 3 are closer than 0.4 Å',
+      atoms: [1, 3]
+    });
+  });
+
+  test('should find overlaps across grid cells without comparing distant atoms', () => {
+    // A long collinear chain; only neighbors 0.3 Å apart overlap
+    const atoms = Array.from({ length: 5000 }, (_, i) => ({ element: 'Ne', x: i * 0.3 - 0.05, y: 0, z: 0 }));
+    const report = validateMolecule({ name: 'Chain', atoms });
+
+    expect(report.warnings).toHaveLength(4999);
+    expect(report.warnings[0].atoms).toEqual([0, 1]);
+    expect(report.warnings[4998].atoms).toEqual([4998, 4999]);
+  });
+
+  test('should warn about hypervalent carbon', () => {
+    const methane = moleculeServer.getMolecule('methane');
+    const report = validateMolecule({
+      ...methane,
+      bonds: methane.bonds.map((bond, index) => (index === 0 ? { ...bond, order: 2 } : bond))
+    });
+
+    expect(report.warnings).toEqual([{
+      code: 'hypervalent-atom',
+      message: 'Atom 0 (C) has bond order sum 5, more than 4',
+      atoms: [0]
+    }, {
+      code: 'hypervalent-atom',
+      message: 'Atom 1 (H) has bond order sum 2, more than 1',
+      atoms: [1]
+    }]);
+  });
+
+  test('should not warn about carbons shared by fused aromatic rings', () => {
+    // Naphthalene skeleton; atoms 4 and 9 carry three aromatic bonds each
+    const ring = [[0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 6], [6, 7], [7, 8], [8, 9], [9, 0], [4, 9]];
+    const atoms = Array.from({ length: 10 }, (_, i) => ({ element: 'C', x: i * 1.4, y: 0, z: 0 }));
+    const bonds = ring.map(([from, to]) => ({ from, to, order: 1.5 }));
+    const hydrogens = [0, 1, 2, 3, 5, 6, 7, 8].map((carbon, i) => {
+      atoms.push({ element: 'H', x: carbon * 1.4, y: 1.1, z: 0 });
+      return { from: carbon, to: 10 + i, order: 1 };
+    });
+
+    expect(validateMolecule({ name: 'Naphthalene', atoms, bonds: [...bonds, ...hydrogens] }).warnings).toEqual([]);
+  });
+
+  test('should warn when the formula does not match the atoms', () => {
+    expect(validateMolecule({ ...water, formula: 'H2O2' }).warnings).toEqual([{
+      code: 'formula-mismatch',
+      message: 'Formula "H2O2" does not match the atoms (H2O)'
+    }]);
+    expect(codes(validateMolecule({ ...water, formula: 'water' }).warnings)).toEqual(['formula-mismatch']);
+    expect(validateMolecule({ ...water, formula: 'OH2' }).warnings).toEqual([]);
+  });
+});
+
+describe('parseFormula', () => {
+  test('should count elements in condensed formulas', () => {
+    expect(parseFormula('C2H5OH')).toEqual({ C: 2, H: 6, O: 1 });
+    expect(parseFormula('NaCl')).toEqual({ Na: 1, Cl: 1 });
+  });
+
+  test('should reject text that is not a formula', () => {
+    expect(parseFormula('')).toBeNull();
+    expect(parseFormula('Ca(OH)2')).toBeNull();
+  });
+});